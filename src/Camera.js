@@ -34,17 +34,27 @@ class Camera {
             this.game.canvas.height
         );
 
+        /**
+         * How far the camera moves toward the player every frame, from 0 to 1.
+         * 1 follows the player exactly.
+         * @type {number}
+         */
+        this.smoothing = 0.1;
+
         /**
          * Whether or not to run the tick event.
          * @type {boolean}
          */
         this.tickEnabled = true;
 
-        createjs.Ticker.addEventListener("tick", this.tick.bind(this));
+        /**
+         * The listener added to the ticker, kept so it can be removed.
+         */
+        this.tickListener = createjs.Ticker.addEventListener("tick", this.tick.bind(this));
     }
 
-    tick() {
-        if (!this.tickEnabled) return;
+    tick(event) {
+        if (!this.tickEnabled || event.paused) return;
         if (!this.player) return;
         if (!this.grid) return;
 
@@ -53,17 +63,19 @@ class Camera {
         if (this.viewport.bottom != (this.game.canvas.height / this.game.scaleY)) this.viewport.bottom = this.game.canvas.height / this.game.scaleY;
 
         // Handle Horizontal
+        // The viewport is kept in world pixels and only scaled when the stage is moved,
+        // so the camera works the same when the game is zoomed out on small screens
         if (this.player.xCenter - this.viewport.left + this.leftDeadZone > this.viewport.right) {
-            this.viewport.left = (this.player.xCenter - (this.viewport.right - this.leftDeadZone)) * this.game.scaleX;
+            this.viewport.left = this.player.xCenter - (this.viewport.right - this.leftDeadZone);
         } else if (this.player.xCenter - this.leftDeadZone < this.viewport.left) {
-            this.viewport.left = (this.player.xCenter - this.leftDeadZone) * this.game.scaleX;
+            this.viewport.left = this.player.xCenter - this.leftDeadZone;
         }
 
         // Handle Vertical
         if (this.player.yCenter - this.viewport.top + this.topDeadZone > this.viewport.bottom) {
-            this.viewport.top = (this.player.yCenter - (this.viewport.bottom - this.topDeadZone)) * this.game.scaleY;
+            this.viewport.top = this.player.yCenter - (this.viewport.bottom - this.topDeadZone);
         } else if (this.player.yCenter - this.topDeadZone < this.viewport.top) {
-            this.viewport.top = (this.player.yCenter - this.topDeadZone) * this.game.scaleY;
+            this.viewport.top = this.player.yCenter - this.topDeadZone;
         }
 
         // Stop at SpriteGrid Boundaries (basically the map)
@@ -74,16 +86,40 @@ class Camera {
             if (this.viewport.left < this.grid.borders.left) {
                 this.viewport.left = this.grid.borders.left;
             }
-            if ((this.viewport.bottom + (this.viewport.top / this.game.scaleY)) > this.grid.borders.bottom) {
-                this.viewport.top = (this.grid.borders.bottom - this.viewport.bottom) * this.game.scaleY;
+            if (this.viewport.bottom + this.viewport.top > this.grid.borders.bottom) {
+                this.viewport.top = this.grid.borders.bottom - this.viewport.bottom;
             }
-            if ((this.viewport.right + (this.viewport.left / this.game.scaleY)) > this.grid.borders.right) {
-                this.viewport.left = (this.grid.borders.right - this.viewport.right) * this.game.scaleX;
+            if (this.viewport.right + this.viewport.left > this.grid.borders.right) {
+                this.viewport.left = this.grid.borders.right - this.viewport.right;
             }
         }
 
-        if (this.game.y != -this.viewport.top) this.game.y = this.game.lerp(this.game.y, -this.viewport.top, 0.1);
-        if (this.game.x != -this.viewport.left) this.game.x = this.game.lerp(this.game.x, -this.viewport.left, 0.1);
+        const y = -this.viewport.top * this.game.scaleY;
+        const x = -this.viewport.left * this.game.scaleX;
+        if (this.game.y != y) this.game.y = this.game.lerp(this.game.y, y, this.smoothing);
+        if (this.game.x != x) this.game.x = this.game.lerp(this.game.x, x, this.smoothing);
+    }
+
+    /**
+     * Stops this camera from following the player.
+     */
+    destroy() {
+        createjs.Ticker.removeEventListener("tick", this.tickListener);
+    }
+
+    /**
+     * The area of the world that is on screen, in pixels.
+     * @type {{left: number, top: number, right: number, bottom: number}}
+     */
+    get visibleArea() {
+        const left = -this.game.x / this.game.scaleX;
+        const top = -this.game.y / this.game.scaleY;
+        return {
+            left: left,
+            top: top,
+            right: left + this.game.canvas.width / this.game.scaleX,
+            bottom: top + this.game.canvas.height / this.game.scaleY
+        };
     }
 
     /**
@@ -0,0 +1,260 @@
+/** @typedef {import("./Grid/Tile.js")} Tile */
+/** @typedef {import("./Sim/TileRegistry.js").MapTileProperties} MapTileProperties */
+/** @typedef {import("./Sim/UpgradeCatalog.js").UpgradeTier} UpgradeTier */
+
+/**
+ * Sent with {@link EventBus.Event.PLAYER_MOVED}.
+ * @typedef {Object} PlayerMovedEvent
+ * @property {Tile} tile The tile the player is seated in.
+ */
+
+/**
+ * Sent with {@link EventBus.Event.TILE_MINED} and {@link EventBus.Event.ORE_COLLECTED}.
+ * @typedef {Object} TileEvent
+ * @property {Tile} tile Where the tile was.
+ * @property {MapTileProperties} properties The tile.
+ */
+
+/**
+ * Sent with {@link EventBus.Event.CARGO_FULL}.
+ * @typedef {Object} CargoFullEvent
+ * @property {Array<MapTileProperties>} cargo
+ * @property {number} capacity
+ */
+
+/**
+ * Sent with {@link EventBus.Event.FUEL_LOW}.
+ * @typedef {Object} FuelLowEvent
+ * @property {number} fuel
+ * @property {number} maxFuel
+ */
+
+/**
+ * Sent with {@link EventBus.Event.MONEY_CHANGED}.
+ * @typedef {Object} MoneyChangedEvent
+ * @property {number} money How much money the player has now.
+ * @property {number} change How much it changed by. Negative when money was spent.
+ */
+
+/**
+ * Sent with {@link EventBus.Event.BUILDING_ENTERED}.
+ * @typedef {Object} BuildingEnteredEvent
+ * @property {string} id The registry id of the building.
+ */
+
+/**
+ * Sent with {@link EventBus.Event.UPGRADE_BOUGHT}.
+ * @typedef {Object} UpgradeBoughtEvent
+ * @property {string} track The id of the upgrade track.
+ * @property {number} level The level the track is at now.
+ * @property {UpgradeTier} tier The tier that was bought.
+ */
+
+/**
+ * Sent with {@link EventBus.Event.PLAYER_DIED}.
+ * @typedef {Object} PlayerDiedEvent
+ * @property {Tile} tile Where the player died.
+ * @property {MapTileProperties} source The tile that dealt the final blow, `null` if it wasn't a tile.
+ */
+
+/**
+ * Carries gameplay events between modules, so they can react to the game without reaching into each other.
+ * Only the events in {@link EventBus.Event} can be sent, each with the payload documented there.
+ *
+ * Most events are translated from the simulation once it is connected, the rest are sent by the handlers they happen in.
+ */
+class EventBus {
+    constructor() {
+        /**
+         * The listeners of every event, indexed by event.
+         * @type {Object.<string, Array<Function>>}
+         */
+        this.listeners = {};
+        for (const key in EventBus.Event) this.listeners[EventBus.Event[key]] = [];
+
+        /**
+         * The simulation events are translated from.
+         * @type {import("./Sim/Simulation.js")}
+         */
+        this.simulation = null;
+
+        /**
+         * How full the tank is when the fuel counts as low, from 0 to 1.
+         * @type {number}
+         */
+        this.fuelLowAt = 0.2;
+
+        /**
+         * Whether or not the fuel was low, so it is only reported once until the tank is filled up.
+         * @type {boolean}
+         */
+        this.fuelLow = false;
+
+        /**
+         * Whether or not the hold was full, so it is only reported once until it is emptied.
+         * @type {boolean}
+         */
+        this.cargoFull = false;
+
+        /**
+         * The money the player had when it last changed.
+         * @type {number}
+         */
+        this.money = 0;
+
+        /**
+         * The tile that last damaged the player.
+         * @type {MapTileProperties}
+         */
+        this.lastDamage = null;
+
+        /**
+         * Listeners added to the simulation, indexed by event.
+         * @type {Object.<string, Function>}
+         */
+        this.simListeners = {
+            tilemove: tile => this.emit(EventBus.Event.PLAYER_MOVED, { tile: tile }),
+            tiledestroy: (tile, properties, cause) => {
+                if (cause == this.simulation.miner) this.emit(EventBus.Event.TILE_MINED, { tile: tile, properties: properties });
+            },
+            collect: (tile, properties) => this.emit(EventBus.Event.ORE_COLLECTED, { tile: tile, properties: properties }),
+            hold: this.onHold.bind(this),
+            upgrades: () => this.onHold(this.simulation.miner.cargo),
+            fuel: this.onFuel.bind(this),
+            money: this.onMoney.bind(this),
+            upgrade: (track, level, tier) => this.emit(EventBus.Event.UPGRADE_BOUGHT, { track: track, level: level, tier: tier }),
+            damage: (amount, source) => { this.lastDamage = source; },
+            death: () => this.emit(EventBus.Event.PLAYER_DIED, { tile: this.simulation.miner.tile, source: this.lastDamage })
+        };
+    }
+
+    /**
+     * Listens to an event.
+     * @param {EventBus.Event} event
+     * @param {Function} listener Called with the payload of the event.
+     * @returns {Function} The listener, so it can be removed.
+     * @throws {Error} If the event doesn't exist.
+     */
+    on(event, listener) {
+        this.getListeners(event).push(listener);
+        return listener;
+    }
+
+    /**
+     * Stops listening to an event.
+     * @param {EventBus.Event} event
+     * @param {Function} listener
+     */
+    off(event, listener) {
+        this.listeners[event] = this.getListeners(event).filter(l => l != listener);
+    }
+
+    /**
+     * Sends an event to its listeners.
+     * @param {EventBus.Event} event
+     * @param {Object} payload
+     * @throws {Error} If the event doesn't exist.
+     */
+    emit(event, payload) {
+        this.getListeners(event).slice().forEach(listener => listener(payload));
+    }
+
+    /**
+     * Gets the listeners of an event.
+     * @param {EventBus.Event} event
+     * @returns {Array<Function>}
+     * @throws {Error} If the event doesn't exist, which is most likely a typo.
+     */
+    getListeners(event) {
+        const listeners = this.listeners[event];
+        if (!listeners) throw new Error(`Unknown game event "${event}"`);
+        return listeners;
+    }
+
+    /**
+     * Starts translating the events of a simulation.
+     * @param {import("./Sim/Simulation.js")} simulation
+     */
+    connect(simulation) {
+        this.disconnect();
+        this.simulation = simulation;
+        this.money = simulation.miner.money;
+        this.fuelLow = false;
+        this.cargoFull = false;
+        for (const event in this.simListeners) simulation.on(event, this.simListeners[event]);
+    }
+
+    /**
+     * Stops translating the events of the simulation.
+     */
+    disconnect() {
+        if (!this.simulation) return;
+        for (const event in this.simListeners) this.simulation.off(event, this.simListeners[event]);
+        this.simulation = null;
+    }
+
+    /**
+     * Removes every listener and disconnects from the simulation.
+     */
+    destroy() {
+        this.disconnect();
+        for (const event in this.listeners) this.listeners[event] = [];
+    }
+
+    /**
+     * @param {Array<MapTileProperties>} cargo
+     */
+    onHold(cargo) {
+        const capacity = this.simulation.miner.capacity;
+        const full = cargo.length >= capacity;
+        if (full && !this.cargoFull) this.emit(EventBus.Event.CARGO_FULL, { cargo: cargo, capacity: capacity });
+        this.cargoFull = full;
+    }
+
+    /**
+     * @param {number} fuel
+     * @param {number} maxFuel
+     */
+    onFuel(fuel, maxFuel) {
+        const low = fuel < maxFuel * this.fuelLowAt;
+        if (low && !this.fuelLow) this.emit(EventBus.Event.FUEL_LOW, { fuel: fuel, maxFuel: maxFuel });
+        this.fuelLow = low;
+    }
+
+    /**
+     * @param {number} money
+     */
+    onMoney(money) {
+        const change = money - this.money;
+        this.money = money;
+        if (change != 0) this.emit(EventBus.Event.MONEY_CHANGED, { money: money, change: change });
+    }
+}
+
+/**
+ * Every gameplay event, and the payload it is sent with.
+ * @readonly
+ * @enum {string}
+ */
+EventBus.Event = {
+    /** The player was seated in a new tile. {@link PlayerMovedEvent} */
+    PLAYER_MOVED: "playermoved",
+    /** The player mined a tile. {@link TileEvent} */
+    TILE_MINED: "tilemined",
+    /** An ore was put in the hold. {@link TileEvent} */
+    ORE_COLLECTED: "orecollected",
+    /** The hold filled up. {@link CargoFullEvent} */
+    CARGO_FULL: "cargofull",
+    /** The fuel dropped below {@link EventBus#fuelLowAt}. {@link FuelLowEvent} */
+    FUEL_LOW: "fuellow",
+    /** The player earned or spent money. {@link MoneyChangedEvent} */
+    MONEY_CHANGED: "moneychanged",
+    /** The player walked onto a building. {@link BuildingEnteredEvent} */
+    BUILDING_ENTERED: "buildingentered",
+    /** The player bought an upgrade. {@link UpgradeBoughtEvent} */
+    UPGRADE_BOUGHT: "upgradebought",
+    /** The hull of the player was destroyed. {@link PlayerDiedEvent} */
+    PLAYER_DIED: "playerdied"
+};
+
+module.exports = EventBus;
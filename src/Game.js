@@ -1,95 +1,320 @@
-// Add this to the bottom of your Game.js file, replacing the existing window.onload
+require("./Polyfill.js")();
+const LoadingHandler = require("./Handler/LoadingHandler.js");
+const InputHandler = require("./Handler/InputHandler.js");
+const DisplayHandler = require("./Handler/DisplayHandler.js");
+const SaveHandler = require("./Handler/SaveHandler.js");
+const SettingsHandler = require("./Handler/SettingsHandler.js");
+const AudioHandler = require("./Handler/AudioHandler.js");
+const EventBus = require("./EventBus.js");
+const Simulation = require("./Sim/Simulation.js");
+const TileRegistry = require("./Sim/TileRegistry.js");
+const UpgradeCatalog = require("./Sim/UpgradeCatalog.js");
+const ItemCatalog = require("./Sim/ItemCatalog.js");
+
+/**
+ * The game -- the stage every handler, sprite and tile is drawn on.
+ * Owns the lifecycle of a single play session: boot, load, play, pause and teardown.
+ */
+class Game extends createjs.Stage {
+    /**
+     * @param {string|HTMLCanvasElement} canvas The canvas (or the id of the canvas) to draw the game on.
+     */
+    constructor(canvas = "canvas") {
+        super(canvas);
+
+        /**
+         * The current lifecycle state of this game.
+         * Should not be changed manually. Use the lifecycle methods instead.
+         * @type {Game.State}
+         */
+        this.state = Game.State.BOOT;
+
+        /**
+         * Loads every asset needed by the game.
+         * @type {LoadingHandler}
+         */
+        this.loadingHandler = new LoadingHandler(this);
+
+        /**
+         * Keeps track of keyboard input.
+         * @type {InputHandler}
+         */
+        this.inputHandler = new InputHandler(this);
+
+        /**
+         * Manages every sprite on the screen.
+         * @type {DisplayHandler}
+         */
+        this.displayHandler = new DisplayHandler(this);
+
+        /**
+         * Saves and loads the game state.
+         * @type {SaveHandler}
+         */
+        this.saveHandler = new SaveHandler(this);
+
+        /**
+         * Keeps the settings of the player.
+         * @type {SettingsHandler}
+         */
+        this.settingsHandler = new SettingsHandler(this);
+
+        /**
+         * Plays the sounds and music.
+         * @type {AudioHandler}
+         */
+        this.audioHandler = new AudioHandler(this);
+
+        /**
+         * Carries gameplay events to anything that wants to react to them, such as the HUD.
+         * @type {EventBus}
+         */
+        this.events = new EventBus();
+
+        /**
+         * The headless core of the game, created once the game starts playing.
+         * @type {Simulation}
+         */
+        this.simulation = null;
+
+        /**
+         * An element to display the measured framerate in, if any.
+         * @type {HTMLElement}
+         */
+        this.fpsElement = null;
+
+        /**
+         * How many tiles fit across the shortest side of the screen at least.
+         * The game is zoomed out on screens too small for them, such as phones held upright.
+         * @type {number}
+         */
+        this.minViewTiles = 9;
+
+        /**
+         * Listeners kept so they can be removed when the game is destroyed.
+         */
+        this.tickListener = null;
+        this.resizeListener = () => { this.resize(); };
+        this.visibilityListener = () => { if (document.hidden) this.pause(); };
+        this.addEventListener("action", this.onAction.bind(this));
+    }
+
+    /**
+     * Boots the game: hooks up the ticker and window, then starts loading.
+     */
+    boot() {
+        if (this.state != Game.State.BOOT) return;
+
+        createjs.Ticker.timingMode = createjs.Ticker.RAF;
+        this.tickListener = createjs.Ticker.addEventListener("tick", this.tick.bind(this));
+        window.addEventListener("resize", this.resizeListener);
+        document.addEventListener("visibilitychange", this.visibilityListener);
+        this.resize();
+
+        this.load();
+    }
+
+    /**
+     * Loads every asset, then starts playing.
+     */
+    load() {
+        this.state = Game.State.LOADING;
+        this.loadingHandler.load(() => {
+            // The game may have been torn down while assets were loading.
+            if (this.state != Game.State.LOADING) return;
+            this.play();
+        });
+    }
+
+    /**
+     * Creates the world and player, then restores the previous save if one exists.
+     */
+    play() {
+        const grid = this.displayHandler.grid;
+        const registry = new TileRegistry(this.loadingHandler.data.registry);
+        const upgrades = new UpgradeCatalog(this.loadingHandler.data.upgrades);
+        const items = new ItemCatalog(this.loadingHandler.data.items);
+        this.simulation = new Simulation(grid.widthGU, grid.heightGU, grid.tileSize, registry, upgrades, items);
+        this.events.connect(this.simulation);
+        this.displayHandler.init();
+        this.settingsHandler.apply();
+        this.audioHandler.init();
+        this.saveHandler.autoLoad();
+        this.state = Game.State.PLAYING;
+        this.dispatchEvent("play");
+    }
+
+    /**
+     * Pauses every tick in the game, which opens the pause menu. Rendering continues.
+     * The game is also paused when it is hidden, such as when the player switches tabs.
+     */
+    pause() {
+        if (this.state != Game.State.PLAYING) return;
+        createjs.Ticker.paused = true;
+        this.inputHandler.pressedKeys.length = 0;
+        this.state = Game.State.PAUSED;
+        this.dispatchEvent("pause");
+    }
+
+    /**
+     * Resumes the game after a pause.
+     */
+    resume() {
+        if (this.state != Game.State.PAUSED) return;
+        createjs.Ticker.paused = false;
+        this.state = Game.State.PLAYING;
+        this.dispatchEvent("resume");
+    }
+
+    /**
+     * Handles the actions that control the game itself.
+     * @param {CustomEvent} event The `action` event dispatched by the {@link InputHandler}.
+     */
+    onAction(event) {
+        if (event.detail != InputHandler.Action.PAUSE) return;
+        if (this.state == Game.State.PLAYING) this.pause();
+        else this.resume();
+    }
+
+    /**
+     * Tears down this game. Every listener is removed and the stage is cleared,
+     * which allows a new game to be created on the same canvas.
+     */
+    destroy() {
+        if (this.state == Game.State.DESTROYED) return;
+        if (this.state == Game.State.PAUSED) createjs.Ticker.paused = false;
+        this.state = Game.State.DESTROYED;
+
+        createjs.Ticker.removeEventListener("tick", this.tickListener);
+        window.removeEventListener("resize", this.resizeListener);
+        document.removeEventListener("visibilitychange", this.visibilityListener);
+
+        this.displayHandler.destroy();
+        this.inputHandler.destroy();
+        this.saveHandler.destroy();
+        this.audioHandler.destroy();
+        this.events.destroy();
+        if (this.simulation) this.simulation.removeAllListeners();
+
+        this.removeAllChildren();
+        this.update();
+        this.enableDOMEvents(false);
+        this.dispatchEvent("destroy");
+        this.removeAllEventListeners();
+    }
+
+    /**
+     * Calls a tick for the game (based on the EaselJS Ticker).
+     * @param {createjs.TickerEvent} event
+     */
+    tick(event) {
+        if (this.fpsElement) this.fpsElement.innerHTML = "FPS: " + Math.round(createjs.Ticker.getMeasuredFPS());
+        this.update(event);
+    }
+
+    /**
+     * Resizes the canvas to the window, zooming out if the window is too small.
+     */
+    resize(height = window.innerHeight, width = window.innerWidth) {
+        this.canvas.height = height;
+        this.canvas.width = width;
+        const scale = Math.min(1, Math.min(width, height) / (this.minViewTiles * this.displayHandler.grid.tileSize));
+        this.scaleX = scale;
+        this.scaleY = scale;
+        this.update();
+    }
+
+    /**
+     * Linear interpolation between two values.
+     * @param {number} start The value to start from.
+     * @param {number} end The value to end at.
+     * @param {number} amount How far between start and end to go, from 0 to 1.
+     * @returns {number}
+     */
+    lerp(start, end, amount) {
+        return (1 - amount) * start + amount * end;
+    }
+}
+
+/**
+ * Determines the lifecycle state of the game.
+ * @readonly
+ * @enum {string}
+ */
+Game.State = {
+    BOOT: "boot",
+    LOADING: "loading",
+    PLAYING: "playing",
+    PAUSED: "paused",
+    DESTROYED: "destroyed"
+};
+
+module.exports = Game;
+
+/**
+ * Shows a fatal error to the user with a way to reload the page.
+ * @param {string} title The title of the error.
+ * @param {string} message The error message.
+ */
+function showError(title, message) {
+    const errorDiv = document.createElement("div");
+    errorDiv.style.cssText = `
+        position: fixed;
+        top: 50%;
+        left: 50%;
+        transform: translate(-50%, -50%);
+        background: rgba(255, 0, 0, 0.9);
+        color: white;
+        padding: 20px;
+        border-radius: 10px;
+        font-family: Arial, sans-serif;
+        z-index: 1000;
+        max-width: 400px;
+        text-align: center;
+    `;
+    errorDiv.innerHTML = `
+        <h3>${title}</h3>
+        <p>Something went wrong. Check the console for details.</p>
+        <p><strong>Error:</strong> ${message}</p>
+        <button onclick="location.reload()" style="
+            background: white;
+            color: red;
+            border: none;
+            padding: 10px 20px;
+            border-radius: 5px;
+            cursor: pointer;
+            margin-top: 10px;
+        ">Reload Game</button>
+    `;
+    document.body.appendChild(errorDiv);
+}
 
 window.onload = function() {
-    console.log("Window loaded, initializing game...");
-    
     try {
         const pkg = require("../package.json");
         let rev = "dev";
-        
+
         try {
             const fs = require("fs");
             rev = fs.readFileSync(".git/refs/heads/master").toString().substring(0, 7).trim();
         } catch (e) {
             console.log("No git info available, using 'dev'");
         }
-        
+
         document.getElementById("version").innerHTML = `Version ${pkg.version}.${rev}`;
-        
-        // Create and initiate the game
-        console.log("Creating game instance...");
-        window.game = new Game();
-        window.game.fpsElement = document.getElementById("fps");
-        
-        console.log("Game instance created successfully!");
-        
-        // Add error handling for the game
-        window.addEventListener('error', function(e) {
-            console.error('Game error:', e.error);
-            
-            // Try to show a user-friendly error message
-            const errorDiv = document.createElement('div');
-            errorDiv.style.cssText = `
-                position: fixed;
-                top: 50%;
-                left: 50%;
-                transform: translate(-50%, -50%);
-                background: rgba(255, 0, 0, 0.9);
-                color: white;
-                padding: 20px;
-                border-radius: 10px;
-                font-family: Arial, sans-serif;
-                z-index: 1000;
-                max-width: 400px;
-                text-align: center;
-            `;
-            errorDiv.innerHTML = `
-                <h3>Game Error</h3>
-                <p>Something went wrong. Check the console for details.</p>
-                <p><strong>Error:</strong> ${e.error.message}</p>
-                <button onclick="location.reload()" style="
-                    background: white;
-                    color: red;
-                    border: none;
-                    padding: 10px 20px;
-                    border-radius: 5px;
-                    cursor: pointer;
-                    margin-top: 10px;
-                ">Reload Game</button>
-            `;
-            document.body.appendChild(errorDiv);
+
+        // Create and boot the game
+        window.game = new Game("canvas");
+        window.game.boot();
+
+        window.addEventListener("error", e => {
+            console.error("Game error:", e.error);
+            // Keep a recovery snapshot to resume from after reloading
+            if (window.game.simulation) window.game.saveHandler.autosave(true);
+            showError("Game Error", e.error ? e.error.message : e.message);
         });
-        
     } catch (error) {
         console.error("Failed to initialize game:", error);
-        
-        // Show error message to user
-        document.body.innerHTML = `
-            <div style="
-                position: fixed;
-                top: 50%;
-                left: 50%;
-                transform: translate(-50%, -50%);
-                background: rgba(255, 0, 0, 0.9);
-                color: white;
-                padding: 20px;
-                border-radius: 10px;
-                font-family: Arial, sans-serif;
-                text-align: center;
-            ">
-                <h2>Game Failed to Load</h2>
-                <p>Error: ${error.message}</p>
-                <p>Check the console for more details.</p>
-                <button onclick="location.reload()" style="
-                    background: white;
-                    color: red;
-                    border: none;
-                    padding: 10px 20px;
-                    border-radius: 5px;
-                    cursor: pointer;
-                    margin-top: 10px;
-                ">Try Again</button>
-            </div>
-        `;
+        showError("Game Failed to Load", error.message);
     }
-};
\ No newline at end of file
+};
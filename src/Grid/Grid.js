@@ -87,7 +87,10 @@ class Grid {
          */
         this.tickEnabled = true;
 
-        createjs.Ticker.addEventListener("tick", this.tick.bind(this));
+        /**
+         * The listener added to the ticker, kept so it can be removed.
+         */
+        this.tickListener = createjs.Ticker.addEventListener("tick", this.tick.bind(this));
     }
 
     /**
@@ -168,11 +171,21 @@ class Grid {
         this.game.setChildIndex(this.overlayTiles, this.game.children.length - 1);
     }
 
+    /**
+     * Removes the overlay and stops this grid from ticking.
+     */
+    destroy() {
+        createjs.Ticker.removeEventListener("tick", this.tickListener);
+        this.overlayTiles.removeAllChildren();
+        this.game.removeChild(this.overlayTiles);
+        this.tiles.length = 0;
+    }
+
     /**
      * Calls a tick for this grid (based on the EaselJS Ticker).
      */
-    tick() {
-        if (!this.tickEnabled) return;
+    tick(event) {
+        if (!this.tickEnabled || event.paused) return;
         if (this.recreate) {
             this.recreate = false;
             for (let i = 0; i < this.tiles.length; i++) this.game.removeChild(this.tiles[i]);
@@ -0,0 +1,372 @@
+const InputHandler = require("../Handler/InputHandler.js");
+const AudioHandler = require("../Handler/AudioHandler.js");
+
+/**
+ * An item of a dialog.
+ * @typedef {Object} DialogItem
+ * @property {string} name
+ * @property {number} [price] Shown next to the name. With a quantity, this is the price of one.
+ * @property {boolean} [highlight] Drawn in green, such as for the main choice of the dialog.
+ * @property {boolean} [disabled] Drawn greyed out and can't be selected, such as for something the player can't afford.
+ * @property {{min: number, max: number, value: number, step: number}} [quantity] Lets the player choose how many,
+ * with left and right. The step defaults to 1.
+ */
+
+/**
+ * A modal window listing items to choose from, used by the buildings and the pause menu.
+ *
+ * While a dialog is open, the {@link InputHandler} sends every action to it instead of the game, so the player
+ * stops moving. Up and down select an item, left and right change its quantity, interact chooses it,
+ * and Escape or pause closes the dialog. Items can also be clicked or tapped.
+ */
+class Dialog {
+    /**
+     * @param {import("../Game.js")} game The game.
+     * @param {string} title
+     * @param {Array<DialogItem>} items
+     */
+    constructor(game, title, items) {
+        this.game = game;
+
+        /**
+         * The title at the top of the dialog.
+         * @type {string}
+         */
+        this.title = title;
+
+        /**
+         * A line under the title, such as how much money the player has. Hidden if empty.
+         * @type {string}
+         */
+        this.subtitle = "";
+
+        /**
+         * The items to choose from.
+         * @type {Array<DialogItem>}
+         */
+        this.items = items;
+
+        /**
+         * The index of the selected item, `-1` if every item is disabled.
+         * @type {number}
+         */
+        this.selected = -1;
+
+        /**
+         * Called when an item is chosen, with the item and the quantity chosen.
+         * @type {function(DialogItem, number): void}
+         */
+        this.onSelect = null;
+
+        /**
+         * Called once the dialog is closed.
+         * @type {function(): void}
+         */
+        this.onClose = null;
+
+        /**
+         * The overlay the dialog is drawn in, while it's open.
+         * @type {HTMLDivElement}
+         */
+        this.element = null;
+
+        /**
+         * The elements of the title, the subtitle and the list of items, while the dialog is open.
+         * @type {HTMLElement}
+         */
+        this.titleElement = null;
+        this.subtitleElement = null;
+        this.listElement = null;
+
+        /**
+         * The element that had focus before the dialog was opened, given it back when the dialog closes.
+         * @type {HTMLElement}
+         */
+        this.lastFocus = null;
+    }
+
+    /**
+     * Whether or not the dialog is open.
+     * @type {boolean}
+     */
+    get isOpen() {
+        return !!this.element;
+    }
+
+    /**
+     * Opens the dialog over the game, and over any other dialog.
+     * @returns {Dialog} The dialog, for chaining.
+     */
+    open() {
+        if (this.element) return this;
+        const dialogs = this.game.inputHandler.dialogs;
+
+        const overlay = document.createElement("div");
+        overlay.className = "dialog-overlay";
+        overlay.style.cssText = `
+            position: fixed;
+            top: 0;
+            left: 0;
+            width: 100%;
+            height: 100%;
+            background: rgba(0, 0, 0, 0.7);
+            z-index: ${100 + dialogs.length};
+            display: flex;
+            justify-content: center;
+            align-items: center;
+        `;
+        // Close on overlay click
+        overlay.addEventListener("click", e => {
+            if (e.target === overlay) this.close();
+        });
+
+        const container = document.createElement("div");
+        container.tabIndex = -1;
+        container.style.cssText = `
+            background: #2c3e50;
+            border: 3px solid #34495e;
+            border-radius: 10px;
+            padding: 20px;
+            min-width: 300px;
+            max-width: 500px;
+            max-height: 90%;
+            overflow-y: auto;
+            color: white;
+            font-family: Arial, sans-serif;
+            outline: none;
+        `;
+
+        this.titleElement = document.createElement("h2");
+        this.titleElement.style.cssText = `
+            margin: 0 0 20px 0;
+            text-align: center;
+            color: #ecf0f1;
+        `;
+
+        this.subtitleElement = document.createElement("div");
+        this.subtitleElement.style.cssText = `
+            text-align: center;
+            margin-bottom: 20px;
+            font-size: 18px;
+            color: #f39c12;
+        `;
+
+        this.listElement = document.createElement("div");
+
+        container.appendChild(this.titleElement);
+        container.appendChild(this.subtitleElement);
+        container.appendChild(this.listElement);
+        overlay.appendChild(container);
+        document.body.appendChild(overlay);
+        this.element = overlay;
+        dialogs.push(this);
+
+        this.lastFocus = document.activeElement || null;
+        container.focus();
+        this.update(this.items);
+        return this;
+    }
+
+    /**
+     * Closes the dialog, giving focus back to whatever had it before.
+     */
+    close() {
+        if (!this.element) return;
+        if (this.element.parentNode) this.element.parentNode.removeChild(this.element);
+        this.element = null;
+
+        const dialogs = this.game.inputHandler.dialogs;
+        if (dialogs.indexOf(this) >= 0) dialogs.splice(dialogs.indexOf(this), 1);
+        if (this.lastFocus && this.lastFocus.focus) this.lastFocus.focus();
+        this.lastFocus = null;
+        if (this.onClose) this.onClose();
+    }
+
+    /**
+     * Changes the items of the dialog, keeping the selection where it can.
+     * @param {Array<DialogItem>} items
+     */
+    update(items) {
+        this.items = items;
+        if (!this.isEnabled(this.selected)) {
+            this.selected = -1;
+            this.move(1);
+        }
+        this.render();
+    }
+
+    /**
+     * Checks if an item exists and can be selected.
+     * @param {number} index
+     * @returns {boolean}
+     */
+    isEnabled(index) {
+        return index >= 0 && index < this.items.length && !this.items[index].disabled;
+    }
+
+    /**
+     * Selects the next item that isn't disabled, wrapping around the ends of the list.
+     * @param {number} direction 1 to go down, -1 to go up.
+     */
+    move(direction) {
+        const count = this.items.length;
+        for (let i = 1; i <= count; i++) {
+            const index = ((this.selected < 0 && direction < 0 ? 0 : this.selected) + i * direction + count) % count;
+            if (this.isEnabled(index)) {
+                if (this.selected != index && this.isOpen) this.game.audioHandler.play(AudioHandler.Sound.CLICK);
+                this.selected = index;
+                break;
+            }
+        }
+        this.render();
+    }
+
+    /**
+     * Changes the quantity of the selected item, within its limits.
+     * @param {number} direction 1 for more, -1 for less.
+     */
+    adjust(direction) {
+        const item = this.items[this.selected];
+        if (!item || !item.quantity) return;
+
+        const quantity = item.quantity;
+        const value = quantity.value + direction * (quantity.step || 1);
+        quantity.value = Math.max(quantity.min, Math.min(value, quantity.max));
+        this.render();
+    }
+
+    /**
+     * Chooses the selected item, unless it's disabled.
+     */
+    confirm() {
+        if (!this.isEnabled(this.selected)) return;
+        const item = this.items[this.selected];
+        this.game.audioHandler.play(AudioHandler.Sound.CLICK);
+        if (this.onSelect) this.onSelect(item, item.quantity ? item.quantity.value : 1);
+    }
+
+    /**
+     * Handles an action sent by the {@link InputHandler} while this is the top dialog.
+     * @param {InputHandler.Action} action
+     */
+    handleAction(action) {
+        switch (action) {
+            case InputHandler.Action.UP:
+                this.move(-1);
+                break;
+            case InputHandler.Action.DOWN:
+                this.move(1);
+                break;
+            case InputHandler.Action.LEFT:
+                this.adjust(-1);
+                break;
+            case InputHandler.Action.RIGHT:
+                this.adjust(1);
+                break;
+            case InputHandler.Action.INTERACT:
+                this.confirm();
+                break;
+            case InputHandler.Action.PAUSE:
+                this.close();
+                break;
+        }
+    }
+
+    /**
+     * Gets the price of an item for the quantity chosen.
+     * @param {DialogItem} item
+     * @returns {number}
+     */
+    getPrice(item) {
+        return item.quantity ? item.price * item.quantity.value : item.price;
+    }
+
+    /**
+     * Redraws the dialog.
+     */
+    render() {
+        if (!this.element) return;
+        this.titleElement.textContent = this.title;
+        this.subtitleElement.textContent = this.subtitle;
+        this.subtitleElement.style.display = this.subtitle ? "" : "none";
+
+        while (this.listElement.children.length) this.listElement.removeChild(this.listElement.children[0]);
+        this.items.forEach((item, index) => this.listElement.appendChild(this.renderItem(item, index)));
+
+        const selected = this.listElement.children[this.selected];
+        if (selected && selected.scrollIntoView) selected.scrollIntoView({ block: "nearest" });
+    }
+
+    /**
+     * Draws an item.
+     * @param {DialogItem} item
+     * @param {number} index
+     * @returns {HTMLDivElement}
+     */
+    renderItem(item, index) {
+        const selected = index == this.selected;
+        let background = item.highlight ? "#27ae60" : "#34495e";
+        if (selected) background = item.highlight ? "#2ecc71" : "#4a5f7a";
+
+        const itemEl = document.createElement("div");
+        itemEl.style.cssText = `
+            display: flex;
+            justify-content: space-between;
+            align-items: center;
+            padding: 10px;
+            margin: 5px 0;
+            background: ${background};
+            border: 2px solid ${selected ? "#ecf0f1" : "transparent"};
+            border-radius: 5px;
+            cursor: ${item.disabled ? "not-allowed" : "pointer"};
+            opacity: ${item.disabled ? 0.5 : 1};
+        `;
+
+        const nameEl = document.createElement("span");
+        nameEl.textContent = item.name;
+        itemEl.appendChild(nameEl);
+
+        const valueEl = document.createElement("span");
+        if (item.quantity) {
+            const quantity = item.quantity;
+            const arrow = (text, direction) => {
+                const arrowEl = document.createElement("span");
+                arrowEl.textContent = text;
+                arrowEl.style.cssText = "padding: 0 8px; cursor: pointer;";
+                arrowEl.addEventListener("click", e => {
+                    e.stopPropagation();
+                    this.selected = index;
+                    this.adjust(direction);
+                });
+                return arrowEl;
+            };
+            const countEl = document.createElement("span");
+            countEl.textContent = `${quantity.value}`;
+            valueEl.appendChild(arrow("◀", -1));
+            valueEl.appendChild(countEl);
+            valueEl.appendChild(arrow("▶", 1));
+        }
+        if (item.price !== undefined) {
+            const priceEl = document.createElement("span");
+            priceEl.textContent = `$${this.getPrice(item)}`;
+            priceEl.style.cssText = "color: #f39c12; margin-left: 10px;";
+            valueEl.appendChild(priceEl);
+        }
+        itemEl.appendChild(valueEl);
+
+        if (!item.disabled) {
+            itemEl.addEventListener("mouseenter", () => {
+                if (this.selected == index) return;
+                this.selected = index;
+                this.render();
+            });
+            itemEl.addEventListener("click", () => {
+                this.selected = index;
+                this.confirm();
+            });
+        }
+        return itemEl;
+    }
+}
+
+module.exports = Dialog;
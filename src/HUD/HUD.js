@@ -0,0 +1,324 @@
+const HUDGauge = require("./HUDGauge.js");
+const EventBus = require("../EventBus.js");
+
+/**
+ * The heads-up display: the fuel, hull and cargo gauges, the depth meter and the money.
+ * It is drawn on its own stage over the game, so it stays put while the camera moves,
+ * and it is only updated through the events of the simulation and the event bus.
+ */
+class HUD {
+    /**
+     * @param {import("../Game.js")} game The game.
+     */
+    constructor(game) {
+        this.game = game;
+
+        /**
+         * The miner the HUD shows.
+         * @type {import("../Sim/MinerModel.js")}
+         */
+        this.model = this.game.simulation.miner;
+
+        /**
+         * The stage the HUD is drawn on.
+         * @type {createjs.Stage}
+         */
+        this.stage = new createjs.Stage(document.getElementById("hud"));
+
+        /**
+         * How far the HUD is from the top left corner of the screen.
+         * @type {{x: number, y: number}}
+         */
+        this.margin = { x: 10, y: 30 };
+
+        /**
+         * How many pixels apart each row of the HUD is.
+         * @type {number}
+         */
+        this.rowHeight = 20;
+
+        /**
+         * Shows how much fuel is left in the tank.
+         * @type {HUDGauge}
+         */
+        this.fuel = new HUDGauge("FUEL", "#F39C12");
+        this.fuel.warnBelow = 0.2;
+
+        /**
+         * Shows how much damage the hull can still take.
+         * @type {HUDGauge}
+         */
+        this.hull = new HUDGauge("HULL", "#2ECC71");
+        this.hull.warnBelow = 0.3;
+
+        /**
+         * Shows how full the cargo hold is.
+         * @type {HUDGauge}
+         */
+        this.hold = new HUDGauge("CARGO", "#3498DB");
+
+        /**
+         * Shows how deep the miner is, the bar going from the surface to the bottom of the world.
+         * @type {HUDGauge}
+         */
+        this.depth = new HUDGauge("DEPTH", "#95A5A6");
+
+        /**
+         * Every gauge, from the top of the HUD down.
+         * @type {Array<HUDGauge>}
+         */
+        this.gauges = [this.fuel, this.hull, this.hold, this.depth];
+
+        /**
+         * The money display.
+         * @type {createjs.Text}
+         */
+        this.money = new createjs.Text("", "Bold 16px Arial", "#F1C40F");
+
+        /**
+         * The money the miner has.
+         * @type {number}
+         */
+        this.moneyValue = this.model.money;
+
+        /**
+         * The money shown, which counts toward {@link HUD#moneyValue}.
+         * @type {number}
+         */
+        this.moneyShown = this.model.money;
+
+        /**
+         * How many milliseconds the money takes to count to a new value.
+         * @type {number}
+         */
+        this.countTime = 500;
+
+        /**
+         * The text showing each change in money, which floats up and fades out.
+         * @type {Array<createjs.Text>}
+         */
+        this.deltas = [];
+
+        /**
+         * How many milliseconds a change in money is shown for.
+         * @type {number}
+         */
+        this.deltaTime = 1500;
+
+        /**
+         * Whether or not the stage needs to be redrawn.
+         * @type {boolean}
+         */
+        this.dirty = true;
+
+        /**
+         * Whether or not to run the tick event.
+         * @type {boolean}
+         */
+        this.tickEnabled = true;
+
+        this.gauges.concat(this.money).forEach((child, i) => {
+            child.x = this.margin.x;
+            child.y = this.margin.y + i * this.rowHeight;
+            this.stage.addChild(child);
+        });
+
+        /**
+         * Listeners added to the simulation, indexed by event.
+         * @type {Object.<string, Function>}
+         */
+        this.simListeners = {
+            fuel: this.updateFuel.bind(this),
+            hull: this.updateHull.bind(this),
+            hold: this.updateHold.bind(this),
+            upgrades: this.updateHold.bind(this)
+        };
+        for (const event in this.simListeners) this.game.simulation.on(event, this.simListeners[event]);
+
+        /**
+         * The listener added to the event bus, kept so it can be removed.
+         */
+        this.moneyListener = this.game.events.on(EventBus.Event.MONEY_CHANGED, this.updateMoney.bind(this));
+
+        /**
+         * Listeners kept so they can be removed when the game is destroyed.
+         */
+        this.resizeListener = () => { this.resize(); };
+        window.addEventListener("resize", this.resizeListener);
+        this.tickListener = createjs.Ticker.addEventListener("tick", this.tick.bind(this));
+
+        this.refresh();
+        this.resize();
+    }
+
+    /**
+     * Shows the current state of the miner straight away, without sliding or counting to it.
+     */
+    refresh() {
+        this.updateFuel(this.model.fuel, this.model.maxFuel);
+        this.updateHull(this.model.hull, this.model.maxHull);
+        this.updateHold();
+        this.updateDepth();
+        for (const gauge of this.gauges) {
+            gauge.shown = gauge.value;
+            gauge.draw();
+        }
+        this.moneyValue = this.model.money;
+        this.moneyShown = this.model.money;
+        this.drawMoney();
+    }
+
+    tick(event) {
+        if (!this.tickEnabled || event.paused) return;
+
+        this.updateDepth();
+        for (const gauge of this.gauges) {
+            if (gauge.step(event.delta)) this.dirty = true;
+        }
+        if (this.countMoney(event.delta)) this.dirty = true;
+        if (this.stepDeltas(event.delta)) this.dirty = true;
+
+        if (this.dirty) {
+            this.stage.update();
+            this.dirty = false;
+        }
+    }
+
+    /**
+     * Removes the HUD and stops listening to the game.
+     */
+    destroy() {
+        window.removeEventListener("resize", this.resizeListener);
+        createjs.Ticker.removeEventListener("tick", this.tickListener);
+        for (const event in this.simListeners) this.game.simulation.off(event, this.simListeners[event]);
+        this.game.events.off(EventBus.Event.MONEY_CHANGED, this.moneyListener);
+        this.stage.removeAllChildren();
+        this.stage.update();
+    }
+
+    /**
+     * How many meters there are from the surface to the bottom of the world.
+     * @type {number}
+     */
+    get depthRange() {
+        const world = this.game.simulation.world;
+        return world.getDepth(world.heightGU - 1);
+    }
+
+    /**
+     * Formats part of a whole as a percentage.
+     * @param {number} value
+     * @param {number} max
+     * @returns {string}
+     */
+    formatPercent(value, max) {
+        return `${Math.max(Math.ceil((value / max) * 100), 0)}%`;
+    }
+
+    /**
+     * @param {number} fuel
+     * @param {number} maxFuel
+     */
+    updateFuel(fuel, maxFuel) {
+        this.fuel.set(fuel, maxFuel, this.formatPercent(fuel, maxFuel));
+        this.dirty = true;
+    }
+
+    /**
+     * @param {number} hull
+     * @param {number} maxHull
+     */
+    updateHull(hull, maxHull) {
+        this.hull.set(hull, maxHull, this.formatPercent(hull, maxHull));
+        this.dirty = true;
+    }
+
+    /**
+     * Updates the cargo gauge, when the hold or its capacity changes.
+     */
+    updateHold() {
+        this.hold.set(this.model.cargo.length, this.model.capacity, `${this.model.cargo.length}/${this.model.capacity}`);
+        this.dirty = true;
+    }
+
+    /**
+     * Updates the depth meter if the miner has moved up or down.
+     */
+    updateDepth() {
+        const depth = Math.max(this.model.depth, 0);
+        if (this.depth.text.text == `${this.depth.label} ${depth} m`) return;
+        this.depth.set(depth, this.depthRange, `${depth} m`);
+        this.dirty = true;
+    }
+
+    /**
+     * Counts the money toward its new value and shows how much it changed by.
+     * @param {import("../EventBus.js").MoneyChangedEvent} event
+     */
+    updateMoney(event) {
+        const change = event.change;
+        this.moneyValue = event.money;
+
+        const text = new createjs.Text(`${change > 0 ? "+" : "-"}$${Math.abs(change)}`, "Bold 14px Arial", change > 0 ? "#2ECC71" : "#E74C3C");
+        text.x = this.money.x + 100;
+        text.y = this.money.y;
+        text.life = this.deltaTime;
+        this.deltas.push(text);
+        this.stage.addChild(text);
+        this.dirty = true;
+    }
+
+    /**
+     * Counts the money shown toward the money the miner has.
+     * @param {number} delta How many milliseconds have passed.
+     * @returns {boolean} Whether or not the money shown changed.
+     */
+    countMoney(delta) {
+        if (this.moneyShown == this.moneyValue) return false;
+
+        const difference = this.moneyValue - this.moneyShown;
+        const step = Math.max(1, Math.ceil(Math.abs(difference) * delta / this.countTime));
+        this.moneyShown += Math.sign(difference) * Math.min(step, Math.abs(difference));
+        this.drawMoney();
+        return true;
+    }
+
+    /**
+     * Floats the changes in money up, removing them once they've faded out.
+     * @param {number} delta How many milliseconds have passed.
+     * @returns {boolean} Whether or not any are shown.
+     */
+    stepDeltas(delta) {
+        if (!this.deltas.length) return false;
+
+        for (const text of this.deltas.slice()) {
+            text.life -= delta;
+            text.y -= delta * 0.02;
+            text.alpha = Math.max(0, text.life / this.deltaTime);
+            if (text.life <= 0) {
+                this.deltas.splice(this.deltas.indexOf(text), 1);
+                this.stage.removeChild(text);
+            }
+        }
+        return true;
+    }
+
+    /**
+     * Redraws the money display.
+     */
+    drawMoney() {
+        this.money.text = `$${this.moneyShown}`;
+    }
+
+    /**
+     * Resizes the canvas to the window.
+     * Updates the stage.
+     */
+    resize(height = window.innerHeight, width = window.innerWidth) {
+        this.stage.canvas.height = height;
+        this.stage.canvas.width = width;
+        this.stage.update();
+    }
+}
+
+module.exports = HUD;
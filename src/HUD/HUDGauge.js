@@ -0,0 +1,133 @@
+/**
+ * A labelled bar on the HUD, such as the fuel or hull gauge.
+ * The bar slides to a new value instead of jumping to it.
+ */
+class HUDGauge extends createjs.Container {
+    /**
+     * @param {string} label The name shown in front of the value.
+     * @param {string} color The color of the bar.
+     */
+    constructor(label, color) {
+        super();
+
+        /**
+         * The name shown in front of the value.
+         * @type {string}
+         */
+        this.label = label;
+
+        /**
+         * The color of the bar.
+         * @type {string}
+         */
+        this.color = color;
+
+        /**
+         * The color of the bar while it's below {@link HUDGauge#warnBelow}.
+         * @type {string}
+         */
+        this.warnColor = "#E74C3C";
+
+        /**
+         * How full the bar is when it starts flashing a warning, from 0 to 1. Never warns if 0.
+         * @type {number}
+         */
+        this.warnBelow = 0;
+
+        /**
+         * How wide the bar is in pixels.
+         * @type {number}
+         */
+        this.barWidth = 160;
+
+        /**
+         * How tall the bar is in pixels.
+         * @type {number}
+         */
+        this.barHeight = 12;
+
+        /**
+         * How full the bar should be, from 0 to 1.
+         * @type {number}
+         */
+        this.value = 0;
+
+        /**
+         * How full the bar is drawn, from 0 to 1. Slides toward {@link HUDGauge#value}.
+         * @type {number}
+         */
+        this.shown = 0;
+
+        /**
+         * How much of the bar the fill slides per millisecond.
+         * @type {number}
+         */
+        this.slideSpeed = 0.002;
+
+        /**
+         * How many milliseconds the gauge has been flashing its warning for.
+         * @type {number}
+         */
+        this.warnTime = 0;
+
+        /**
+         * The background of the bar.
+         * @type {createjs.Shape}
+         */
+        this.background = new createjs.Shape();
+        this.background.graphics.beginFill("rgba(0, 0, 0, 0.6)").drawRect(0, 0, this.barWidth, this.barHeight);
+
+        /**
+         * The fill of the bar.
+         * @type {createjs.Shape}
+         */
+        this.bar = new createjs.Shape();
+
+        /**
+         * The label and value, drawn next to the bar.
+         * @type {createjs.Text}
+         */
+        this.text = new createjs.Text(label, "Bold 12px Arial", "#FFF");
+        this.text.x = this.barWidth + 8;
+
+        this.addChild(this.background, this.bar, this.text);
+        this.draw();
+    }
+
+    /**
+     * Sets how full the gauge is.
+     * @param {number} value
+     * @param {number} max
+     * @param {string} text The value as it is shown next to the bar.
+     */
+    set(value, max, text) {
+        this.value = max > 0 ? Math.max(0, Math.min(value / max, 1)) : 0;
+        this.text.text = `${this.label} ${text}`;
+    }
+
+    /**
+     * Slides the bar toward its value and flashes the warning.
+     * @param {number} delta How many milliseconds have passed.
+     * @returns {boolean} Whether or not the gauge needs to be redrawn.
+     */
+    step(delta) {
+        const warning = this.value < this.warnBelow;
+        if (this.shown == this.value && !warning && this.warnTime == 0) return false;
+
+        const slide = this.slideSpeed * delta;
+        this.shown = this.shown < this.value ? Math.min(this.shown + slide, this.value) : Math.max(this.shown - slide, this.value);
+        this.warnTime = warning ? this.warnTime + delta : 0;
+        this.draw();
+        return true;
+    }
+
+    /**
+     * Redraws the fill of the bar.
+     */
+    draw() {
+        const flash = this.value < this.warnBelow && Math.floor(this.warnTime / 400) % 2 == 1;
+        this.bar.graphics.clear().beginFill(flash ? this.warnColor : this.color).drawRect(0, 0, this.barWidth * this.shown, this.barHeight);
+    }
+}
+
+module.exports = HUDGauge;
@@ -0,0 +1,194 @@
+const InputHandler = require("../Handler/InputHandler.js");
+
+/**
+ * A row of slots along the bottom of the screen, one for every item in the catalog,
+ * showing how many of it the miner carries. Clicking or tapping a slot uses one, as does its number key.
+ */
+class Hotbar {
+    /**
+     * @param {import("../Game.js")} game The game.
+     */
+    constructor(game) {
+        this.game = game;
+
+        /**
+         * How wide and tall each slot is in pixels.
+         * @type {number}
+         */
+        this.slotSize = 52;
+
+        /**
+         * The element holding every slot.
+         * @type {HTMLDivElement}
+         */
+        this.element = document.createElement("div");
+        this.element.style.cssText = `
+            position: fixed;
+            bottom: 10px;
+            left: 50%;
+            transform: translateX(-50%);
+            display: flex;
+            gap: 6px;
+            z-index: 35;
+        `;
+
+        /**
+         * Every slot, indexed by the id of its item.
+         * @type {Object.<string, {slot: HTMLDivElement, count: HTMLDivElement, key: HTMLDivElement}>}
+         */
+        this.slots = {};
+
+        /**
+         * The id of the item in every slot, in order.
+         * @type {Array<string>}
+         */
+        this.order = [];
+
+        const catalog = this.game.simulation.items;
+        if (catalog) catalog.items.forEach(item => this.createSlot(item));
+        this.updateKeys();
+        document.body.appendChild(this.element);
+
+        /**
+         * Listeners added to the simulation, indexed by event.
+         * @type {Object.<string, Function>}
+         */
+        this.simListeners = {
+            items: this.update.bind(this)
+        };
+        for (const event in this.simListeners) this.game.simulation.on(event, this.simListeners[event]);
+
+        /**
+         * The listener added to the game, kept so it can be removed. Keys are rebound from the pause menu,
+         * so they're shown again when the game resumes.
+         */
+        this.resumeListener = this.game.addEventListener("resume", this.updateKeys.bind(this));
+
+        this.update(this.game.simulation.miner.items);
+    }
+
+    /**
+     * Adds the slot of an item.
+     * @param {import("../Sim/ItemCatalog.js").Item} item
+     */
+    createSlot(item) {
+        const slot = document.createElement("div");
+        slot.title = item.name;
+        slot.style.cssText = `
+            position: relative;
+            width: ${this.slotSize - 4}px;
+            height: ${this.slotSize - 4}px;
+            line-height: ${this.slotSize - 4}px;
+            text-align: center;
+            font-family: Arial, sans-serif;
+            font-weight: bold;
+            font-size: 11px;
+            color: white;
+            background: rgba(0, 0, 0, 0.6);
+            border: 2px solid ${item.color};
+            border-radius: 8px;
+            cursor: pointer;
+            user-select: none;
+            -webkit-user-select: none;
+        `;
+        slot.textContent = item.label;
+
+        const count = document.createElement("div");
+        count.style.cssText = `
+            position: absolute;
+            right: 4px;
+            bottom: 2px;
+            line-height: normal;
+            font-size: 12px;
+        `;
+        slot.appendChild(count);
+
+        const key = document.createElement("div");
+        key.style.cssText = `
+            position: absolute;
+            left: 4px;
+            top: 2px;
+            line-height: normal;
+            font-size: 10px;
+            opacity: 0.7;
+        `;
+        slot.appendChild(key);
+
+        slot.addEventListener("click", e => {
+            e.preventDefault();
+            this.use(item.id);
+        });
+        this.element.appendChild(slot);
+        this.slots[item.id] = { slot: slot, count: count, key: key };
+        this.order.push(item.id);
+    }
+
+    /**
+     * Moves the hotbar from the middle of the screen to above the d-pad of the touch controls,
+     * wrapping the slots to its width. Centred, it would cover the d-pad on narrow screens.
+     * @param {import("./TouchControls.js")} touchControls
+     */
+    placeAbove(touchControls) {
+        const pad = touchControls.padArea;
+        const style = this.element.style;
+        style.left = `${pad.left}px`;
+        style.bottom = `${pad.bottom + pad.height + 10}px`;
+        style.width = `${pad.width}px`;
+        style.transform = "none";
+        style.flexWrap = "wrap";
+    }
+
+    /**
+     * Shows the key bound to every slot, since the keys can be rebound.
+     */
+    updateKeys() {
+        const input = this.game.inputHandler;
+        this.order.forEach((id, i) => {
+            const action = InputHandler.itemActions[i];
+            this.slots[id].key.textContent = action ? input.describe(action) : "";
+        });
+    }
+
+    /**
+     * Uses one of the item in a slot.
+     * @param {number} index The slot, from 0.
+     * @returns {boolean} Whether or not it was used.
+     */
+    useSlot(index) {
+        const id = this.order[index];
+        return id ? this.use(id) : false;
+    }
+
+    /**
+     * Uses one of an item, unless the game is paused.
+     * @param {string} id The id of the item.
+     * @returns {boolean} Whether or not it was used.
+     */
+    use(id) {
+        if (createjs.Ticker.paused) return false;
+        return this.game.simulation.miner.useItem(id);
+    }
+
+    /**
+     * Shows how many of every item the miner carries. Empty slots are dimmed.
+     * @param {Object.<string, number>} items How many of each item the miner carries, indexed by their id.
+     */
+    update(items) {
+        for (const id in this.slots) {
+            const count = items[id] || 0;
+            this.slots[id].count.textContent = `${count}`;
+            this.slots[id].slot.style.opacity = count ? "1" : "0.4";
+        }
+    }
+
+    /**
+     * Removes the hotbar and stops listening to the game.
+     */
+    destroy() {
+        for (const event in this.simListeners) this.game.simulation.off(event, this.simListeners[event]);
+        this.game.removeEventListener("resume", this.resumeListener);
+        if (this.element.parentNode) this.element.parentNode.removeChild(this.element);
+    }
+}
+
+module.exports = Hotbar;
@@ -0,0 +1,307 @@
+const InputHandler = require("../Handler/InputHandler.js");
+const SettingsHandler = require("../Handler/SettingsHandler.js");
+const Dialog = require("./Dialog.js");
+
+/**
+ * An item of the pause menu.
+ * @typedef {Object} PauseMenuItem
+ * @property {string} name
+ * @property {function(): void} select Called when the item is chosen.
+ * @property {boolean} [highlight]
+ */
+
+/**
+ * The menu shown while the game is paused: resume, save, load, settings and quit.
+ * It opens and closes with the `pause` and `resume` events of the game, and closing it resumes the game.
+ */
+class PauseMenu {
+    /**
+     * @param {import("../Game.js")} game The game.
+     */
+    constructor(game) {
+        this.game = game;
+
+        /**
+         * The page of the menu that is shown.
+         * @type {PauseMenu.Page}
+         */
+        this.page = PauseMenu.Page.MAIN;
+
+        /**
+         * The dialog the menu is drawn in. Every page is shown in the same dialog.
+         * @type {Dialog}
+         */
+        this.dialog = new Dialog(game, "", []);
+        this.dialog.onSelect = item => this.select(item);
+        this.dialog.onClose = () => {
+            this.stopRebinding();
+            this.game.resume();
+        };
+
+        /**
+         * A message shown under the title, such as whether the game was saved.
+         * @type {string}
+         */
+        this.status = "";
+
+        /**
+         * The action waiting for a key to be bound to it, if any.
+         * @type {InputHandler.Action}
+         */
+        this.rebinding = null;
+
+        /**
+         * The name shown for every action in the key bindings.
+         * @type {Object.<string, string>}
+         */
+        this.actionNames = {
+            [InputHandler.Action.UP]: "Fly Up",
+            [InputHandler.Action.DOWN]: "Dig Down",
+            [InputHandler.Action.LEFT]: "Move Left",
+            [InputHandler.Action.RIGHT]: "Move Right",
+            [InputHandler.Action.INTERACT]: "Use Building",
+            [InputHandler.Action.SCAN]: "Scan",
+            [InputHandler.Action.MAP]: "Toggle Map",
+            [InputHandler.Action.PAUSE]: "Pause"
+        };
+        InputHandler.itemActions.forEach((action, i) => { this.actionNames[action] = `Use Item ${i + 1}`; });
+
+        /**
+         * The camera smoothing options, cycled through in the settings.
+         * @type {Array<{name: string, value: number}>}
+         */
+        this.smoothingOptions = [
+            { name: "Smooth", value: 0.1 },
+            { name: "Snappy", value: 0.3 },
+            { name: "Off", value: 1 }
+        ];
+
+        /**
+         * Listeners added to the game, indexed by event.
+         * @type {Object.<string, Function>}
+         */
+        this.listeners = {
+            pause: () => this.show(PauseMenu.Page.MAIN),
+            resume: () => this.hide()
+        };
+        for (const type in this.listeners) this.game.addEventListener(type, this.listeners[type]);
+    }
+
+    /**
+     * The overlay the menu is drawn in, while it's shown.
+     * @type {HTMLDivElement}
+     */
+    get element() {
+        return this.dialog.element;
+    }
+
+    /**
+     * Removes the menu and stops listening to the game.
+     */
+    destroy() {
+        for (const type in this.listeners) this.game.removeEventListener(type, this.listeners[type]);
+        this.hide();
+    }
+
+    /**
+     * Shows a page of the menu.
+     * @param {PauseMenu.Page} page
+     */
+    show(page) {
+        this.page = page;
+        this.status = "";
+        this.dialog.selected = -1;
+        this.dialog.open();
+        this.render();
+    }
+
+    /**
+     * Hides the menu.
+     */
+    hide() {
+        this.stopRebinding();
+        this.dialog.close();
+    }
+
+    /**
+     * Stops waiting for a key to bind, if the menu was.
+     */
+    stopRebinding() {
+        if (this.rebinding) this.game.inputHandler.keyCapture = null;
+        this.rebinding = null;
+    }
+
+    /**
+     * Chooses an item of the shown page.
+     * @param {PauseMenuItem} item
+     */
+    select(item) {
+        const page = this.page;
+        item.select();
+        // Selecting an item can close the menu or show another page
+        if (this.dialog.isOpen && this.page == page) this.render();
+    }
+
+    /**
+     * Gets the items of a page.
+     * @param {PauseMenu.Page} page
+     * @returns {Array<PauseMenuItem>}
+     */
+    getItems(page) {
+        const { Page } = PauseMenu;
+        const saveHandler = this.game.saveHandler;
+
+        switch (page) {
+            case Page.MAIN:
+                return [
+                    { name: "Resume", select: () => this.game.resume(), highlight: true },
+                    { name: "Save Game", select: () => this.save() },
+                    { name: "Load Game", select: () => this.show(Page.LOAD) },
+                    { name: "Settings", select: () => this.show(Page.SETTINGS) },
+                    { name: "Quit", select: () => this.quit() }
+                ];
+
+            case Page.LOAD: {
+                const items = saveHandler.listSlots().map(slot => ({
+                    name: `${slot.name} (${slot.timestamp ? new Date(slot.timestamp).toLocaleString() : "unreadable"})`,
+                    select: () => this.load(slot.slot)
+                }));
+                if (!items.length) items.push({ name: "No saves yet", select: () => this.show(Page.MAIN) });
+                return items.concat({ name: "Back", select: () => this.show(Page.MAIN), highlight: true });
+            }
+
+            case Page.SETTINGS: {
+                const { Setting } = SettingsHandler;
+                const settings = this.game.settingsHandler;
+                const input = this.game.inputHandler;
+                // Goes up by 10% and back to 0 after 100%
+                const volume = (name, setting) => {
+                    const value = settings.get(setting);
+                    return { name: `${name}: ${Math.round(value * 100)}%`, select: () => settings.set(setting, value >= 1 ? 0 : Math.round(value * 10 + 1) / 10) };
+                };
+                const smoothing = this.smoothingOptions.findIndex(o => o.value == settings.get(Setting.CAMERA_SMOOTHING));
+                const onOff = setting => settings.get(setting) ? "On" : "Off";
+
+                const items = [
+                    volume("Volume", Setting.VOLUME),
+                    volume("Music", Setting.MUSIC_VOLUME),
+                    volume("Sound Effects", Setting.SFX_VOLUME),
+                    { name: `Mute: ${onOff(Setting.MUTED)}`, select: () => settings.set(Setting.MUTED, !settings.get(Setting.MUTED)) },
+                    { name: `Grid Overlay: ${onOff(Setting.GRID_OVERLAY)}`, select: () => settings.set(Setting.GRID_OVERLAY, !settings.get(Setting.GRID_OVERLAY)) },
+                    { name: `Show FPS: ${onOff(Setting.SHOW_FPS)}`, select: () => settings.set(Setting.SHOW_FPS, !settings.get(Setting.SHOW_FPS)) },
+                    {
+                        name: `Camera Smoothing: ${smoothing < 0 ? "Custom" : this.smoothingOptions[smoothing].name}`,
+                        select: () => settings.set(Setting.CAMERA_SMOOTHING, this.smoothingOptions[(smoothing + 1) % this.smoothingOptions.length].value)
+                    }
+                ];
+                for (const action in input.bindings) {
+                    const keys = action == this.rebinding ? "press a key (Escape to cancel)" : input.describe(action) || "unbound";
+                    items.push({ name: `${this.actionNames[action]}: ${keys}`, select: () => this.rebind(action) });
+                }
+                return items.concat(
+                    { name: "Reset Key Bindings", select: () => input.resetBindings() },
+                    { name: "Back", select: () => this.show(Page.MAIN), highlight: true }
+                );
+            }
+        }
+        return [];
+    }
+
+    /**
+     * Saves the game in a new slot, named by the player.
+     */
+    save() {
+        const saveHandler = this.game.saveHandler;
+        const name = prompt("Enter save name:");
+        if (name === null) return;
+
+        const saveName = name || `Save ${saveHandler.listSlots().length + 1}`;
+        this.status = saveHandler.saveGame(`${Date.now()}`, saveName) ? `Saved ${saveName}!` : "Failed to save game!";
+    }
+
+    /**
+     * Loads a slot and resumes the game.
+     * @param {string} slot
+     */
+    load(slot) {
+        const saveData = this.game.saveHandler.loadGame(slot);
+        if (!saveData) {
+            this.status = "That save is corrupt and can't be loaded!";
+            return;
+        }
+        this.game.saveHandler.applySaveData(saveData);
+        this.game.resume();
+    }
+
+    /**
+     * Waits for the player to press the key to bind to an action.
+     * @param {InputHandler.Action} action
+     */
+    rebind(action) {
+        this.rebinding = action;
+        this.game.inputHandler.captureKey(key => {
+            this.rebinding = null;
+            if (key != "Escape") this.game.inputHandler.bind(action, [key]);
+            this.render();
+        });
+    }
+
+    /**
+     * Ends the game, keeping an autosave to pick up from next time.
+     */
+    quit() {
+        if (!confirm("Quit the game? Your progress is kept in an autosave.")) return;
+        this.game.saveHandler.autosave(true);
+        this.game.destroy();
+
+        const screen = document.createElement("div");
+        screen.style.cssText = `
+            position: fixed;
+            top: 50%;
+            left: 50%;
+            transform: translate(-50%, -50%);
+            color: white;
+            font-family: Arial, sans-serif;
+            text-align: center;
+            z-index: 150;
+        `;
+        screen.innerHTML = `
+            <h2>Thanks for playing!</h2>
+            <button onclick="location.reload()" style="padding: 10px 20px; font-size: 16px; cursor: pointer;">Play Again</button>
+        `;
+        document.body.appendChild(screen);
+    }
+
+    /**
+     * Draws the page that is shown.
+     */
+    render() {
+        this.dialog.title = PauseMenu.titles[this.page];
+        this.dialog.subtitle = this.status;
+        this.dialog.update(this.getItems(this.page));
+    }
+}
+
+/**
+ * Every page of the menu.
+ * @readonly
+ * @enum {string}
+ */
+PauseMenu.Page = {
+    MAIN: "main",
+    LOAD: "load",
+    SETTINGS: "settings"
+};
+
+/**
+ * The title of every page.
+ * @readonly
+ * @type {Object.<string, string>}
+ */
+PauseMenu.titles = {
+    [PauseMenu.Page.MAIN]: "Paused",
+    [PauseMenu.Page.LOAD]: "Load Game",
+    [PauseMenu.Page.SETTINGS]: "Settings"
+};
+
+module.exports = PauseMenu;
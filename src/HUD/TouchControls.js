@@ -0,0 +1,224 @@
+const InputHandler = require("../Handler/InputHandler.js");
+
+/**
+ * On-screen controls for touch screens: a d-pad and buttons over the game, and swiping on the game to dig.
+ * They hold actions down on the {@link InputHandler}, just like the keyboard does.
+ *
+ * A swipe holds the direction it was made in until the finger is lifted, so the miner keeps digging.
+ */
+class TouchControls {
+    /**
+     * Checks whether or not the screen can be touched, so the controls are only shown where they can be used.
+     * @returns {boolean}
+     */
+    static isSupported() {
+        return "ontouchstart" in window || (typeof navigator != "undefined" && navigator.maxTouchPoints > 0);
+    }
+
+    /**
+     * @param {import("../Game.js")} game The game.
+     */
+    constructor(game) {
+        this.game = game;
+
+        /**
+         * The input handler the controls hold actions down on.
+         * @type {InputHandler}
+         */
+        this.input = this.game.inputHandler;
+
+        /**
+         * How wide and tall each button is in pixels.
+         * @type {number}
+         */
+        this.buttonSize = 56;
+
+        /**
+         * How many pixels a finger has to move before it counts as a swipe.
+         * @type {number}
+         */
+        this.swipeDistance = 30;
+
+        /**
+         * The swipe being made, if any.
+         * @type {{id: number, x: number, y: number, action: InputHandler.Action}}
+         */
+        this.swipe = null;
+
+        /**
+         * The element holding every button, covering the screen.
+         * It lets touches through to the game everywhere but on the buttons.
+         * @type {HTMLDivElement}
+         */
+        this.element = document.createElement("div");
+        this.element.style.cssText = `
+            position: fixed;
+            top: 0;
+            left: 0;
+            width: 100%;
+            height: 100%;
+            pointer-events: none;
+            z-index: 30;
+        `;
+
+        /**
+         * Every button, indexed by the action it holds down.
+         * @type {Object.<string, HTMLDivElement>}
+         */
+        this.buttons = {};
+
+        const size = this.buttonSize;
+        const { UP, DOWN, LEFT, RIGHT, INTERACT, SCAN, MAP, PAUSE } = InputHandler.Action;
+        this.createButton(UP, "▲", `left: ${10 + size}px; bottom: ${10 + size * 2}px;`);
+        this.createButton(LEFT, "◀", `left: 10px; bottom: ${10 + size}px;`);
+        this.createButton(RIGHT, "▶", `left: ${10 + size * 2}px; bottom: ${10 + size}px;`);
+        this.createButton(DOWN, "▼", `left: ${10 + size}px; bottom: 10px;`);
+        // Kept above the minimap, which takes the bottom right corner
+        const minimap = this.game.displayHandler.minimap;
+        const bottom = (minimap ? minimap.panel.height : 0) + 24;
+        this.createButton(INTERACT, "USE", `right: 10px; bottom: ${bottom}px;`);
+        this.createButton(SCAN, "SCAN", `right: ${20 + size}px; bottom: ${bottom}px;`);
+        this.createButton(MAP, "MAP", `right: ${20 + size}px; top: 10px;`);
+        this.createButton(PAUSE, "II", "right: 10px; top: 10px;");
+        document.body.appendChild(this.element);
+
+        /**
+         * Listeners added to the window for swiping, indexed by event.
+         * @type {Object.<string, Function>}
+         */
+        this.listeners = {
+            touchstart: this.onTouchStart.bind(this),
+            touchmove: this.onTouchMove.bind(this),
+            touchend: this.onTouchEnd.bind(this),
+            touchcancel: this.onTouchEnd.bind(this)
+        };
+
+        /**
+         * The options the listeners are added with. Browsers make touch listeners on the window passive
+         * unless told otherwise, and then swiping would scroll and zoom the page instead of digging.
+         * @type {AddEventListenerOptions}
+         */
+        this.listenerOptions = { passive: false };
+        for (const type in this.listeners) window.addEventListener(type, this.listeners[type], this.listenerOptions);
+    }
+
+    /**
+     * The part of the screen the d-pad takes up in the bottom left corner, in pixels.
+     * @type {{left: number, bottom: number, width: number, height: number}}
+     */
+    get padArea() {
+        return { left: 10, bottom: 10, width: this.buttonSize * 3, height: this.buttonSize * 3 };
+    }
+
+    /**
+     * Removes the controls and lets go of anything they held down.
+     */
+    destroy() {
+        for (const type in this.listeners) window.removeEventListener(type, this.listeners[type], this.listenerOptions);
+        for (const action in this.buttons) this.input.release(action);
+        if (this.swipe && this.swipe.action) this.input.release(this.swipe.action);
+        this.swipe = null;
+        if (this.element.parentNode) this.element.parentNode.removeChild(this.element);
+    }
+
+    /**
+     * Adds a button that holds an action down while it is touched.
+     * @param {InputHandler.Action} action
+     * @param {string} label
+     * @param {string} position The CSS placing the button on the screen.
+     */
+    createButton(action, label, position) {
+        const button = document.createElement("div");
+        button.textContent = label;
+        button.style.cssText = `
+            position: absolute;
+            ${position}
+            width: ${this.buttonSize - 4}px;
+            height: ${this.buttonSize - 4}px;
+            line-height: ${this.buttonSize - 4}px;
+            text-align: center;
+            font-family: Arial, sans-serif;
+            font-weight: bold;
+            font-size: 14px;
+            color: white;
+            background: rgba(0, 0, 0, 0.45);
+            border: 2px solid rgba(255, 255, 255, 0.5);
+            border-radius: 12px;
+            pointer-events: auto;
+            user-select: none;
+            -webkit-user-select: none;
+        `;
+
+        const press = e => {
+            e.preventDefault();
+            button.style.background = "rgba(255, 255, 255, 0.35)";
+            this.input.press(action);
+        };
+        const release = e => {
+            e.preventDefault();
+            button.style.background = "rgba(0, 0, 0, 0.45)";
+            this.input.release(action);
+        };
+        button.addEventListener("touchstart", press);
+        button.addEventListener("touchend", release);
+        button.addEventListener("touchcancel", release);
+
+        this.buttons[action] = button;
+        this.element.appendChild(button);
+    }
+
+    /**
+     * Starts a swipe when the game is touched. Only one finger can swipe at a time.
+     * @param {TouchEvent} e
+     */
+    onTouchStart(e) {
+        if (this.swipe || !e.target || e.target.tagName != "CANVAS") return;
+        const touch = e.changedTouches[0];
+        this.swipe = { id: touch.identifier, x: touch.clientX, y: touch.clientY, action: null };
+        e.preventDefault();
+    }
+
+    /**
+     * Holds down the direction the finger has moved in, once it has moved far enough.
+     * @param {TouchEvent} e
+     */
+    onTouchMove(e) {
+        const touch = this.getSwipeTouch(e);
+        if (!touch) return;
+
+        const x = touch.clientX - this.swipe.x;
+        const y = touch.clientY - this.swipe.y;
+        if (Math.hypot(x, y) < this.swipeDistance) return;
+
+        const { UP, DOWN, LEFT, RIGHT } = InputHandler.Action;
+        let action;
+        if (Math.abs(x) > Math.abs(y)) action = x < 0 ? LEFT : RIGHT;
+        else action = y < 0 ? UP : DOWN;
+        if (action == this.swipe.action) return;
+        if (this.swipe.action) this.input.release(this.swipe.action);
+        this.swipe.action = action;
+        this.input.press(action);
+    }
+
+    /**
+     * Ends the swipe when its finger is lifted.
+     * @param {TouchEvent} e
+     */
+    onTouchEnd(e) {
+        if (!this.getSwipeTouch(e)) return;
+        if (this.swipe.action) this.input.release(this.swipe.action);
+        this.swipe = null;
+    }
+
+    /**
+     * Finds the finger making the swipe among the touches that changed.
+     * @param {TouchEvent} e
+     * @returns {Touch} `null` if it didn't change, or there is no swipe.
+     */
+    getSwipeTouch(e) {
+        if (!this.swipe) return null;
+        return Array.from(e.changedTouches).find(touch => touch.identifier == this.swipe.id) || null;
+    }
+}
+
+module.exports = TouchControls;
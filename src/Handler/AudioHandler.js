@@ -0,0 +1,243 @@
+const SettingsHandler = require("./SettingsHandler.js");
+const EventBus = require("../EventBus.js");
+
+/**
+ * Plays the sounds and music of the game through the Web Audio API.
+ *
+ * The sound files are loaded with every other asset by the {@link LoadingHandler}, then decoded here.
+ * Every sound plays on a channel, music or sound effects, whose volume is set in the settings
+ * along with the master volume and mute. Browsers without Web Audio stay silent.
+ */
+class AudioHandler {
+    /**
+     * @param {import("../Game.js")} game The game.
+     */
+    constructor(game) {
+        this.game = game;
+
+        const AudioContext = window.AudioContext || window.webkitAudioContext;
+
+        /**
+         * The audio context every sound is played in, `null` if the browser has none.
+         * @type {AudioContext}
+         */
+        this.context = AudioContext ? new AudioContext() : null;
+
+        /**
+         * The decoded sounds, indexed by sound.
+         * @type {Object.<string, AudioBuffer>}
+         */
+        this.buffers = {};
+
+        /**
+         * The gain node of the master volume, and of every channel indexed by channel.
+         * Channels play through the master volume.
+         * @type {GainNode}
+         */
+        this.masterGain = null;
+        this.channelGains = {};
+
+        /**
+         * The looping sounds that are playing, indexed by sound.
+         * @type {Object.<string, AudioBufferSourceNode>}
+         */
+        this.loops = {};
+
+        /**
+         * Whether or not to run the tick event.
+         * @type {boolean}
+         */
+        this.tickEnabled = true;
+
+        /**
+         * Listeners kept so they can be removed when the game is destroyed.
+         */
+        this.tickListener = null;
+        this.unlockListener = this.unlock.bind(this);
+        this.eventListeners = {
+            [EventBus.Event.ORE_COLLECTED]: () => this.play(AudioHandler.Sound.PICKUP)
+        };
+
+        if (this.context) {
+            this.masterGain = this.context.createGain();
+            this.masterGain.connect(this.context.destination);
+            for (const channel in AudioHandler.Channel) {
+                const gain = this.context.createGain();
+                gain.connect(this.masterGain);
+                this.channelGains[AudioHandler.Channel[channel]] = gain;
+            }
+        }
+    }
+
+    /**
+     * Decodes the loaded sounds and starts listening to the game. Called once the game starts playing.
+     */
+    init() {
+        if (!this.context) return;
+        this.updateVolume();
+
+        const sounds = this.game.loadingHandler.sounds;
+        for (const id in sounds) {
+            // Decoding detaches the buffer, so decode a copy to keep the loaded one intact
+            this.context.decodeAudioData(sounds[id].slice(0)).then(buffer => {
+                this.buffers[id] = buffer;
+            }).catch(e => console.warn(`Failed to decode sound ${id}:`, e));
+        }
+
+        for (const type in this.eventListeners) this.game.events.on(type, this.eventListeners[type]);
+        this.tickListener = createjs.Ticker.addEventListener("tick", this.tick.bind(this));
+
+        // Browsers keep audio suspended until the player interacts with the page
+        for (const type of ["keydown", "pointerdown", "touchstart"]) window.addEventListener(type, this.unlockListener);
+    }
+
+    /**
+     * Resumes the audio context once the player interacts with the page.
+     */
+    unlock() {
+        if (this.context.state == "suspended") this.context.resume();
+        for (const type of ["keydown", "pointerdown", "touchstart"]) window.removeEventListener(type, this.unlockListener);
+    }
+
+    /**
+     * Starts and stops the looping sounds of the player: the engine while playing,
+     * the boost while the thruster is lit, and the drill while drilling.
+     * @param {createjs.TickerEvent} event
+     */
+    tick(event) {
+        if (!this.tickEnabled) return;
+        const { Sound } = AudioHandler;
+        const player = this.game.displayHandler.player;
+        const playing = !event.paused && !!player;
+
+        this.setLoop(Sound.MUSIC, true);
+        this.setLoop(Sound.ENGINE, playing);
+        this.setLoop(Sound.BOOST, playing && player.boost.visible);
+
+        const minetile = playing && player.moving ? player.model.minetile : null;
+        this.setLoop(Sound.DRILL, !!minetile, minetile ? this.getDrillPitch(minetile) : 1);
+    }
+
+    /**
+     * Gets how fast to play the drill for a tile. Thick tiles take longer to drill through, so they grind lower.
+     * @param {import("../Sim/TileRegistry.js").MapTileProperties} maptile
+     * @returns {number} The playback rate, from 0.5 to 1.5. Dirt plays at 1.
+     */
+    getDrillPitch(maptile) {
+        return Math.max(0.5, Math.min(maptile.thickness / 26.5, 1.5));
+    }
+
+    /**
+     * Plays a sound once.
+     * @param {AudioHandler.Sound} sound
+     * @param {number} [rate] How fast to play the sound, which also changes its pitch.
+     */
+    play(sound, rate = 1) {
+        this.createSource(sound, rate);
+    }
+
+    /**
+     * Starts or stops a looping sound. A loop that is already playing keeps playing, at the new rate.
+     * @param {AudioHandler.Sound} sound
+     * @param {boolean} playing
+     * @param {number} [rate] How fast to play the sound, which also changes its pitch.
+     */
+    setLoop(sound, playing, rate = 1) {
+        const source = this.loops[sound];
+        if (!playing) {
+            if (source) source.stop();
+            delete this.loops[sound];
+        } else if (source) {
+            if (source.playbackRate.value != rate) source.playbackRate.value = rate;
+        } else {
+            const loop = this.createSource(sound, rate, true);
+            if (loop) this.loops[sound] = loop;
+        }
+    }
+
+    /**
+     * Starts playing a sound on its channel.
+     * @param {AudioHandler.Sound} sound
+     * @param {number} rate
+     * @param {boolean} [loop]
+     * @returns {AudioBufferSourceNode} The playing sound, `null` if it hasn't been loaded.
+     */
+    createSource(sound, rate, loop = false) {
+        if (!this.context || !this.buffers[sound]) return null;
+
+        const source = this.context.createBufferSource();
+        source.buffer = this.buffers[sound];
+        source.loop = loop;
+        source.playbackRate.value = rate;
+        source.connect(this.channelGains[AudioHandler.channels[sound]]);
+        source.start();
+        return source;
+    }
+
+    /**
+     * Sets the volume of the master and every channel from the settings.
+     */
+    updateVolume() {
+        if (!this.context) return;
+        const { Setting } = SettingsHandler;
+        const settings = this.game.settingsHandler;
+
+        this.masterGain.gain.value = settings.get(Setting.MUTED) ? 0 : settings.get(Setting.VOLUME);
+        this.channelGains[AudioHandler.Channel.MUSIC].gain.value = settings.get(Setting.MUSIC_VOLUME);
+        this.channelGains[AudioHandler.Channel.SFX].gain.value = settings.get(Setting.SFX_VOLUME);
+    }
+
+    /**
+     * Stops every sound and stops listening to the game.
+     */
+    destroy() {
+        if (!this.context) return;
+        for (const sound in this.loops) this.setLoop(sound, false);
+        for (const type in this.eventListeners) this.game.events.off(type, this.eventListeners[type]);
+        createjs.Ticker.removeEventListener("tick", this.tickListener);
+        for (const type of ["keydown", "pointerdown", "touchstart"]) window.removeEventListener(type, this.unlockListener);
+        this.context.close();
+    }
+}
+
+/**
+ * Every sound, named after its asset id.
+ * @readonly
+ * @enum {string}
+ */
+AudioHandler.Sound = {
+    DRILL: "drill",
+    ENGINE: "engine",
+    BOOST: "boost",
+    PICKUP: "pickup",
+    SELL: "sell",
+    CLICK: "click",
+    MUSIC: "music"
+};
+
+/**
+ * The channels sounds are played on, each with its own volume.
+ * @readonly
+ * @enum {string}
+ */
+AudioHandler.Channel = {
+    MUSIC: "music",
+    SFX: "sfx"
+};
+
+/**
+ * The channel of every sound.
+ * @readonly
+ * @type {Object.<string, AudioHandler.Channel>}
+ */
+AudioHandler.channels = {
+    [AudioHandler.Sound.DRILL]: AudioHandler.Channel.SFX,
+    [AudioHandler.Sound.ENGINE]: AudioHandler.Channel.SFX,
+    [AudioHandler.Sound.BOOST]: AudioHandler.Channel.SFX,
+    [AudioHandler.Sound.PICKUP]: AudioHandler.Channel.SFX,
+    [AudioHandler.Sound.SELL]: AudioHandler.Channel.SFX,
+    [AudioHandler.Sound.CLICK]: AudioHandler.Channel.SFX,
+    [AudioHandler.Sound.MUSIC]: AudioHandler.Channel.MUSIC
+};
+
+module.exports = AudioHandler;
@@ -1,8 +1,20 @@
-// src/Handler/BuildingHandler.js
-const MapTile = require("../Map/MapTile.js");
+const SaveFile = require("../Sim/SaveFile.js");
+const EventBus = require("../EventBus.js");
+const Dialog = require("../HUD/Dialog.js");
+const AudioHandler = require("./AudioHandler.js");
 
 /**
- * Handles interactions with surface buildings
+ * What a building that refuels, repairs, buys ore or sells items charges.
+ * @typedef {Object} Station
+ * @property {number} [fuelPrice] How much a unit of fuel costs, if it refuels.
+ * @property {number} [repairPrice] How much a point of hull damage costs to repair, if it repairs.
+ * @property {number} [sellRate] How much of their value ores are bought for, if it buys ore.
+ * @property {number} markup How much more than their price items are sold for.
+ * @property {Array<string>} supplies The ids of the items it sells.
+ */
+
+/**
+ * Handles interactions with surface buildings and underground outposts
  */
 class BuildingHandler {
     /**
@@ -10,156 +22,301 @@ class BuildingHandler {
      */
     constructor(game) {
         this.game = game;
-        this.player = null; // Will be set when player is created
-        
+
+        /**
+         * The player, set once the player is created.
+         * @type {import("../Player/Player.js")}
+         */
+        this.player = null;
+
+        /**
+         * The model of the player, which holds the money, fuel and cargo.
+         * @type {import("../Sim/MinerModel.js")}
+         */
+        this.miner = null;
+
         /**
          * Currently open building UI
          * @type {string|null}
          */
         this.currentUI = null;
 
+        /**
+         * The dialog of the open building UI
+         * @type {Dialog}
+         */
+        this.dialog = null;
+
         /**
          * Teleporter waypoints
          * @type {Array<{name: string, x: number, y: number}>}
          */
         this.waypoints = [];
+
+        /**
+         * What every station charges, indexed by the registry id of its building.
+         * The outposts underground are far from anything else, so they charge more.
+         * @type {Object.<string, Station>}
+         */
+        this.stations = {
+            shop: { markup: 1, supplies: ["fuel_canister", "repair_kit", "recall_beacon", "dynamite", "bomb", "c4", "teleport_scroll"] },
+            fuel_station: { fuelPrice: 2, repairPrice: 3, markup: 1, supplies: ["fuel_canister", "repair_kit"] },
+            selling_post: { sellRate: 1, markup: 1, supplies: [] },
+            fuel_depot: { fuelPrice: 4, markup: 1.5, supplies: ["fuel_canister"] },
+            repair_bay: { repairPrice: 5, markup: 1.5, supplies: ["repair_kit"] },
+            trader: { sellRate: 0.6, markup: 1.5, supplies: ["fuel_canister", "repair_kit", "recall_beacon", "dynamite", "teleport_scroll"] }
+        };
+
+        /**
+         * The listener added to the event bus, kept so it can be removed.
+         */
+        this.moveListener = null;
     }
 
     /**
      * Sets the player reference
-     * @param {import("../Player/Player.js")} player 
+     * @param {import("../Player/Player.js")} player
      */
     setPlayer(player) {
         this.player = player;
+        this.miner = player.model;
         // Listen for player tile movements
-        this.player.addEventListener("tilemove", this.onPlayerMove.bind(this));
+        if (this.moveListener) this.game.events.off(EventBus.Event.PLAYER_MOVED, this.moveListener);
+        this.moveListener = this.game.events.on(EventBus.Event.PLAYER_MOVED, this.onPlayerMove.bind(this));
     }
 
     /**
      * Called when player moves to a new tile
-     * @param {CustomEvent} event 
+     * @param {import("../EventBus.js").PlayerMovedEvent} event
      */
     onPlayerMove(event) {
-        const tile = event.detail;
-        const map = this.game.displayHandler.map;
-        const maptile = map.fg_tiles[tile.toString()];
+        const building = this.getBuildingBelow(event.tile);
+        if (building) {
+            this.game.events.emit(EventBus.Event.BUILDING_ENTERED, { id: building.id });
+            this.handleBuildingInteraction(building.id);
+        }
+    }
 
-        if (maptile && maptile.properties.interactable) {
-            this.handleBuildingInteraction(maptile.properties.type);
+    /**
+     * Opens the building the player is standing on, or closes the open one.
+     */
+    interact() {
+        if (this.currentUI) {
+            this.closeUI();
+            return;
         }
+        const building = this.getBuildingBelow(this.miner.tile);
+        if (building) this.handleBuildingInteraction(building.id);
+    }
+
+    /**
+     * Gets the building below a tile.
+     * Buildings can't be entered, so they are interacted with by standing on top of them.
+     * @param {import("../Grid/Tile.js")} tile
+     * @returns {import("../Sim/TileRegistry.js").MapTileProperties} The building, or `null` if there isn't one.
+     */
+    getBuildingBelow(tile) {
+        const maptile = this.game.simulation.world.get(tile.gX, tile.gY + 1);
+        return maptile && maptile.interactable ? maptile : null;
     }
 
     /**
      * Handles interaction with different building types
-     * @param {number} buildingType 
+     * @param {string} buildingId The registry id of the building.
      */
-    handleBuildingInteraction(buildingType) {
-        switch (buildingType) {
-            case MapTile.Type.SHOP:
+    handleBuildingInteraction(buildingId) {
+        switch (buildingId) {
+            case "shop":
                 this.openShop();
                 break;
-            case MapTile.Type.SAVE_STATION:
+            case "save_station":
                 this.saveGame();
                 break;
-            case MapTile.Type.SELLING_POST:
-                this.openSellingPost();
+            case "selling_post":
+            case "trader":
+                this.openSellingPost(buildingId);
                 break;
-            case MapTile.Type.FUEL_STATION:
-                this.openFuelStation();
+            case "fuel_station":
+            case "fuel_depot":
+            case "repair_bay":
+                this.openFuelStation(buildingId);
                 break;
-            case MapTile.Type.TELEPORTER:
+            case "teleporter":
                 this.openTeleporter();
                 break;
         }
     }
 
     /**
-     * Opens the shop UI
+     * Opens the shop UI, which sells the next tier of every upgrade track that isn't maxed out, and every item
      */
     openShop() {
         if (this.currentUI) return;
         this.currentUI = "shop";
-        
-        this.createUI("Shop", [
-            { name: "Fuel Tank Upgrade", price: 500, id: "fuel_upgrade" },
-            { name: "Cargo Hold Upgrade", price: 750, id: "cargo_upgrade" },
-            { name: "Drill Speed Upgrade", price: 1000, id: "speed_upgrade" },
-            { name: "Better Drill", price: 2000, id: "drill_upgrade" }
-        ]);
+
+        const catalog = this.game.simulation.upgrades;
+        const items = [];
+        for (const track of catalog.tracks) {
+            const tier = catalog.getTier(track.id, this.miner.upgrades[track.id] + 1);
+            if (!tier) continue;
+
+            const missing = catalog.getMissing(tier, this.miner.upgrades);
+            items.push({
+                name: missing.length ? `${tier.name} (needs ${missing.map(t => t.name).join(", ")})` : tier.name,
+                price: tier.price,
+                id: `upgrade_${track.id}`,
+                locked: missing.length > 0
+            });
+        }
+
+        this.createUI("Shop", items.concat(this.getSupplies("shop")));
     }
 
     /**
-     * Saves the game
+     * Opens the save station, which saves to or loads from any slot
      */
     saveGame() {
-        const saveData = {
-            money: this.player.money,
-            fuel: this.player.fuel,
-            maxFuel: this.player.maxFuel,
-            tank: this.player.tank,
-            position: { x: this.player.x, y: this.player.y },
-            cargo: this.player.hold.mapTiles,
-            waypoints: this.waypoints,
-            timestamp: Date.now()
-        };
+        if (this.currentUI) return;
+        this.currentUI = "save";
 
-        localStorage.setItem('megaminer_save', JSON.stringify(saveData));
-        this.showMessage("Game Saved Successfully!", "#4CAF50");
+        const slots = this.game.saveHandler.listSlots();
+        const items = [{ name: "New Save Slot", id: "save_new", highlight: true }];
+        slots.forEach(slot => {
+            const date = slot.timestamp ? new Date(slot.timestamp).toLocaleString() : "unreadable";
+            items.push({ name: `Save over ${slot.name} (${date})`, id: `save_${slot.slot}` });
+        });
+        slots.forEach(slot => items.push({ name: `Load ${slot.name}`, id: `load_${slot.slot}` }));
+        slots.forEach(slot => items.push({ name: `Export ${slot.name} to a File`, id: `export_${slot.slot}` }));
+        items.push({ name: "Import From a File", id: "import" });
+
+        this.createUI("Save Station", items);
     }
 
     /**
-     * Opens the selling post
+     * Downloads a text file
+     * @param {string} filename
+     * @param {string} text
      */
-    openSellingPost() {
+    downloadFile(filename, text) {
+        const url = URL.createObjectURL(new Blob([text], { type: "text/plain" }));
+        const link = document.createElement("a");
+        link.href = url;
+        link.download = filename;
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
+        URL.revokeObjectURL(url);
+    }
+
+    /**
+     * Asks the player for a file and reads it as text
+     * @param {function(string): void} callback Called with the contents of the file.
+     */
+    pickFile(callback) {
+        const input = document.createElement("input");
+        input.type = "file";
+        input.accept = `${SaveFile.extension},.txt`;
+        input.addEventListener("change", () => {
+            if (input.files.length) input.files[0].text().then(callback);
+        });
+        input.click();
+    }
+
+    /**
+     * Opens the selling post, or another station that buys ore
+     * @param {string} [id] The registry id of the building.
+     */
+    openSellingPost(id = "selling_post") {
         if (this.currentUI) return;
-        if (this.player.hold.mapTiles.length === 0) {
+        const station = this.stations[id];
+        const supplies = this.getSupplies(id);
+        if (this.miner.cargo.length === 0 && supplies.length === 0) {
             this.showMessage("No items to sell!", "#FF9800");
             return;
         }
 
         this.currentUI = "selling";
-        
+
         // Calculate total value
         let totalValue = 0;
         const itemCounts = {};
-        
-        this.player.hold.mapTiles.forEach(item => {
+
+        this.miner.cargo.forEach(item => {
+            const value = Math.floor(item.value * station.sellRate);
             if (!itemCounts[item.name]) {
-                itemCounts[item.name] = { count: 0, value: item.value };
+                itemCounts[item.name] = { id: item.id, count: 0, value: value };
             }
             itemCounts[item.name].count++;
-            totalValue += item.value;
+            totalValue += value;
         });
 
         const items = Object.keys(itemCounts).map(name => ({
-            name: `${itemCounts[name].count}x ${name}`,
-            price: itemCounts[name].count * itemCounts[name].value,
-            id: "sell_all"
+            name: name,
+            price: itemCounts[name].value,
+            quantity: { min: 1, max: itemCounts[name].count, value: itemCounts[name].count },
+            id: "sell_ore",
+            ore: itemCounts[name].id,
+            station: id
         }));
 
-        items.push({ name: "SELL ALL", price: totalValue, id: "sell_all", highlight: true });
+        if (items.length) items.push({ name: "SELL ALL", price: totalValue, id: "sell_all", highlight: true, station: id });
 
-        this.createUI("Selling Post", items);
+        this.createUI(this.game.simulation.world.registry.get(id).name, items.concat(supplies));
     }
 
     /**
-     * Opens the fuel station
+     * Opens the fuel station, or another station that refuels or repairs
+     * @param {string} [id] The registry id of the building.
      */
-    openFuelStation() {
+    openFuelStation(id = "fuel_station") {
         if (this.currentUI) return;
-        this.currentUI = "fuel";
 
-        const fuelNeeded = this.player.maxFuel - this.player.fuel;
-        const refuelCost = Math.ceil(fuelNeeded * 2); // 2 coins per fuel unit
+        const station = this.stations[id];
+        const fuelNeeded = this.miner.maxFuel - this.miner.fuel;
+        const hullDamage = this.miner.maxHull - this.miner.hull;
+        const items = [];
 
-        if (fuelNeeded <= 0) {
-            this.showMessage("Fuel tank is already full!", "#4CAF50");
+        if (station.fuelPrice && fuelNeeded > 0) {
+            items.push({ name: `Refuel (${fuelNeeded.toFixed(1)} units)`, price: Math.ceil(fuelNeeded * station.fuelPrice), id: "refuel" });
+        }
+        if (station.repairPrice && hullDamage > 0) {
+            items.push({ name: `Repair Hull (${hullDamage} damage)`, price: hullDamage * station.repairPrice, id: "repair" });
+        }
+
+        const supplies = this.getSupplies(id);
+        if (items.length == 0 && supplies.length == 0) {
+            this.showMessage(station.fuelPrice ? "Fuel tank is already full!" : "Hull is already repaired!", "#4CAF50");
             return;
         }
 
-        this.createUI("Fuel Station", [
-            { name: `Refuel (${fuelNeeded.toFixed(1)} units)`, price: refuelCost, id: "refuel" }
-        ]);
+        this.currentUI = "fuel";
+
+        this.createUI(this.game.simulation.world.registry.get(id).name, items.concat(supplies));
+    }
+
+    /**
+     * Gets the items a station sells. Items the player can't carry any more of are listed, but locked.
+     * @param {string} id The registry id of the building.
+     * @returns {Array<import("../HUD/Dialog.js").DialogItem>}
+     */
+    getSupplies(id) {
+        const catalog = this.game.simulation.items;
+        const station = this.stations[id];
+        if (!catalog) return [];
+
+        return station.supplies.map(itemId => {
+            const item = catalog.get(itemId);
+            const room = item.maxStack - (this.miner.items[itemId] || 0);
+            return {
+                name: room > 0 ? item.name : `${item.name} (full)`,
+                price: Math.ceil(item.price * station.markup),
+                quantity: room > 0 ? { min: 1, max: room, value: 1 } : undefined,
+                id: "buy_item",
+                item: itemId,
+                station: id,
+                locked: room <= 0
+            };
+        });
     }
 
     /**
@@ -185,134 +342,51 @@ class BuildingHandler {
     }
 
     /**
-     * Creates a generic UI for buildings
-     * @param {string} title 
-     * @param {Array} items 
+     * Opens a dialog for a building. Items the player can't afford are disabled.
+     * @param {string} title
+     * @param {Array<import("../HUD/Dialog.js").DialogItem>} items Each with the `id` of what it does.
      */
     createUI(title, items) {
-        // Create overlay
-        const overlay = document.createElement('div');
-        overlay.id = 'building-ui-overlay';
-        overlay.style.cssText = `
-            position: fixed;
-            top: 0;
-            left: 0;
-            width: 100%;
-            height: 100%;
-            background: rgba(0, 0, 0, 0.7);
-            z-index: 100;
-            display: flex;
-            justify-content: center;
-            align-items: center;
-        `;
-
-        // Create UI container
-        const container = document.createElement('div');
-        container.style.cssText = `
-            background: #2c3e50;
-            border: 3px solid #34495e;
-            border-radius: 10px;
-            padding: 20px;
-            min-width: 300px;
-            max-width: 500px;
-            color: white;
-            font-family: Arial, sans-serif;
-        `;
-
-        // Title
-        const titleEl = document.createElement('h2');
-        titleEl.textContent = title;
-        titleEl.style.cssText = `
-            margin: 0 0 20px 0;
-            text-align: center;
-            color: #ecf0f1;
-        `;
-        container.appendChild(titleEl);
-
-        // Money display
-        const moneyEl = document.createElement('div');
-        moneyEl.textContent = `Money: $${this.player.money}`;
-        moneyEl.style.cssText = `
-            text-align: center;
-            margin-bottom: 20px;
-            font-size: 18px;
-            color: #f39c12;
-        `;
-        container.appendChild(moneyEl);
-
-        // Items
-        items.forEach(item => {
-            const itemEl = document.createElement('div');
-            itemEl.style.cssText = `
-                display: flex;
-                justify-content: space-between;
-                align-items: center;
-                padding: 10px;
-                margin: 5px 0;
-                background: ${item.highlight ? '#27ae60' : '#34495e'};
-                border-radius: 5px;
-                cursor: pointer;
-                transition: background 0.2s;
-            `;
-
-            itemEl.innerHTML = `
-                <span>${item.name}</span>
-                <span style="color: #f39c12;">$${item.price}</span>
-            `;
-
-            itemEl.addEventListener('mouseenter', () => {
-                itemEl.style.background = item.highlight ? '#2ecc71' : '#4a5f7a';
-            });
-
-            itemEl.addEventListener('mouseleave', () => {
-                itemEl.style.background = item.highlight ? '#27ae60' : '#34495e';
-            });
-
-            itemEl.addEventListener('click', () => {
-                this.handlePurchase(item, moneyEl);
-            });
-
-            container.appendChild(itemEl);
-        });
-
-        // Close button
-        const closeBtn = document.createElement('button');
-        closeBtn.textContent = 'Close';
-        closeBtn.style.cssText = `
-            width: 100%;
-            padding: 10px;
-            margin-top: 20px;
-            background: #e74c3c;
-            border: none;
-            border-radius: 5px;
-            color: white;
-            font-size: 16px;
-            cursor: pointer;
-        `;
-
-        closeBtn.addEventListener('click', () => {
-            this.closeUI();
-        });
-
-        container.appendChild(closeBtn);
-        overlay.appendChild(container);
-        document.body.appendChild(overlay);
+        const dialog = new Dialog(this.game, title, this.markAffordable(items));
+        dialog.subtitle = `Money: $${this.miner.money}`;
+        dialog.onSelect = (item, quantity) => {
+            this.handlePurchase(item, dialog.subtitleElement, quantity);
+            // The purchase may have closed the dialog, or changed what the player can afford
+            if (this.dialog != dialog) return;
+            dialog.subtitle = `Money: $${this.miner.money}`;
+            dialog.update(this.markAffordable(dialog.items));
+        };
+        dialog.onClose = () => {
+            if (this.dialog != dialog) return;
+            this.dialog = null;
+            this.currentUI = null;
+        };
+        this.dialog = dialog.open();
+    }
 
-        // Close on overlay click
-        overlay.addEventListener('click', (e) => {
-            if (e.target === overlay) {
-                this.closeUI();
-            }
-        });
+    /**
+     * Disables the items the player can't afford. Selling pays the player, so it's never too expensive.
+     * @param {Array<import("../HUD/Dialog.js").DialogItem>} items
+     * @returns {Array<import("../HUD/Dialog.js").DialogItem>} The same items.
+     */
+    markAffordable(items) {
+        for (const item of items) {
+            if (item.price === undefined || item.id.startsWith("sell_")) continue;
+            const price = item.quantity ? item.price * item.quantity.min : item.price;
+            item.disabled = item.locked || price > this.miner.money;
+        }
+        return items;
     }
 
     /**
      * Handles purchase/action from UI
-     * @param {Object} item 
-     * @param {HTMLElement} moneyEl 
+     * @param {Object} item
+     * @param {HTMLElement} moneyEl
+     * @param {number} [quantity] How many of the item were chosen, for items with a quantity.
      */
-    handlePurchase(item, moneyEl) {
-        if (item.price > this.player.money) {
+    handlePurchase(item, moneyEl, quantity = 1) {
+        // Selling pays the player, so it's never too expensive
+        if (!item.id.startsWith("sell_") && item.price * quantity > this.miner.money) {
             this.showMessage("Not enough money!", "#e74c3c");
             return;
         }
@@ -321,67 +395,138 @@ class BuildingHandler {
         let message = "";
 
         switch (item.id) {
-            case "fuel_upgrade":
-                this.player.maxFuel += 5;
-                this.player.money -= item.price;
-                success = true;
-                message = "Fuel tank upgraded!";
-                break;
-
-            case "cargo_upgrade":
-                this.player.hold.capacity += 5;
-                this.player.money -= item.price;
+            case "sell_all": {
+                const totalValue = this.miner.sellCargo(this.getSellRate(item));
                 success = true;
-                message = "Cargo hold upgraded!";
+                message = `Sold all items for $${totalValue}!`;
+                this.closeUI();
                 break;
+            }
 
-            case "speed_upgrade":
-                this.player.speedMultiplier += 0.2;
-                this.player.money -= item.price;
+            case "sell_ore": {
+                const value = this.miner.sell(item.ore, quantity, this.getSellRate(item));
                 success = true;
-                message = "Drill speed increased!";
+                message = `Sold ${quantity}x ${item.name} for $${value}!`;
+                this.closeUI();
+                // Reopened with what's left, as long as there's something left to trade
+                const station = item.station || "selling_post";
+                if (this.miner.cargo.length || this.stations[station].supplies.length) this.openSellingPost(station);
                 break;
+            }
 
-            case "sell_all":
-                const totalValue = this.player.hold.mapTiles.reduce((sum, item) => sum + item.value, 0);
-                this.player.money += totalValue;
-                this.player.hold.mapTiles = [];
-                this.player.hold.updateHold();
+            case "buy_item": {
+                const bought = this.miner.buyItem(item.item, quantity, item.price);
+                if (!bought) return;
                 success = true;
-                message = `Sold all items for $${totalValue}!`;
+                message = `Bought ${bought}x ${this.game.simulation.items.get(item.item).name}!`;
+                // Reopened so the quantities fit what there's room for now
                 this.closeUI();
+                this.handleBuildingInteraction(item.station);
                 break;
+            }
 
             case "refuel":
-                this.player.fuel = this.player.maxFuel;
-                this.player.updateFuel(0);
-                this.player.money -= item.price;
+                this.miner.refuel();
+                this.miner.spend(item.price);
                 success = true;
                 message = "Fuel tank refilled!";
                 break;
 
-            case "add_waypoint":
+            case "repair":
+                this.miner.repair();
+                this.miner.spend(item.price);
+                success = true;
+                message = "Hull repaired!";
+                break;
+
+            case "add_waypoint": {
                 const name = prompt("Enter waypoint name:") || `Waypoint ${this.waypoints.length + 1}`;
                 this.waypoints.push({
                     name: name,
-                    x: this.player.x,
-                    y: this.player.y
+                    x: this.miner.x,
+                    y: this.miner.y
                 });
-                this.player.money -= item.price;
+                this.miner.spend(item.price);
                 success = true;
                 message = `Waypoint "${name}" added!`;
                 this.closeUI();
                 break;
+            }
+
+            case "import":
+                this.closeUI();
+                this.pickFile(text => {
+                    try {
+                        const saveData = this.game.saveHandler.importGame(text);
+                        this.showMessage(`Imported ${saveData.name}!`, "#27ae60");
+                    } catch (error) {
+                        this.showMessage(`Can't import this file: ${error.message}`, "#e74c3c");
+                    }
+                });
+                return;
+
+            case "save_new": {
+                const name = prompt("Enter save name:") || `Save ${this.game.saveHandler.listSlots().length + 1}`;
+                this.closeUI();
+                if (!this.game.saveHandler.saveGame(`${Date.now()}`, name)) {
+                    this.showMessage("Failed to save game!", "#e74c3c");
+                    return;
+                }
+                success = true;
+                message = `Saved ${name}!`;
+                break;
+            }
 
             default:
-                if (item.id.startsWith("teleport_")) {
+                if (item.id.startsWith("save_")) {
+                    this.closeUI();
+                    if (!this.game.saveHandler.saveGame(item.id.slice("save_".length))) {
+                        this.showMessage("Failed to save game!", "#e74c3c");
+                        return;
+                    }
+                    success = true;
+                    message = "Game Saved Successfully!";
+                } else if (item.id.startsWith("export_")) {
+                    const slot = item.id.slice("export_".length);
+                    const text = this.game.saveHandler.exportGame(slot);
+                    this.closeUI();
+                    if (!text) {
+                        this.showMessage("That save is corrupt and can't be exported!", "#e74c3c");
+                        return;
+                    }
+                    this.downloadFile(`megaminer-${slot}${SaveFile.extension}`, text);
+                    success = true;
+                    message = "Save exported!";
+                } else if (item.id.startsWith("load_")) {
+                    const saveData = this.game.saveHandler.loadGame(item.id.slice("load_".length));
+                    this.closeUI();
+                    if (!saveData) {
+                        this.showMessage("That save is corrupt and can't be loaded!", "#e74c3c");
+                        return;
+                    }
+                    this.game.saveHandler.applySaveData(saveData);
+                    success = true;
+                    message = `Loaded ${saveData.name}!`;
+                } else if (item.id.startsWith("upgrade_")) {
+                    const id = item.id.slice("upgrade_".length);
+                    const catalog = this.game.simulation.upgrades;
+                    const tier = catalog.getTier(id, this.miner.upgrades[id] + 1);
+                    const missing = tier ? catalog.getMissing(tier, this.miner.upgrades) : [];
+                    if (missing.length) {
+                        this.showMessage(`Requires ${missing.map(t => t.name).join(" and ")}!`, "#e74c3c");
+                        return;
+                    }
+                    if (this.miner.upgrade(id)) {
+                        success = true;
+                        message = `${tier.name} installed!`;
+                        this.closeUI();
+                    }
+                } else if (item.id.startsWith("teleport_")) {
                     const index = parseInt(item.id.split("_")[1]);
                     const waypoint = this.waypoints[index];
                     if (waypoint) {
-                        this.player.x = waypoint.x;
-                        this.player.y = waypoint.y;
-                        this.player.targetPos = { x: waypoint.x, y: waypoint.y };
-                        this.player.money -= item.price;
+                        this.miner.teleport(waypoint.x, waypoint.y);
+                        this.miner.spend(item.price);
                         success = true;
                         message = `Teleported to ${waypoint.name}!`;
                         this.closeUI();
@@ -391,20 +536,29 @@ class BuildingHandler {
         }
 
         if (success) {
+            if (item.id.startsWith("sell_")) this.game.audioHandler.play(AudioHandler.Sound.SELL);
             // Update money display
-            moneyEl.textContent = `Money: $${this.player.money}`;
-            document.getElementById("money").innerHTML = `Money: $${this.player.money}`;
+            moneyEl.textContent = `Money: $${this.miner.money}`;
             this.showMessage(message, "#27ae60");
         }
     }
 
+    /**
+     * Gets how much of their value ores are bought for by the station an item is from.
+     * @param {import("../HUD/Dialog.js").DialogItem} item
+     * @returns {number}
+     */
+    getSellRate(item) {
+        return this.stations[item.station || "selling_post"].sellRate;
+    }
+
     /**
      * Shows a temporary message
-     * @param {string} text 
-     * @param {string} color 
+     * @param {string} text
+     * @param {string} color
      */
     showMessage(text, color) {
-        const messageEl = document.createElement('div');
+        const messageEl = document.createElement("div");
         messageEl.textContent = text;
         messageEl.style.cssText = `
             position: fixed;
@@ -427,14 +581,24 @@ class BuildingHandler {
         }, 2000);
     }
 
+    /**
+     * Closes any open UI and forgets the player.
+     */
+    destroy() {
+        this.closeUI();
+        if (this.moveListener) this.game.events.off(EventBus.Event.PLAYER_MOVED, this.moveListener);
+        this.moveListener = null;
+        this.player = null;
+        this.miner = null;
+    }
+
     /**
      * Closes the current UI
      */
     closeUI() {
-        const overlay = document.getElementById('building-ui-overlay');
-        if (overlay) {
-            document.body.removeChild(overlay);
-        }
+        const dialog = this.dialog;
+        this.dialog = null;
+        if (dialog) dialog.close();
         this.currentUI = null;
     }
 }
@@ -1,10 +1,16 @@
-// src/Handler/DisplayHandler.js (Updated)
 const Grid = require("../Grid/Grid.js");
 const Player = require("../Player/Player.js");
 const Camera = require("../Camera.js");
 const GameMap = require("../Map/Map.js");
+const Minimap = require("../Map/Minimap.js");
+const HUD = require("../HUD/HUD.js");
+const TouchControls = require("../HUD/TouchControls.js");
+const Hotbar = require("../HUD/Hotbar.js");
+const PauseMenu = require("../HUD/PauseMenu.js");
 const FOWHandler = require("./FOWHandler.js");
 const BuildingHandler = require("./BuildingHandler.js");
+const ParticleHandler = require("./ParticleHandler.js");
+const InputHandler = require("./InputHandler.js");
 
 /**
  * Manages and handles all sprites on the screen.
@@ -18,11 +24,10 @@ class DisplayHandler {
 
         /**
          * The grid that will be used to position sprites.
-         * WARNING: True grid size is ~100x250, update before release!
-         * INFO: Grid kept small to keep load times short during development.
+         * The map only renders the chunks around the camera, so the full world size loads quickly.
          * @type {Grid}
          */
-        this.grid = new Grid(this.game, 50, 40, 40);
+        this.grid = new Grid(this.game, 50, 100, 250);
 
         /**
          * An array containing {@link createjs.Text} elements that
@@ -31,13 +36,27 @@ class DisplayHandler {
          */
         this.floatingTexts = [];
 
+        /**
+         * Whether or not the screen is fading, see {@link DisplayHandler#fade}.
+         * @type {boolean}
+         */
+        this.fading = false;
+
         /**
          * Handles building interactions
          * @type {BuildingHandler}
          */
         this.buildingHandler = new BuildingHandler(this.game);
 
-        createjs.Ticker.addEventListener("tick", this.tick.bind(this));
+        /**
+         * The listener added to the ticker, kept so it can be removed.
+         */
+        this.tickListener = createjs.Ticker.addEventListener("tick", this.tick.bind(this));
+
+        /**
+         * The listener for the actions of the player, added once the game starts playing.
+         */
+        this.actionListener = null;
     }
 
     init() {
@@ -48,24 +67,69 @@ class DisplayHandler {
         // Initiate Player & Camera
         this.player = new Player(this.game);
         this.camera = new Camera(this.game);
-        
+        this.map.updateChunks();
+
         // Connect building handler to player
         this.buildingHandler.setPlayer(this.player);
-        
+
+        // Initiate particles, drawn over the player
+        this.particles = new ParticleHandler(this.game);
+
         this.relayer();
 
         // Initiate Fog-Of-War
         this.fow = new FOWHandler(this.game);
 
+        // Initiate Minimap
+        this.minimap = new Minimap(this.game);
+
+        // Initiate HUD
+        this.hud = new HUD(this.game);
+
+        // Initiate the hotbar of emergency items
+        this.hotbar = new Hotbar(this.game);
+
+        // Initiate the pause menu
+        this.pauseMenu = new PauseMenu(this.game);
+
+        // Initiate touch controls, on screens that can be touched
+        if (TouchControls.isSupported()) {
+            this.touchControls = new TouchControls(this.game);
+            this.hotbar.placeAbove(this.touchControls);
+        }
+
         // Add instructions for buildings
         this.showBuildingInstructions();
+
+        this.actionListener = this.game.addEventListener("action", this.onAction.bind(this));
+    }
+
+    /**
+     * Handles the actions that open or close something on the screen.
+     * Ignored while the game is paused.
+     * @param {CustomEvent} event The `action` event dispatched by the {@link InputHandler}.
+     */
+    onAction(event) {
+        if (createjs.Ticker.paused) return;
+        switch (event.detail) {
+            case InputHandler.Action.INTERACT:
+                this.buildingHandler.interact();
+                break;
+            case InputHandler.Action.MAP:
+                this.minimap.toggle();
+                break;
+            default:
+                if (InputHandler.itemActions.indexOf(event.detail) >= 0) this.hotbar.useSlot(InputHandler.itemActions.indexOf(event.detail));
+                break;
+        }
     }
 
     /**
      * Shows instructions about buildings when game starts
      */
     showBuildingInstructions() {
-        const instructions = document.createElement('div');
+        const input = this.game.inputHandler;
+        const instructions = document.createElement("div");
         instructions.style.cssText = `
             position: fixed;
             top: 10px;
@@ -79,19 +143,23 @@ class DisplayHandler {
             max-width: 250px;
             z-index: 50;
         `;
-        
+
         instructions.innerHTML = `
             <h4 style="margin: 0 0 10px 0; color: #f39c12;">Surface Buildings:</h4>
-            <div style="color: #4CAF50;">■ Shop - Buy upgrades</div>
+            <div style="color: #4CAF50;">■ Shop - Buy upgrades and items</div>
             <div style="color: #2196F3;">■ Save Station - Save game</div>
             <div style="color: #FF9800;">■ Selling Post - Sell resources</div>
             <div style="color: #F44336;">■ Fuel Station - Refuel</div>
             <div style="color: #9C27B0;">■ Teleporter - Fast travel</div>
             <br>
-            <small>Walk over buildings to interact!</small>
+            <small>Walk over buildings to interact, or press ${input.describe(InputHandler.Action.INTERACT)} on top of them!</small><br>
+            <small>Press ${input.describe(InputHandler.Action.SCAN)} to scan for ores once you've bought a scanner.</small><br>
+            <small>Press ${input.describe(InputHandler.Action.MAP)} to toggle the map and ${input.describe(InputHandler.Action.PAUSE)} to pause.</small><br>
+            <small>Press ${InputHandler.itemActions.map(action => input.describe(action)).join(", ")} or click the hotbar to use your items.</small>
         `;
 
         document.body.appendChild(instructions);
+        this.instructions = instructions;
 
         // Auto-hide after 10 seconds
         setTimeout(() => {
@@ -109,7 +177,11 @@ class DisplayHandler {
         // Set opacity then wait for transition
         if (out) fade.style.opacity = 1;
         else fade.style.opacity = 0;
-        setTimeout(() => callback(), 1000);
+        this.fading = true;
+        setTimeout(() => {
+            this.fading = false;
+            callback();
+        }, 1000);
     }
 
     /**
@@ -144,6 +216,7 @@ class DisplayHandler {
     }
 
     tick(event) {
+        if (event.paused) return;
         for (let i = this.floatingTexts.length - 1; i >= 0; i--) {
             const text = this.floatingTexts[i];
             text.y -= 100 * (event.delta / 1000);
@@ -155,6 +228,30 @@ class DisplayHandler {
         }
     }
 
+    /**
+     * Removes every sprite, handler and listener created by this display handler.
+     */
+    destroy() {
+        createjs.Ticker.removeEventListener("tick", this.tickListener);
+        this.game.removeEventListener("action", this.actionListener);
+        if (this.fow) this.fow.destroy();
+        if (this.minimap) this.minimap.destroy();
+        if (this.hud) this.hud.destroy();
+        if (this.touchControls) this.touchControls.destroy();
+        if (this.hotbar) this.hotbar.destroy();
+        if (this.pauseMenu) this.pauseMenu.destroy();
+        if (this.camera) this.camera.destroy();
+        if (this.particles) this.particles.destroy();
+        if (this.player) this.player.destroy();
+        if (this.map) this.map.ungenerate();
+        this.grid.destroy();
+        this.buildingHandler.destroy();
+        if (this.instructions && this.instructions.parentNode) {
+            document.body.removeChild(this.instructions);
+        }
+        this.floatingTexts.length = 0;
+    }
+
     relayer() {
         if (this.map) this.map.bringToFront();
         if (this.player) {
@@ -162,6 +259,7 @@ class DisplayHandler {
             this.player.drill.bringToFront();
             this.player.boost.bringToFront();
         }
+        if (this.particles) this.particles.bringToFront();
         for (let i = 0; i < this.floatingTexts.length; i++) {
             const text = this.floatingTexts[i];
             this.game.setChildIndex(text, this.game.children.length - 1);
@@ -1,5 +1,6 @@
 /**
  * Manages and handles all things relating to the fog-of-war aspect of the game.
+ * The fog itself is kept by the simulation in `Simulation#fog`, this only draws it.
  */
 class FOWHandler {
     /**
@@ -14,18 +15,18 @@ class FOWHandler {
          */
         this.grid = this.game.displayHandler.grid;
 
-        /**
-         * A reference to the map for utility purposes.
-         * @type {import("../Map/Map.js")}
-         */
-        this.map = this.game.displayHandler.map;
-
         /**
          * A reference to the player for utility purposes.
          * @type {import("../Player/Player.js")}
          */
         this.player = this.game.displayHandler.player;
 
+        /**
+         * A reference to the fog for utility purposes.
+         * @type {import("../Sim/FogModel.js")}
+         */
+        this.fog = this.game.simulation.fog;
+
         /**
          * The stage used for FOW
          * @type {createjs.Stage}
@@ -34,7 +35,22 @@ class FOWHandler {
         this.game.nextStage = this.stage1;
         this.stage.nextStage = this.game;
 
-        window.addEventListener("resize", () => { this.resize(); });
+        /**
+         * Listeners kept so they can be removed when the game is destroyed.
+         */
+        this.resizeListener = () => { this.resize(); };
+        this.tickListener = null;
+
+        /**
+         * Listeners added to the simulation, indexed by event.
+         * @type {Object.<string, Function>}
+         */
+        this.simListeners = {
+            fog: area => this.redraw(area),
+            upgrades: () => this.updateLight()
+        };
+
+        window.addEventListener("resize", this.resizeListener);
         this.init();
     }
 
@@ -42,45 +58,41 @@ class FOWHandler {
         this.stage.snapToPixelEnabled = true;
 
         /**
-         * The actual fog shape for FOW
-         * @type {createjs.Shape}
+         * The fog, drawn a pixel per tile. It is scaled up to the size of the world,
+         * which softens the edges of the fog.
+         * @type {HTMLCanvasElement}
          */
-        this.fow = new createjs.Shape();
-        this.fow.graphics.beginFill("black").drawRect(0, this.map.horizonLine + this.grid.tileSize * 1.95, this.grid.width, this.grid.height);
-        this.stage.addChild(this.fow);
-        this.stage.update();
+        this.canvas = document.createElement("canvas");
+        this.canvas.width = this.grid.widthGU;
+        this.canvas.height = this.grid.heightGU;
 
         /**
-         * The shape that revelas that follows the player.
-         * @type {createjs.Shape}
+         * The context the fog is drawn with.
+         * @type {CanvasRenderingContext2D}
          */
-        this.plrReveal = new createjs.Shape();
-        this.plrReveal.graphics.beginFill("white").drawCircle(0, 0, this.grid.tileSize * 2.5);
-        this.plrReveal.compositeOperation = "destination-out";
-        this.stage.addChild(this.plrReveal);
-        this.stage.update();
+        this.context = this.canvas.getContext("2d");
 
         /**
-         * An object used to remember the position of each FOG tile.
-         * @type {Object.<string, MapTile>}
+         * The actual fog bitmap for FOW
+         * @type {createjs.Bitmap}
          */
-        this.fog_tiles = {};
+        this.fow = new createjs.Bitmap(this.canvas);
+        this.fow.scaleX = this.grid.tileSize;
+        this.fow.scaleY = this.grid.tileSize;
+        this.stage.addChild(this.fow);
 
         /**
-         * A container used to contain all the "destination-out" graphics for each tile.
-         * @type {createjs.Container}
+         * The shape that revelas that follows the player.
+         * @type {createjs.Shape}
          */
-        this.tiles = new createjs.Container();
-
-        // Initiate FOG tiles for entire surface.
-        for (let i = 0; i < this.grid.widthGU; i++) {
-            const fogtile = this.makeFogTile(i * this.grid.tileSize + this.grid.tileSize / 2, this.map.horizonLine - this.grid.tileSize / 2, this.grid.tileSize * 2.5);
-            this.tiles.addChild(fogtile);
-        }
-        this.stage.addChild(this.tiles);
+        this.plrReveal = new createjs.Shape();
+        this.plrReveal.compositeOperation = "destination-out";
+        this.stage.addChild(this.plrReveal);
 
-        this.player.addEventListener("tilemove", this.tilemove.bind(this));
-        createjs.Ticker.addEventListener("tick", this.tick.bind(this));
+        for (const event in this.simListeners) this.game.simulation.on(event, this.simListeners[event]);
+        this.tickListener = createjs.Ticker.addEventListener("tick", this.tick.bind(this));
+        this.updateLight();
+        this.redraw(this.fog.area);
         this.resize();
     }
 
@@ -103,31 +115,38 @@ class FOWHandler {
     }
 
     /**
-     * Called every time the player moves a tile.
-     * @param {CustomEvent} event
+     * Clears the fog and stops listening to the game.
      */
-    tilemove(event) {
-        // console.log("TILE MOVE: ", event.detail);
-        /** @type {import("../Grid/Tile.js")} */
-        const tile = event.detail;
-        if (tile.gY >= 9) {
-            if (this.fog_tiles[tile.toString()]) return;
-            const fogtile = this.makeFogTile(tile.gX * this.grid.tileSize + this.grid.tileSize / 2, tile.gY * this.grid.tileSize + this.grid.tileSize / 2, this.grid.tileSize * 2.5);
-            this.stage.addChild(fogtile);
-            // this.tiles.updateCache();
-            // console.log("ADD", fogtile);
+    destroy() {
+        window.removeEventListener("resize", this.resizeListener);
+        createjs.Ticker.removeEventListener("tick", this.tickListener);
+        for (const event in this.simListeners) this.game.simulation.off(event, this.simListeners[event]);
+        this.stage.removeAllChildren();
+        this.stage.update();
+    }
+
+    /**
+     * Redraws the fog over an area. Only the area that changed is redrawn.
+     * @param {import("../Sim/FogModel.js").FogArea} area
+     */
+    redraw(area) {
+        this.context.clearRect(area.left, area.top, area.right - area.left, area.bottom - area.top);
+        this.context.fillStyle = "black";
+        for (let gY = area.top; gY < area.bottom; gY++) {
+            for (let gX = area.left; gX < area.right; gX++) {
+                if (!this.fog.isRevealed(gX, gY)) this.context.fillRect(gX, gY, 1, 1);
+            }
         }
+        this.stage.update();
     }
 
     /**
-     * Convinience method for making a fog tile.
-     * @returns {createjs.Shape}
+     * Sizes the light following the player to the reach of its lights.
      */
-    makeFogTile(x, y, radius) {
-        const fogtile = new createjs.Shape();
-        fogtile.graphics.beginFill("white").drawCircle(x, y, radius);
-        fogtile.compositeOperation = "destination-out";
-        return fogtile;
+    updateLight() {
+        const radius = this.game.simulation.miner.lightRadius * this.grid.tileSize;
+        this.plrReveal.graphics.clear().beginFill("white").drawCircle(0, 0, radius);
+        this.stage.update();
     }
 
     /**
@@ -141,4 +160,4 @@ class FOWHandler {
     }
 }
 
-module.exports = FOWHandler;
\ No newline at end of file
+module.exports = FOWHandler;
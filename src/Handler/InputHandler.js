@@ -1,5 +1,11 @@
 /**
  * Handles any user input such as keyboard events, mouse events, and more.
+ *
+ * Keys, gamepad buttons and touch controls are mapped to the actions in {@link InputHandler.Action}, so the rest of the game
+ * only asks whether an action is held with {@link InputHandler#isDown}. When an action is pressed,
+ * an `action` event is dispatched on the game with the action as its detail.
+ *
+ * While a dialog is open, every action goes to the top dialog instead, and nothing counts as held.
  */
 class InputHandler {
     /**
@@ -14,16 +20,80 @@ class InputHandler {
          */
         this.pressedKeys = [];
 
+        /**
+         * The key the bindings are saved under in localStorage.
+         * @type {string}
+         */
+        this.bindingsKey = "megaminer_bindings";
+
+        /**
+         * The keys bound to every action, indexed by action.
+         * @type {Object.<string, Array<string>>}
+         */
+        this.bindings = this.loadBindings();
+
+        /**
+         * The gamepad buttons bound to every action, indexed by action.
+         * Uses the button numbers of the standard gamepad layout.
+         * @type {Object.<string, Array<number>>}
+         */
+        this.gamepadBindings = {
+            [InputHandler.Action.UP]: [12],
+            [InputHandler.Action.DOWN]: [13],
+            [InputHandler.Action.LEFT]: [14],
+            [InputHandler.Action.RIGHT]: [15],
+            [InputHandler.Action.INTERACT]: [0],
+            [InputHandler.Action.SCAN]: [2],
+            [InputHandler.Action.MAP]: [8],
+            [InputHandler.Action.PAUSE]: [9]
+        };
+
+        /**
+         * How far the analog stick has to be pushed before it counts as a direction, from 0 to 1.
+         * @type {number}
+         */
+        this.deadzone = 0.5;
+
+        /**
+         * The actions held down on the gamepad when it was last polled.
+         * @type {Array<InputHandler.Action>}
+         */
+        this.gamepadActions = [];
+
+        /**
+         * The actions held down on the touch controls.
+         * @type {Array<InputHandler.Action>}
+         */
+        this.touchActions = [];
+
+        /**
+         * The dialogs that are open, the top one last. Dialogs add and remove themselves.
+         * @type {Array<import("../HUD/Dialog.js")>}
+         */
+        this.dialogs = [];
+
+        /**
+         * Called with the next key pressed instead of triggering its actions, see {@link InputHandler#captureKey}.
+         * @type {function(string): void}
+         */
+        this.keyCapture = null;
+
         /**
          * Whether or not to run the tick event.
          * @type {boolean}
          */
         this.tickEnabled = true;
 
-        window.addEventListener("keydown", this.keydown.bind(this));
-        window.addEventListener("keyup", this.keyup.bind(this));
-        window.addEventListener("keypress", this.keypress.bind(this));
-        createjs.Ticker.addEventListener("tick", this.tick.bind(this));
+        /**
+         * Listeners kept so they can be removed when the game is destroyed.
+         */
+        this.listeners = {
+            keydown: this.keydown.bind(this),
+            keyup: this.keyup.bind(this)
+        };
+
+        for (const type in this.listeners) window.addEventListener(type, this.listeners[type]);
+        this.tickListener = createjs.Ticker.addEventListener("tick", this.tick.bind(this));
     }
 
     /**
@@ -31,7 +101,24 @@ class InputHandler {
      * @param {KeyboardEvent} e The event
      */
     keydown(e) {
-        if (this.pressedKeys.indexOf(e.key) < 0) this.pressedKeys.push(e.key);
+        const key = this.normalizeKey(e.key);
+        if (this.keyCapture) {
+            const capture = this.keyCapture;
+            this.keyCapture = null;
+            capture(key);
+            return;
+        }
+        if (this.dialogs.length) {
+            // Keys held since before the dialog opened don't repeat into it
+            if (e.repeat && this.pressedKeys.indexOf(key) >= 0) return;
+            const dialog = this.dialogs[this.dialogs.length - 1];
+            if (key == "Escape") dialog.close();
+            else this.getActions(key).forEach(action => dialog.handleAction(action));
+            return;
+        }
+        if (this.pressedKeys.indexOf(key) >= 0) return;
+        this.pressedKeys.push(key);
+        if (!e.repeat) this.getActions(key).forEach(action => this.trigger(action));
     }
 
     /**
@@ -39,26 +126,257 @@ class InputHandler {
      * @param {KeyboardEvent} e The event
      */
     keyup(e) {
-        if (this.pressedKeys.indexOf(e.key) >= 0) {
+        const key = this.normalizeKey(e.key);
+        if (this.pressedKeys.indexOf(key) >= 0) {
             this.pressedKeys = this.pressedKeys.filter(val => {
-                if (val != e.key) return true;
+                if (val != key) return true;
                 return false;
             });
         }
     }
 
     /**
-     * Mostly only used for debugging. Is called when a key gets pressed down then back up.
-     * @param {KeyboardEvent} e The event
+     * Stops listening to any user input.
      */
-    keypress() {
-        // ...
+    destroy() {
+        for (const type in this.listeners) window.removeEventListener(type, this.listeners[type]);
+        createjs.Ticker.removeEventListener("tick", this.tickListener);
+        this.pressedKeys.length = 0;
+        this.gamepadActions.length = 0;
+        this.touchActions.length = 0;
+        this.keyCapture = null;
+        this.dialogs.slice().forEach(dialog => dialog.close());
     }
 
     tick() {
         if (!this.tickEnabled) return;
         if (!document.hasFocus() && this.pressedKeys.length > 0) this.pressedKeys.length = 0;
+        // Polled even while paused, so the gamepad can unpause the game
+        this.pollGamepad();
+    }
+
+    /**
+     * Checks if an action is held down, on the keyboard, the gamepad or the touch controls.
+     * @param {InputHandler.Action} action
+     * @returns {boolean}
+     */
+    isDown(action) {
+        if (this.dialogs.length) return false;
+        if (this.gamepadActions.indexOf(action) >= 0 || this.touchActions.indexOf(action) >= 0) return true;
+        return this.bindings[action].some(key => this.pressedKeys.indexOf(key) >= 0);
+    }
+
+    /**
+     * Gets the actions a key is bound to.
+     * @param {string} key
+     * @returns {Array<InputHandler.Action>}
+     */
+    getActions(key) {
+        return Object.keys(this.bindings).filter(action => this.bindings[action].indexOf(key) >= 0);
+    }
+
+    /**
+     * Dispatches an `action` event on the game, or sends the action to the top dialog if one is open.
+     * @param {InputHandler.Action} action
+     */
+    trigger(action) {
+        if (this.dialogs.length) {
+            this.dialogs[this.dialogs.length - 1].handleAction(action);
+            return;
+        }
+        this.game.dispatchEvent(new CustomEvent("action", { detail: action }));
+    }
+
+    /**
+     * Hands the next key pressed to a callback instead of triggering its actions, such as to rebind it.
+     * @param {function(string): void} callback Called with the key.
+     */
+    captureKey(callback) {
+        this.keyCapture = callback;
+    }
+
+    /**
+     * Holds an action down from the touch controls, triggering it if it wasn't held already.
+     * @param {InputHandler.Action} action
+     */
+    press(action) {
+        if (this.touchActions.indexOf(action) >= 0) return;
+        this.touchActions.push(action);
+        this.trigger(action);
+    }
+
+    /**
+     * Lets go of an action held from the touch controls.
+     * @param {InputHandler.Action} action
+     */
+    release(action) {
+        this.touchActions = this.touchActions.filter(held => held != action);
+    }
+
+    /**
+     * Reads the gamepad, triggering the actions that were just pressed.
+     * Only the first connected gamepad is used.
+     */
+    pollGamepad() {
+        const gamepads = typeof navigator != "undefined" && navigator.getGamepads ? navigator.getGamepads() : [];
+        const gamepad = Array.from(gamepads).find(pad => pad && pad.connected);
+
+        const held = [];
+        if (gamepad) {
+            for (const action in this.gamepadBindings) {
+                const pressed = this.gamepadBindings[action].some(i => gamepad.buttons[i] && gamepad.buttons[i].pressed);
+                if (pressed) held.push(action);
+            }
+
+            // The analog stick only counts in the direction it is pushed the furthest
+            const x = gamepad.axes[0] || 0;
+            const y = gamepad.axes[1] || 0;
+            if (Math.abs(x) >= this.deadzone && Math.abs(x) >= Math.abs(y)) {
+                held.push(x < 0 ? InputHandler.Action.LEFT : InputHandler.Action.RIGHT);
+            } else if (Math.abs(y) >= this.deadzone) {
+                held.push(y < 0 ? InputHandler.Action.UP : InputHandler.Action.DOWN);
+            }
+        }
+
+        const pressed = held.filter(action => this.gamepadActions.indexOf(action) < 0);
+        this.gamepadActions = held;
+        pressed.forEach(action => this.trigger(action));
+    }
+
+    /**
+     * Binds keys to an action, unbinding them from any other action.
+     * The bindings are saved straight away.
+     * @param {InputHandler.Action} action
+     * @param {Array<string>} keys The values of `KeyboardEvent.key` to bind.
+     * @throws {Error} If the action doesn't exist.
+     */
+    bind(action, keys) {
+        if (!this.bindings[action]) throw new Error(`Unknown action "${action}"`);
+
+        keys = keys.map(key => this.normalizeKey(key));
+        for (const other in this.bindings) {
+            this.bindings[other] = this.bindings[other].filter(key => keys.indexOf(key) < 0);
+        }
+        this.bindings[action] = keys;
+        localStorage.setItem(this.bindingsKey, JSON.stringify(this.bindings));
+    }
+
+    /**
+     * Puts every key back the way it was bound by default.
+     */
+    resetBindings() {
+        localStorage.removeItem(this.bindingsKey);
+        this.bindings = this.loadBindings();
+    }
+
+    /**
+     * Loads the saved bindings. Any action that wasn't saved, or was saved wrong, keeps its default keys.
+     * @returns {Object.<string, Array<string>>}
+     */
+    loadBindings() {
+        let saved = {};
+        try {
+            saved = JSON.parse(localStorage.getItem(this.bindingsKey)) || {};
+        } catch (e) {
+            console.warn("Failed to load the key bindings:", e);
+        }
+
+        const bindings = {};
+        for (const action in InputHandler.defaultBindings) {
+            const keys = saved[action];
+            const valid = Array.isArray(keys) && keys.every(key => typeof key == "string");
+            bindings[action] = (valid ? keys : InputHandler.defaultBindings[action]).slice();
+        }
+        return bindings;
+    }
+
+    /**
+     * Describes the keys bound to an action, to show the player.
+     * @param {InputHandler.Action} action
+     * @returns {string} Such as "W/Up".
+     */
+    describe(action) {
+        return this.bindings[action].map(key => {
+            if (key == " ") return "Space";
+            if (key.length == 1) return key.toUpperCase();
+            return key.replace(/^Arrow/, "");
+        }).join("/");
+    }
+
+    /**
+     * Lowercases letters, so the bindings still work with shift or caps lock on.
+     * @param {string} key
+     * @returns {string}
+     */
+    normalizeKey(key) {
+        return key.length == 1 ? key.toLowerCase() : key;
     }
 }
 
-module.exports = InputHandler;
\ No newline at end of file
+/**
+ * Everything the player can do with the keyboard or gamepad.
+ * @readonly
+ * @enum {string}
+ */
+InputHandler.Action = {
+    UP: "up",
+    DOWN: "down",
+    LEFT: "left",
+    RIGHT: "right",
+    /** Opens the building the player is standing on, or closes the open one. */
+    INTERACT: "interact",
+    /** Scans for ores, once a scanner has been bought. */
+    SCAN: "scan",
+    /** Shows or hides the minimap. */
+    MAP: "map",
+    /** Pauses or resumes the game. */
+    PAUSE: "pause",
+    /** Uses the item in a slot of the hotbar. */
+    ITEM_1: "item1",
+    ITEM_2: "item2",
+    ITEM_3: "item3",
+    ITEM_4: "item4",
+    ITEM_5: "item5",
+    ITEM_6: "item6",
+    ITEM_7: "item7"
+};
+
+/**
+ * The actions that use the items on the hotbar, in the order of the slots.
+ * @readonly
+ * @type {Array<InputHandler.Action>}
+ */
+InputHandler.itemActions = [
+    InputHandler.Action.ITEM_1,
+    InputHandler.Action.ITEM_2,
+    InputHandler.Action.ITEM_3,
+    InputHandler.Action.ITEM_4,
+    InputHandler.Action.ITEM_5,
+    InputHandler.Action.ITEM_6,
+    InputHandler.Action.ITEM_7
+];
+
+/**
+ * The keys bound to every action until the player rebinds them.
+ * @readonly
+ * @type {Object.<string, Array<string>>}
+ */
+InputHandler.defaultBindings = {
+    [InputHandler.Action.UP]: ["ArrowUp", "w"],
+    [InputHandler.Action.DOWN]: ["ArrowDown", "s"],
+    [InputHandler.Action.LEFT]: ["ArrowLeft", "a"],
+    [InputHandler.Action.RIGHT]: ["ArrowRight", "d"],
+    [InputHandler.Action.INTERACT]: ["Enter", " "],
+    [InputHandler.Action.SCAN]: ["e"],
+    [InputHandler.Action.MAP]: ["m"],
+    [InputHandler.Action.PAUSE]: ["Escape", "p"],
+    [InputHandler.Action.ITEM_1]: ["1"],
+    [InputHandler.Action.ITEM_2]: ["2"],
+    [InputHandler.Action.ITEM_3]: ["3"],
+    [InputHandler.Action.ITEM_4]: ["4"],
+    [InputHandler.Action.ITEM_5]: ["5"],
+    [InputHandler.Action.ITEM_6]: ["6"],
+    [InputHandler.Action.ITEM_7]: ["7"]
+};
+
+module.exports = InputHandler;
@@ -1,3 +1,13 @@
+/**
+ * The data files bundled with the game, used when they fail to load.
+ * @type {Object.<string, Object>}
+ */
+const bundledData = {
+    registry: require("../../static/assets/registry.json"),
+    upgrades: require("../../static/assets/upgrades.json"),
+    items: require("../../static/assets/items.json")
+};
+
 /**
  * Used for handling everything that needs to be loaded.
  * Also contains direct pathes to many needed objects like sprites.
@@ -17,6 +27,23 @@ class LoadingHandler {
             // ...
         };
 
+        /**
+         * Contains all the JSON data used in the game indexed by their asset id.
+         * @type {Object.<string, Object>}
+         */
+        this.data = {
+            // ...
+        };
+
+        /**
+         * Contains the sound files, still encoded, indexed by their asset id.
+         * They're decoded by the {@link AudioHandler}.
+         * @type {Object.<string, ArrayBuffer>}
+         */
+        this.sounds = {
+            // ...
+        };
+
         /**
          * Track loading progress
          */
@@ -26,23 +53,34 @@ class LoadingHandler {
 
     load(callback) {
         console.log("Starting asset loading...");
-        
+
         this.loader = new createjs.LoadQueue();
 
         this.loader.on("fileload", event => {
             console.log("Loaded:", event.item.id, event.item.type);
-            
+
             if (event.item.type == "image" || event.item.type == "spritesheet") {
                 this.sprites[event.item.id] = event.result;
                 this.loadedAssets++;
                 console.log(`Progress: ${this.loadedAssets}/${this.totalAssets}`);
+            } else if (event.item.type == "json") {
+                this.data[event.item.id] = event.result;
+                this.loadedAssets++;
+            } else if (event.item.type == "binary") {
+                this.sounds[event.item.id] = event.result;
+                this.loadedAssets++;
             }
         });
 
         this.loader.on("error", err => {
+            // The game plays fine without a sound, it's just silent
+            if (err.data.type == "binary") {
+                console.warn("Failed to load sound " + err.data.id + "!");
+                return;
+            }
             console.error("Failed to load " + err.data.id + "!");
             console.error("Error details:", err);
-            
+
             // Create placeholder assets if loading fails
             this.createPlaceholderAssets();
         });
@@ -50,14 +88,14 @@ class LoadingHandler {
         this.loader.on("complete", () => {
             console.log("Asset loading complete!");
             console.log("Loaded sprites:", Object.keys(this.sprites));
-            
+
             // Ensure we have all required sprites
             this.ensureRequiredAssets();
-            
+
             callback();
         });
 
-        this.loader.on("progress", (event) => {
+        this.loader.on("progress", event => {
             console.log("Loading progress:", Math.round(event.progress * 100) + "%");
         });
 
@@ -67,7 +105,8 @@ class LoadingHandler {
         } catch (error) {
             console.error("Failed to load manifest, creating placeholder assets");
             this.createPlaceholderAssets();
-            setTimeout(callback, 100); // Call callback after placeholders are ready
+            // Call callback after placeholders are ready
+            setTimeout(callback, 100);
         }
     }
 
@@ -83,16 +122,17 @@ class LoadingHandler {
         this.sprites.player = this.createPlaceholderPlayerSpriteSheet();
         this.sprites.player_drills = this.createPlaceholderDrillSpriteSheet();
         this.sprites.player_boost = this.createPlaceholderBoostSpriteSheet();
+        Object.assign(this.data, bundledData);
     }
 
     /**
      * Creates a placeholder image
      */
     createPlaceholderImage(width, height, color) {
-        const canvas = document.createElement('canvas');
+        const canvas = document.createElement("canvas");
         canvas.width = width;
         canvas.height = height;
-        const ctx = canvas.getContext('2d');
+        const ctx = canvas.getContext("2d");
         ctx.fillStyle = color;
         ctx.fillRect(0, 0, width, height);
         return canvas;
@@ -102,18 +142,19 @@ class LoadingHandler {
      * Creates placeholder tile spritesheet
      */
     createPlaceholderSpriteSheet() {
-        const canvas = document.createElement('canvas');
-        canvas.width = 1200; // 24 tiles * 50px
+        const canvas = document.createElement("canvas");
+        // 29 tiles * 50px
+        canvas.width = 1450;
         canvas.height = 50;
-        const ctx = canvas.getContext('2d');
-        
+        const ctx = canvas.getContext("2d");
+
         // Create different colored tiles
         const colors = ["#90EE90", "#8B4513", "#228B22", "#32CD32", "#000000", "#333333", "#4CAF50", "#2196F3", "#FF9800", "#F44336", "#9C27B0"];
-        
-        for (let i = 0; i < 24; i++) {
+
+        for (let i = 0; i < 29; i++) {
             ctx.fillStyle = colors[i % colors.length] || "#666666";
             ctx.fillRect(i * 50, 0, 50, 50);
-            
+
             // Add border
             ctx.strokeStyle = "#000000";
             ctx.lineWidth = 1;
@@ -122,7 +163,7 @@ class LoadingHandler {
 
         return new createjs.SpriteSheet({
             images: [canvas],
-            frames: { width: 50, height: 50, count: 24 }
+            frames: { width: 50, height: 50, count: 29 }
         });
     }
 
@@ -130,22 +171,26 @@ class LoadingHandler {
      * Creates placeholder player spritesheet
      */
     createPlaceholderPlayerSpriteSheet() {
-        const canvas = document.createElement('canvas');
-        canvas.width = 53 * 16; // 16 frames
+        const canvas = document.createElement("canvas");
+        // 16 frames
+        canvas.width = 53 * 16;
         canvas.height = 53;
-        const ctx = canvas.getContext('2d');
-        
+        const ctx = canvas.getContext("2d");
+
         for (let i = 0; i < 16; i++) {
             // Draw simple player rectangle
             ctx.fillStyle = "#FFD700";
             ctx.fillRect(i * 53, 0, 53, 53);
-            
+
             // Add simple face
             ctx.fillStyle = "#000000";
-            ctx.fillRect(i * 53 + 15, 15, 5, 5); // left eye
-            ctx.fillRect(i * 53 + 33, 15, 5, 5); // right eye
-            ctx.fillRect(i * 53 + 20, 30, 13, 3); // mouth
-            
+            // Left eye
+            ctx.fillRect(i * 53 + 15, 15, 5, 5);
+            // Right eye
+            ctx.fillRect(i * 53 + 33, 15, 5, 5);
+            // Mouth
+            ctx.fillRect(i * 53 + 20, 30, 13, 3);
+
             // Add border
             ctx.strokeStyle = "#000000";
             ctx.lineWidth = 2;
@@ -156,10 +201,10 @@ class LoadingHandler {
             images: [canvas],
             frames: { width: 53, height: 53, count: 16 },
             animations: {
-                "down": [0, 3],
-                "up": [4, 7],
-                "right": [8, 11],
-                "left": [12, 15]
+                down: [0, 3],
+                up: [4, 7],
+                right: [8, 11],
+                left: [12, 15]
             }
         });
     }
@@ -168,16 +213,17 @@ class LoadingHandler {
      * Creates placeholder drill spritesheet
      */
     createPlaceholderDrillSpriteSheet() {
-        const canvas = document.createElement('canvas');
-        canvas.width = 53 * 80; // 80 frames
+        const canvas = document.createElement("canvas");
+        // 80 frames
+        canvas.width = 53 * 80;
         canvas.height = 53;
-        const ctx = canvas.getContext('2d');
-        
+        const ctx = canvas.getContext("2d");
+
         for (let i = 0; i < 80; i++) {
             // Draw simple drill
             ctx.fillStyle = "#C0C0C0";
             ctx.fillRect(i * 53 + 20, 20, 13, 13);
-            
+
             // Add rotation effect
             const rotation = (i % 4) * 45;
             ctx.save();
@@ -193,26 +239,26 @@ class LoadingHandler {
             images: [canvas],
             frames: { width: 53, height: 53, count: 80 },
             animations: {
-                "basic_down": [0, 2],
-                "basic_up": [20, 22],
-                "basic_right": [40, 42],
-                "basic_left": [60, 62],
-                "saphire_down": [4, 6],
-                "saphire_up": [24, 26],
-                "saphire_right": [44, 46],
-                "saphire_left": [64, 66],
-                "emerald_down": [8, 10],
-                "emerald_up": [28, 30],
-                "emerald_right": [48, 50],
-                "emerald_left": [68, 70],
-                "ruby_down": [12, 14],
-                "ruby_up": [32, 34],
-                "ruby_right": [52, 54],
-                "ruby_left": [72, 74],
-                "diamond_down": [16, 18],
-                "diamond_up": [36, 38],
-                "diamond_right": [56, 58],
-                "diamond_left": [76, 78]
+                basic_down: [0, 2],
+                basic_up: [20, 22],
+                basic_right: [40, 42],
+                basic_left: [60, 62],
+                saphire_down: [4, 6],
+                saphire_up: [24, 26],
+                saphire_right: [44, 46],
+                saphire_left: [64, 66],
+                emerald_down: [8, 10],
+                emerald_up: [28, 30],
+                emerald_right: [48, 50],
+                emerald_left: [68, 70],
+                ruby_down: [12, 14],
+                ruby_up: [32, 34],
+                ruby_right: [52, 54],
+                ruby_left: [72, 74],
+                diamond_down: [16, 18],
+                diamond_up: [36, 38],
+                diamond_right: [56, 58],
+                diamond_left: [76, 78]
             }
         });
     }
@@ -221,17 +267,18 @@ class LoadingHandler {
      * Creates placeholder boost spritesheet
      */
     createPlaceholderBoostSpriteSheet() {
-        const canvas = document.createElement('canvas');
-        canvas.width = 20 * 16; // 16 frames
+        const canvas = document.createElement("canvas");
+        // 16 frames
+        canvas.width = 20 * 16;
         canvas.height = 20;
-        const ctx = canvas.getContext('2d');
-        
+        const ctx = canvas.getContext("2d");
+
         for (let i = 0; i < 16; i++) {
             // Draw flame effect
             const intensity = (i % 4) / 4;
             ctx.fillStyle = `rgba(255, ${Math.floor(165 * intensity)}, 0, 0.8)`;
             ctx.fillRect(i * 20 + 5, 5, 10, 10);
-            
+
             ctx.fillStyle = `rgba(255, 255, 0, ${intensity})`;
             ctx.fillRect(i * 20 + 7, 7, 6, 6);
         }
@@ -240,10 +287,10 @@ class LoadingHandler {
             images: [canvas],
             frames: { width: 20, height: 20, count: 16 },
             animations: {
-                "down": [0, 3],
-                "up": [4, 7],
-                "right": [8, 11],
-                "left": [12, 15]
+                down: [0, 3],
+                up: [4, 7],
+                right: [8, 11],
+                left: [12, 15]
             }
         });
     }
@@ -252,31 +299,39 @@ class LoadingHandler {
      * Ensures all required assets exist
      */
     ensureRequiredAssets() {
-        const required = ['bgdirt', 'tiles', 'player', 'player_drills', 'player_boost'];
-        
+        const required = ["bgdirt", "tiles", "player", "player_drills", "player_boost"];
+
         for (const assetId of required) {
             if (!this.sprites[assetId]) {
                 console.warn(`Missing asset: ${assetId}, creating placeholder`);
-                
+
                 switch (assetId) {
-                    case 'bgdirt':
+                    case "bgdirt":
                         this.sprites[assetId] = this.createPlaceholderImage(50, 50, "#8B4513");
                         break;
-                    case 'tiles':
+                    case "tiles":
                         this.sprites[assetId] = this.createPlaceholderSpriteSheet();
                         break;
-                    case 'player':
+                    case "player":
                         this.sprites[assetId] = this.createPlaceholderPlayerSpriteSheet();
                         break;
-                    case 'player_drills':
+                    case "player_drills":
                         this.sprites[assetId] = this.createPlaceholderDrillSpriteSheet();
                         break;
-                    case 'player_boost':
+                    case "player_boost":
                         this.sprites[assetId] = this.createPlaceholderBoostSpriteSheet();
                         break;
                 }
             }
         }
+
+        // The data files are bundled with the game, so fall back to those copies
+        for (const id in bundledData) {
+            if (!this.data[id]) {
+                console.warn(`Missing data: ${id}, using the bundled copy`);
+                this.data[id] = bundledData[id];
+            }
+        }
     }
 }
 
@@ -0,0 +1,246 @@
+const MinerModel = require("../Sim/MinerModel.js");
+
+/** @typedef {import("../Grid/Tile.js")} Tile */
+/** @typedef {import("../Sim/TileRegistry.js").MapTileProperties} MapTileProperties */
+
+/**
+ * A small square that flies off and shrinks away.
+ * @typedef {Object} Particle
+ * @property {number} x
+ * @property {number} y
+ * @property {number} vx Pixels per second.
+ * @property {number} vy Pixels per second.
+ * @property {number} gravity How fast the particle falls faster, in pixels per second per second.
+ * @property {number} size
+ * @property {string} color
+ * @property {number} life How many milliseconds the particle has left.
+ * @property {number} maxLife How many milliseconds the particle lives for.
+ */
+
+/**
+ * Draws the particles of the game: debris while drilling, a burst when a tile is destroyed,
+ * and exhaust from the thruster.
+ *
+ * Every particle is drawn on one shape, and particles are pooled so none are created while playing.
+ * When every particle is in use, the oldest is reused.
+ */
+class ParticleHandler extends createjs.Shape {
+    /**
+     * @param {import("../Game.js")} game The game.
+     */
+    constructor(game) {
+        super();
+        this.game = game;
+
+        /**
+         * The most particles alive at once.
+         * @type {number}
+         */
+        this.maxParticles = 300;
+
+        /**
+         * The particles that are alive, oldest first.
+         * @type {Array<Particle>}
+         */
+        this.particles = [];
+
+        /**
+         * Particles that aren't alive, ready to be reused.
+         * @type {Array<Particle>}
+         */
+        this.pool = [];
+        for (let i = 0; i < this.maxParticles; i++) this.pool.push({});
+
+        /**
+         * How many particles are thrown up every second while drilling, and from the thruster while moving.
+         * @type {number}
+         */
+        this.debrisRate = 30;
+        this.exhaustRate = 25;
+
+        /**
+         * How many particles burst out of a destroyed tile.
+         * @type {number}
+         */
+        this.burstSize = 16;
+
+        /**
+         * Particles owed by the emitters, carried between ticks so emitting doesn't depend on the framerate.
+         * @type {number}
+         */
+        this.debrisOwed = 0;
+        this.exhaustOwed = 0;
+
+        /**
+         * Whether or not to run the tick event.
+         * @type {boolean}
+         */
+        this.tickEnabled = true;
+
+        /**
+         * Listeners added to the simulation, kept so they can be removed.
+         */
+        this.simListeners = {
+            tiledestroy: this.onTileDestroy.bind(this)
+        };
+        for (const type in this.simListeners) this.game.simulation.on(type, this.simListeners[type]);
+
+        this.tickListener = createjs.Ticker.addEventListener("tick", this.tick.bind(this));
+        this.game.addChild(this);
+    }
+
+    tick(event) {
+        if (!this.tickEnabled || event.paused) return;
+        const seconds = event.delta / 1000;
+        for (let i = this.particles.length - 1; i >= 0; i--) {
+            const particle = this.particles[i];
+            particle.life -= event.delta;
+            if (particle.life <= 0) {
+                this.particles.splice(i, 1);
+                this.pool.push(particle);
+                continue;
+            }
+            particle.vy += particle.gravity * seconds;
+            particle.x += particle.vx * seconds;
+            particle.y += particle.vy * seconds;
+        }
+        this.emitFromPlayer(seconds);
+        this.draw();
+    }
+
+    /**
+     * Throws up debris from the tile being drilled, and exhaust from the thruster while it's lit.
+     * @param {number} seconds How long since the last tick.
+     */
+    emitFromPlayer(seconds) {
+        const player = this.game.displayHandler.player;
+        if (!player) return;
+        const tileSize = this.game.displayHandler.grid.tileSize;
+        const model = player.model;
+
+        if (player.moving && model.minetile) {
+            this.debrisOwed += this.debrisRate * seconds;
+            // The drill bites at the edge of the player facing the tile
+            const { x, y } = this.getOffset(model.moveDirection, tileSize / 2);
+            const color = this.getColor(model.minetile);
+            for (; this.debrisOwed >= 1; this.debrisOwed--) {
+                this.emit(player.xCenter + x, player.yCenter + y, color, -x * 2, -y * 2 - 60, 600);
+            }
+        } else {
+            this.debrisOwed = 0;
+        }
+
+        if (player.boost.visible) {
+            this.exhaustOwed += this.exhaustRate * seconds;
+            // The thruster sprite is 20 pixels across and pushes away from where the player is heading
+            const { x, y } = this.getOffset(model.moveDirection, 80);
+            for (; this.exhaustOwed >= 1; this.exhaustOwed--) {
+                const color = Math.random() < 0.5 ? "#FF9800" : "#9E9E9E";
+                this.emit(player.boost.x + 10, player.boost.y + 10, color, -x, -y, 400, 0);
+            }
+        } else {
+            this.exhaustOwed = 0;
+        }
+    }
+
+    /**
+     * Bursts particles out of a destroyed tile.
+     * @param {Tile} tile
+     * @param {MapTileProperties} properties
+     */
+    onTileDestroy(tile, properties) {
+        const tileSize = this.game.displayHandler.grid.tileSize;
+        const color = this.getColor(properties);
+        for (let i = 0; i < this.burstSize; i++) {
+            const angle = Math.random() * Math.PI * 2;
+            this.emit((tile.gX + 0.5) * tileSize, (tile.gY + 0.5) * tileSize, color, Math.cos(angle) * 120, Math.sin(angle) * 120 - 40, 700);
+        }
+    }
+
+    /**
+     * Emits a particle, jittering its speed and life a bit so particles don't move together.
+     * @param {number} x
+     * @param {number} y
+     * @param {string} color
+     * @param {number} vx Pixels per second.
+     * @param {number} vy Pixels per second.
+     * @param {number} life Milliseconds.
+     * @param {number} [gravity] Pixels per second per second.
+     * @returns {Particle}
+     */
+    emit(x, y, color, vx, vy, life, gravity = 400) {
+        // Reuse the oldest particle when every particle is in use
+        const particle = this.pool.length ? this.pool.pop() : this.particles.shift();
+        particle.x = x;
+        particle.y = y;
+        particle.vx = vx + (Math.random() - 0.5) * 60;
+        particle.vy = vy + (Math.random() - 0.5) * 60;
+        particle.gravity = gravity;
+        particle.size = 2 + Math.random() * 3;
+        particle.color = color;
+        particle.maxLife = life * (0.75 + Math.random() * 0.5);
+        particle.life = particle.maxLife;
+        this.particles.push(particle);
+        return particle;
+    }
+
+    /**
+     * Gets the offset from the center of the player toward where it's heading.
+     * @param {MinerModel.Direction} direction
+     * @param {number} distance
+     * @returns {{x: number, y: number}}
+     */
+    getOffset(direction, distance) {
+        switch (direction) {
+            case MinerModel.Direction.UP:
+                return { x: 0, y: -distance };
+            case MinerModel.Direction.DOWN:
+                return { x: 0, y: distance };
+            case MinerModel.Direction.LEFT:
+                return { x: -distance, y: 0 };
+            default:
+                return { x: distance, y: 0 };
+        }
+    }
+
+    /**
+     * Gets the colour of the particles of a tile. Tiles that aren't ores are black in the registry,
+     * so they use their colour on the map instead.
+     * @param {MapTileProperties} properties
+     * @returns {string}
+     */
+    getColor(properties) {
+        return properties.color == "#000" && properties.mapColor ? properties.mapColor : properties.color;
+    }
+
+    /**
+     * Redraws every particle. A shape is drawn at one alpha, so particles shrink away as they die instead of fading.
+     */
+    draw() {
+        const graphics = this.graphics.clear();
+        for (const particle of this.particles) {
+            const size = particle.size * particle.life / particle.maxLife;
+            graphics.beginFill(particle.color).drawRect(particle.x - size / 2, particle.y - size / 2, size, size);
+        }
+    }
+
+    /**
+     * Brings the particles to the front of the screen. Used for relayering.
+     */
+    bringToFront() {
+        this.game.setChildIndex(this, this.game.children.length - 1);
+    }
+
+    /**
+     * Removes every particle and stops listening to the simulation.
+     */
+    destroy() {
+        createjs.Ticker.removeEventListener("tick", this.tickListener);
+        for (const type in this.simListeners) this.game.simulation.off(type, this.simListeners[type]);
+        this.pool.push(...this.particles);
+        this.particles.length = 0;
+        this.game.removeChild(this);
+    }
+}
+
+module.exports = ParticleHandler;
@@ -1,5 +1,13 @@
+const SaveSchema = require("../Sim/SaveSchema.js");
+const SaveFile = require("../Sim/SaveFile.js");
+
 /**
- * Handles saving and loading game state
+ * Handles saving and loading game state.
+ * Games are saved in named slots, each under its own key, with an index of the slots under {@link SaveHandler#slotsKey}.
+ * Slots are stored as save files (see {@link SaveFile}), so they can be exported and imported as they are.
+ *
+ * The game is also autosaved every so often into a rolling set of recovery snapshots, kept apart from the slots,
+ * so a crash or a closed tab loses at most {@link SaveHandler#autosaveInterval} of play.
  */
 class SaveHandler {
     /**
@@ -7,41 +15,131 @@ class SaveHandler {
      */
     constructor(game) {
         this.game = game;
-        this.saveKey = 'megaminer_save';
+
+        /**
+         * The key every slot is saved under, followed by the slot id.
+         * Games saved before slots existed were saved under this key alone.
+         * @type {string}
+         */
+        this.saveKey = "megaminer_save";
+
+        /**
+         * The key the index of slots is saved under.
+         * @type {string}
+         */
+        this.slotsKey = "megaminer_saves";
+
+        /**
+         * The slot used when none is given, which games saved before slots existed are moved into.
+         * @type {string}
+         */
+        this.defaultSlot = "main";
+
+        /**
+         * The key every recovery snapshot is saved under, followed by its index.
+         * @type {string}
+         */
+        this.snapshotKey = "megaminer_autosave";
+
+        /**
+         * How many recovery snapshots are kept. The oldest is overwritten by the next autosave.
+         * @type {number}
+         */
+        this.snapshotCount = 3;
+
+        /**
+         * Time between autosaves in milliseconds. Autosaving is disabled if it is 0.
+         * @type {number}
+         */
+        this.autosaveInterval = 60000;
+
+        /**
+         * Time since the last autosave in milliseconds.
+         * @type {number}
+         */
+        this.sinceAutosave = 0;
+
+        /**
+         * Whether or not the game is autosaved.
+         * @type {boolean}
+         */
+        this.tickEnabled = true;
+
+        /**
+         * The listener added to the ticker, kept so it can be removed.
+         */
+        this.tickListener = createjs.Ticker.addEventListener("tick", this.tick.bind(this));
+    }
+
+    /**
+     * Counts down to the next autosave.
+     * @param {createjs.TickerEvent} event
+     */
+    tick(event) {
+        if (!this.tickEnabled || event.paused) return;
+        if (!this.game.simulation || this.autosaveInterval <= 0) return;
+
+        this.sinceAutosave += event.delta;
+        if (this.sinceAutosave >= this.autosaveInterval) this.autosave();
+    }
+
+    /**
+     * Saves the game into the oldest recovery snapshot. Autosaves are skipped while a building UI is open,
+     * the screen is fading or the miner is between two tiles, since the game is halfway through changing then,
+     * and tried again next tick.
+     * @param {boolean} [force] Save even while a building UI is open, the screen is fading or the miner is moving.
+     * @returns {boolean} Whether or not the game was saved.
+     */
+    autosave(force = false) {
+        const displayHandler = this.game.displayHandler;
+        const miner = this.game.simulation.miner;
+        if (!force && (displayHandler.buildingHandler.currentUI || displayHandler.fading)) return false;
+        if (!force && (miner.moving || miner.falling)) return false;
+        this.sinceAutosave = 0;
+
+        try {
+            const saveData = this.schema.create(this.game.simulation, {
+                name: "Autosave",
+                waypoints: displayHandler.buildingHandler.waypoints
+            });
+
+            const snapshots = this.listSnapshots();
+            let index = 0;
+            while (index < this.snapshotCount && snapshots.some(s => s.snapshot == index)) index++;
+            if (index == this.snapshotCount) index = snapshots[snapshots.length - 1].snapshot;
+
+            localStorage.setItem(this.getSnapshotKey(index), SaveFile.encode(saveData));
+            return true;
+        } catch (error) {
+            console.error("Failed to autosave:", error);
+            return false;
+        }
     }
 
     /**
-     * Saves the current game state
+     * Reads, migrates and validates saves for the current simulation.
+     * @type {SaveSchema}
+     */
+    get schema() {
+        const simulation = this.game.simulation;
+        return new SaveSchema(simulation.registry, simulation.upgrades, simulation.items, simulation.world);
+    }
+
+    /**
+     * Saves the current game state in a slot
+     * @param {string} [slot] The id of the slot.
+     * @param {string} [name] The name of the slot. Defaults to the name it already has.
      * @returns {boolean} Success
      */
-    saveGame() {
+    saveGame(slot = this.defaultSlot, name) {
         try {
-            const player = this.game.displayHandler.player;
-            const buildingHandler = this.game.displayHandler.buildingHandler;
-            
-            const saveData = {
-                version: "1.0.0",
-                timestamp: Date.now(),
-                player: {
-                    money: player.money,
-                    fuel: player.fuel,
-                    maxFuel: player.maxFuel,
-                    tank: player.tank,
-                    position: { 
-                        x: player.x, 
-                        y: player.y 
-                    },
-                    speedMultiplier: player.speedMultiplier,
-                    cargo: player.hold.mapTiles,
-                    cargoCapacity: player.hold.capacity
-                },
-                world: {
-                    seed: this.game.displayHandler.map.seed,
-                    waypoints: buildingHandler.waypoints
-                }
-            };
-
-            localStorage.setItem(this.saveKey, JSON.stringify(saveData));
+            const existing = this.listSlots().find(s => s.slot == slot);
+            const saveData = this.schema.create(this.game.simulation, {
+                name: name || (existing ? existing.name : slot),
+                waypoints: this.game.displayHandler.buildingHandler.waypoints
+            });
+
+            this.writeSlot(slot, saveData);
             return true;
         } catch (error) {
             console.error("Failed to save game:", error);
@@ -50,133 +148,238 @@ class SaveHandler {
     }
 
     /**
-     * Loads the game state
-     * @returns {Object|null} Save data or null if not found
+     * Loads the game state from a slot
+     * @param {string} [slot] The id of the slot.
+     * @returns {import("../Sim/SaveSchema.js").SaveData|null} Save data or null if not found or corrupt
      */
-    loadGame() {
-        try {
-            const saveDataStr = localStorage.getItem(this.saveKey);
-            if (!saveDataStr) return null;
-
-            const saveData = JSON.parse(saveDataStr);
-            
-            // Validate save data
-            if (!saveData.version || !saveData.player) {
-                console.warn("Invalid save data format");
-                return null;
-            }
+    loadGame(slot = this.defaultSlot) {
+        this.importLegacySave();
+        const saveDataStr = localStorage.getItem(this.getSlotKey(slot));
+        if (!saveDataStr) return null;
 
-            return saveData;
+        try {
+            return this.readSave(saveDataStr);
         } catch (error) {
-            console.error("Failed to load game:", error);
+            console.error(`Failed to load save "${slot}":`, error.message);
             return null;
         }
     }
 
     /**
-     * Applies loaded save data to the game
-     * @param {Object} saveData 
+     * Reads a save, either a save file or the plain JSON older versions of the game stored.
+     * @param {string} text
+     * @returns {import("../Sim/SaveSchema.js").SaveData}
+     * @throws {SaveSchema.SaveError} Explaining why the save can't be loaded.
+     */
+    readSave(text) {
+        return this.schema.read(SaveFile.isSaveFile(text) ? SaveFile.decode(text) : text);
+    }
+
+    /**
+     * Writes save data to a slot, adding the slot to the index if it's new.
+     * @param {string} slot
+     * @param {import("../Sim/SaveSchema.js").SaveData} saveData
+     */
+    writeSlot(slot, saveData) {
+        localStorage.setItem(this.getSlotKey(slot), SaveFile.encode(saveData));
+        const slots = this.getSlotIds();
+        if (!slots.includes(slot)) localStorage.setItem(this.slotsKey, JSON.stringify(slots.concat(slot)));
+    }
+
+    /**
+     * Packs a slot into a save file to be downloaded.
+     * @param {string} slot
+     * @returns {string} `null` if the slot can't be read.
+     */
+    exportGame(slot) {
+        const saveData = this.loadGame(slot);
+        return saveData ? SaveFile.encode(saveData) : null;
+    }
+
+    /**
+     * Reads a save file into a new slot.
+     * @param {string} text The contents of the save file.
+     * @returns {import("../Sim/SaveSchema.js").SaveData} The imported save.
+     * @throws {SaveSchema.SaveError} Explaining why the file can't be imported.
+     */
+    importGame(text) {
+        const saveData = this.readSave(text);
+        this.writeSlot(`${Date.now()}`, saveData);
+        return saveData;
+    }
+
+    /**
+     * Applies loaded save data to the game. The data must come from {@link SaveHandler#loadGame},
+     * which has already rejected anything that couldn't be applied in full.
+     * @param {import("../Sim/SaveSchema.js").SaveData} saveData
      */
     applySaveData(saveData) {
-        try {
-            const player = this.game.displayHandler.player;
-            const buildingHandler = this.game.displayHandler.buildingHandler;
-            
-            // Apply player data
-            player.money = saveData.player.money || 300;
-            player.fuel = saveData.player.fuel || player.maxFuel;
-            player.maxFuel = saveData.player.maxFuel || 10;
-            player.tank = saveData.player.tank || 0;
-            player.speedMultiplier = saveData.player.speedMultiplier || 1;
-            
-            // Apply position
-            if (saveData.player.position) {
-                player.x = saveData.player.position.x;
-                player.y = saveData.player.position.y;
-                player.targetPos = { 
-                    x: saveData.player.position.x, 
-                    y: saveData.player.position.y 
-                };
-                player.tile = player.grid.getTilePositionFromPixelPosition(player.x, player.y);
-            }
+        this.schema.apply(this.game.simulation, saveData);
+        this.game.displayHandler.buildingHandler.waypoints = saveData.world.waypoints;
+        this.game.displayHandler.map.refresh();
+        this.sinceAutosave = 0;
+    }
 
-            // Apply cargo
-            if (saveData.player.cargo) {
-                player.hold.mapTiles = saveData.player.cargo;
-                player.hold.updateHold();
-            }
-            
-            if (saveData.player.cargoCapacity) {
-                player.hold.capacity = saveData.player.cargoCapacity;
-            }
+    /**
+     * Lists every slot, newest first. Slots that can't be read are listed without a timestamp.
+     * @returns {Array<{slot: string, name: string, timestamp: number}>}
+     */
+    listSlots() {
+        this.importLegacySave();
+        const slots = [];
+        for (const slot of this.getSlotIds()) {
+            const saveDataStr = localStorage.getItem(this.getSlotKey(slot));
+            if (!saveDataStr) continue;
+
+            const { name, timestamp } = describeSave(saveDataStr);
+            slots.push({ slot: slot, name: name === null ? slot : name, timestamp: timestamp });
+        }
+        return slots.sort((a, b) => b.timestamp - a.timestamp);
+    }
+
+    /**
+     * Lists every recovery snapshot, newest first. Snapshots that can't be read are listed without a timestamp.
+     * @returns {Array<{snapshot: number, timestamp: number}>}
+     */
+    listSnapshots() {
+        const snapshots = [];
+        for (let i = 0; i < this.snapshotCount; i++) {
+            const saveDataStr = localStorage.getItem(this.getSnapshotKey(i));
+            if (saveDataStr) snapshots.push({ snapshot: i, timestamp: describeSave(saveDataStr).timestamp });
+        }
+        return snapshots.sort((a, b) => b.timestamp - a.timestamp);
+    }
 
-            // Apply world data
-            if (saveData.world.waypoints) {
-                buildingHandler.waypoints = saveData.world.waypoints;
+    /**
+     * Loads the most recent recovery snapshot that can be read.
+     * @returns {import("../Sim/SaveSchema.js").SaveData|null} Save data or null if there is none
+     */
+    loadSnapshot() {
+        for (const { snapshot } of this.listSnapshots()) {
+            try {
+                return this.readSave(localStorage.getItem(this.getSnapshotKey(snapshot)));
+            } catch (error) {
+                console.error(`Failed to load autosave ${snapshot}:`, error.message);
             }
+        }
+        return null;
+    }
 
-            // Update UI
-            player.updateFuel(0);
-            document.getElementById("money").innerHTML = `Money: $${player.money}`;
-            
-            return true;
+    /**
+     * Gets the id of every slot in the index.
+     * @returns {Array<string>}
+     */
+    getSlotIds() {
+        try {
+            const slots = JSON.parse(localStorage.getItem(this.slotsKey));
+            return Array.isArray(slots) ? slots.filter(slot => typeof slot == "string") : [];
         } catch (error) {
-            console.error("Failed to apply save data:", error);
-            return false;
+            return [];
         }
     }
 
     /**
-     * Checks if a save file exists
-     * @returns {boolean}
+     * Gets the key a slot is saved under.
+     * @param {string} slot
+     * @returns {string}
+     */
+    getSlotKey(slot) {
+        return `${this.saveKey}_${slot}`;
+    }
+
+    /**
+     * Gets the key a recovery snapshot is saved under.
+     * @param {number} snapshot The index of the snapshot.
+     * @returns {string}
      */
-    hasSaveFile() {
-        return localStorage.getItem(this.saveKey) !== null;
+    getSnapshotKey(snapshot) {
+        return `${this.snapshotKey}_${snapshot}`;
     }
 
     /**
-     * Deletes the save file
+     * Moves a game saved before slots existed into the default slot, unless that slot is taken.
+     * It is migrated to the current format when it's loaded.
      */
-    deleteSave() {
+    importLegacySave() {
+        const legacy = localStorage.getItem(this.saveKey);
+        if (legacy === null) return;
+
+        if (localStorage.getItem(this.getSlotKey(this.defaultSlot)) === null) {
+            localStorage.setItem(this.getSlotKey(this.defaultSlot), legacy);
+            const slots = this.getSlotIds();
+            if (!slots.includes(this.defaultSlot)) localStorage.setItem(this.slotsKey, JSON.stringify(slots.concat(this.defaultSlot)));
+        }
         localStorage.removeItem(this.saveKey);
     }
 
     /**
-     * Auto-loads game if save exists
+     * Checks if a slot has been saved in
+     * @param {string} [slot] The id of the slot.
+     * @returns {boolean}
+     */
+    hasSaveFile(slot = this.defaultSlot) {
+        return this.listSlots().some(s => s.slot == slot);
+    }
+
+    /**
+     * Deletes the save in a slot
+     * @param {string} [slot] The id of the slot.
+     */
+    deleteSave(slot = this.defaultSlot) {
+        localStorage.removeItem(this.getSlotKey(slot));
+        localStorage.setItem(this.slotsKey, JSON.stringify(this.getSlotIds().filter(s => s != slot)));
+    }
+
+    /**
+     * Auto-loads the most recent slot that can be read. If the last autosave is newer,
+     * for example because the game crashed, the player is offered to resume from it instead.
      */
     autoLoad() {
-        if (this.hasSaveFile()) {
-            const saveData = this.loadGame();
-            if (saveData) {
-                // Add a slight delay to ensure all systems are initialized
-                setTimeout(() => {
-                    this.applySaveData(saveData);
-                    this.game.displayHandler.buildingHandler.showMessage("Game loaded successfully!", "#4CAF50");
-                }, 100);
-            }
+        let saveData = null;
+        for (const { slot } of this.listSlots()) {
+            saveData = this.loadGame(slot);
+            if (saveData) break;
         }
-    }
-}
 
-module.exports = SaveHandler;
+        const snapshot = this.loadSnapshot();
+        if (snapshot && (!saveData || snapshot.timestamp > saveData.timestamp)) {
+            const date = new Date(snapshot.timestamp).toLocaleString();
+            const fallback = saveData ? `"${saveData.name}"` : "a new game";
+            if (confirm(`Resume from the last autosave (${date})?\nCancel to start from ${fallback} instead.`)) saveData = snapshot;
+        }
+        if (!saveData) return;
 
-// Add to src/Handler/DisplayHandler.js init() method:
-/*
-// Initialize save handler
-this.saveHandler = new SaveHandler(this.game);
+        // Add a slight delay to ensure all systems are initialized
+        setTimeout(() => {
+            this.applySaveData(saveData);
+            this.game.displayHandler.buildingHandler.showMessage(`Loaded ${saveData.name}!`, "#4CAF50");
+        }, 100);
+    }
 
-// Auto-load if save exists (add this at the end of init())
-this.saveHandler.autoLoad();
-*/
+    /**
+     * Stops autosaving.
+     */
+    destroy() {
+        createjs.Ticker.removeEventListener("tick", this.tickListener);
+    }
+}
 
-// Update BuildingHandler.js saveGame() method:
-/*
-saveGame() {
-    const saveHandler = this.game.displayHandler.saveHandler;
-    if (saveHandler.saveGame()) {
-        this.showMessage("Game Saved Successfully!", "#4CAF50");
-    } else {
-        this.showMessage("Failed to save game!", "#e74c3c");
+/**
+ * Reads the name and timestamp of a save without validating it.
+ * @param {string} text A save file or the plain JSON older versions of the game stored.
+ * @returns {{name: string, timestamp: number}} The name is `null` and the timestamp 0 if they can't be read.
+ */
+function describeSave(text) {
+    let saveData = null;
+    try {
+        saveData = SaveFile.isSaveFile(text) ? SaveFile.decode(text) : JSON.parse(text);
+    } catch (error) {
+        saveData = null;
     }
+    return {
+        name: saveData && typeof saveData.name == "string" ? saveData.name : null,
+        timestamp: saveData && Number.isFinite(saveData.timestamp) ? saveData.timestamp : 0
+    };
 }
-*/
\ No newline at end of file
+
+module.exports = SaveHandler;
@@ -0,0 +1,143 @@
+/**
+ * Keeps the settings of the player, saved in localStorage, and applies them to the game.
+ * Key bindings are kept by the {@link InputHandler} instead.
+ */
+class SettingsHandler {
+    /**
+     * @param {import("../Game.js")} game The game
+     */
+    constructor(game) {
+        this.game = game;
+
+        /**
+         * The key the settings are saved under in localStorage.
+         * @type {string}
+         */
+        this.settingsKey = "megaminer_settings";
+
+        /**
+         * The value of every setting, indexed by setting.
+         * @type {Object.<string, number|boolean>}
+         */
+        this.values = this.load();
+    }
+
+    /**
+     * Gets the value of a setting.
+     * @param {SettingsHandler.Setting} setting
+     * @returns {number|boolean}
+     */
+    get(setting) {
+        return this.values[setting];
+    }
+
+    /**
+     * Changes a setting, saving and applying it straight away.
+     * @param {SettingsHandler.Setting} setting
+     * @param {number|boolean} value Must be the same type as the default value of the setting.
+     * @throws {Error} If the setting doesn't exist or the value has the wrong type.
+     */
+    set(setting, value) {
+        const defaultValue = SettingsHandler.defaults[setting];
+        if (defaultValue === undefined) throw new Error(`Unknown setting "${setting}"`);
+        if (typeof value != typeof defaultValue) throw new Error(`Setting "${setting}" must be a ${typeof defaultValue}`);
+
+        this.values[setting] = value;
+        localStorage.setItem(this.settingsKey, JSON.stringify(this.values));
+        this.apply(setting);
+    }
+
+    /**
+     * Loads the saved settings. Any setting that wasn't saved, or was saved wrong, keeps its default value.
+     * @returns {Object.<string, number|boolean>}
+     */
+    load() {
+        let saved = {};
+        try {
+            saved = JSON.parse(localStorage.getItem(this.settingsKey)) || {};
+        } catch (e) {
+            console.warn("Failed to load the settings:", e);
+        }
+
+        const values = {};
+        for (const setting in SettingsHandler.defaults) {
+            const defaultValue = SettingsHandler.defaults[setting];
+            values[setting] = typeof saved[setting] == typeof defaultValue ? saved[setting] : defaultValue;
+        }
+        return values;
+    }
+
+    /**
+     * Applies a setting to the game, or every setting if none is given.
+     * Settings that need something the game hasn't created yet are applied once {@link SettingsHandler#apply} is called again.
+     * @param {SettingsHandler.Setting} [setting]
+     */
+    apply(setting) {
+        if (!setting) {
+            for (const name in this.values) this.apply(name);
+            return;
+        }
+
+        const value = this.values[setting];
+        const displayHandler = this.game.displayHandler;
+        switch (setting) {
+            case SettingsHandler.Setting.GRID_OVERLAY:
+                if (displayHandler.grid.showGridOverlay != value) displayHandler.grid.toggleOverlay();
+                break;
+            case SettingsHandler.Setting.SHOW_FPS: {
+                const fps = document.getElementById("fps");
+                fps.style.display = value ? "" : "none";
+                this.game.fpsElement = value ? fps : null;
+                break;
+            }
+            case SettingsHandler.Setting.CAMERA_SMOOTHING:
+                if (displayHandler.camera) displayHandler.camera.smoothing = value;
+                break;
+            case SettingsHandler.Setting.VOLUME:
+            case SettingsHandler.Setting.MUSIC_VOLUME:
+            case SettingsHandler.Setting.SFX_VOLUME:
+            case SettingsHandler.Setting.MUTED:
+                this.game.audioHandler.updateVolume();
+                break;
+        }
+    }
+}
+
+/**
+ * Every setting.
+ * @readonly
+ * @enum {string}
+ */
+SettingsHandler.Setting = {
+    /** How loud the game is, from 0 to 1. The music and sound effects are played at this times their own volume. */
+    VOLUME: "volume",
+    /** How loud the music is, from 0 to 1. */
+    MUSIC_VOLUME: "musicVolume",
+    /** How loud the sound effects are, from 0 to 1. */
+    SFX_VOLUME: "sfxVolume",
+    /** Whether or not every sound is muted, keeping the volumes for when it's unmuted. */
+    MUTED: "muted",
+    /** Whether or not the grid is drawn over the world. */
+    GRID_OVERLAY: "gridOverlay",
+    /** Whether or not the framerate is shown. */
+    SHOW_FPS: "showFps",
+    /** How far the camera moves toward the player every frame, from 0 to 1. 1 follows the player exactly. */
+    CAMERA_SMOOTHING: "cameraSmoothing"
+};
+
+/**
+ * The value of every setting until the player changes it.
+ * @readonly
+ * @type {Object.<string, number|boolean>}
+ */
+SettingsHandler.defaults = {
+    [SettingsHandler.Setting.VOLUME]: 0.8,
+    [SettingsHandler.Setting.MUSIC_VOLUME]: 0.5,
+    [SettingsHandler.Setting.SFX_VOLUME]: 1,
+    [SettingsHandler.Setting.MUTED]: false,
+    [SettingsHandler.Setting.GRID_OVERLAY]: false,
+    [SettingsHandler.Setting.SHOW_FPS]: false,
+    [SettingsHandler.Setting.CAMERA_SMOOTHING]: 0.1
+};
+
+module.exports = SettingsHandler;
@@ -1,23 +1,10 @@
-// src/Map/Map.js (Updated with buildings)
-/** @typedef {import("./MapTile.js")} MapTile */
 const Tile = require("../Grid/Tile.js");
-const MapTile = require("./MapTile.js"); // eslint-disable-line
-const seedrandom = require("seedrandom");
-
-// Tiles
-const Grass = require("./Tiles/Grass.js");
-const Dirt = require("./Tiles/Dirt.js");
-const Coal = require("./Tiles/Coal.js");
-
-// Buildings
-const Shop = require("./Tiles/Shop.js");
-const SaveStation = require("./Tiles/SaveStation.js");
-const SellingPost = require("./Tiles/SellingPost.js");
-const FuelStation = require("./Tiles/FuelStation.js");
-const Teleporter = require("./Tiles/Teleporter.js");
+const MapTile = require("./MapTile.js");
+const MapChunk = require("./MapChunk.js");
 
 /**
- * Handles and creates all tiles relating to the map itself. Also handles map generation among various other map-related things.
+ * Renders the world: streams in a {@link MapChunk} for every chunk of the {@link WorldModel} around the camera,
+ * and drops them again once they're far off screen.
  */
 class GameMap {
     /**
@@ -32,17 +19,23 @@ class GameMap {
          */
         this.grid = this.game.displayHandler.grid;
 
+        /**
+         * A reference to the world model this map renders.
+         * @type {import("../Sim/WorldModel.js")}
+         */
+        this.world = this.game.simulation.world;
+
         /**
          * Determines the maximum position vertically that the tiles will be generated (in grid units).
          * @type {number}
          */
-        this.horizonLineGU = 8;
+        this.horizonLineGU = this.world.horizonLineGU;
 
         /**
          * Determines the maximum position vertically that tiles will be generated (in pixels).
          * @type {number}
          */
-        this.horizonLine = this.horizonLineGU * this.grid.tileSize;
+        this.horizonLine = this.world.horizonLine;
 
         /**
          * An array of "tiles" used in the background.
@@ -51,43 +44,94 @@ class GameMap {
         this.bg_tiles = [];
 
         /**
-         * A list of tiles used in the foreground (supposedly the same layer as the player).
-         * @type {Object.<string, MapTile>}
+         * The chunks currently rendered, indexed by their chunk position.
+         * @type {Object.<string, MapChunk>}
+         */
+        this.chunks = {};
+
+        /**
+         * How many chunks past the edge of the screen to render, so they're ready before they scroll into view.
+         * Chunks are dropped once they're twice as far.
+         * @type {number}
          */
-        this.fg_tiles = {};
+        this.chunkMargin = 1;
 
         /**
-         * A container used to decrease rendering for each tile.
+         * A container for every rendered chunk (supposedly the same layer as the player).
          * @type {createjs.Container}
          */
         this.tiles = new createjs.Container();
 
         /**
-         * A randomly generated number depending on the EPOCH timestamp to determine the randomness of this map.
+         * A container for the building indicators and labels, drawn on top of the tiles.
+         * @type {createjs.Container}
+         */
+        this.buildings = new createjs.Container();
+
+        /**
+         * How many of the outposts in the world have an indicator. Outposts are found as chunks are generated,
+         * so new ones are picked up every tick.
          * @type {number}
          */
-        this.seed = 0;
+        this.outpostsShown = 0;
+
+        /**
+         * A container for the loose tiles that are falling, drawn outside of the chunks since they cross them.
+         * @type {createjs.Container}
+         */
+        this.falling = new createjs.Container();
+
+        /**
+         * The sprite of every falling tile indexed by their id.
+         * @type {Object.<number, MapTile>}
+         */
+        this.fallingSprites = {};
+
+        /**
+         * A container for the bombs and ore drops lying in the world.
+         * @type {createjs.Container}
+         */
+        this.objects = new createjs.Container();
+
+        /**
+         * The sprite of every bomb and every ore drop, indexed by their id.
+         * @type {Object.<number, createjs.Container>}
+         */
+        this.bombSprites = {};
+        this.dropSprites = {};
+
+        /**
+         * Listeners added to the simulation, kept so they can be removed.
+         */
+        this.simListeners = {
+            tiledestroy: this.removeTile.bind(this),
+            tilefall: this.onTileFall.bind(this),
+            tileland: this.onTileLand.bind(this),
+            crush: this.removeFallingTile.bind(this),
+            bomb: this.onBombPlace.bind(this),
+            detonate: this.removeBomb.bind(this),
+            drop: this.onOreDrop.bind(this),
+            pickup: this.removeDrop.bind(this)
+        };
+
+        /**
+         * Whether or not to run the tick event.
+         * @type {boolean}
+         */
+        this.tickEnabled = true;
 
         /**
-         * Building positions on the surface
-         * @type {Array<{type: Function, x: number}>}
+         * The listener added to the ticker, kept so it can be removed.
          */
-        this.surfaceBuildings = [
-            { type: Shop, x: 5 },
-            { type: SaveStation, x: 10 },
-            { type: SellingPost, x: 15 },
-            { type: FuelStation, x: 25 },
-            { type: Teleporter, x: 30 }
-        ];
+        this.tickListener = null;
     }
 
     /**
      * Generates a new map.
+     * @param {number} [seed] The seed to generate the world with.
      */
     generate(seed) {
-        // Set & Create a Seed
-        this.seed = seed || Date.now();
-        seedrandom(this.seed, { global: true });
+        this.game.simulation.generate(seed);
 
         // Generate Background
         const bgdirt = new createjs.Shape();
@@ -97,146 +141,321 @@ class GameMap {
 
         // Generate Background Grass Layer
         const bggrass = new createjs.Container();
+        const bgGrassProperties = this.world.registry.get("bg_grass");
         for (let i = 0; i < this.grid.widthGU; i++) {
             const t = new Tile(i, this.horizonLineGU);
             // Background Grass Tile
-            const bggt = new MapTile(this, t, { type: MapTile.Type.BG_GRASS });
+            const bggt = new MapTile(this, t, bgGrassProperties);
             bggt.make();
             bggrass.addChild(bggt);
         }
+        bggrass.cache(0, this.horizonLine, this.grid.width, this.grid.tileSize);
         this.bg_tiles.push(bggrass);
         this.game.addChild(bggrass);
 
-        // Generate Surface (Grass + Buildings)
-        for (let i = 0; i < this.grid.widthGU; i++) {
-            const t = new Tile(i, this.horizonLineGU);
-            
-            // Check if this position should have a building
-            const building = this.surfaceBuildings.find(b => b.x === i);
-            
-            if (building && i < this.grid.widthGU) {
-                // Place building instead of grass
-                const buildingTile = new building.type(this, t);
-                buildingTile.make();
-                this.tiles.addChild(buildingTile);
-                this.fg_tiles[t.toString()] = buildingTile;
-                
-                // Add a visual indicator (colored rectangle) since we don't have building sprites
-                const indicator = new createjs.Shape();
-                const color = buildingTile.properties.color;
-                indicator.graphics.beginFill(color).drawRect(
-                    i * this.grid.tileSize + 5,
-                    this.horizonLineGU * this.grid.tileSize + 5,
-                    this.grid.tileSize - 10,
-                    this.grid.tileSize - 10
-                );
-                indicator.graphics.beginStroke("#ffffff").setStrokeStyle(2).drawRect(
-                    i * this.grid.tileSize + 5,
-                    this.horizonLineGU * this.grid.tileSize + 5,
-                    this.grid.tileSize - 10,
-                    this.grid.tileSize - 10
-                );
-                this.game.addChild(indicator);
-                
-                // Add building label
-                const label = new createjs.Text(buildingTile.properties.name, "10px Arial", "#ffffff");
-                label.textAlign = "center";
-                label.x = i * this.grid.tileSize + this.grid.tileSize / 2;
-                label.y = this.horizonLineGU * this.grid.tileSize - 15;
-                label.outline = 2;
-                this.game.addChild(label);
-                
-            } else {
-                // Place regular grass
-                const mt = new Grass(this, t);
-                mt.make();
-                this.tiles.addChild(mt);
-                this.fg_tiles[t.toString()] = mt;
-            }
+        this.makeBuildingIndicators();
+
+        // Chunks are streamed in around the camera from here on
+        this.game.addChild(this.tiles, this.falling, this.objects, this.buildings);
+        for (const type in this.simListeners) this.game.simulation.on(type, this.simListeners[type]);
+        this.tickListener = createjs.Ticker.addEventListener("tick", this.tick.bind(this));
+
+        // Relayer and update
+        this.game.displayHandler.relayer();
+        this.game.update();
+    }
+
+    tick(event) {
+        if (!this.tickEnabled || event.paused) return;
+        this.updateChunks();
+        this.updateOutposts();
+        this.updateFallingTiles();
+        this.updateBombs();
+    }
+
+    /**
+     * Adds the indicators of the surface buildings, and of the outposts found so far.
+     */
+    makeBuildingIndicators() {
+        for (const building of this.world.surfaceBuildings) {
+            this.makeBuildingIndicator(new Tile(building.x, this.horizonLineGU), this.world.registry.get(building.id));
+        }
+        this.outpostsShown = 0;
+        this.updateOutposts();
+    }
+
+    /**
+     * Adds an indicator for every outpost found since the last update.
+     */
+    updateOutposts() {
+        const outposts = this.world.outposts;
+        for (; this.outpostsShown < outposts.length; this.outpostsShown++) {
+            const outpost = outposts[this.outpostsShown];
+            this.makeBuildingIndicator(new Tile(outpost.x, outpost.y), this.world.registry.get(outpost.id));
         }
+    }
+
+    /**
+     * Renders the chunks around the camera and drops the ones that are far off screen.
+     */
+    updateChunks() {
+        const camera = this.game.displayHandler.camera;
+        if (!camera) return;
 
-        // Generate Dirt
-        for (let gY = this.horizonLineGU + 1; gY < this.grid.heightGU; gY++) {
-            for (let gX = 0; gX < this.grid.widthGU; gX++) {
-                const t = new Tile(gX, gY);
-                const mt = new Dirt(this, t);
-                mt.make();
-                this.tiles.addChild(mt);
-                this.fg_tiles[t.toString()] = mt;
+        const area = camera.visibleArea;
+        const chunkPixels = this.world.chunkSize * this.world.tileSize;
+        const left = Math.floor(area.left / chunkPixels);
+        const top = Math.floor(area.top / chunkPixels);
+        const right = Math.floor(area.right / chunkPixels);
+        const bottom = Math.floor(area.bottom / chunkPixels);
+
+        for (const key in this.chunks) {
+            const chunk = this.chunks[key];
+            const margin = this.chunkMargin * 2;
+            if (chunk.cX < left - margin || chunk.cX > right + margin || chunk.cY < top - margin || chunk.cY > bottom + margin) {
+                this.unloadChunk(chunk);
             }
         }
-        this.game.addChild(this.tiles);
-
-        // Temporary variable to determine which layer we're on.
-        let layer = 0;
 
-        // Generate Coal Layer (Layer Only Contains Coal)
-        layer = 1;
-        for (let gX = 0; gX < this.grid.widthGU; gX++) {
-            for (let gY = this.horizonLineGU + 1; gY < this.horizonLineGU + 21; gY++) {
-                const t = new Tile(gX, gY);
-                if (this.shouldGenType("coal", layer, t)) this.genType(Coal, t);
+        const maxCX = Math.ceil(this.world.widthGU / this.world.chunkSize) - 1;
+        const maxCY = Math.ceil(this.world.heightGU / this.world.chunkSize) - 1;
+        for (let cY = Math.max(0, top - this.chunkMargin); cY <= Math.min(maxCY, bottom + this.chunkMargin); cY++) {
+            for (let cX = Math.max(0, left - this.chunkMargin); cX <= Math.min(maxCX, right + this.chunkMargin); cX++) {
+                this.loadChunk(cX, cY);
             }
         }
+    }
 
-        // Relayer and update
-        this.game.displayHandler.relayer();
-        this.game.update();
+    /**
+     * Renders a chunk if it isn't already.
+     * @param {number} cX
+     * @param {number} cY
+     */
+    loadChunk(cX, cY) {
+        const key = `${cX}-${cY}`;
+        if (this.chunks[key]) return;
 
-        // Cache the map
-        this.tiles.cache(0, 0, this.grid.width, this.grid.height);
+        const chunk = new MapChunk(this, cX, cY);
+        chunk.make();
+        this.tiles.addChild(chunk);
+        this.chunks[key] = chunk;
     }
 
     /**
-     * Determines whether or not the item should be generated or not
-     * Includes chance values, so < 7.5 is the same as 7.5%
-     * @param {string} type
-     * @param {number} layer
+     * Stops rendering a chunk.
+     * @param {MapChunk} chunk
+     */
+    unloadChunk(chunk) {
+        chunk.destroy();
+        this.tiles.removeChild(chunk);
+        delete this.chunks[`${chunk.cX}-${chunk.cY}`];
+    }
+
+    /**
+     * Adds a visual indicator (colored rectangle) and label for a building, since we don't have building sprites.
+     * @param {Tile} tile Where the building is.
+     * @param {import("../Sim/TileRegistry.js").MapTileProperties} properties The building.
+     */
+    makeBuildingIndicator(tile, properties) {
+        const x = tile.gX * this.grid.tileSize;
+        const y = tile.gY * this.grid.tileSize;
+
+        const indicator = new createjs.Shape();
+        indicator.graphics.beginFill(properties.color).drawRect(x + 5, y + 5, this.grid.tileSize - 10, this.grid.tileSize - 10);
+        indicator.graphics.beginStroke("#ffffff").setStrokeStyle(2).drawRect(x + 5, y + 5, this.grid.tileSize - 10, this.grid.tileSize - 10);
+        this.buildings.addChild(indicator);
+
+        const label = new createjs.Text(properties.name, "10px Arial", "#ffffff");
+        label.textAlign = "center";
+        label.x = x + this.grid.tileSize / 2;
+        label.y = y - 15;
+        label.outline = 2;
+        this.buildings.addChild(label);
+    }
+
+    /**
+     * Removes the sprite of a tile that has been mined.
      * @param {Tile} tile
      */
-    // eslint-disable-next-line no-unused-vars
-    shouldGenType(type, layer, tile) {
-        switch (type) {
-            case "coal": {
-                if (layer == 1) {
-                    if (Math.random() * 100 <= 7.5) return true;
-                    else return false;
-                }
-                break;
-            }
-            default: {
-                return false;
-            }
-        }
+    removeTile(tile) {
+        const { cX, cY } = this.world.getChunkPosition(tile.gX, tile.gY);
+        const chunk = this.chunks[`${cX}-${cY}`];
+        if (chunk) chunk.removeTile(tile);
     }
 
     /**
-     * Actually generates the tile.
-     * @param {Type} Type
+     * Adds a sprite to the chunk of a tile that has been put back in the world.
      * @param {Tile} tile
+     * @param {import("../Sim/TileRegistry.js").MapTileProperties} properties
+     */
+    addTile(tile, properties) {
+        const { cX, cY } = this.world.getChunkPosition(tile.gX, tile.gY);
+        const chunk = this.chunks[`${cX}-${cY}`];
+        if (chunk) chunk.addTile(tile, properties);
+    }
+
+    /**
+     * Moves a loose tile out of its chunk to fall on its own.
+     * @param {import("../Sim/Simulation.js").FallingTile} rock
+     */
+    onTileFall(rock) {
+        this.removeTile(rock.tile);
+
+        const sprite = new MapTile(this, rock.tile, rock.properties);
+        sprite.make();
+        this.falling.addChild(sprite);
+        this.fallingSprites[rock.id] = sprite;
+    }
+
+    /**
+     * Puts a falling tile back into the chunk it landed in.
+     * @param {import("../Sim/Simulation.js").FallingTile} rock
+     */
+    onTileLand(rock) {
+        this.removeFallingTile(rock);
+        this.addTile(rock.tile, rock.properties);
+    }
+
+    /**
+     * Removes the sprite of a tile that is no longer falling.
+     * @param {import("../Sim/Simulation.js").FallingTile} rock
+     */
+    removeFallingTile(rock) {
+        const sprite = this.fallingSprites[rock.id];
+        if (!sprite) return;
+        this.falling.removeChild(sprite);
+        delete this.fallingSprites[rock.id];
+    }
+
+    /**
+     * Moves the sprites of the falling tiles to where they've fallen to. Tiles about to fall wobble in place.
+     */
+    updateFallingTiles() {
+        for (const rock of this.game.simulation.fallingTiles) {
+            const sprite = this.fallingSprites[rock.id];
+            if (!sprite) continue;
+
+            const x = rock.tile.gX * this.world.tileSize;
+            sprite.x = rock.delay > 0 ? x + Math.round(Math.sin(rock.delay / 20) * 2) : x;
+            sprite.y = rock.y;
+        }
+    }
+
+    /**
+     * Adds the sprite of a bomb: a black ball with a burning fuse and a countdown.
+     * @param {import("../Sim/Simulation.js").Bomb} bomb
+     */
+    onBombPlace(bomb) {
+        const size = this.grid.tileSize;
+        const sprite = new createjs.Container();
+        sprite.x = bomb.tile.gX * size;
+        sprite.y = bomb.tile.gY * size;
+
+        const ball = new createjs.Shape();
+        ball.graphics.beginFill("#222").drawCircle(size / 2, size * 0.6, size * 0.3);
+        ball.graphics.beginStroke("#8D6E63").setStrokeStyle(3).moveTo(size / 2, size * 0.3).lineTo(size * 0.65, size * 0.15);
+        const spark = new createjs.Shape();
+        spark.graphics.beginFill("#FFC107").drawCircle(size * 0.65, size * 0.15, 4);
+        const countdown = new createjs.Text("", "bold 14px Arial", "#ffffff");
+        countdown.textAlign = "center";
+        countdown.x = size / 2;
+        countdown.y = size * 0.5;
+        sprite.addChild(ball, spark, countdown);
+        sprite.spark = spark;
+        sprite.countdown = countdown;
+
+        this.objects.addChild(sprite);
+        this.bombSprites[bomb.id] = sprite;
+    }
+
+    /**
+     * Removes the sprite of a bomb that has gone off.
+     * @param {import("../Sim/Simulation.js").Bomb} bomb
+     */
+    removeBomb(bomb) {
+        const sprite = this.bombSprites[bomb.id];
+        if (!sprite) return;
+        this.objects.removeChild(sprite);
+        delete this.bombSprites[bomb.id];
+    }
+
+    /**
+     * Counts down the fuse of every bomb. The spark blinks faster in the last second.
+     */
+    updateBombs() {
+        for (const bomb of this.game.simulation.bombs) {
+            const sprite = this.bombSprites[bomb.id];
+            if (!sprite) continue;
+            sprite.countdown.text = `${Math.ceil(bomb.fuse / 1000)}`;
+            sprite.spark.visible = Math.floor(bomb.fuse / (bomb.fuse < 1000 ? 100 : 250)) % 2 == 0;
+        }
+    }
+
+    /**
+     * Adds the sprite of an ore drop, a small copy of the ore sitting on the bottom of its tile.
+     * @param {import("../Sim/Simulation.js").OreDrop} drop
+     */
+    onOreDrop(drop) {
+        const size = this.grid.tileSize;
+        const sprite = new MapTile(this, drop.tile, drop.properties);
+        sprite.make();
+        sprite.setTransform(drop.tile.gX * size + size / 4, drop.tile.gY * size + size / 2, 0.5, 0.5);
+        this.objects.addChild(sprite);
+        this.dropSprites[drop.id] = sprite;
+    }
+
+    /**
+     * Removes the sprite of an ore drop that has been picked up.
+     * @param {import("../Sim/Simulation.js").OreDrop} drop
+     */
+    removeDrop(drop) {
+        const sprite = this.dropSprites[drop.id];
+        if (!sprite) return;
+        this.objects.removeChild(sprite);
+        delete this.dropSprites[drop.id];
+    }
+
+    /**
+     * Drops every rendered chunk and falling tile, so they're rendered again from the world on the next tick.
+     * The bombs and ore drops are redrawn straight away.
+     * Used when the world is changed all at once, like when a game is loaded.
      */
-    genType(Type, tile) {
-        const mt = new Type(this, tile);
-        mt.make();
-        const ts = tile.toString();
-        if (this.fg_tiles[ts]) this.tiles.removeChild(this.fg_tiles[ts]);
-        this.fg_tiles[ts] = mt;
-        this.tiles.addChild(mt);
+    refresh() {
+        for (const key in this.chunks) this.unloadChunk(this.chunks[key]);
+        this.falling.removeAllChildren();
+        this.fallingSprites = {};
+        this.objects.removeAllChildren();
+        this.bombSprites = {};
+        this.dropSprites = {};
+        this.game.simulation.bombs.forEach(bomb => this.onBombPlace(bomb));
+        this.game.simulation.drops.forEach(drop => this.onOreDrop(drop));
+        // The outposts are found again as the world is
+        this.buildings.removeAllChildren();
+        this.makeBuildingIndicators();
     }
 
     /**
      * Un-generates the map.
      */
     ungenerate() {
-        this.seed = 0;
+        for (const type in this.simListeners) this.game.simulation.off(type, this.simListeners[type]);
+        createjs.Ticker.removeEventListener("tick", this.tickListener);
 
         this.bg_tiles.forEach(i => {
-            // eslint-disable-next-line no-prototype-builtins
-            if (i.hasOwnProperty("removeAllChildren")) i.removeAllChildren();
+            if (i instanceof createjs.Container) i.removeAllChildren();
             this.game.removeChild(i);
         });
-        this.fg_tiles = [];
+        this.bg_tiles = [];
+        for (const key in this.chunks) this.chunks[key].destroy();
+        this.chunks = {};
         this.tiles.removeAllChildren();
+        this.falling.removeAllChildren();
+        this.fallingSprites = {};
+        this.objects.removeAllChildren();
+        this.bombSprites = {};
+        this.dropSprites = {};
+        this.buildings.removeAllChildren();
+        this.game.removeChild(this.tiles, this.falling, this.objects, this.buildings);
         this.game.displayHandler.relayer();
     }
 
@@ -248,7 +467,18 @@ class GameMap {
             this.game.setChildIndex(this.bg_tiles[i], this.game.children.length - 1);
         }
         this.game.setChildIndex(this.tiles, this.game.children.length - 1);
+        this.game.setChildIndex(this.falling, this.game.children.length - 1);
+        this.game.setChildIndex(this.objects, this.game.children.length - 1);
+        this.game.setChildIndex(this.buildings, this.game.children.length - 1);
+    }
+
+    /**
+     * The seed the world was generated with.
+     * @type {number}
+     */
+    get seed() {
+        return this.world.seed;
     }
 }
 
-module.exports = GameMap;
\ No newline at end of file
+module.exports = GameMap;
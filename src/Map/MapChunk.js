@@ -0,0 +1,119 @@
+const Tile = require("../Grid/Tile.js");
+const MapTile = require("./MapTile.js");
+
+/**
+ * Renders one chunk of the world. Its tiles are drawn into a cache of their own,
+ * so mining a tile only redraws the chunk it was in.
+ */
+class MapChunk extends createjs.Container {
+    /**
+     * @param {import("./Map.js")} map The map that created this chunk.
+     * @param {number} cX The chunk position.
+     * @param {number} cY The chunk position.
+     */
+    constructor(map, cX, cY) {
+        super();
+
+        /**
+         * The map that created this chunk.
+         * @type {import("./Map.js")}
+         */
+        this.map = map;
+
+        /**
+         * The chunk position.
+         * @type {number}
+         */
+        this.cX = cX;
+
+        /**
+         * The chunk position.
+         * @type {number}
+         */
+        this.cY = cY;
+
+        /**
+         * The sprite of every tile in this chunk indexed by their grid position.
+         * @type {Object.<string, MapTile>}
+         */
+        this.sprites = {};
+    }
+
+    /**
+     * Creates a sprite for every tile in this chunk and caches them.
+     */
+    make() {
+        const world = this.map.world;
+
+        for (let gY = this.cY * world.chunkSize; gY < (this.cY + 1) * world.chunkSize; gY++) {
+            for (let gX = this.cX * world.chunkSize; gX < (this.cX + 1) * world.chunkSize; gX++) {
+                const properties = world.get(gX, gY);
+                if (!properties) continue;
+
+                this.makeSprite(new Tile(gX, gY), properties);
+            }
+        }
+
+        // Chunks in the sky or dug out completely have nothing to cache
+        if (this.children.length) this.cacheChunk();
+    }
+
+    /**
+     * Creates the sprite of a tile in this chunk.
+     * @param {Tile} tile
+     * @param {import("../Sim/TileRegistry.js").MapTileProperties} properties
+     */
+    makeSprite(tile, properties) {
+        const mt = new MapTile(this.map, tile, properties);
+        mt.make();
+        this.addChild(mt);
+        this.sprites[tile.toString()] = mt;
+    }
+
+    /**
+     * Draws the whole chunk into its cache.
+     */
+    cacheChunk() {
+        const size = this.map.world.chunkSize * this.map.world.tileSize;
+        this.cache(this.cX * size, this.cY * size, size, size);
+    }
+
+    /**
+     * Adds the sprite of a tile that was put in this chunk and redraws the chunk.
+     * @param {Tile} tile
+     * @param {import("../Sim/TileRegistry.js").MapTileProperties} properties
+     */
+    addTile(tile, properties) {
+        const existing = this.sprites[tile.toString()];
+        if (existing) this.removeChild(existing);
+        this.makeSprite(tile, properties);
+        if (this.cacheCanvas) {
+            this.updateCache();
+        } else {
+            this.cacheChunk();
+        }
+    }
+
+    /**
+     * Removes the sprite of a tile in this chunk and redraws the chunk.
+     * @param {Tile} tile
+     */
+    removeTile(tile) {
+        const ts = tile.toString();
+        if (!this.sprites[ts]) return;
+        this.removeChild(this.sprites[ts]);
+        delete this.sprites[ts];
+        this.updateCache();
+    }
+
+    /**
+     * Removes every sprite and frees the cache.
+     */
+    destroy() {
+        this.uncache();
+        this.removeAllChildren();
+        this.sprites = {};
+    }
+}
+
+module.exports = MapChunk;
@@ -1,5 +1,6 @@
 /** @typedef {import("../Grid/Tile.js")} Tile */
 /** @typedef {import("./Map.js")} Map */
+/** @typedef {import("../Sim/TileRegistry.js").MapTileProperties} MapTileProperties */
 
 /**
  * Used for the player and game to determine if the tile is breakable, where it should be placed, and how the game should react to it.
@@ -8,7 +9,6 @@ class MapTile extends createjs.Sprite {
     /**
      * @param {Map} map The map that created this tile.
      * @param {Tile} tile Contains information about this maptile's position on the grid.
-     * @param {string} appearance Contains the image id used to determine this maptile's appearance.
      * @param {MapTileProperties} properties Contains the properties of this maptile.
      */
     constructor(map, tile, properties) {
@@ -40,7 +40,7 @@ class MapTile extends createjs.Sprite {
      */
     make() {
         this.spriteSheet = this.map.game.loadingHandler.sprites.tiles;
-        this.gotoAndStop(this.properties.type);
+        this.gotoAndStop(this.properties.frame);
         this.setTransform(
             this.tile.gX * this.map.grid.tileSize,
             this.tile.gY * this.map.grid.tileSize
@@ -48,35 +48,4 @@ class MapTile extends createjs.Sprite {
     }
 }
 
-/**
- * Determines the different tile types.
- * Used for fetching the image from the loader.
- * @readonly
- * @enum {number}
- */
-MapTile.Type = {
-    DIRT: 2,
-    GRASS: 1,
-    COAL: 6,
-    BG_GRASS: 3,
-    // Buildings (surface structures)
-    SHOP: 10,
-    SAVE_STATION: 11,
-    SELLING_POST: 12,
-    FUEL_STATION: 13,
-    TELEPORTER: 14
-};
-
-/**
- * Contains information about the tile such as thickness, value, and more.
- * @typedef {Object} MapTileProperties
- * @property {string} name The name of this tile.
- * @property {string} color The 'theme' color of this tile.
- * @property {MapTile.Type} type The type of tile this is.
- * @property {number} thickness A percentage of the default player movement speed. See {@link Player#defaultSpeed}.
- * @property {number} value The value of this tile.
- * @property {boolean} [interactable] Whether this tile can be interacted with.
- * @see Player#defaultSpeed
- */
-
 module.exports = MapTile;
\ No newline at end of file
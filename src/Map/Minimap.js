@@ -0,0 +1,274 @@
+/**
+ * A panel in the corner of the screen showing the world around the player, a pixel per tile.
+ * Only revealed tiles are shown. The buildings, the outposts that have been found, teleporter waypoints and the player are drawn on top,
+ * along with the ores found by the last scan while it lasts.
+ *
+ * The world is drawn once into a canvas the size of the world in tiles, and only the tiles that change
+ * are redrawn. The panel shows the rows around the player from that canvas.
+ */
+class Minimap {
+    /**
+     * @param {import("../Game.js")} game The game.
+     */
+    constructor(game) {
+        this.game = game;
+
+        /**
+         * A reference to the world model for utility purposes.
+         * @type {import("../Sim/WorldModel.js")}
+         */
+        this.world = this.game.simulation.world;
+
+        /**
+         * A reference to the fog for utility purposes.
+         * @type {import("../Sim/FogModel.js")}
+         */
+        this.fog = this.game.simulation.fog;
+
+        /**
+         * How many rows of the world the panel shows.
+         * @type {number}
+         */
+        this.rows = 60;
+
+        /**
+         * How many pixels of the panel each tile takes.
+         * @type {number}
+         */
+        this.zoom = 2;
+
+        /**
+         * How many milliseconds the ores found by a scan stay highlighted.
+         * @type {number}
+         */
+        this.scanDuration = 3000;
+
+        /**
+         * The colors of the parts of the map that aren't tiles.
+         * @type {{fog: string, sky: string, tunnel: string, player: string, waypoint: string}}
+         */
+        this.colors = {
+            fog: "#000",
+            sky: "#7EC0EE",
+            tunnel: "#2B1D12",
+            player: "#FFEB3B",
+            waypoint: "#FFF"
+        };
+
+        /**
+         * The whole world, drawn a pixel per tile.
+         * @type {HTMLCanvasElement}
+         */
+        this.canvas = document.createElement("canvas");
+        this.canvas.width = this.world.widthGU;
+        this.canvas.height = this.world.heightGU;
+
+        /**
+         * The context the world is drawn with.
+         * @type {CanvasRenderingContext2D}
+         */
+        this.context = this.canvas.getContext("2d");
+
+        /**
+         * The panel shown on the screen.
+         * @type {HTMLCanvasElement}
+         */
+        this.panel = document.createElement("canvas");
+        this.panel.width = this.world.widthGU * this.zoom;
+        this.panel.height = this.rows * this.zoom;
+        this.panel.style.cssText = `
+            position: fixed;
+            bottom: 10px;
+            right: 10px;
+            border: 2px solid rgba(255, 255, 255, 0.6);
+            background: #000;
+            image-rendering: pixelated;
+            z-index: 40;
+        `;
+        document.body.appendChild(this.panel);
+
+        /**
+         * The context the panel is drawn with.
+         * @type {CanvasRenderingContext2D}
+         */
+        this.panelContext = this.panel.getContext("2d");
+
+        /**
+         * The ores found by the last scan.
+         * @type {Array<{tile: import("../Grid/Tile.js"), properties: import("../Sim/TileRegistry.js").MapTileProperties}>}
+         */
+        this.scanned = [];
+
+        /**
+         * How many more milliseconds the ores found by the last scan stay highlighted.
+         * @type {number}
+         */
+        this.scanTime = 0;
+
+        /**
+         * Whether or not the panel is shown.
+         * @type {boolean}
+         */
+        this.visible = true;
+
+        /**
+         * Whether or not the panel needs to be redrawn.
+         * @type {boolean}
+         */
+        this.dirty = true;
+
+        /**
+         * Whether or not to run the tick event.
+         * @type {boolean}
+         */
+        this.tickEnabled = true;
+
+        /**
+         * Listeners added to the simulation, indexed by event.
+         * @type {Object.<string, Function>}
+         */
+        this.simListeners = {
+            fog: area => this.drawArea(area),
+            tiledestroy: tile => this.drawTile(tile.gX, tile.gY),
+            tilefall: rock => this.drawTile(rock.tile.gX, rock.tile.gY),
+            tileland: rock => this.drawTile(rock.tile.gX, rock.tile.gY),
+            tilemove: () => { this.dirty = true; },
+            teleport: () => { this.dirty = true; },
+            scan: this.onScan.bind(this)
+        };
+        for (const event in this.simListeners) this.game.simulation.on(event, this.simListeners[event]);
+
+        this.drawArea(this.fog.area);
+        this.render();
+
+        /**
+         * The listener added to the ticker, kept so it can be removed.
+         */
+        this.tickListener = createjs.Ticker.addEventListener("tick", this.tick.bind(this));
+    }
+
+    tick(event) {
+        if (!this.tickEnabled || event.paused) return;
+
+        if (this.scanTime > 0) {
+            this.scanTime = Math.max(0, this.scanTime - event.delta);
+            this.dirty = true;
+        }
+        if (this.dirty && this.visible) this.render();
+    }
+
+    /**
+     * Shows or hides the panel.
+     * @param {boolean} [visible] Toggles the panel if not given.
+     */
+    toggle(visible = !this.visible) {
+        this.visible = visible;
+        this.panel.style.display = visible ? "" : "none";
+        this.dirty = true;
+    }
+
+    /**
+     * Removes the panel and stops listening to the game.
+     */
+    destroy() {
+        createjs.Ticker.removeEventListener("tick", this.tickListener);
+        for (const event in this.simListeners) this.game.simulation.off(event, this.simListeners[event]);
+        if (this.panel.parentNode) this.panel.parentNode.removeChild(this.panel);
+    }
+
+    /**
+     * Gets the color a tile is drawn with.
+     * @param {number} gX
+     * @param {number} gY
+     * @returns {string}
+     */
+    getColor(gX, gY) {
+        if (!this.fog.isRevealed(gX, gY)) return this.colors.fog;
+        const properties = this.world.get(gX, gY);
+        if (properties) return properties.mapColor || properties.color;
+        return gY < this.world.horizonLineGU ? this.colors.sky : this.colors.tunnel;
+    }
+
+    /**
+     * Redraws a tile of the world.
+     * @param {number} gX
+     * @param {number} gY
+     */
+    drawTile(gX, gY) {
+        this.context.fillStyle = this.getColor(gX, gY);
+        this.context.fillRect(gX, gY, 1, 1);
+        this.dirty = true;
+    }
+
+    /**
+     * Redraws an area of the world.
+     * @param {import("../Sim/FogModel.js").FogArea} area
+     */
+    drawArea(area) {
+        for (let gY = area.top; gY < area.bottom; gY++) {
+            for (let gX = area.left; gX < area.right; gX++) this.drawTile(gX, gY);
+        }
+    }
+
+    /**
+     * Highlights the ores found by a scan.
+     * @param {import("../Grid/Tile.js")} tile Where the scan was made from.
+     * @param {number} radius
+     * @param {Array<{tile: import("../Grid/Tile.js"), properties: import("../Sim/TileRegistry.js").MapTileProperties}>} ores
+     */
+    onScan(tile, radius, ores) {
+        this.scanned = ores;
+        this.scanTime = this.scanDuration;
+        this.dirty = true;
+    }
+
+    /**
+     * The first row of the world the panel shows, keeping the player in the middle.
+     * @type {number}
+     */
+    get top() {
+        const rows = Math.min(this.rows, this.world.heightGU);
+        const top = this.game.simulation.miner.tile.gY - Math.floor(rows / 2);
+        return Math.max(0, Math.min(top, this.world.heightGU - rows));
+    }
+
+    /**
+     * Draws the panel.
+     */
+    render() {
+        const ctx = this.panelContext;
+        const zoom = this.zoom;
+        const top = this.top;
+        const mark = (gX, gY, color, size = 1) => {
+            ctx.fillStyle = color;
+            ctx.fillRect((gX + 0.5 - size / 2) * zoom, (gY - top + 0.5 - size / 2) * zoom, size * zoom, size * zoom);
+        };
+
+        ctx.imageSmoothingEnabled = false;
+        ctx.clearRect(0, 0, this.panel.width, this.panel.height);
+        ctx.drawImage(this.canvas, 0, top, this.world.widthGU, this.rows, 0, 0, this.world.widthGU * zoom, this.rows * zoom);
+
+        for (const building of this.world.surfaceBuildings) {
+            mark(building.x, this.world.horizonLineGU - 1, this.world.registry.get(building.id).color, 2);
+        }
+        for (const outpost of this.world.outposts) {
+            if (this.fog.isRevealed(outpost.x, outpost.y)) mark(outpost.x, outpost.y, this.world.registry.get(outpost.id).color, 2);
+        }
+        for (const waypoint of this.game.displayHandler.buildingHandler.waypoints) {
+            mark(Math.floor(waypoint.x / this.world.tileSize), Math.floor(waypoint.y / this.world.tileSize), this.colors.waypoint);
+        }
+        // Blink the scanned ores
+        if (this.scanTime > 0 && Math.floor((this.scanDuration - this.scanTime) / 250) % 2 == 0) {
+            for (const ore of this.scanned) {
+                mark(ore.tile.gX, ore.tile.gY, this.colors.waypoint, 2);
+                mark(ore.tile.gX, ore.tile.gY, ore.properties.color);
+            }
+        }
+
+        const tile = this.game.simulation.miner.tile;
+        mark(tile.gX, tile.gY, this.colors.player, 2);
+        this.dirty = false;
+    }
+}
+
+module.exports = Minimap;
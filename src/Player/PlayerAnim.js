@@ -1,5 +1,3 @@
-const MapTile = require("../Map/MapTile.js");
-
 /**
  * The player animation controller.
  */
@@ -57,7 +55,7 @@ class PlayerAnim {
 
     /**
      * Called when the player would like us to animate.
-     * @param {import("../Map/MapTile.js")} maptile Maptile, if any.
+     * @param {import("../Sim/TileRegistry.js").MapTileProperties} maptile The properties of the maptile being mined, if any.
      */
     onAnimate(maptile) {
         // Player Animation
@@ -68,7 +66,7 @@ class PlayerAnim {
         this.playerAnimDelayCur++;
 
         // Drill Animation
-        if (maptile && maptile.properties && maptile.properties.type != MapTile.Type.BG_GRASS && this.drillAnimDelayCur > this.drillAnimDelay) {
+        if (maptile && this.drillAnimDelayCur > this.drillAnimDelay) {
             this.drillAnimDelayCur = 0;
             this.drill.advance();
         }
@@ -45,8 +45,10 @@ class PlayerBoost extends createjs.Sprite {
      * Updates the position of the boost.
      */
     updatePos() {
-        if (this.visible != this.player.moving || this.visible != this.player.wasMoving) {
-            this.visible = this.player.moving || this.player.wasMoving;
+        // The thruster cuts out while falling
+        const visible = (this.player.moving || this.player.wasMoving) && !this.player.falling;
+        if (this.visible != visible) {
+            this.visible = visible;
         }
 
         let boostX;
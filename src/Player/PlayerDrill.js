@@ -61,7 +61,7 @@ class PlayerDrill extends createjs.Sprite {
 
     /**
      * Updates the type of drill.
-     * @param {PlayerDrill.Type}
+     * @param {PlayerDrill.Type} type
      */
     updateType(type) {
         this.type = type;
@@ -1,8 +1,9 @@
-/** @typedef {import("../MapTile.js").MapTileProperties} MapTileProperties */
-const MapTile = require("../Map/MapTile.js");
+/** @typedef {import("../Sim/TileRegistry.js").MapTileProperties} MapTileProperties */
+/** @typedef {import("../Grid/Tile.js")} Tile */
 
 /**
- * The player's cargo hold; a simple class holding all of the tiles the player has drilled.
+ * The player's cargo hold; renders the tiles the player has drilled.
+ * The cargo itself is kept in the {@link MinerModel}.
  */
 class PlayerHold {
     constructor(game, player) {
@@ -10,48 +11,46 @@ class PlayerHold {
         this.player = player;
 
         /**
-         * The maptiles collected.
-         * @type {Array<MapTileProperties>}
+         * Listeners added to the simulation, kept so they can be removed.
          */
-        this.mapTiles = [];
-
-        /**
-         * The hold capacity.
-         * @type {number}
-         */
-        this.capacity = 10;
+        this.simListeners = {
+            collect: this.onCollect.bind(this)
+        };
+        for (const type in this.simListeners) this.game.simulation.on(type, this.simListeners[type]);
     }
 
     /**
-     * Inserts a maptile into the hold if it's an ore.
-     *
-     * @param {MapTile} maptile The maptile to add.
-     * @return {boolean} True if added or is non-ore, false if hold is full.
+     * The maptiles collected.
+     * @type {Array<MapTileProperties>}
      */
-    addMapTile(maptile) {
-        if (this.mapTiles.length >= this.capacity) {
-            return false;
-        }
-
-        // Add the appropriate type to the hold
-        switch (maptile.properties.type) {
-            case MapTile.Type.COAL:
-                this.mapTiles.push(maptile.properties);
-                this.updateHold();
-                break;
-            default:
-                return true;
-        }
+    get mapTiles() {
+        return this.player.model.cargo;
+    }
 
-        // Put text upon collection
-        this.game.displayHandler.addFloatingText("+1 " + maptile.properties.name.toUpperCase(), maptile.properties.color, maptile.x + this.game.displayHandler.map.grid.tileSize / 2, maptile.y);
+    /**
+     * The hold capacity.
+     * @type {number}
+     */
+    get capacity() {
+        return this.player.model.capacity;
+    }
 
-        return true;
+    /**
+     * Puts text upon collection.
+     * @param {Tile} tile Where the maptile was collected.
+     * @param {MapTileProperties} maptile The maptile collected.
+     */
+    onCollect(tile, maptile) {
+        const tileSize = this.game.displayHandler.grid.tileSize;
+        this.game.displayHandler.addFloatingText("+1 " + maptile.name.toUpperCase(), maptile.color, tile.gX * tileSize + tileSize / 2, tile.gY * tileSize);
     }
 
-    updateHold() {
-        document.getElementById("hold").innerHTML = `Hold: ${this.mapTiles.length} items`;
+    /**
+     * Stops listening to the simulation.
+     */
+    destroy() {
+        for (const type in this.simListeners) this.game.simulation.off(type, this.simListeners[type]);
     }
 }
 
-module.exports = PlayerHold;
\ No newline at end of file
+module.exports = PlayerHold;
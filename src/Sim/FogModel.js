@@ -0,0 +1,167 @@
+/**
+ * An area of the world in grid units. The right and bottom edges are exclusive.
+ * @typedef {Object} FogArea
+ * @property {number} left
+ * @property {number} top
+ * @property {number} right
+ * @property {number} bottom
+ */
+
+/**
+ * Remembers which tiles of the world the miner has seen, as one bit per tile.
+ * The bits are kept per chunk, and only chunks with something revealed in them are stored,
+ * so the fog takes no space for the parts of the world nobody has been near.
+ */
+class FogModel {
+    /**
+     * @param {number} widthGU The amount of horizontal tiles in the world.
+     * @param {number} heightGU The amount of vertical tiles in the world.
+     * @param {number} chunkSize How many tiles wide and tall each chunk is.
+     * @param {number} top The first row covered by fog. Everything above it is always revealed.
+     */
+    constructor(widthGU, heightGU, chunkSize, top) {
+        /**
+         * The amount of horizontal tiles in the world.
+         * @type {number}
+         */
+        this.widthGU = widthGU;
+
+        /**
+         * The amount of vertical tiles in the world.
+         * @type {number}
+         */
+        this.heightGU = heightGU;
+
+        /**
+         * How many tiles wide and tall each chunk is.
+         * @type {number}
+         */
+        this.chunkSize = chunkSize;
+
+        /**
+         * The first row covered by fog. Everything above it is always revealed.
+         * @type {number}
+         */
+        this.top = top;
+
+        /**
+         * The revealed bits of every chunk with anything revealed in it, indexed by chunk position.
+         * Bits are stored row by row from the top left tile of the chunk.
+         * @type {Object.<string, Uint8Array>}
+         */
+        this.chunks = {};
+    }
+
+    /**
+     * How many bytes the bits of a chunk take.
+     * @type {number}
+     */
+    get chunkBytes() {
+        return Math.ceil(this.chunkSize * this.chunkSize / 8);
+    }
+
+    /**
+     * The whole world.
+     * @type {FogArea}
+     */
+    get area() {
+        return { left: 0, top: 0, right: this.widthGU, bottom: this.heightGU };
+    }
+
+    /**
+     * Covers the whole world in fog again.
+     */
+    clear() {
+        this.chunks = {};
+    }
+
+    /**
+     * Whether or not a tile has been revealed. Tiles out of bounds are never revealed.
+     * @param {number} gX
+     * @param {number} gY
+     * @returns {boolean}
+     */
+    isRevealed(gX, gY) {
+        if (gX < 0 || gX >= this.widthGU || gY < 0 || gY >= this.heightGU) return false;
+        if (gY < this.top) return true;
+
+        const bits = this.chunks[this.getChunkKey(gX, gY)];
+        if (!bits) return false;
+        const bit = this.getBit(gX, gY);
+        return (bits[bit >> 3] & (1 << (bit & 7))) != 0;
+    }
+
+    /**
+     * Reveals every tile within a radius of a tile.
+     * @param {number} gX
+     * @param {number} gY
+     * @param {number} radius The radius in tiles.
+     * @returns {FogArea} The area around every newly revealed tile, or `null` if nothing new was revealed.
+     */
+    reveal(gX, gY, radius) {
+        let area = null;
+        const reach = Math.floor(radius);
+        for (let y = Math.max(gY - reach, this.top); y <= Math.min(gY + reach, this.heightGU - 1); y++) {
+            for (let x = Math.max(gX - reach, 0); x <= Math.min(gX + reach, this.widthGU - 1); x++) {
+                if ((x - gX) * (x - gX) + (y - gY) * (y - gY) > radius * radius) continue;
+                if (this.isRevealed(x, y)) continue;
+
+                const key = this.getChunkKey(x, y);
+                const bits = this.chunks[key] || (this.chunks[key] = new Uint8Array(this.chunkBytes));
+                const bit = this.getBit(x, y);
+                bits[bit >> 3] |= 1 << (bit & 7);
+
+                if (!area) area = { left: x, top: y, right: x + 1, bottom: y + 1 };
+                area.left = Math.min(area.left, x);
+                area.right = Math.max(area.right, x + 1);
+                area.bottom = Math.max(area.bottom, y + 1);
+            }
+        }
+        return area;
+    }
+
+    /**
+     * Packs the fog for a save.
+     * @returns {Object.<string, string>} The bits of every chunk in base64, indexed by chunk position.
+     */
+    serialize() {
+        const data = {};
+        for (const key in this.chunks) data[key] = Buffer.from(this.chunks[key]).toString("base64");
+        return data;
+    }
+
+    /**
+     * Replaces the fog with a packed one. See {@link FogModel#serialize}.
+     * @param {Object.<string, string>} data
+     */
+    load(data) {
+        this.clear();
+        for (const key in data) {
+            const bits = new Uint8Array(this.chunkBytes);
+            bits.set(Buffer.from(data[key], "base64").subarray(0, bits.length));
+            this.chunks[key] = bits;
+        }
+    }
+
+    /**
+     * Gets the position of the chunk a tile is in.
+     * @param {number} gX
+     * @param {number} gY
+     * @returns {string}
+     */
+    getChunkKey(gX, gY) {
+        return `${Math.floor(gX / this.chunkSize)}-${Math.floor(gY / this.chunkSize)}`;
+    }
+
+    /**
+     * Gets the index of the bit of a tile in its chunk.
+     * @param {number} gX
+     * @param {number} gY
+     * @returns {number}
+     */
+    getBit(gX, gY) {
+        return (gY % this.chunkSize) * this.chunkSize + gX % this.chunkSize;
+    }
+}
+
+module.exports = FogModel;
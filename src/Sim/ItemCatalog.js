@@ -0,0 +1,84 @@
+/**
+ * A consumable item the miner can carry and use.
+ * @typedef {Object} Item
+ * @property {string} id The unique id of this item.
+ * @property {string} name The name of this item.
+ * @property {string} label A short name to show on the hotbar.
+ * @property {string} color The colour of this item on the hotbar.
+ * @property {number} price How much one of this item costs.
+ * @property {number} maxStack How many of this item the miner can carry at once.
+ * @property {Object.<string, (number|boolean)>} effects What using this item does. See {@link effectFields}.
+ */
+
+/**
+ * What using an item can do, and their types:
+ * - `fuel` adds that much fuel to the tank.
+ * - `repair` repairs that much damage to the hull.
+ * - `recall` takes the miner back to the surface.
+ * - `blast` blows out every tile within that many tiles of the miner.
+ * - `fuse` places the blast as a bomb that goes off after that many milliseconds, instead of straight away.
+ * - `blastDamage` is how much hull damage the miner takes if it's caught in the blast of a bomb.
+ * - `demolish` blows up the bedrock or boulder the miner is facing.
+ * - `warp` takes the miner to the nearest outpost it has found.
+ * @type {Object.<string, string>}
+ */
+const effectFields = {
+    fuel: "number",
+    repair: "number",
+    recall: "boolean",
+    blast: "number",
+    fuse: "number",
+    blastDamage: "number",
+    demolish: "boolean",
+    warp: "boolean"
+};
+
+/**
+ * Holds every item the miner can buy and use. Every item is defined in the item data
+ * (`assets/items.json`), so prices and effects can be tuned without touching code.
+ */
+class ItemCatalog {
+    /**
+     * @param {{items: Array<Item>}} data The item data, as loaded from `assets/items.json`.
+     */
+    constructor(data) {
+        if (!data || !Array.isArray(data.items)) throw new Error("Item data is missing a list of items");
+
+        /**
+         * Every item, in the order they are sold and shown on the hotbar.
+         * @type {Array<Item>}
+         */
+        this.items = [];
+
+        data.items.forEach(item => this.register(item));
+    }
+
+    /**
+     * Adds an item to the catalog.
+     * @param {Item} item
+     */
+    register(item) {
+        if (this.items.some(i => i.id == item.id)) throw new Error(`Item "${item.id}" is registered twice`);
+        for (const field of ["price", "maxStack"]) {
+            if (typeof item[field] != "number") throw new Error(`Item "${item.id}" is missing the number field "${field}"`);
+        }
+        for (const field in item.effects) {
+            if (typeof item.effects[field] != effectFields[field]) throw new Error(`Item "${item.id}" has an unknown effect "${field}"`);
+        }
+
+        this.items.push(Object.freeze(Object.assign({}, item)));
+    }
+
+    /**
+     * Gets an item.
+     * @param {string} id
+     * @returns {Item}
+     */
+    get(id) {
+        const item = this.items.find(i => i.id == id);
+        if (!item) throw new Error(`Unknown item "${id}"`);
+        return item;
+    }
+}
+
+module.exports = ItemCatalog;
@@ -0,0 +1,924 @@
+/** @typedef {import("./TileRegistry.js").MapTileProperties} MapTileProperties */
+const Tile = require("../Grid/Tile.js");
+
+/**
+ * The pure-logic model of the digger: position, movement, fuel, cargo and money.
+ * Every change a renderer may care about is emitted through the simulation.
+ */
+class MinerModel {
+    /**
+     * @param {import("./Simulation.js")} simulation The simulation this miner belongs to.
+     */
+    constructor(simulation) {
+        this.simulation = simulation;
+
+        /**
+         * A reference to the world for utility purposes.
+         * @type {import("./WorldModel.js")}
+         */
+        this.world = simulation.world;
+
+        /**
+         * The speed at which the player will move at by default.
+         * Calculated by pixels per millisecond.
+         *
+         * Timed off of original game. It takes approx. 900 ms
+         * per 4 tiles. That's 225 ms per tile. At 50 pixels
+         * per tile, we do 50 pixels / 225 ms to give us
+         * 0.222 pixels per millisecond.
+         *
+         * Mining tiles is fairly consistent, but thickness
+         * is provided as a method of changing the speed
+         * going through. It takes 3400 ms to mine 4 tiles.
+         * That's 850 ms per tile. At 50 pixels per tile,
+         * we do 50 pixels / 850 ms to give us ~0.0588
+         * pixels per millisecond.
+         *
+         * We can get this value by doing ~26.5% of 0.222
+         * which gives us ~0.0588. Most tiles will use 26.5
+         * as their set thickness.
+         *
+         * @type {number}
+         */
+        this.defaultSpeed = 0.222;
+
+        /**
+         * The speed at which this player will move at.
+         * Calculated by pixels per millisecond.
+         * @type {number}
+         */
+        this.speed = this.defaultSpeed;
+
+        /**
+         * How much to muliply the player's speed.
+         * Set by the engine upgrade. Does not affect non-digging speed.
+         * @type {number}
+         */
+        this.speedMultiplier = 1;
+
+        /**
+         * The type of drill fitted, which is also the name of its sprite.
+         * Set by the drill upgrade.
+         * @type {string}
+         */
+        this.drill = "basic";
+
+        /**
+         * How hard a tile the drill can get through. See {@link MapTileProperties}.
+         * Set by the drill upgrade.
+         * @type {number}
+         */
+        this.drillPower = 0;
+
+        /**
+         * Whether or not the player has the ability to move.
+         * @type {boolean}
+         */
+        this.canMove = true;
+
+        /**
+         * Whether or not the player is currently moving from one tile to the next.
+         * @type {boolean}
+         */
+        this.moving = false;
+
+        /**
+         * Whether or not the player is falling into the tile below.
+         * The player falls whenever there's nothing below and they aren't thrusting upward.
+         * @type {boolean}
+         */
+        this.falling = false;
+
+        /**
+         * The direction the player is moving in.
+         * Not always the direction they're facing, since falling doesn't turn the player.
+         * @type {MinerModel.Direction}
+         */
+        this.moveDirection = MinerModel.Direction.DOWN;
+
+        /**
+         * A one-tick delay of {@link moving} to
+         * prevent a flickering of sprites on a
+         * continuous movement rollover.
+         * @type {boolean}
+         */
+        this.wasMoving = false;
+
+        /**
+         * A boolean that is set to true for one tick
+         * to prevent a flickering of sprites on a
+         * continuous movement rollover.
+         * @type {boolean}
+         */
+        this.isStopping = false;
+
+        /**
+         * The pixel position of the player.
+         * @type {number}
+         */
+        this.x = 0;
+        this.y = 0;
+
+        /**
+         * The pixel position of the player before actual movement.
+         * Determines where the player is about to actually move to.
+         * @type {Object.<number, number>}
+         */
+        this.targetPos = { x: this.x, y: this.y };
+
+        /**
+         * The grid position of the player after actual movement.
+         * @type {Tile}
+         */
+        this.tile = new Tile(0, 0);
+
+        /**
+         * The tile the player is about to mine.
+         * Only set while mining.
+         * @type {MapTileProperties}
+         */
+        this.minetile = null;
+
+        /**
+         * How much money the player has.
+         * @type {number}
+         */
+        this.money = 300;
+
+        /**
+         * The amount of ticks required before the player can enter a maptile.
+         * Creates a sort of "push force" feeling.
+         * @type {number}
+         */
+        this.chargeReq = 20;
+
+        /**
+         * How many more ticks we're waiting for before it mines.
+         * @type {number}
+         */
+        this.charge = 0;
+
+        /**
+         * How many litres this tank holds.
+         * Set by the fuel tank upgrade.
+         * @type {number}
+         */
+        this.maxFuel = 10;
+
+        /**
+         * How much fuel the player has left.
+         * @type {number}
+         */
+        this.fuel = this.maxFuel;
+
+        /**
+         * Used to prevent multiple calls when out of fuel.
+         * @type {boolean}
+         */
+        this.fuelDebounce = false;
+
+        /**
+         * How much damage the hull can take before the miner is destroyed.
+         * Set by the hull upgrade.
+         * @type {number}
+         */
+        this.maxHull = 100;
+
+        /**
+         * How much damage the hull can still take.
+         * @type {number}
+         */
+        this.hull = this.maxHull;
+
+        /**
+         * Whether or not the miner has been destroyed and is waiting to respawn.
+         * @type {boolean}
+         */
+        this.dead = false;
+
+        /**
+         * The maptiles collected.
+         * @type {Array<MapTileProperties>}
+         */
+        this.cargo = [];
+
+        /**
+         * The hold capacity.
+         * Set by the cargo hold upgrade.
+         * @type {number}
+         */
+        this.capacity = 10;
+
+        /**
+         * How many tiles around the miner its lights reveal.
+         * Set by the lights upgrade.
+         * @type {number}
+         */
+        this.lightRadius = 2.5;
+
+        /**
+         * How many tiles around the miner the ore scanner reaches. The miner has no scanner if it is 0.
+         * Set by the scanner upgrade.
+         * @type {number}
+         */
+        this.scanRadius = 0;
+
+        /**
+         * How many milliseconds the scanner takes to recharge after a scan.
+         * @type {number}
+         */
+        this.scanRecharge = 10000;
+
+        /**
+         * How many more milliseconds until the scanner can be used again.
+         * @type {number}
+         */
+        this.scanCooldown = 0;
+
+        /**
+         * The level of every upgrade track, indexed by their id.
+         * @type {Object.<string, number>}
+         */
+        this.upgrades = {};
+
+        /**
+         * How many of each item the miner carries, indexed by their id. Items the miner has none of aren't listed.
+         * @type {Object.<string, number>}
+         */
+        this.items = {};
+
+        /**
+         * The current direction the player is facing. Notably,
+         * the player may not be fully seated in the next tile
+         * they are moving to when this is updated. This is
+         * updated when a movement is initiated, but may not
+         * contain the direction a player is moving.
+         * @type {MinerModel.Direction}
+         */
+        this.facingDirection = MinerModel.Direction.RIGHT;
+
+        this.setUpgrades({});
+        this.fuel = this.maxFuel;
+        this.hull = this.maxHull;
+        this.resetPos();
+    }
+
+    /**
+     * Steps the miner forward in time.
+     * @param {number} delta How many milliseconds have passed.
+     * @param {MinerModel.Direction} direction The direction being pressed, `null` if none.
+     */
+    step(delta, direction) {
+        if (this.dead) return;
+        this.scanCooldown = Math.max(0, this.scanCooldown - delta);
+
+        // Check for out of fuel
+        if (this.fuel <= 0) {
+            return this.outOfFuel();
+        }
+
+        // If we're not currently moving, check if we fall or can move
+        // Otherwise, perform the movement
+        if (!this.moving && this.canMove) {
+            if (direction != MinerModel.Direction.UP && this.canFall()) {
+                this.startFall();
+            } else if (direction != null) {
+                this.falling = false;
+                this.startMove(direction);
+            } else {
+                this.falling = false;
+
+                // Reset charge if no buttons being pressed
+                if (this.charge > 0) {
+                    this.charge = 0;
+                }
+
+                // Perform an extra update on stops
+                if (this.isStopping) {
+                    this.isStopping = false;
+                    this.simulation.emit("stop");
+                }
+            }
+        }
+
+        // This is not an else-if because we want the player to continue moving if they
+        // continue holding the button, and to prevent a "click" into place.
+        if (this.moving) {
+            // Reduce fuel level
+            if (this.fuel <= 0) {
+                return this.outOfFuel();
+            } else if (this.y > this.world.horizonLine - this.world.tileSize + 5) {
+                /**
+                 * To calculate the fuel loss, the original game
+                 * used the arbitrary values of "0.1" when mining
+                 * a tile and "0.07" for movement underground
+                 * without mining. These values, I assume, are
+                 * tied to the framerate (or tickrate) of the
+                 * original game.
+                 *
+                 * To calculate the fuel loss, the original game
+                 * used arbitrary values. I measured that you can
+                 * go 60 tiles with your base-game tank. I am going
+                 * to assign the base-game tank as "10" litres.
+                 * It takes 51000 ms to mine 60 tiles. So, it takes
+                 * 1/5100 liters per millisecond.
+                 *
+                 * It takes approximately 70000 ms to use 10 litres
+                 * without mining, which would be 1/7000 litres per
+                 * millisecond.
+                 *
+                 * Flying upward works the thruster against gravity,
+                 * so it burns close to twice that. Falling is free.
+                 */
+                if (this.minetile) {
+                    this.updateFuel(-(1 / 5100) * delta);
+                } else if (this.moveDirection == MinerModel.Direction.UP) {
+                    this.updateFuel(-(1 / 4000) * delta);
+                } else if (!this.falling) {
+                    this.updateFuel(-(1 / 7000) * delta);
+                }
+            }
+
+            this.move(delta);
+        }
+
+        // Update this.wasMoving
+        if (this.wasMoving != this.moving) {
+            this.wasMoving = this.moving;
+        }
+    }
+
+    /**
+     * Turns toward a direction and charges up to move into the next tile.
+     * @param {MinerModel.Direction} direction
+     */
+    startMove(direction) {
+        const next = this.getAdjacentTile(direction);
+        const maptile = this.world.get(next.gX, next.gY);
+
+        // Update direction
+        if (this.facingDirection != direction) {
+            this.facingDirection = direction;
+            this.simulation.emit("turn", direction);
+        }
+
+        // Buildings, bedrock, boulders and other tiles without thickness can't be mined,
+        // and neither can tiles too hard for the drill, which the player is told about once per push
+        if (maptile && !this.canMine(maptile)) {
+            if (this.charge == 0 && this.simulation.canDestroy(maptile)) this.simulation.emit("toohard", next, maptile);
+            this.charge = 1;
+            return;
+        }
+
+        // Charge up and prepare movement
+        this.kpCharge(maptile, () => {
+            // Hazards go off as soon as the drill touches them
+            if (maptile && maptile.explosion) {
+                this.simulation.explode(next, maptile.explosion.radius, maptile.explosion.damage);
+                return;
+            }
+            if (maptile && maptile.damage) {
+                this.damage(maptile.damage, maptile);
+                if (this.dead) return;
+            }
+
+            // Get target position
+            const tileSize = this.world.tileSize;
+            if (direction == MinerModel.Direction.UP) {
+                this.targetPos.y = Math.max(this.targetPos.y - tileSize, this.world.horizonLine - tileSize);
+            } else if (direction == MinerModel.Direction.DOWN) {
+                this.targetPos.y = Math.min(this.targetPos.y + tileSize, this.world.height - tileSize);
+            } else if (direction == MinerModel.Direction.LEFT) {
+                this.targetPos.x = Math.max(this.targetPos.x - tileSize, 0);
+            } else if (direction == MinerModel.Direction.RIGHT) {
+                this.targetPos.x = Math.min(this.targetPos.x + tileSize, this.world.width - tileSize);
+            }
+
+            // Check if our target position is the same as our current position
+            if (this.targetPos.x == this.x && this.targetPos.y == this.y) {
+                return;
+            }
+
+            // Set us moving to true
+            this.moving = true;
+            this.isStopping = false;
+            this.moveDirection = direction;
+
+            // Calculate movement speed and update minetile
+            if (maptile != null) {
+                this.speed = (maptile.thickness / 100) * (this.defaultSpeed * this.speedMultiplier);
+                this.minetile = maptile;
+            } else if (this.speed != this.defaultSpeed) {
+                this.speed = this.defaultSpeed;
+                this.minetile = maptile;
+            }
+        });
+    }
+
+    /**
+     * Whether or not there is nothing below the player to stand on.
+     * @returns {boolean}
+     */
+    canFall() {
+        return this.world.inBounds(this.tile.gX, this.tile.gY + 1) && !this.getTileBelow();
+    }
+
+    /**
+     * Starts falling into the tile below, keeping the speed of the previous fall if the player is still falling.
+     */
+    startFall() {
+        if (!this.falling) this.speed = 0;
+        this.falling = true;
+        this.moving = true;
+        this.isStopping = false;
+        this.minetile = null;
+        this.moveDirection = MinerModel.Direction.DOWN;
+        this.targetPos.y = this.y + this.world.tileSize;
+    }
+
+    /**
+     * Moves toward the target position, completing the movement once it is reached.
+     * @param {number} delta How many milliseconds have passed.
+     */
+    move(delta) {
+        if (this.falling) {
+            this.speed = Math.min(this.speed + this.simulation.gravity * delta, this.simulation.terminalSpeed);
+        }
+
+        const diff = this.speed * delta;
+        if (this.moveDirection == MinerModel.Direction.UP) {
+            this.y = Math.max(this.y - diff, this.targetPos.y);
+        } else if (this.moveDirection == MinerModel.Direction.DOWN) {
+            this.y = Math.min(this.y + diff, this.targetPos.y);
+        } else if (this.moveDirection == MinerModel.Direction.LEFT) {
+            this.x = Math.max(this.x - diff, this.targetPos.x);
+        } else if (this.moveDirection == MinerModel.Direction.RIGHT) {
+            this.x = Math.min(this.x + diff, this.targetPos.x);
+        }
+
+        if (this.x == this.targetPos.x && this.y == this.targetPos.y) {
+            this.completeMove();
+        }
+    }
+
+    /**
+     * Called once the player is seated in the tile they moved to.
+     * Mines the tile, if any.
+     */
+    completeMove() {
+        // Potentially stop moving since we arrived at our position
+        this.moving = false;
+        this.isStopping = true;
+
+        // Fetch tile and maptile from the position we moved to
+        this.tile = this.getTileFromPixelPosition(this.x, this.y);
+        const maptile = this.world.get(this.tile.gX, this.tile.gY);
+        if (maptile && this.canMine(maptile)) {
+            this.addToHold(maptile);
+            this.simulation.destroyTile(this.tile, this);
+        }
+        this.minetile = null;
+        this.simulation.reveal(this.tile, this.lightRadius);
+        this.simulation.emit("tilemove", this.tile);
+    }
+
+    /**
+     * Handles "charging" the player up to mine a tile on every keypress.
+     *
+     * @param {MapTileProperties} maptile The maptile.
+     * @param {CallableFunction} logic The logic for this keypress.
+     */
+    kpCharge(maptile, logic) {
+        if (!maptile || this.charge > this.chargeReq) {
+            logic();
+        }
+        if (this.charge <= this.chargeReq) this.charge++;
+    }
+
+    /**
+     * Whether or not a tile can be drilled through.
+     * @param {MapTileProperties} maptile
+     * @returns {boolean}
+     */
+    canMine(maptile) {
+        return this.simulation.canDestroy(maptile) && (maptile.hardness || 0) <= this.drillPower;
+    }
+
+    /**
+     * Sets the level of every upgrade track and applies their effects.
+     * Tracks that aren't given are reset to the level the miner starts with.
+     * @param {Object.<string, number>} levels The level of every track, indexed by their id.
+     */
+    setUpgrades(levels) {
+        const catalog = this.simulation.upgrades;
+        if (!catalog) return;
+
+        this.upgrades = {};
+        for (const track of catalog.tracks) {
+            this.upgrades[track.id] = Math.max(0, Math.min(levels[track.id] || 0, track.tiers.length - 1));
+        }
+
+        Object.assign(this, catalog.getEffects(this.upgrades));
+        this.fuel = Math.min(this.fuel, this.maxFuel);
+        this.hull = Math.min(this.hull, this.maxHull);
+    }
+
+    /**
+     * Buys the next tier of an upgrade track.
+     * @param {string} id The id of the track.
+     * @returns {boolean} Whether or not the upgrade was bought. Fails if the track is maxed out,
+     * another track needs upgrading first, or the player can't afford it.
+     */
+    upgrade(id) {
+        const catalog = this.simulation.upgrades;
+        const level = this.upgrades[id] + 1;
+        const tier = catalog.getTier(id, level);
+        if (!tier || catalog.getMissing(tier, this.upgrades).length || !this.spend(tier.price)) return false;
+
+        this.setUpgrades(Object.assign({}, this.upgrades, { [id]: level }));
+        this.simulation.reveal(this.tile, this.lightRadius);
+        this.simulation.emit("upgrade", id, level, tier);
+        this.broadcast();
+        return true;
+    }
+
+    /**
+     * Buys items, as many as there is room for.
+     * @param {string} id The id of the item.
+     * @param {number} [count] How many to buy.
+     * @param {number} [price] How much each costs, if not the price in the catalog.
+     * @returns {number} How many were bought. None are bought if the player can't afford them all.
+     */
+    buyItem(id, count = 1, price) {
+        const item = this.simulation.items.get(id);
+        if (price === undefined) price = item.price;
+        count = Math.min(count, item.maxStack - (this.items[id] || 0));
+        if (count <= 0 || !this.spend(price * count)) return 0;
+
+        this.items[id] = (this.items[id] || 0) + count;
+        this.simulation.emit("items", this.items);
+        return count;
+    }
+
+    /**
+     * Uses one of an item.
+     * @param {string} id The id of the item.
+     * @returns {boolean} Whether or not it was used. Items aren't used up when they wouldn't do anything,
+     * such as fuel with a full tank, or while the miner is wrecked.
+     */
+    useItem(id) {
+        const item = this.simulation.items.get(id);
+        if (!this.items[id] || this.dead || !this.canUse(item)) return false;
+
+        if (--this.items[id] == 0) delete this.items[id];
+        if (item.effects.fuel) this.updateFuel(Math.min(item.effects.fuel, this.maxFuel - this.fuel));
+        if (item.effects.repair) this.repair(Math.min(item.effects.repair, this.maxHull - this.hull));
+        if (item.effects.recall) this.resetPos();
+        if (item.effects.blast && item.effects.fuse) {
+            this.simulation.placeBomb(this.tile, item.effects.blast, item.effects.fuse, item.effects.blastDamage || 0);
+        } else if (item.effects.blast) {
+            this.simulation.explode(this.tile, item.effects.blast, 0);
+        }
+        if (item.effects.demolish) this.simulation.destroyTile(this.getDemolishTarget());
+        if (item.effects.warp) {
+            const outpost = this.getWarpTarget();
+            this.teleport(outpost.x * this.world.tileSize, (outpost.y - 1) * this.world.tileSize);
+        }
+
+        this.simulation.emit("items", this.items);
+        this.simulation.emit("itemuse", item);
+        return true;
+    }
+
+    /**
+     * Whether or not using an item would do anything.
+     * @param {import("./ItemCatalog.js").Item} item
+     * @returns {boolean}
+     */
+    canUse(item) {
+        const { fuel, repair, recall, blast, demolish, warp } = item.effects;
+        return (!!fuel && this.fuel < this.maxFuel) || (!!repair && this.hull < this.maxHull) || (!!recall && this.depth > 0) ||
+            (!!blast && this.simulation.findDestroyable(this.tile, blast).length > 0) ||
+            (!!demolish && !!this.getDemolishTarget()) || (!!warp && !!this.getWarpTarget());
+    }
+
+    /**
+     * Gets the tile a demolition charge would blow up: the bedrock or boulder the miner is facing.
+     * Buildings and tiles that can be drilled through aren't worth a charge.
+     * @returns {Tile} `null` if the miner isn't facing one.
+     */
+    getDemolishTarget() {
+        const tile = this.getAdjacentTile(this.facingDirection);
+        const properties = this.world.get(tile.gX, tile.gY);
+        return properties && properties.unmineable && !properties.interactable ? tile : null;
+    }
+
+    /**
+     * Gets the outpost a teleport would take the miner to: the nearest one it has found, other than the one it's at.
+     * @returns {{id: string, x: number, y: number}} `null` if no other outpost has been found.
+     */
+    getWarpTarget() {
+        let nearest = null;
+        let distance = Infinity;
+        for (const outpost of this.world.outposts) {
+            if (!this.simulation.fog.isRevealed(outpost.x, outpost.y)) continue;
+            const d = Math.hypot(outpost.x - this.tile.gX, outpost.y - 1 - this.tile.gY);
+            if (d > 0 && d < distance) {
+                nearest = outpost;
+                distance = d;
+            }
+        }
+        return nearest;
+    }
+
+    /**
+     * Scans for ores around the miner, if it has a scanner that isn't recharging.
+     * @returns {Array<{tile: Tile, properties: MapTileProperties}>} The ores found, or `null` if the scanner couldn't be used.
+     */
+    scan() {
+        if (this.scanRadius <= 0 || this.scanCooldown > 0 || this.dead) return null;
+
+        const ores = this.simulation.findOres(this.tile, this.scanRadius);
+        this.scanCooldown = this.scanRecharge;
+        this.simulation.emit("scan", this.tile, this.scanRadius, ores);
+        return ores;
+    }
+
+    /**
+     * Inserts a maptile into the hold if it's collectible.
+     *
+     * @param {MapTileProperties} maptile The maptile to add.
+     * @return {boolean} True if added or isn't collectible, false if hold is full.
+     */
+    addToHold(maptile) {
+        if (this.cargo.length >= this.capacity) {
+            return false;
+        }
+        if (!maptile.collectible) {
+            return true;
+        }
+
+        this.cargo.push(maptile);
+
+        this.simulation.emit("collect", this.tile, maptile);
+        this.simulation.emit("hold", this.cargo);
+        return true;
+    }
+
+    /**
+     * Sells everything in the hold.
+     * @param {number} [rate] How much of their value the ores are sold for.
+     * @returns {number} How much money the cargo was sold for.
+     */
+    sellCargo(rate = 1) {
+        const totalValue = this.cargo.reduce((sum, item) => sum + Math.floor(item.value * rate), 0);
+        this.cargo = [];
+        this.addMoney(totalValue);
+        this.simulation.emit("hold", this.cargo);
+        return totalValue;
+    }
+
+    /**
+     * Sells some of one ore from the hold.
+     * @param {string} id The registry id of the ore.
+     * @param {number} count How many to sell. Only as many as there are in the hold are sold.
+     * @param {number} [rate] How much of their value the ores are sold for.
+     * @returns {number} How much money they were sold for.
+     */
+    sell(id, count, rate = 1) {
+        let value = 0;
+        this.cargo = this.cargo.filter(item => {
+            if (item.id != id || count <= 0) return true;
+            count--;
+            value += Math.floor(item.value * rate);
+            return false;
+        });
+        this.addMoney(value);
+        this.simulation.emit("hold", this.cargo);
+        return value;
+    }
+
+    /**
+     * Adds (or with a negative amount, removes) money.
+     * @param {number} amount
+     */
+    addMoney(amount) {
+        this.money += amount;
+        this.simulation.emit("money", this.money);
+    }
+
+    /**
+     * Spends money if the player can afford it.
+     * @param {number} amount
+     * @returns {boolean} Whether or not the money was spent.
+     */
+    spend(amount) {
+        if (amount > this.money) return false;
+        this.addMoney(-amount);
+        return true;
+    }
+
+    /**
+     * Updates the amount of fuel the player has.
+     * @param {number} amount
+     */
+    updateFuel(amount) {
+        this.fuel += amount;
+        this.simulation.emit("fuel", this.fuel, this.maxFuel);
+    }
+
+    /**
+     * Fills the tank.
+     */
+    refuel() {
+        this.updateFuel(this.maxFuel - this.fuel);
+    }
+
+    /**
+     * Event for when the player has run out of fuel.
+     * The player is frozen until {@link MinerModel#recharge} and {@link MinerModel#recover} are called.
+     */
+    outOfFuel() {
+        if (this.fuelDebounce) return;
+        this.fuelDebounce = true;
+        this.canMove = false;
+        this.moving = false;
+        this.simulation.emit("outoffuel");
+    }
+
+    /**
+     * Refills the tank at the surface, charging the player for the trip.
+     * @returns {number} How much money the recharge cost.
+     */
+    recharge() {
+        const cost = this.depth + this.maxFuel;
+        this.fuel = this.maxFuel;
+        this.updateFuel(0);
+        this.addMoney(-cost);
+        this.resetPos();
+        return cost;
+    }
+
+    /**
+     * Lets the player move again after running out of fuel or respawning.
+     */
+    recover() {
+        this.fuelDebounce = false;
+        this.dead = false;
+        this.canMove = true;
+    }
+
+    /**
+     * Damages the hull, destroying the miner once it can't take any more.
+     * @param {number} amount
+     * @param {MapTileProperties} [source] The tile that caused the damage, if any.
+     */
+    damage(amount, source = null) {
+        if (this.dead) return;
+        this.hull = Math.max(0, this.hull - amount);
+        this.simulation.emit("damage", amount, source);
+        this.simulation.emit("hull", this.hull, this.maxHull);
+        if (this.hull <= 0) this.die();
+    }
+
+    /**
+     * Repairs the hull.
+     * @param {number} [amount] How much to repair. Defaults to a full repair.
+     */
+    repair(amount = this.maxHull - this.hull) {
+        this.hull = Math.min(this.maxHull, this.hull + amount);
+        this.simulation.emit("hull", this.hull, this.maxHull);
+    }
+
+    /**
+     * Event for when the hull has been destroyed.
+     * The player is frozen until {@link MinerModel#respawn} and {@link MinerModel#recover} are called.
+     */
+    die() {
+        this.dead = true;
+        this.canMove = false;
+        this.moving = false;
+        this.falling = false;
+        this.minetile = null;
+        this.simulation.emit("death");
+    }
+
+    /**
+     * Rebuilds the miner at the surface. The cargo is lost with the wreck.
+     */
+    respawn() {
+        this.cargo = [];
+        this.simulation.emit("hold", this.cargo);
+        this.fuel = this.maxFuel;
+        this.updateFuel(0);
+        this.repair();
+        this.resetPos();
+    }
+
+    /**
+     * Moves the player to a pixel position without mining anything on the way.
+     * @param {number} x
+     * @param {number} y
+     */
+    teleport(x, y) {
+        this.x = x;
+        this.y = y;
+        this.targetPos = { x: x, y: y };
+        this.tile = this.getTileFromPixelPosition(x, y);
+        this.moving = false;
+        this.falling = false;
+        this.minetile = null;
+        this.simulation.reveal(this.tile, this.lightRadius);
+        this.simulation.emit("teleport", this.tile);
+    }
+
+    /**
+     * Resets the player to the initial position.
+     */
+    resetPos() {
+        this.facingDirection = MinerModel.Direction.RIGHT;
+        this.wasMoving = false;
+        this.isStopping = false;
+        this.teleport(Math.round(this.world.width / 2), this.world.horizonLine - this.world.tileSize);
+    }
+
+    /**
+     * Emits the current state of the player so renderers can catch up.
+     */
+    broadcast() {
+        this.simulation.emit("fuel", this.fuel, this.maxFuel);
+        this.simulation.emit("money", this.money);
+        this.simulation.emit("hold", this.cargo);
+        this.simulation.emit("hull", this.hull, this.maxHull);
+        this.simulation.emit("upgrades", this.upgrades);
+        this.simulation.emit("items", this.items);
+    }
+
+    /**
+     * Gets the grid position next to the player in a direction.
+     * @param {MinerModel.Direction} direction
+     * @returns {Tile}
+     */
+    getAdjacentTile(direction) {
+        let gX = this.tile.gX;
+        let gY = this.tile.gY;
+        if (direction == MinerModel.Direction.UP) {
+            gY -= 1;
+        } else if (direction == MinerModel.Direction.DOWN) {
+            gY += 1;
+        } else if (direction == MinerModel.Direction.LEFT) {
+            gX -= 1;
+        } else if (direction == MinerModel.Direction.RIGHT) {
+            gX += 1;
+        }
+        return new Tile(gX, gY);
+    }
+
+    /**
+     * Gets the maptile below the player by 1 GU.
+     * @returns {MapTileProperties} `null` if there is nothing below the player.
+     */
+    getTileBelow() {
+        return this.world.get(this.tile.gX, this.tile.gY + 1);
+    }
+
+    /**
+     * Returns the tile position on the grid from the pixel position.
+     * @param {number} x
+     * @param {number} y
+     * @returns {Tile}
+     */
+    getTileFromPixelPosition(x, y) {
+        return new Tile(x / this.world.tileSize, y / this.world.tileSize);
+    }
+
+    /**
+     * How deep the player is in meters.
+     * @type {number}
+     */
+    get depth() {
+        return Math.round(this.world.getDepth(this.y / this.world.tileSize));
+    }
+
+    /**
+     * Whether or not the player is flying upward through open air on the thruster.
+     * @type {boolean}
+     */
+    get thrusting() {
+        return this.moving && this.moveDirection == MinerModel.Direction.UP && !this.minetile;
+    }
+}
+
+/**
+ * Determines the current direction.
+ * @readonly
+ * @enum {number}
+ */
+MinerModel.Direction = {
+    UP: 0,
+    DOWN: 1,
+    LEFT: 2,
+    RIGHT: 3
+};
+
+module.exports = MinerModel;
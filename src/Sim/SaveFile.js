@@ -0,0 +1,105 @@
+const zlib = require("zlib");
+const SaveSchema = require("./SaveSchema.js");
+
+/**
+ * The CRC-32 of every byte value, used to build checksums a byte at a time.
+ * @type {Array<number>}
+ */
+const crcTable = [];
+for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++) c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+    crcTable.push(c >>> 0);
+}
+
+/**
+ * Packs saves into portable text files, so they can be moved between browsers or attached to bug reports.
+ *
+ * A save file is a header line followed by the save data as gzipped JSON in base64:
+ * `MEGAMINER-SAVE <file version> <save version> <checksum>`. The checksum is the CRC-32 of the JSON,
+ * so files that were damaged or edited are refused instead of loading half a game.
+ */
+class SaveFile {
+    /**
+     * Packs save data into a save file.
+     * @param {import("./SaveSchema.js").SaveData} saveData
+     * @returns {string}
+     */
+    static encode(saveData) {
+        const json = Buffer.from(JSON.stringify(saveData), "utf8");
+        const header = [SaveFile.magic, SaveFile.version, saveData.version, SaveFile.checksum(json)].join(" ");
+        return `${header}\n${zlib.gzipSync(json).toString("base64")}`;
+    }
+
+    /**
+     * Unpacks the save data from a save file. The data still needs to be read with {@link SaveSchema#read}.
+     * @param {string} text
+     * @returns {Object}
+     * @throws {SaveSchema.SaveError} Explaining why the file can't be loaded.
+     */
+    static decode(text) {
+        const [header, body] = String(text).trim().split("\n", 2);
+        const [magic, fileVersion, saveVersion, checksum] = header.trim().split(" ");
+        if (magic != SaveFile.magic) throw new SaveSchema.SaveError("file", "isn't a Mega Miner save");
+        if (Number(fileVersion) > SaveFile.version || Number(saveVersion) > SaveSchema.version) {
+            throw new SaveSchema.SaveError("file", `was made by a newer version of the game (save version ${saveVersion})`);
+        }
+
+        let json = null;
+        try {
+            json = zlib.gunzipSync(Buffer.from(body || "", "base64"));
+        } catch (error) {
+            throw new SaveSchema.SaveError("file", "is damaged and can't be unpacked");
+        }
+        if (SaveFile.checksum(json) != checksum) throw new SaveSchema.SaveError("file", "has been damaged or edited, its checksum doesn't match");
+
+        try {
+            return JSON.parse(json.toString("utf8"));
+        } catch (error) {
+            throw new SaveSchema.SaveError("file", "doesn't hold any save data");
+        }
+    }
+
+    /**
+     * Whether or not text looks like a save file rather than plain JSON.
+     * @param {string} text
+     * @returns {boolean}
+     */
+    static isSaveFile(text) {
+        return typeof text == "string" && text.startsWith(SaveFile.magic);
+    }
+
+    /**
+     * Gets the CRC-32 of some bytes.
+     * @param {Uint8Array} bytes
+     * @returns {string} The checksum in hexadecimal.
+     */
+    static checksum(bytes) {
+        let crc = 0xFFFFFFFF;
+        for (let i = 0; i < bytes.length; i++) crc = crcTable[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+        return ((crc ^ 0xFFFFFFFF) >>> 0).toString(16).padStart(8, "0");
+    }
+}
+
+/**
+ * The first word of every save file.
+ * @readonly
+ * @type {string}
+ */
+SaveFile.magic = "MEGAMINER-SAVE";
+
+/**
+ * The version of the file format the game writes.
+ * @readonly
+ * @type {number}
+ */
+SaveFile.version = 1;
+
+/**
+ * The extension save files are downloaded with.
+ * @readonly
+ * @type {string}
+ */
+SaveFile.extension = ".mmsave";
+
+module.exports = SaveFile;
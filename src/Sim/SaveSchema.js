@@ -0,0 +1,465 @@
+const Tile = require("../Grid/Tile.js");
+/** @typedef {import("./TileRegistry.js")} TileRegistry */
+/** @typedef {import("./UpgradeCatalog.js")} UpgradeCatalog */
+/** @typedef {import("./ItemCatalog.js")} ItemCatalog */
+/** @typedef {import("./Simulation.js")} Simulation */
+/** @typedef {import("./FogModel.js")} FogModel */
+/** @typedef {import("./WorldModel.js")} WorldModel */
+
+/**
+ * A saved game, as written by the current version of the game.
+ * @typedef {Object} SaveData
+ * @property {number} version The version of the save format. See {@link SaveSchema.version}.
+ * @property {string} name The name of the slot the game was saved in.
+ * @property {number} timestamp When the game was saved.
+ * @property {Object} player
+ * @property {number} player.money
+ * @property {number} player.fuel
+ * @property {number} player.hull
+ * @property {Object.<string, number>} player.upgrades The level of every upgrade track, indexed by their id.
+ * @property {{x: number, y: number}} player.position The pixel position of the miner, seated in the nearest tile when loaded.
+ * @property {Array<string>} player.cargo The registry id of every ore in the hold.
+ * @property {Object.<string, number>} player.items How many of every item the miner carries, indexed by their id.
+ * @property {Object} world
+ * @property {number} world.seed The seed the world was generated with. `null` for migrated saves that never stored one.
+ * @property {Object.<string, string>} world.tiles The registry id of every tile placed since the world was generated,
+ * indexed by grid position. Removed tiles are `null`.
+ * @property {Object.<string, string>} world.fog The tiles the player has revealed, as the bits of every chunk in base64
+ * indexed by chunk position. See {@link FogModel#serialize}.
+ * @property {Array<{name: string, x: number, y: number}>} world.waypoints The teleporter waypoints.
+ * @property {Array<{gX: number, gY: number, fuse: number, radius: number, damage: number}>} world.bombs The bombs
+ * whose fuse is still burning. See {@link Simulation#placeBomb}.
+ * @property {Array<{gX: number, gY: number, ore: string}>} world.drops The ores knocked loose that haven't been picked up,
+ * with the registry id of each.
+ */
+
+/**
+ * Thrown when save data can't be read, so nothing of it is applied.
+ */
+class SaveError extends Error {
+    /**
+     * @param {string} path Where in the save data the problem is.
+     * @param {string} problem
+     */
+    constructor(path, problem) {
+        super(`Invalid save: ${path} ${problem}`);
+        this.name = "SaveError";
+    }
+}
+
+/**
+ * Reads and writes saved games. Saves from older versions of the game are migrated to the current format,
+ * and every save is validated in full before any of it is applied.
+ */
+class SaveSchema {
+    /**
+     * @param {TileRegistry} registry The tiles the saved world and cargo are made of.
+     * @param {UpgradeCatalog} upgrades The upgrades the miner can have.
+     * @param {ItemCatalog} [items] The items the miner can carry. Without it, saves can't hold any items.
+     * @param {WorldModel} [world] The world saves are loaded into. Without it, positions aren't checked against its size.
+     */
+    constructor(registry, upgrades, items = null, world = null) {
+        /**
+         * The tiles the saved world and cargo are made of.
+         * @type {TileRegistry}
+         */
+        this.registry = registry;
+
+        /**
+         * The upgrades the miner can have.
+         * @type {UpgradeCatalog}
+         */
+        this.upgrades = upgrades;
+
+        /**
+         * The items the miner can carry.
+         * @type {ItemCatalog}
+         */
+        this.items = items;
+
+        /**
+         * The world saves are loaded into.
+         * @type {WorldModel}
+         */
+        this.world = world;
+    }
+
+    /**
+     * Records the state of a game.
+     * @param {Simulation} simulation
+     * @param {Object} extra
+     * @param {string} extra.name The name of the slot.
+     * @param {Array<{name: string, x: number, y: number}>} [extra.waypoints]
+     * @returns {SaveData}
+     */
+    create(simulation, extra) {
+        const miner = simulation.miner;
+        const tiles = {};
+        for (const key in simulation.world.edits) {
+            const properties = simulation.world.edits[key];
+            tiles[key] = properties ? properties.id : null;
+        }
+
+        return {
+            version: SaveSchema.version,
+            name: extra.name,
+            timestamp: Date.now(),
+            player: {
+                money: miner.money,
+                fuel: miner.fuel,
+                hull: miner.hull,
+                upgrades: Object.assign({}, miner.upgrades),
+                position: { x: miner.x, y: miner.y },
+                cargo: miner.cargo.map(ore => ore.id),
+                items: Object.assign({}, miner.items)
+            },
+            world: {
+                seed: simulation.world.seed,
+                tiles: tiles,
+                fog: simulation.fog.serialize(),
+                waypoints: (extra.waypoints || []).map(waypoint => Object.assign({}, waypoint)),
+                bombs: simulation.bombs.map(bomb => ({
+                    gX: bomb.tile.gX,
+                    gY: bomb.tile.gY,
+                    fuse: bomb.fuse,
+                    radius: bomb.radius,
+                    damage: bomb.damage
+                })),
+                drops: simulation.drops.map(drop => ({ gX: drop.tile.gX, gY: drop.tile.gY, ore: drop.properties.id }))
+            }
+        };
+    }
+
+    /**
+     * Reads save data written by any version of the game.
+     * @param {string|Object} raw The save data, or its JSON.
+     * @returns {SaveData}
+     * @throws {SaveError} If the save data is corrupt.
+     */
+    read(raw) {
+        let data = raw;
+        if (typeof raw == "string") {
+            try {
+                data = JSON.parse(raw);
+            } catch (error) {
+                throw new SaveError("data", "isn't JSON");
+            }
+        }
+        if (!isObject(data)) throw new SaveError("data", "isn't an object");
+
+        data = this.migrate(data);
+        this.validate(data);
+        return data;
+    }
+
+    /**
+     * Gets the version of the format save data was written in.
+     * The first saves had no version, and the next were versioned "1.0.0".
+     * @param {Object} data
+     * @returns {number}
+     */
+    getVersion(data) {
+        if (data.version === undefined) return 0;
+        if (data.version === "1.0.0") return 1;
+        return data.version;
+    }
+
+    /**
+     * Migrates save data from the version it was written in to the current version.
+     * @param {Object} data
+     * @returns {Object} A migrated copy of the data.
+     * @throws {SaveError} If the data is from an unknown version.
+     */
+    migrate(data) {
+        let version = this.getVersion(data);
+        if (!Number.isInteger(version) || version < 0 || version > SaveSchema.version) {
+            throw new SaveError("version", `${JSON.stringify(data.version)} is unknown`);
+        }
+
+        let migrated = JSON.parse(JSON.stringify(data));
+        for (; version < SaveSchema.version; version++) {
+            migrated = SaveSchema.Migrations[version].call(this, migrated);
+        }
+        return migrated;
+    }
+
+    /**
+     * Checks every field of save data in the current format.
+     * @param {SaveData} data
+     * @throws {SaveError} If anything is missing or out of place.
+     */
+    validate(data) {
+        const registry = this.registry;
+        const world = this.world;
+
+        expect(data.version === SaveSchema.version, "version", "isn't current");
+        expect(typeof data.name == "string", "name", "isn't a string");
+        expectNumber(data.timestamp, "timestamp");
+
+        const player = data.player;
+        expect(isObject(player), "player", "is missing");
+        // Running out of fuel is charged for even without the money to pay, so the player can be in debt
+        expectNumber(player.money, "player.money");
+        expectNumber(player.fuel, "player.fuel", 0);
+        expectNumber(player.hull, "player.hull", 0);
+        expect(isObject(player.position), "player.position", "is missing");
+        expectNumber(player.position.x, "player.position.x", 0);
+        expectNumber(player.position.y, "player.position.y", 0);
+        if (world) expectInWorld(world, Math.round(player.position.x / world.tileSize), Math.round(player.position.y / world.tileSize), "player.position");
+
+        expect(isObject(player.upgrades), "player.upgrades", "is missing");
+        for (const id in player.upgrades) {
+            const track = this.upgrades.tracks.find(t => t.id == id);
+            expect(!!track, `player.upgrades.${id}`, "isn't an upgrade track");
+            const level = player.upgrades[id];
+            expect(Number.isInteger(level) && level >= 0 && level < track.tiers.length, `player.upgrades.${id}`, `has no level ${level}`);
+        }
+
+        expect(Array.isArray(player.cargo), "player.cargo", "isn't a list");
+        player.cargo.forEach((id, i) => {
+            expect(!!registry.tiles[id] && registry.tiles[id].collectible, `player.cargo[${i}]`, `"${id}" isn't an ore`);
+        });
+
+        expect(isObject(player.items), "player.items", "is missing");
+        for (const id in player.items) {
+            const item = this.items ? this.items.items.find(i => i.id == id) : null;
+            expect(!!item, `player.items.${id}`, "isn't an item");
+            const count = player.items[id];
+            expect(Number.isInteger(count) && count > 0 && count <= item.maxStack, `player.items.${id}`, `can't stack ${count}`);
+        }
+
+        expect(isObject(data.world), "world", "is missing");
+        expect(data.world.seed === null || Number.isFinite(data.world.seed), "world.seed", "isn't a number");
+
+        expect(isObject(data.world.tiles), "world.tiles", "is missing");
+        for (const key in data.world.tiles) {
+            expect(/^\d+-\d+$/.test(key), `world.tiles.${key}`, "isn't a grid position");
+            const [gX, gY] = key.split("-").map(Number);
+            expectInWorld(world, gX, gY, `world.tiles.${key}`);
+            const id = data.world.tiles[key];
+            expect(id === null || !!registry.tiles[id], `world.tiles.${key}`, `"${id}" isn't a tile`);
+        }
+
+        expect(isObject(data.world.fog), "world.fog", "is missing");
+        for (const key in data.world.fog) {
+            expect(/^\d+-\d+$/.test(key), `world.fog.${key}`, "isn't a chunk position");
+            expect(/^[A-Za-z0-9+/]*={0,2}$/.test(data.world.fog[key]), `world.fog.${key}`, "isn't base64");
+        }
+
+        expect(Array.isArray(data.world.waypoints), "world.waypoints", "isn't a list");
+        data.world.waypoints.forEach((waypoint, i) => {
+            expect(isObject(waypoint) && typeof waypoint.name == "string", `world.waypoints[${i}]`, "has no name");
+            expectNumber(waypoint.x, `world.waypoints[${i}].x`, 0);
+            expectNumber(waypoint.y, `world.waypoints[${i}].y`, 0);
+            if (world) expectInWorld(world, Math.round(waypoint.x / world.tileSize), Math.round(waypoint.y / world.tileSize), `world.waypoints[${i}]`);
+        });
+
+        expect(Array.isArray(data.world.bombs), "world.bombs", "isn't a list");
+        data.world.bombs.forEach((bomb, i) => {
+            expect(isObject(bomb), `world.bombs[${i}]`, "isn't a bomb");
+            expectGridPosition(bomb, `world.bombs[${i}]`, world);
+            expectNumber(bomb.fuse, `world.bombs[${i}].fuse`, 0);
+            expectNumber(bomb.radius, `world.bombs[${i}].radius`, 0);
+            expectNumber(bomb.damage, `world.bombs[${i}].damage`, 0);
+        });
+
+        expect(Array.isArray(data.world.drops), "world.drops", "isn't a list");
+        data.world.drops.forEach((drop, i) => {
+            expect(isObject(drop), `world.drops[${i}]`, "isn't a drop");
+            expectGridPosition(drop, `world.drops[${i}]`, world);
+            expect(!!registry.tiles[drop.ore] && registry.tiles[drop.ore].collectible, `world.drops[${i}]`, `"${drop.ore}" isn't an ore`);
+        });
+    }
+
+    /**
+     * Rebuilds a saved game in a simulation. The world is regenerated from the seed and the edits replayed on top.
+     * Save data must have been read with {@link SaveSchema#read} first.
+     * @param {Simulation} simulation
+     * @param {SaveData} data
+     */
+    apply(simulation, data) {
+        const world = simulation.world;
+        const miner = simulation.miner;
+
+        simulation.generate(data.world.seed === null ? world.seed : data.world.seed);
+        for (const key in data.world.tiles) {
+            const [gX, gY] = key.split("-").map(Number);
+            const id = data.world.tiles[key];
+            if (id === null) {
+                world.remove(gX, gY);
+            } else {
+                world.set(gX, gY, this.registry.get(id));
+            }
+        }
+        simulation.loadFog(data.world.fog);
+        data.world.bombs.forEach(bomb => simulation.placeBomb(new Tile(bomb.gX, bomb.gY), bomb.radius, bomb.fuse, bomb.damage));
+        data.world.drops.forEach(drop => simulation.dropOre(new Tile(drop.gX, drop.gY), this.registry.get(drop.ore)));
+
+        // Upgrades first, since they set the size of the tank and hull
+        miner.setUpgrades(data.player.upgrades);
+        miner.money = data.player.money;
+        miner.fuel = Math.min(data.player.fuel, miner.maxFuel);
+        miner.hull = Math.min(data.player.hull, miner.maxHull);
+        miner.cargo = data.player.cargo.map(id => this.registry.get(id));
+        miner.items = Object.assign({}, data.player.items);
+        // A game loaded while the miner was wrecked or out of fuel can be played straight away
+        miner.recover();
+        // Older saves could be written while the miner was between two tiles, so it's seated in the nearest one
+        const tileSize = world.tileSize;
+        miner.teleport(Math.round(data.player.position.x / tileSize) * tileSize, Math.round(data.player.position.y / tileSize) * tileSize);
+        miner.broadcast();
+    }
+}
+
+/**
+ * The version of the save format the game writes.
+ * @readonly
+ * @type {number}
+ */
+SaveSchema.version = 5;
+
+/**
+ * Migrates save data from one version to the next, indexed by the version they migrate from.
+ * Each is called with the schema as `this`.
+ * @readonly
+ * @type {Array<function(Object): Object>}
+ */
+SaveSchema.Migrations = [
+    // 0: Written straight from the save station, with no player or world sections
+    function(data) {
+        return {
+            version: "1.0.0",
+            timestamp: data.timestamp,
+            player: {
+                money: data.money,
+                fuel: data.fuel,
+                maxFuel: data.maxFuel,
+                position: data.position,
+                cargo: data.cargo
+            },
+            world: {
+                seed: null,
+                waypoints: data.waypoints
+            }
+        };
+    },
+
+    // 1: Stored upgraded stats instead of upgrade levels, cargo as whole tiles, and no world edits
+    function(data) {
+        const player = data.player || {};
+        const world = data.world || {};
+
+        let upgrades = player.upgrades;
+        if (!upgrades) {
+            const stats = { maxFuel: player.maxFuel, speedMultiplier: player.speedMultiplier, capacity: player.cargoCapacity };
+            upgrades = {};
+            for (const track of this.upgrades.tracks) {
+                track.tiers.forEach((tier, level) => {
+                    for (const stat in stats) {
+                        if (tier.effects[stat] !== undefined && stats[stat] >= tier.effects[stat]) upgrades[track.id] = level;
+                    }
+                });
+            }
+        }
+
+        return {
+            version: 2,
+            name: "Save",
+            timestamp: data.timestamp,
+            player: {
+                money: player.money,
+                fuel: player.fuel,
+                hull: player.hull === undefined ? this.upgrades.getEffects(upgrades).maxHull : player.hull,
+                upgrades: upgrades,
+                position: player.position,
+                cargo: (player.cargo || []).map(ore => isObject(ore) ? ore.id || String(ore.name).toLowerCase() : ore)
+            },
+            world: {
+                seed: world.seed === undefined ? null : world.seed,
+                tiles: {},
+                fog: [],
+                waypoints: world.waypoints || []
+            }
+        };
+    },
+
+    // 2: Stored the fog as a list of fully revealed chunks
+    function(data) {
+        const migrated = Object.assign({}, data, { version: 3, world: Object.assign({}, data.world, { fog: {} }) });
+        // Chunks were 8 tiles square, so 8 bytes of bits
+        const revealed = Buffer.alloc(8, 0xFF).toString("base64");
+        if (data.world && Array.isArray(data.world.fog)) data.world.fog.forEach(key => { migrated.world.fog[key] = revealed; });
+        return migrated;
+    },
+
+    // 3: Had no items
+    function(data) {
+        return Object.assign({}, data, { version: 4, player: Object.assign({}, data.player, { items: {} }) });
+    },
+
+    // 4: Had no bombs or drops
+    function(data) {
+        return Object.assign({}, data, { version: 5, world: Object.assign({}, data.world, { bombs: [], drops: [] }) });
+    }
+];
+
+/**
+ * The error thrown for corrupt save data.
+ * @readonly
+ * @type {typeof SaveError}
+ */
+SaveSchema.SaveError = SaveError;
+
+/**
+ * @param {*} value
+ * @returns {boolean} Whether or not the value is a plain object.
+ */
+function isObject(value) {
+    return typeof value == "object" && value !== null && !Array.isArray(value);
+}
+
+/**
+ * @param {boolean} condition
+ * @param {string} path
+ * @param {string} problem
+ * @throws {SaveError} If the condition is false.
+ */
+function expect(condition, path, problem) {
+    if (!condition) throw new SaveError(path, problem);
+}
+
+/**
+ * @param {*} value
+ * @param {string} path
+ * @param {number} [min]
+ * @throws {SaveError} If the value isn't a finite number of at least the minimum.
+ */
+function expectNumber(value, path, min = -Infinity) {
+    expect(Number.isFinite(value), path, "isn't a number");
+    expect(value >= min, path, `is less than ${min}`);
+}
+
+/**
+ * @param {Object} value
+ * @param {string} path
+ * @param {WorldModel} [world]
+ * @throws {SaveError} If the value doesn't have the grid position of a tile in the world.
+ */
+function expectGridPosition(value, path, world = null) {
+    expect(Number.isInteger(value.gX) && value.gX >= 0, `${path}.gX`, "isn't a grid position");
+    expect(Number.isInteger(value.gY) && value.gY >= 0, `${path}.gY`, "isn't a grid position");
+    expectInWorld(world, value.gX, value.gY, path);
+}
+
+/**
+ * @param {WorldModel} world
+ * @param {number} gX
+ * @param {number} gY
+ * @param {string} path
+ * @throws {SaveError} If the grid position is outside the world.
+ */
+function expectInWorld(world, gX, gY, path) {
+    if (world) expect(world.inBounds(gX, gY), path, "is outside the world");
+}
+
+module.exports = SaveSchema;
@@ -0,0 +1,469 @@
+const EventEmitter = require("events");
+const WorldModel = require("./WorldModel.js");
+const MinerModel = require("./MinerModel.js");
+const FogModel = require("./FogModel.js");
+const Tile = require("../Grid/Tile.js");
+/** @typedef {import("./TileRegistry.js")} TileRegistry */
+/** @typedef {import("./UpgradeCatalog.js")} UpgradeCatalog */
+/** @typedef {import("./ItemCatalog.js")} ItemCatalog */
+/** @typedef {import("./TileRegistry.js").MapTileProperties} MapTileProperties */
+/** @typedef {import("./FogModel.js").FogArea} FogArea */
+
+/**
+ * A loose tile falling through the world. It isn't in the world until it lands.
+ * @typedef {Object} FallingTile
+ * @property {number} id The unique id of this falling tile.
+ * @property {Tile} tile The grid position the top of this tile has fallen to.
+ * @property {number} y The pixel position of the top of this tile.
+ * @property {number} speed How fast this tile is falling, in pixels per millisecond.
+ * @property {number} delay How many more milliseconds this tile wobbles for before it falls.
+ * @property {MapTileProperties} properties The tile that is falling.
+ */
+
+/**
+ * An explosive placed in the world, which goes off once its fuse burns down.
+ * @typedef {Object} Bomb
+ * @property {number} id The unique id of this bomb.
+ * @property {Tile} tile Where this bomb was placed.
+ * @property {number} fuse How many more milliseconds until this bomb goes off.
+ * @property {number} radius How many tiles the blast reaches.
+ * @property {number} damage How much hull damage the miner takes if it's caught in the blast.
+ */
+
+/**
+ * An ore knocked loose by an explosion, lying in the world until the miner picks it up.
+ * @typedef {Object} OreDrop
+ * @property {number} id The unique id of this drop.
+ * @property {Tile} tile Where this drop came to rest.
+ * @property {MapTileProperties} properties The ore.
+ */
+
+/**
+ * The headless core of the game: the world and the miner digging through it.
+ * Contains every game rule and no rendering, so it can be stepped in Node.
+ *
+ * Emits:
+ * - `tilemove` (tile) when the miner is seated in a new tile.
+ * - `tiledestroy` (tile, properties, cause) when a tile is mined or blown up.
+ * - `collect` (tile, properties) when an ore is added to the hold.
+ * - `turn` (direction) when the miner faces a new direction.
+ * - `stop` when the miner comes to a stop.
+ * - `teleport` (tile) when the miner is moved without mining.
+ * - `fuel` (fuel, maxFuel), `money` (money) and `hold` (cargo) when they change.
+ * - `outoffuel` when the miner runs out of fuel.
+ * - `damage` (amount, source) and `hull` (hull, maxHull) when the hull is damaged or repaired.
+ * - `death` when the hull is destroyed.
+ * - `upgrades` (upgrades) when the level of an upgrade track changes.
+ * - `upgrade` (id, level, tier) when the miner buys an upgrade.
+ * - `items` (items) when the items the miner carries change.
+ * - `itemuse` (item) when the miner uses an item.
+ * - `toohard` (tile, properties) when the drill isn't strong enough for a tile.
+ * - `explode` (tile, radius) when something explodes.
+ * - `bomb` (bomb) when a bomb is placed, and `detonate` (bomb) when it goes off.
+ * - `drop` (drop) when an explosion knocks an ore loose, and `pickup` (drop) when the miner picks it up.
+ * - `tilefall` (rock) when a loose tile loses its support and starts to fall.
+ * - `tileland` (rock) when a falling tile lands and is put back in the world.
+ * - `crush` (rock) when a falling tile lands on the miner and breaks.
+ * - `fog` (area) when the fog over an area changes.
+ * - `scan` (tile, radius, ores) when the miner scans for ores.
+ */
+class Simulation extends EventEmitter {
+    /**
+     * @param {number} widthGU The amount of horizontal tiles in the world.
+     * @param {number} heightGU The amount of vertical tiles in the world.
+     * @param {number} tileSize The size of each tile in pixels.
+     * @param {TileRegistry} registry Every tile that can be placed in the world.
+     * @param {UpgradeCatalog} [upgrades] Every upgrade the miner can buy. Without it, the miner can't be upgraded.
+     * @param {ItemCatalog} [items] Every item the miner can buy. Without it, the miner can't carry items.
+     */
+    constructor(widthGU, heightGU, tileSize, registry, upgrades = null, items = null) {
+        super();
+
+        /**
+         * Every tile that can be placed in the world.
+         * @type {TileRegistry}
+         */
+        this.registry = registry;
+
+        /**
+         * Every upgrade the miner can buy.
+         * @type {UpgradeCatalog}
+         */
+        this.upgrades = upgrades;
+
+        /**
+         * Every item the miner can buy.
+         * @type {ItemCatalog}
+         */
+        this.items = items;
+
+        /**
+         * The world being dug through.
+         * @type {WorldModel}
+         */
+        this.world = new WorldModel(widthGU, heightGU, tileSize, registry);
+
+        /**
+         * The parts of the world the miner has seen. The surface and the two rows below it are never fogged.
+         * @type {FogModel}
+         */
+        this.fog = new FogModel(widthGU, heightGU, this.world.chunkSize, this.world.horizonLineGU + 2);
+
+        /**
+         * The miner digging through the world.
+         * @type {MinerModel}
+         */
+        this.miner = new MinerModel(this);
+
+        /**
+         * How fast falling things speed up, in pixels per millisecond squared.
+         * @type {number}
+         */
+        this.gravity = 0.0008;
+
+        /**
+         * The fastest falling things can go, in pixels per millisecond.
+         * @type {number}
+         */
+        this.terminalSpeed = 0.6;
+
+        /**
+         * How many milliseconds a loose tile wobbles for before it falls, giving the miner time to get out of the way.
+         * @type {number}
+         */
+        this.looseDelay = 500;
+
+        /**
+         * Every loose tile that is currently falling.
+         * @type {Array<FallingTile>}
+         */
+        this.fallingTiles = [];
+
+        /**
+         * The id given to the next tile that starts falling.
+         * @type {number}
+         */
+        this.nextFallingId = 0;
+
+        /**
+         * Every bomb whose fuse is burning.
+         * @type {Array<Bomb>}
+         */
+        this.bombs = [];
+
+        /**
+         * Every ore knocked loose by a bomb that hasn't been picked up.
+         * @type {Array<OreDrop>}
+         */
+        this.drops = [];
+
+        /**
+         * The id given to the next bomb or drop.
+         * @type {number}
+         */
+        this.nextBombId = 0;
+        this.nextDropId = 0;
+    }
+
+    /**
+     * Generates a new world and puts the miner back on the surface.
+     * @param {number} [seed] The seed to generate with.
+     */
+    generate(seed) {
+        this.world.generate(seed);
+        this.fallingTiles = [];
+        this.bombs = [];
+        this.drops = [];
+        this.loadFog({});
+        this.miner.resetPos();
+    }
+
+    /**
+     * Reveals the fog around a tile.
+     * @param {Tile} tile
+     * @param {number} radius The radius in tiles.
+     */
+    reveal(tile, radius) {
+        const area = this.fog.reveal(tile.gX, tile.gY, radius);
+        if (area) this.emit("fog", area);
+    }
+
+    /**
+     * Replaces the fog with a packed one, as stored in saves.
+     * @param {Object.<string, string>} data See {@link FogModel#serialize}.
+     */
+    loadFog(data) {
+        this.fog.load(data);
+        this.emit("fog", this.fog.area);
+    }
+
+    /**
+     * Steps the simulation forward in time.
+     * @param {number} delta How many milliseconds have passed.
+     * @param {MinerModel.Direction} [direction] The direction being pressed, if any.
+     */
+    step(delta, direction = null) {
+        this.miner.step(delta, direction);
+        this.stepFallingTiles(delta);
+        this.stepBombs(delta);
+        this.pickUpDrops();
+    }
+
+    /**
+     * Removes a tile from the world, letting anything loose above it fall.
+     * @param {Tile} tile
+     * @param {Object} [cause] What destroyed the tile, such as the miner. `null` for explosions.
+     * @returns {MapTileProperties} The tile that was destroyed, or `null` if there was nothing there.
+     */
+    destroyTile(tile, cause = null) {
+        const properties = this.world.remove(tile.gX, tile.gY);
+        if (!properties) return null;
+
+        this.emit("tiledestroy", tile, properties, cause);
+        this.loosen(tile.gX, tile.gY - 1);
+        return properties;
+    }
+
+    /**
+     * Finds every ore within a radius of a tile, whether or not it has been revealed.
+     * @param {Tile} tile
+     * @param {number} radius The radius in tiles.
+     * @returns {Array<{tile: Tile, properties: MapTileProperties}>}
+     */
+    findOres(tile, radius) {
+        const ores = [];
+        const reach = Math.floor(radius);
+        for (let gY = tile.gY - reach; gY <= tile.gY + reach; gY++) {
+            for (let gX = tile.gX - reach; gX <= tile.gX + reach; gX++) {
+                if ((gX - tile.gX) * (gX - tile.gX) + (gY - tile.gY) * (gY - tile.gY) > radius * radius) continue;
+                const properties = this.world.get(gX, gY);
+                if (properties && properties.collectible) ores.push({ tile: new Tile(gX, gY), properties: properties });
+            }
+        }
+        return ores;
+    }
+
+    /**
+     * Starts a loose tile falling if there is nothing below it, along with any loose tiles stacked on top of it.
+     * @param {number} gX
+     * @param {number} gY
+     */
+    loosen(gX, gY) {
+        const properties = this.world.get(gX, gY);
+        if (!properties || !properties.loose || this.world.get(gX, gY + 1)) return;
+
+        this.world.remove(gX, gY);
+        const rock = {
+            id: this.nextFallingId++,
+            tile: new Tile(gX, gY),
+            y: gY * this.world.tileSize,
+            speed: 0,
+            delay: this.looseDelay,
+            properties: properties
+        };
+        this.fallingTiles.push(rock);
+        this.emit("tilefall", rock);
+
+        this.loosen(gX, gY - 1);
+    }
+
+    /**
+     * Moves every falling tile down, landing them on whatever is below or breaking them on the miner.
+     * @param {number} delta How many milliseconds have passed.
+     */
+    stepFallingTiles(delta) {
+        const ts = this.world.tileSize;
+
+        for (const rock of this.fallingTiles.slice()) {
+            if (rock.delay > 0) {
+                rock.delay -= delta;
+                continue;
+            }
+
+            rock.speed = Math.min(rock.speed + this.gravity * delta, this.terminalSpeed);
+            rock.y += rock.speed * delta;
+
+            const miner = this.miner;
+            if (Math.abs(miner.x - rock.tile.gX * ts) < ts && rock.y + ts > miner.y && rock.y < miner.y + ts) {
+                this.fallingTiles.splice(this.fallingTiles.indexOf(rock), 1);
+                this.emit("crush", rock);
+                miner.damage(rock.properties.damage || 0, rock.properties);
+                continue;
+            }
+
+            // Passes through every empty tile on the way down, landing on the first one with something below it
+            for (;;) {
+                const below = rock.tile.gY + 1;
+                if (!this.world.inBounds(rock.tile.gX, below) || this.world.get(rock.tile.gX, below)) {
+                    if (rock.y >= rock.tile.gY * ts) this.land(rock);
+                    break;
+                }
+                if (rock.y < below * ts) break;
+                rock.tile = new Tile(rock.tile.gX, below);
+            }
+        }
+    }
+
+    /**
+     * Puts a falling tile back in the world where it landed.
+     * @param {FallingTile} rock
+     */
+    land(rock) {
+        rock.y = rock.tile.gY * this.world.tileSize;
+        this.fallingTiles.splice(this.fallingTiles.indexOf(rock), 1);
+        this.world.set(rock.tile.gX, rock.tile.gY, rock.properties);
+        this.emit("tileland", rock);
+    }
+
+    /**
+     * Whether or not a tile can be destroyed at all, by drilling or by an explosion.
+     * Buildings, bedrock, boulders and other tiles without thickness can't be.
+     * @param {MapTileProperties} properties
+     * @returns {boolean}
+     */
+    canDestroy(properties) {
+        return !properties.interactable && !properties.unmineable && properties.thickness > 0;
+    }
+
+    /**
+     * Places a bomb, which goes off once its fuse burns down.
+     * @param {Tile} tile
+     * @param {number} radius How many tiles the blast reaches.
+     * @param {number} fuse How many milliseconds until it goes off.
+     * @param {number} damage How much hull damage the miner takes if it's caught in the blast.
+     * @returns {Bomb}
+     */
+    placeBomb(tile, radius, fuse, damage) {
+        const bomb = { id: this.nextBombId++, tile: tile, fuse: fuse, radius: radius, damage: damage };
+        this.bombs.push(bomb);
+        this.emit("bomb", bomb);
+        return bomb;
+    }
+
+    /**
+     * Burns down the fuse of every bomb, setting off the ones that run out.
+     * @param {number} delta How many milliseconds have passed.
+     */
+    stepBombs(delta) {
+        for (const bomb of this.bombs.slice()) {
+            bomb.fuse -= delta;
+            if (bomb.fuse <= 0 && this.bombs.indexOf(bomb) >= 0) this.detonate(bomb);
+        }
+    }
+
+    /**
+     * Sets off a bomb. See {@link Simulation#explode}.
+     * @param {Bomb} bomb
+     */
+    detonate(bomb) {
+        this.bombs.splice(this.bombs.indexOf(bomb), 1);
+        this.explode(bomb.tile, bomb.radius, bomb.damage, bomb);
+    }
+
+    /**
+     * Drops an ore where a tile was, letting it fall to the first tile below it.
+     * @param {Tile} tile
+     * @param {MapTileProperties} properties
+     * @returns {OreDrop}
+     */
+    dropOre(tile, properties) {
+        let gY = tile.gY;
+        while (this.world.inBounds(tile.gX, gY + 1) && !this.world.get(tile.gX, gY + 1)) gY++;
+
+        const drop = { id: this.nextDropId++, tile: new Tile(tile.gX, gY), properties: properties };
+        this.drops.push(drop);
+        this.emit("drop", drop);
+        return drop;
+    }
+
+    /**
+     * Puts the drops the miner is on into its hold, as long as there is room.
+     */
+    pickUpDrops() {
+        const tile = this.miner.tile;
+        for (const drop of this.drops.slice()) {
+            if (drop.tile.gX != tile.gX || drop.tile.gY != tile.gY) continue;
+            if (!this.miner.addToHold(drop.properties)) return;
+            this.drops.splice(this.drops.indexOf(drop), 1);
+            this.emit("pickup", drop);
+        }
+    }
+
+    /**
+     * Finds every tile within a radius of a tile that can be destroyed.
+     * @param {Tile} tile
+     * @param {number} radius The radius in tiles.
+     * @returns {Array<Tile>}
+     */
+    findDestroyable(tile, radius) {
+        const tiles = [];
+        const reach = Math.floor(radius);
+        for (let gY = tile.gY - reach; gY <= tile.gY + reach; gY++) {
+            for (let gX = tile.gX - reach; gX <= tile.gX + reach; gX++) {
+                if ((gX - tile.gX) * (gX - tile.gX) + (gY - tile.gY) * (gY - tile.gY) > radius * radius) continue;
+                const properties = this.world.get(gX, gY);
+                if (properties && this.canDestroy(properties)) tiles.push(new Tile(gX, gY));
+            }
+        }
+        return tiles;
+    }
+
+    /**
+     * Blows up everything within a radius, damaging the miner if it's caught in the blast.
+     * Tiles the miner can't drill through survive, and any other explosives or bombs caught in the blast go off too.
+     * The ores caught in any of the blasts are dropped for the miner to pick up once the dust settles,
+     * and the area blown out by a bomb is revealed.
+     * @param {Tile} tile Where the explosion starts.
+     * @param {number} radius How many tiles the explosion reaches.
+     * @param {number} damage How much hull damage the miner takes if it's within the radius.
+     * @param {Bomb} [bomb] The bomb that went off, if any. It must already have been taken off the list of bombs.
+     */
+    explode(tile, radius, damage, bomb = null) {
+        const blasts = [{ tile: tile, radius: radius, damage: damage, bomb: bomb }];
+        const ores = [];
+
+        while (blasts.length) {
+            const blast = blasts.shift();
+            if (blast.bomb) this.emit("detonate", blast.bomb);
+            // A boulder may have landed on the bomb, and it survives like any other
+            const centre = this.world.get(blast.tile.gX, blast.tile.gY);
+            if (centre && this.canDestroy(centre)) this.destroyTile(blast.tile);
+
+            for (const caught of this.findDestroyable(blast.tile, blast.radius)) {
+                // Loose tiles may have already fallen out of the way
+                const properties = this.destroyTile(caught);
+                if (!properties) continue;
+                if (properties.explosion) blasts.push({ tile: caught, radius: properties.explosion.radius, damage: properties.explosion.damage });
+                if (properties.collectible) ores.push({ tile: caught, properties: properties });
+            }
+
+            for (const other of this.bombs.slice()) {
+                if (Math.hypot(other.tile.gX - blast.tile.gX, other.tile.gY - blast.tile.gY) > blast.radius) continue;
+                this.bombs.splice(this.bombs.indexOf(other), 1);
+                blasts.push({ tile: other.tile, radius: other.radius, damage: other.damage, bomb: other });
+            }
+
+            this.emit("explode", blast.tile, blast.radius);
+            if (blast.bomb) this.reveal(blast.tile, blast.radius + 1);
+            if (blast.damage > 0 && Math.hypot(this.miner.tile.gX - blast.tile.gX, this.miner.tile.gY - blast.tile.gY) <= blast.radius) {
+                this.miner.damage(blast.damage);
+            }
+        }
+
+        for (const ore of ores) this.dropOre(ore.tile, ore.properties);
+    }
+
+    /**
+     * Steps the simulation forward with a fixed delta until the duration has passed.
+     * @param {number} duration How many milliseconds to simulate.
+     * @param {MinerModel.Direction} [direction] The direction being pressed, if any.
+     * @param {number} [delta] How many milliseconds each step lasts.
+     */
+    advance(duration, direction = null, delta = 1000 / 60) {
+        for (let elapsed = 0; elapsed < duration; elapsed += delta) {
+            this.step(Math.min(delta, duration - elapsed), direction);
+        }
+    }
+}
+
+module.exports = Simulation;
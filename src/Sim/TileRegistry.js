@@ -0,0 +1,149 @@
+/**
+ * Contains information about the tile such as thickness, value, and more.
+ * Every tile is defined in the registry data (`assets/registry.json`), so adding a new ore needs no code.
+ * @typedef {Object} MapTileProperties
+ * @property {string} id The unique id of this tile.
+ * @property {string} name The name of this tile.
+ * @property {string} color The 'theme' color of this tile.
+ * @property {string} [mapColor] The color this tile is drawn with on the minimap. Defaults to its theme color.
+ * @property {number} frame The frame of the tiles spritesheet this tile is drawn with.
+ * @property {number} thickness A percentage of the default player movement speed. See {@link MinerModel#defaultSpeed}.
+ * @property {number} value How much this tile sells for.
+ * @property {boolean} [collectible] Whether this tile goes into the cargo hold when mined.
+ * @property {boolean} [interactable] Whether this tile can be interacted with.
+ * @property {boolean} [unmineable] Whether this tile blocks the miner instead of being drilled through.
+ * @property {number} [hardness] How strong a drill is needed to get through this tile. See {@link MinerModel#drillPower}. Defaults to 0.
+ * @property {number} [damage] How much hull damage the miner takes when drilling into this tile, or when it falls on the miner.
+ * @property {boolean} [loose] Whether this tile falls when the tile below it is dug out.
+ * @property {{radius: number, damage: number}} [explosion] Makes this tile explode when drilled, destroying the tiles within the radius and damaging the miner.
+ * @property {number} [minDepth] The shallowest depth (in meters) this tile is generated at.
+ * @property {number} [maxDepth] The deepest depth (in meters) this tile is generated at.
+ * @property {number} [rarity] Roughly the percentage of tiles within its depth range this tile makes up. Makes this tile a deposit.
+ * @see MinerModel#defaultSpeed
+ */
+
+/**
+ * How common a deposit (an ore or a hazard) is within a stratum.
+ * @typedef {Object} StratumDeposit
+ * @property {string} id The id of the deposited tile.
+ * @property {number} [weight] Multiplies the rarity of the deposit within this stratum. Defaults to 1.
+ * @property {Array<number>} veinSize The smallest and largest amount of tiles in a single vein.
+ */
+
+/**
+ * A layer of rock running the width of the world.
+ * @typedef {Object} Stratum
+ * @property {string} id The unique id of this stratum.
+ * @property {string} name The name of this stratum.
+ * @property {string} fill The id of the tile this stratum is made of.
+ * @property {number} minDepth The depth (in meters) this stratum starts at. It goes on until the next stratum starts.
+ * @property {Array<StratumDeposit>} deposits The ores and hazards that can be found in this stratum.
+ */
+
+/**
+ * The fields every tile in the registry needs, and their types.
+ * @type {Object.<string, string>}
+ */
+const requiredFields = {
+    id: "string",
+    name: "string",
+    color: "string",
+    frame: "number",
+    thickness: "number",
+    value: "number"
+};
+
+/**
+ * Holds the properties of every tile that can be placed in the world, indexed by their id.
+ */
+class TileRegistry {
+    /**
+     * @param {{tiles: Array<MapTileProperties>, strata: Array<Stratum>}} data The registry data, as loaded from `assets/registry.json`.
+     */
+    constructor(data) {
+        if (!data || !Array.isArray(data.tiles)) throw new Error("Tile registry data is missing a list of tiles");
+
+        /**
+         * Every tile, indexed by id.
+         * @type {Object.<string, MapTileProperties>}
+         */
+        this.tiles = {};
+
+        /**
+         * Every tile that can be deposited in veins through the strata, in the order they are defined.
+         * @type {Array<MapTileProperties>}
+         */
+        this.deposits = [];
+
+        /**
+         * Every stratum from the surface down.
+         * @type {Array<Stratum>}
+         */
+        this.strata = [];
+
+        data.tiles.forEach(tile => this.register(tile));
+        (data.strata || []).forEach(stratum => this.registerStratum(stratum));
+        this.strata.sort((a, b) => a.minDepth - b.minDepth);
+    }
+
+    /**
+     * Adds a tile to the registry.
+     * @param {MapTileProperties} tile
+     */
+    register(tile) {
+        for (const field in requiredFields) {
+            if (typeof tile[field] != requiredFields[field]) {
+                throw new Error(`Tile "${tile.id}" is missing the ${requiredFields[field]} field "${field}"`);
+            }
+        }
+        if (this.tiles[tile.id]) throw new Error(`Tile "${tile.id}" is registered twice`);
+
+        const properties = Object.freeze(Object.assign({}, tile));
+        this.tiles[tile.id] = properties;
+        if (typeof properties.rarity == "number") this.deposits.push(properties);
+    }
+
+    /**
+     * Adds a stratum to the registry.
+     * @param {Stratum} stratum
+     */
+    registerStratum(stratum) {
+        this.get(stratum.fill);
+        if (typeof stratum.minDepth != "number") throw new Error(`Stratum "${stratum.id}" is missing the number field "minDepth"`);
+
+        for (const deposit of stratum.deposits) {
+            if (typeof this.get(deposit.id).rarity != "number") throw new Error(`Tile "${deposit.id}" in stratum "${stratum.id}" isn't a deposit`);
+            if (!Array.isArray(deposit.veinSize) || deposit.veinSize[0] < 1 || deposit.veinSize[1] < deposit.veinSize[0]) {
+                throw new Error(`Deposit "${deposit.id}" in stratum "${stratum.id}" has an invalid vein size`);
+            }
+        }
+
+        this.strata.push(Object.freeze(Object.assign({}, stratum)));
+    }
+
+    /**
+     * Gets the properties of a tile.
+     * @param {string} id
+     * @returns {MapTileProperties}
+     */
+    get(id) {
+        const tile = this.tiles[id];
+        if (!tile) throw new Error(`Unknown tile "${id}"`);
+        return tile;
+    }
+
+    /**
+     * Gets the stratum found at a depth.
+     * @param {number} depth The depth in meters.
+     * @returns {Stratum} `null` if there are no strata.
+     */
+    getStratumAt(depth) {
+        let found = null;
+        for (const stratum of this.strata) {
+            if (depth >= stratum.minDepth) found = stratum;
+        }
+        return found;
+    }
+}
+
+module.exports = TileRegistry;
@@ -0,0 +1,124 @@
+/**
+ * One level of an upgrade track.
+ * @typedef {Object} UpgradeTier
+ * @property {string} name The name of this tier.
+ * @property {number} price How much this tier costs.
+ * @property {Object.<string, (number|string)>} effects The stats of the miner this tier sets. See {@link effectFields}.
+ * @property {Object.<string, number>} [requires] The level other tracks need to be at before this tier can be bought, indexed by their id.
+ */
+
+/**
+ * A part of the miner that can be upgraded, one tier at a time.
+ * @typedef {Object} UpgradeTrack
+ * @property {string} id The unique id of this track.
+ * @property {string} name The name of this track.
+ * @property {Array<UpgradeTier>} tiers Every tier from the one the miner starts with up.
+ */
+
+/**
+ * The stats of the miner upgrades can set, and their types.
+ * @type {Object.<string, string>}
+ */
+const effectFields = {
+    drill: "string",
+    drillPower: "number",
+    maxFuel: "number",
+    capacity: "number",
+    speedMultiplier: "number",
+    maxHull: "number",
+    lightRadius: "number",
+    scanRadius: "number"
+};
+
+/**
+ * Holds every upgrade track the shop sells. Every upgrade is defined in the upgrade data
+ * (`assets/upgrades.json`), so prices and effects can be tuned without touching code.
+ */
+class UpgradeCatalog {
+    /**
+     * @param {{tracks: Array<UpgradeTrack>}} data The upgrade data, as loaded from `assets/upgrades.json`.
+     */
+    constructor(data) {
+        if (!data || !Array.isArray(data.tracks)) throw new Error("Upgrade data is missing a list of tracks");
+
+        /**
+         * Every track, in the order they are sold.
+         * @type {Array<UpgradeTrack>}
+         */
+        this.tracks = [];
+
+        data.tracks.forEach(track => this.register(track));
+        this.tracks.forEach(track => track.tiers.forEach(tier => this.getMissing(tier, {})));
+    }
+
+    /**
+     * Adds a track to the catalog.
+     * @param {UpgradeTrack} track
+     */
+    register(track) {
+        if (this.tracks.some(t => t.id == track.id)) throw new Error(`Upgrade track "${track.id}" is registered twice`);
+        if (!Array.isArray(track.tiers) || !track.tiers.length) throw new Error(`Upgrade track "${track.id}" has no tiers`);
+
+        for (const tier of track.tiers) {
+            if (typeof tier.price != "number") throw new Error(`Upgrade "${tier.name}" is missing the number field "price"`);
+            for (const field in tier.effects) {
+                if (typeof tier.effects[field] != effectFields[field]) throw new Error(`Upgrade "${tier.name}" has an unknown effect "${field}"`);
+            }
+        }
+
+        this.tracks.push(Object.freeze(Object.assign({}, track)));
+    }
+
+    /**
+     * Gets a track.
+     * @param {string} id
+     * @returns {UpgradeTrack}
+     */
+    get(id) {
+        const track = this.tracks.find(t => t.id == id);
+        if (!track) throw new Error(`Unknown upgrade track "${id}"`);
+        return track;
+    }
+
+    /**
+     * Gets a tier of a track.
+     * @param {string} id The id of the track.
+     * @param {number} level
+     * @returns {UpgradeTier} `null` if the track doesn't go that high.
+     */
+    getTier(id, level) {
+        return this.get(id).tiers[level] || null;
+    }
+
+    /**
+     * Gets the tiers that need to be bought before a tier can be.
+     * @param {UpgradeTier} tier
+     * @param {Object.<string, number>} levels The level of every track, indexed by their id.
+     * @returns {Array<UpgradeTier>} Empty if the tier can be bought.
+     */
+    getMissing(tier, levels) {
+        const missing = [];
+        for (const id in tier.requires) {
+            const required = this.getTier(id, tier.requires[id]);
+            if (!required) throw new Error(`Upgrade "${tier.name}" requires a level of "${id}" that doesn't exist`);
+            if ((levels[id] || 0) < tier.requires[id]) missing.push(required);
+        }
+        return missing;
+    }
+
+    /**
+     * Gets the stats a miner has with its tracks at the given levels.
+     * @param {Object.<string, number>} levels The level of every track, indexed by their id.
+     * @returns {Object.<string, (number|string)>}
+     */
+    getEffects(levels) {
+        const effects = {};
+        for (const track of this.tracks) {
+            const tier = track.tiers[Math.min(levels[track.id] || 0, track.tiers.length - 1)];
+            Object.assign(effects, tier.effects);
+        }
+        return effects;
+    }
+}
+
+module.exports = UpgradeCatalog;
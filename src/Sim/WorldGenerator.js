@@ -0,0 +1,252 @@
+/** @typedef {import("./TileRegistry.js")} TileRegistry */
+/** @typedef {import("./TileRegistry.js").MapTileProperties} MapTileProperties */
+/** @typedef {import("./TileRegistry.js").Stratum} Stratum */
+/** @typedef {import("./WorldModel.js")} WorldModel */
+const seedrandom = require("seedrandom");
+
+/**
+ * Fills a world with strata from the registry, then grows veins of ores and hazards through them, one chunk at a time.
+ * Every chunk is rolled from its own generator seeded with the world seed and the chunk's position,
+ * so the same seed always generates the same world no matter which chunks are generated first.
+ */
+class WorldGenerator {
+    /**
+     * @param {TileRegistry} registry The tiles and strata to generate with.
+     */
+    constructor(registry) {
+        /**
+         * The tiles and strata to generate with.
+         * @type {TileRegistry}
+         */
+        this.registry = registry;
+
+        /**
+         * How far (in tiles) the boundaries between strata can wander up or down.
+         * @type {number}
+         */
+        this.boundaryJitter = 2;
+
+        /**
+         * How many columns it takes the boundaries between strata to wander from one height to the next.
+         * @type {number}
+         */
+        this.boundarySpan = 6;
+
+        /**
+         * The buildings an underground outpost can be.
+         * @type {Array<string>}
+         */
+        this.outposts = ["fuel_depot", "trader", "repair_bay"];
+
+        /**
+         * The chance of a chunk having an outpost, and how deep (in meters) they start.
+         * @type {number}
+         */
+        this.outpostChance = 0.04;
+        this.outpostMinDepth = 150;
+    }
+
+    /**
+     * Generates a chunk of the world.
+     * @param {WorldModel} world The world to generate in.
+     * @param {number} cX The chunk position.
+     * @param {number} cY The chunk position.
+     */
+    generateChunk(world, cX, cY) {
+        const rng = seedrandom(`${world.seed}-${cX}-${cY}`);
+        const area = {
+            left: cX * world.chunkSize,
+            top: cY * world.chunkSize,
+            right: Math.min((cX + 1) * world.chunkSize, world.widthGU),
+            bottom: Math.min((cY + 1) * world.chunkSize, world.heightGU)
+        };
+
+        this.generateSurface(world, area);
+        const strata = this.generateStrata(world, area);
+        this.generateBedrock(world, area);
+        this.generateVeins(world, area, strata, rng);
+        this.generateOutpost(world, area, strata, rng);
+    }
+
+    /**
+     * Places grass along the horizon line, with the buildings in between.
+     * @param {WorldModel} world
+     * @param {{left: number, top: number, right: number, bottom: number}} area The tiles being generated.
+     */
+    generateSurface(world, area) {
+        if (world.horizonLineGU < area.top || world.horizonLineGU >= area.bottom) return;
+
+        for (let gX = area.left; gX < area.right; gX++) {
+            const building = world.surfaceBuildings.find(b => b.x === gX);
+            world.set(gX, world.horizonLineGU, this.registry.get(building ? building.id : "grass"));
+        }
+    }
+
+    /**
+     * Fills everything below the surface with the tile of the stratum at that depth.
+     * The boundaries between strata wander up and down from column to column so the layers don't look ruled.
+     * @param {WorldModel} world
+     * @param {{left: number, top: number, right: number, bottom: number}} area The tiles being generated.
+     * @returns {Object.<string, Stratum>} The stratum every tile was filled with, indexed by grid position.
+     */
+    generateStrata(world, area) {
+        const strata = {};
+
+        for (let gX = area.left; gX < area.right; gX++) {
+            const offset = this.getBoundaryOffset(world.seed, gX);
+
+            for (let gY = Math.max(area.top, world.horizonLineGU + 1); gY < area.bottom; gY++) {
+                const depth = Math.max(0, world.getDepth(gY + offset));
+                const stratum = this.registry.getStratumAt(depth);
+                world.set(gX, gY, this.registry.get(stratum.fill));
+                strata[`${gX}-${gY}`] = stratum;
+            }
+        }
+
+        return strata;
+    }
+
+    /**
+     * Lines the bottom of the world with bedrock so the miner can't drill out of it.
+     * @param {WorldModel} world
+     * @param {{left: number, top: number, right: number, bottom: number}} area The tiles being generated.
+     */
+    generateBedrock(world, area) {
+        if (area.bottom != world.heightGU) return;
+
+        for (let gX = area.left; gX < area.right; gX++) {
+            world.set(gX, world.heightGU - 1, this.registry.get("bedrock"));
+        }
+    }
+
+    /**
+     * Gets how far the strata boundaries are moved up or down in a column.
+     * Heights are rolled every {@link WorldGenerator#boundarySpan} columns and blended in between,
+     * from generators seeded by the column alone so neighbouring chunks line up.
+     * @param {number} seed The world seed.
+     * @param {number} gX The column.
+     * @returns {number} The offset in tiles.
+     */
+    getBoundaryOffset(seed, gX) {
+        const span = Math.floor(gX / this.boundarySpan);
+        const amount = (gX % this.boundarySpan) / this.boundarySpan;
+        const from = seedrandom(`${seed}-strata-${span}`)();
+        const to = seedrandom(`${seed}-strata-${span + 1}`)();
+        return Math.round((from + (to - from) * amount) * 2 * this.boundaryJitter - this.boundaryJitter);
+    }
+
+    /**
+     * Rolls every tile for the start of a vein of each deposit in its stratum, growing the veins as they're found.
+     * The chance of a vein starting is scaled down by the average vein size, so the rarity of a deposit stays
+     * roughly the percentage of tiles it makes up.
+     * @param {WorldModel} world
+     * @param {{left: number, top: number, right: number, bottom: number}} area The tiles being generated.
+     * @param {Object.<string, Stratum>} strata The stratum of every tile, from {@link WorldGenerator#generateStrata}.
+     * @param {function(): number} rng The seeded random number generator.
+     */
+    generateVeins(world, area, strata, rng) {
+        for (let gY = area.top; gY < area.bottom; gY++) {
+            for (let gX = area.left; gX < area.right; gX++) {
+                const stratum = strata[`${gX}-${gY}`];
+                if (!stratum) continue;
+
+                for (const entry of stratum.deposits) {
+                    const deposit = this.registry.get(entry.id);
+                    if (!this.canDeposit(world, area, gX, gY, deposit)) continue;
+
+                    const [min, max] = entry.veinSize;
+                    const weight = entry.weight === undefined ? 1 : entry.weight;
+                    if (rng() * 100 * (min + max) / 2 > deposit.rarity * weight) continue;
+
+                    this.growVein(world, area, gX, gY, deposit, min + Math.floor(rng() * (max - min + 1)), rng);
+                    break;
+                }
+            }
+        }
+    }
+
+    /**
+     * Maybe places an outpost in the chunk, with a pocket dug out above it to stand in.
+     * Rolled after the veins, so outposts don't change the ores of a seed.
+     * @param {WorldModel} world
+     * @param {{left: number, top: number, right: number, bottom: number}} area The tiles being generated.
+     * @param {Object.<string, Stratum>} strata The stratum of every tile, from {@link WorldGenerator#generateStrata}.
+     * @param {function(): number} rng The seeded random number generator.
+     */
+    generateOutpost(world, area, strata, rng) {
+        if (rng() >= this.outpostChance) return;
+
+        // The pocket is three tiles wide and two high, and the row above it is kept in the chunk too
+        const gX = area.left + 1 + Math.floor(rng() * (area.right - area.left - 2));
+        const gY = area.top + 3 + Math.floor(rng() * (area.bottom - area.top - 3));
+        const building = this.registry.get(this.outposts[Math.floor(rng() * this.outposts.length)]);
+        if (gX + 1 >= area.right || gY >= world.heightGU - 1 || world.getDepth(gY) < this.outpostMinDepth) return;
+
+        world.set(gX, gY, building);
+        for (let x = gX - 1; x <= gX + 1; x++) {
+            world.set(x, gY - 1, null);
+            world.set(x, gY - 2, null);
+            // Loose tiles would fall into the pocket as soon as the world is touched, so the roof is made solid
+            const roof = world.get(x, gY - 3);
+            const stratum = strata[`${x}-${gY - 3}`];
+            if (roof && roof.loose && stratum) world.set(x, gY - 3, this.registry.get(stratum.fill));
+        }
+        world.outposts.push({ id: building.id, x: gX, y: gY });
+    }
+
+    /**
+     * Grows a vein of a deposit by repeatedly spreading from a random tile of the vein to a random neighbour.
+     * Veins stay within the chunk they started in, since the chunks next to it may not be generated yet.
+     * @param {WorldModel} world
+     * @param {{left: number, top: number, right: number, bottom: number}} area The tiles being generated.
+     * @param {number} gX Where the vein starts.
+     * @param {number} gY Where the vein starts.
+     * @param {MapTileProperties} deposit The tile the vein is made of.
+     * @param {number} size How many tiles the vein should be.
+     * @param {function(): number} rng The seeded random number generator.
+     */
+    growVein(world, area, gX, gY, deposit, size, rng) {
+        const vein = [[gX, gY]];
+        world.set(gX, gY, deposit);
+
+        // Veins boxed in by other deposits or the edge of the chunk give up instead of searching forever
+        for (let attempts = size * 4; vein.length < size && attempts > 0; attempts--) {
+            const [x, y] = vein[Math.floor(rng() * vein.length)];
+            const [dX, dY] = WorldGenerator.Neighbours[Math.floor(rng() * WorldGenerator.Neighbours.length)];
+            if (!this.canDeposit(world, area, x + dX, y + dY, deposit)) continue;
+
+            world.set(x + dX, y + dY, deposit);
+            vein.push([x + dX, y + dY]);
+        }
+    }
+
+    /**
+     * Whether or not a deposit can replace the tile at a grid position.
+     * Deposits only replace the rock of a stratum, and never leave the depths they're registered for.
+     * @param {WorldModel} world
+     * @param {{left: number, top: number, right: number, bottom: number}} area The tiles being generated.
+     * @param {number} gX
+     * @param {number} gY
+     * @param {MapTileProperties} deposit
+     * @returns {boolean}
+     */
+    canDeposit(world, area, gX, gY, deposit) {
+        if (gX < area.left || gY < area.top || gX >= area.right || gY >= area.bottom) return false;
+        if (gY <= world.horizonLineGU) return false;
+
+        const depth = world.getDepth(gY);
+        if (depth < deposit.minDepth || depth > deposit.maxDepth) return false;
+
+        const tile = world.get(gX, gY);
+        return !!tile && this.registry.strata.some(stratum => stratum.fill == tile.id);
+    }
+}
+
+/**
+ * The offsets of the tiles a vein can spread to.
+ * @readonly
+ * @type {Array<Array<number>>}
+ */
+WorldGenerator.Neighbours = [[0, -1], [0, 1], [-1, 0], [1, 0]];
+
+module.exports = WorldGenerator;
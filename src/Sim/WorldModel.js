@@ -0,0 +1,236 @@
+/** @typedef {import("./TileRegistry.js").MapTileProperties} MapTileProperties */
+/** @typedef {import("./TileRegistry.js")} TileRegistry */
+const Tile = require("../Grid/Tile.js");
+const WorldGenerator = require("./WorldGenerator.js");
+
+/**
+ * The pure-logic model of the world: which tile is at which grid position.
+ * Knows nothing about sprites, so it can be generated and mined in Node.
+ */
+class WorldModel {
+    /**
+     * @param {number} widthGU The amount of horizontal tiles.
+     * @param {number} heightGU The amount of vertical tiles.
+     * @param {number} tileSize The size of each tile in pixels.
+     * @param {TileRegistry} registry Every tile that can be placed in the world.
+     */
+    constructor(widthGU, heightGU, tileSize, registry) {
+        /**
+         * Every tile that can be placed in the world.
+         * @type {TileRegistry}
+         */
+        this.registry = registry;
+
+        /**
+         * The amount of horizontal tiles.
+         * @type {number}
+         */
+        this.widthGU = widthGU;
+
+        /**
+         * The amount of vertical tiles.
+         * @type {number}
+         */
+        this.heightGU = heightGU;
+
+        /**
+         * The size of each tile in pixels.
+         * @type {number}
+         */
+        this.tileSize = tileSize;
+
+        /**
+         * How wide the world is in pixels.
+         * @type {number}
+         */
+        this.width = this.widthGU * this.tileSize;
+
+        /**
+         * How tall the world is in pixels.
+         * @type {number}
+         */
+        this.height = this.heightGU * this.tileSize;
+
+        /**
+         * How many meters there are per tile.
+         * @type {number}
+         */
+        this.metersPerTile = 5;
+
+        /**
+         * Determines the maximum position vertically that the tiles will be generated (in grid units).
+         * @type {number}
+         */
+        this.horizonLineGU = 8;
+
+        /**
+         * Determines the maximum position vertically that tiles will be generated (in pixels).
+         * @type {number}
+         */
+        this.horizonLine = this.horizonLineGU * this.tileSize;
+
+        /**
+         * The seed this world was generated with.
+         * @type {number}
+         */
+        this.seed = 0;
+
+        /**
+         * The properties of every generated tile in the world indexed by their grid position.
+         * Positions without a tile in a generated chunk have been dug out.
+         * @type {Object.<string, MapTileProperties>}
+         */
+        this.tiles = {};
+
+        /**
+         * How many tiles wide and tall each chunk is.
+         * Chunks are generated the first time any of their tiles are needed.
+         * @type {number}
+         */
+        this.chunkSize = 8;
+
+        /**
+         * Whether or not each chunk has been generated, indexed by their chunk position.
+         * @type {Object.<string, boolean>}
+         */
+        this.chunks = {};
+
+        /**
+         * Generates the chunks.
+         * @type {WorldGenerator}
+         */
+        this.generator = new WorldGenerator(registry);
+
+        /**
+         * Whether or not a chunk is being generated, so the tiles it places aren't counted as edits.
+         * @type {boolean}
+         */
+        this.generating = false;
+
+        /**
+         * Every tile placed or removed since the world was generated, indexed by grid position.
+         * Removed tiles are `null`. Together with the seed, this is everything needed to rebuild the world.
+         * @type {Object.<string, MapTileProperties>}
+         */
+        this.edits = {};
+
+        /**
+         * Building positions on the surface
+         * @type {Array<{id: string, x: number}>}
+         */
+        this.surfaceBuildings = [
+            { id: "shop", x: 5 },
+            { id: "save_station", x: 10 },
+            { id: "selling_post", x: 15 },
+            { id: "fuel_station", x: 25 },
+            { id: "teleporter", x: 30 }
+        ];
+
+        /**
+         * The outposts found underground so far. Outposts are placed as their chunk is generated.
+         * @type {Array<{id: string, x: number, y: number}>}
+         */
+        this.outposts = [];
+    }
+
+    /**
+     * Starts a new world. Nothing is generated until it's needed.
+     * The same seed always generates the same world, no matter what order the chunks are generated in.
+     * @param {number} [seed] The seed to generate with. Defaults to the current timestamp.
+     */
+    generate(seed) {
+        this.seed = seed || Date.now();
+        this.tiles = {};
+        this.chunks = {};
+        this.edits = {};
+        this.outposts = [];
+    }
+
+    /**
+     * Generates a chunk if it hasn't been already.
+     * @param {number} cX
+     * @param {number} cY
+     */
+    ensureChunk(cX, cY) {
+        const key = `${cX}-${cY}`;
+        if (this.chunks[key]) return;
+        // Marked first, so the generator can place tiles without generating the chunk again
+        this.chunks[key] = true;
+        this.generating = true;
+        this.generator.generateChunk(this, cX, cY);
+        this.generating = false;
+    }
+
+    /**
+     * Gets the chunk position of a grid position.
+     * @param {number} gX
+     * @param {number} gY
+     * @returns {{cX: number, cY: number}}
+     */
+    getChunkPosition(gX, gY) {
+        return { cX: Math.floor(gX / this.chunkSize), cY: Math.floor(gY / this.chunkSize) };
+    }
+
+    /**
+     * Gets the depth of a row of tiles.
+     * @param {number} gY
+     * @returns {number} The depth in meters.
+     */
+    getDepth(gY) {
+        return (gY - this.horizonLineGU + 1) * this.metersPerTile;
+    }
+
+    /**
+     * Gets the tile at a grid position.
+     * @param {number} gX
+     * @param {number} gY
+     * @returns {MapTileProperties} `null` if there is no tile.
+     */
+    get(gX, gY) {
+        if (!this.inBounds(gX, gY)) return null;
+        const { cX, cY } = this.getChunkPosition(gX, gY);
+        this.ensureChunk(cX, cY);
+        return this.tiles[new Tile(gX, gY).toString()] || null;
+    }
+
+    /**
+     * Places a tile at a grid position, replacing any existing tile.
+     * @param {number} gX
+     * @param {number} gY
+     * @param {MapTileProperties} properties
+     */
+    set(gX, gY, properties) {
+        const { cX, cY } = this.getChunkPosition(gX, gY);
+        this.ensureChunk(cX, cY);
+        const key = new Tile(gX, gY).toString();
+        this.tiles[key] = properties;
+        if (!this.generating) this.edits[key] = properties;
+    }
+
+    /**
+     * Removes the tile at a grid position.
+     * @param {number} gX
+     * @param {number} gY
+     * @returns {MapTileProperties} The removed tile, `null` if there was none.
+     */
+    remove(gX, gY) {
+        const properties = this.get(gX, gY);
+        if (!properties) return null;
+        const key = new Tile(gX, gY).toString();
+        delete this.tiles[key];
+        this.edits[key] = null;
+        return properties;
+    }
+
+    /**
+     * Whether or not a grid position is within the world.
+     * @param {number} gX
+     * @param {number} gY
+     * @returns {boolean}
+     */
+    inBounds(gX, gY) {
+        return gX >= 0 && gY >= 0 && gX < this.widthGU && gY < this.heightGU;
+    }
+}
+
+module.exports = WorldModel;
@@ -0,0 +1,105 @@
+const test = require("node:test");
+const assert = require("assert");
+const EventBus = require("../src/EventBus.js");
+const Simulation = require("../src/Sim/Simulation.js");
+const registry = require("./helpers/registry.js");
+const upgrades = require("./helpers/upgrades.js");
+
+const { Event } = EventBus;
+
+/**
+ * Creates an event bus connected to a new simulation, recording every event it sends.
+ */
+function createBus() {
+    const sim = new Simulation(40, 40, 50, registry, upgrades);
+    sim.generate(1);
+    const bus = new EventBus();
+    bus.connect(sim);
+    const sent = [];
+    for (const key in Event) bus.on(Event[key], payload => sent.push([Event[key], payload]));
+    return { sim: sim, bus: bus, sent: sent };
+}
+
+test("listeners can be added and removed, and unknown events are refused", () => {
+    const bus = new EventBus();
+    const payloads = [];
+    const listener = bus.on(Event.BUILDING_ENTERED, payload => payloads.push(payload.id));
+
+    bus.emit(Event.BUILDING_ENTERED, { id: "shop" });
+    bus.off(Event.BUILDING_ENTERED, listener);
+    bus.emit(Event.BUILDING_ENTERED, { id: "shop" });
+    assert.deepStrictEqual(payloads, ["shop"]);
+
+    assert.throws(() => bus.on("tilemined!", () => {}), /Unknown game event "tilemined!"/);
+    assert.throws(() => bus.emit("buildingenter", {}), /Unknown game event/);
+});
+
+test("only tiles mined by the miner count as mined", () => {
+    const { sim, sent } = createBus();
+    const miner = sim.miner;
+    sim.world.set(20, 12, registry.get("dirt"));
+    sim.world.set(21, 12, registry.get("dirt"));
+
+    sim.destroyTile(miner.getTileFromPixelPosition(20 * 50, 12 * 50), miner);
+    sim.destroyTile(miner.getTileFromPixelPosition(21 * 50, 12 * 50));
+    const mined = sent.filter(([event]) => event == Event.TILE_MINED);
+    assert.strictEqual(mined.length, 1);
+    assert.strictEqual(mined[0][1].tile.toString(), "20-12");
+    assert.strictEqual(mined[0][1].properties.id, "dirt");
+});
+
+test("cargo full and fuel low are sent once until they're cleared", () => {
+    const { sim, sent } = createBus();
+    const miner = sim.miner;
+    const coal = registry.get("coal");
+
+    for (let i = 0; i < miner.capacity + 2; i++) miner.addToHold(coal);
+    miner.sellCargo();
+    for (let i = 0; i < miner.capacity; i++) miner.addToHold(coal);
+    assert.strictEqual(sent.filter(([event]) => event == Event.ORE_COLLECTED).length, miner.capacity * 2);
+    assert.strictEqual(sent.filter(([event]) => event == Event.CARGO_FULL).length, 2);
+
+    miner.updateFuel(-miner.maxFuel * 0.9);
+    miner.updateFuel(-1);
+    miner.refuel();
+    miner.updateFuel(-miner.maxFuel * 0.9);
+    assert.strictEqual(sent.filter(([event]) => event == Event.FUEL_LOW).length, 2);
+});
+
+test("money changes are sent with how much they changed by", () => {
+    const { sim, sent } = createBus();
+    const miner = sim.miner;
+    const money = miner.money;
+
+    miner.addMoney(50);
+    miner.broadcast();
+    miner.spend(20);
+    assert.deepStrictEqual(sent.filter(([event]) => event == Event.MONEY_CHANGED).map(([, payload]) => payload), [
+        { money: money + 50, change: 50 },
+        { money: money + 30, change: -20 }
+    ]);
+});
+
+test("upgrades bought and deaths are sent", () => {
+    const { sim, sent } = createBus();
+    const miner = sim.miner;
+    miner.money = 100000;
+
+    assert.ok(miner.upgrade("tank"));
+    const [, bought] = sent.find(([event]) => event == Event.UPGRADE_BOUGHT);
+    assert.strictEqual(bought.track, "tank");
+    assert.strictEqual(bought.level, 1);
+    assert.strictEqual(bought.tier, upgrades.getTier("tank", 1));
+
+    miner.damage(miner.hull, registry.get("magma_rock"));
+    const [, died] = sent.find(([event]) => event == Event.PLAYER_DIED);
+    assert.strictEqual(died.tile, miner.tile);
+    assert.strictEqual(died.source.id, "magma_rock");
+});
+
+test("a disconnected bus stops translating the simulation", () => {
+    const { sim, bus, sent } = createBus();
+    bus.disconnect();
+    sim.miner.addMoney(50);
+    assert.deepStrictEqual(sent, []);
+});
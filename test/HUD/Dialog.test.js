@@ -0,0 +1,101 @@
+const test = require("node:test");
+const assert = require("assert");
+const { createGame, FakeElement } = require("../helpers/game.js");
+const Dialog = require("../../src/HUD/Dialog.js");
+const InputHandler = require("../../src/Handler/InputHandler.js");
+
+const { Action } = InputHandler;
+
+/**
+ * Creates a dialog for a new game, keeping every item chosen.
+ * @param {Array<import("../../src/HUD/Dialog.js").DialogItem>} items
+ */
+function createDialog(items) {
+    const game = createGame();
+    const dialog = new Dialog(game, "Shop", items);
+    dialog.chosen = [];
+    dialog.onSelect = (item, quantity) => dialog.chosen.push({ name: item.name, quantity });
+    return dialog;
+}
+
+test("up and down select the next item that isn't disabled", () => {
+    const dialog = createDialog([
+        { name: "Cheap", price: 10 },
+        { name: "Expensive", price: 9000, disabled: true },
+        { name: "Leave" }
+    ]).open();
+    assert.strictEqual(dialog.selected, 0);
+
+    dialog.handleAction(Action.DOWN);
+    assert.strictEqual(dialog.selected, 2);
+    dialog.handleAction(Action.DOWN);
+    assert.strictEqual(dialog.selected, 0);
+    dialog.handleAction(Action.UP);
+    assert.strictEqual(dialog.selected, 2);
+
+    dialog.handleAction(Action.INTERACT);
+    assert.deepStrictEqual(dialog.chosen, [{ name: "Leave", quantity: 1 }]);
+
+    // Disabled items can't be chosen, even when the selection is forced onto them
+    dialog.selected = 1;
+    dialog.confirm();
+    assert.strictEqual(dialog.chosen.length, 1);
+});
+
+test("left and right change the quantity within its limits", () => {
+    const dialog = createDialog([{ name: "Coal", price: 20, quantity: { min: 1, max: 3, value: 2 } }]).open();
+    dialog.handleAction(Action.RIGHT);
+    dialog.handleAction(Action.RIGHT);
+    assert.strictEqual(dialog.items[0].quantity.value, 3);
+    assert.strictEqual(dialog.getPrice(dialog.items[0]), 60);
+
+    for (let i = 0; i < 5; i++) dialog.handleAction(Action.LEFT);
+    dialog.handleAction(Action.INTERACT);
+    assert.deepStrictEqual(dialog.chosen, [{ name: "Coal", quantity: 1 }]);
+});
+
+test("the player can't move while a dialog is open, and Escape closes it", () => {
+    const dialog = createDialog([{ name: "Refuel" }, { name: "Repair" }]);
+    const input = dialog.game.inputHandler;
+    let closed = false;
+    dialog.onClose = () => { closed = true; };
+
+    dialog.open();
+    assert.ok(dialog.element.parentNode);
+    input.keydown({ key: "s" });
+    assert.strictEqual(input.isDown(Action.DOWN), false);
+    assert.strictEqual(dialog.selected, 1);
+
+    input.keydown({ key: "Escape" });
+    assert.strictEqual(dialog.isOpen, false);
+    assert.strictEqual(closed, true);
+    assert.strictEqual(input.dialogs.length, 0);
+
+    input.keyup({ key: "s" });
+    input.keydown({ key: "s" });
+    assert.strictEqual(input.isDown(Action.DOWN), true);
+});
+
+test("only the top dialog gets actions, and focus goes back when it closes", () => {
+    const under = createDialog([{ name: "Shop" }]);
+    const button = new FakeElement("button");
+    let focused = null;
+    button.focus = () => { focused = button; };
+    global.document.activeElement = button;
+    try {
+        under.open();
+    } finally {
+        delete global.document.activeElement;
+    }
+
+    const over = new Dialog(under.game, "Confirm", [{ name: "Yes" }]);
+    over.open();
+    assert.ok(over.element.style.cssText.includes("z-index: 101"));
+
+    under.game.inputHandler.trigger(Action.PAUSE);
+    assert.strictEqual(over.isOpen, false);
+    assert.strictEqual(under.isOpen, true);
+
+    under.close();
+    assert.strictEqual(focused, button);
+});
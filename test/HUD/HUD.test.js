@@ -0,0 +1,91 @@
+const test = require("node:test");
+const assert = require("assert");
+const { createGame } = require("../helpers/game.js");
+const HUD = require("../../src/HUD/HUD.js");
+const registry = require("../helpers/registry.js");
+
+/**
+ * Steps the HUD forward in time.
+ */
+function tick(hud, delta) {
+    hud.tick({ delta: delta, paused: false });
+}
+
+test("the HUD starts out showing the miner as it is", () => {
+    const hud = new HUD(createGame());
+    assert.strictEqual(hud.fuel.text.text, "FUEL 100%");
+    assert.strictEqual(hud.fuel.shown, 1);
+    assert.strictEqual(hud.hull.text.text, "HULL 100%");
+    assert.strictEqual(hud.hold.text.text, "CARGO 0/10");
+    assert.strictEqual(hud.depth.text.text, "DEPTH 0 m");
+    assert.strictEqual(hud.money.text, "$300");
+});
+
+test("gauges slide to the state of the miner", () => {
+    const hud = new HUD(createGame());
+    const miner = hud.game.simulation.miner;
+    miner.damage(50, registry.get("lava"));
+    assert.strictEqual(hud.hull.text.text, "HULL 50%");
+    assert.strictEqual(hud.hull.value, 0.5);
+    assert.strictEqual(hud.hull.shown, 1);
+
+    tick(hud, 100);
+    assert.ok(hud.hull.shown < 1 && hud.hull.shown > 0.5);
+    tick(hud, 1000);
+    assert.strictEqual(hud.hull.shown, 0.5);
+});
+
+test("the cargo gauge follows the hold and its capacity", () => {
+    const hud = new HUD(createGame());
+    const miner = hud.game.simulation.miner;
+    miner.addToHold(registry.get("coal"));
+    assert.strictEqual(hud.hold.text.text, "CARGO 1/10");
+
+    miner.setUpgrades({ hold: 1 });
+    miner.broadcast();
+    assert.strictEqual(hud.hold.text.text, "CARGO 1/15");
+});
+
+test("the depth meter follows the miner down", () => {
+    const hud = new HUD(createGame());
+    hud.game.simulation.miner.teleport(20 * 50, 20 * 50);
+    tick(hud, 16);
+    assert.strictEqual(hud.depth.text.text, `DEPTH ${hud.game.simulation.miner.depth} m`);
+    assert.ok(hud.depth.value > 0);
+});
+
+test("money counts to its new value and shows the change", () => {
+    const hud = new HUD(createGame());
+    const miner = hud.game.simulation.miner;
+    miner.spend(100);
+    assert.strictEqual(hud.deltas[0].text, "-$100");
+    assert.strictEqual(hud.money.text, "$300");
+
+    tick(hud, 100);
+    assert.ok(hud.moneyShown < 300 && hud.moneyShown > 200);
+    tick(hud, hud.countTime);
+    assert.strictEqual(hud.money.text, "$200");
+
+    tick(hud, hud.deltaTime);
+    assert.deepStrictEqual(hud.deltas, []);
+});
+
+test("low fuel flashes the fuel gauge", () => {
+    const hud = new HUD(createGame());
+    const miner = hud.game.simulation.miner;
+    miner.updateFuel(-miner.maxFuel * 0.9);
+    assert.strictEqual(hud.fuel.step(16), true);
+    tick(hud, 5000);
+    assert.strictEqual(hud.fuel.step(16), true);
+
+    miner.updateFuel(miner.maxFuel);
+    tick(hud, 5000);
+    assert.strictEqual(hud.fuel.step(16), false);
+});
+
+test("destroying the HUD stops listening to the simulation", () => {
+    const hud = new HUD(createGame());
+    hud.destroy();
+    hud.game.simulation.miner.spend(100);
+    assert.strictEqual(hud.deltas.length, 0);
+});
@@ -0,0 +1,90 @@
+const test = require("node:test");
+const assert = require("assert");
+const { createGame } = require("../helpers/game.js");
+const Hotbar = require("../../src/HUD/Hotbar.js");
+const TouchControls = require("../../src/HUD/TouchControls.js");
+const InputHandler = require("../../src/Handler/InputHandler.js");
+
+/**
+ * Creates a click event.
+ */
+function click() {
+    return { type: "click", preventDefault() {} };
+}
+
+test("every item has a slot showing how many are carried", () => {
+    const game = createGame();
+    const hotbar = new Hotbar(game);
+    assert.deepStrictEqual(hotbar.order, ["fuel_canister", "repair_kit", "recall_beacon", "dynamite", "bomb", "c4", "teleport_scroll"]);
+    assert.strictEqual(hotbar.slots.fuel_canister.count.textContent, "0");
+
+    game.simulation.miner.money = 1000;
+    game.simulation.miner.buyItem("fuel_canister", 3);
+    assert.strictEqual(hotbar.slots.fuel_canister.count.textContent, "3");
+    assert.strictEqual(hotbar.slots.fuel_canister.slot.style.opacity, "1");
+    assert.strictEqual(hotbar.slots.repair_kit.slot.style.opacity, "0.4");
+
+    hotbar.destroy();
+    assert.strictEqual(hotbar.element.parentNode, null);
+});
+
+test("clicking a slot uses one of its item, unless the game is paused", () => {
+    const game = createGame();
+    const hotbar = new Hotbar(game);
+    const miner = game.simulation.miner;
+    miner.items = { fuel_canister: 2 };
+    miner.fuel = 1;
+
+    createjs.Ticker.paused = true;
+    hotbar.slots.fuel_canister.slot.dispatchEvent(click());
+    createjs.Ticker.paused = false;
+    assert.strictEqual(miner.items.fuel_canister, 2);
+
+    hotbar.slots.fuel_canister.slot.dispatchEvent(click());
+    assert.strictEqual(miner.items.fuel_canister, 1);
+    assert.strictEqual(miner.fuel, 6);
+    assert.strictEqual(hotbar.slots.fuel_canister.count.textContent, "1");
+    hotbar.destroy();
+});
+
+test("number keys use the item in their slot, and show on the slots", () => {
+    localStorage.clear();
+    const game = createGame();
+    game.displayHandler.hotbar = new Hotbar(game);
+    const hotbar = game.displayHandler.hotbar;
+    const miner = game.simulation.miner;
+    miner.items = { repair_kit: 1 };
+    miner.damage(10);
+    game.addEventListener("action", e => {
+        const slot = InputHandler.itemActions.indexOf(e.detail);
+        if (slot >= 0) hotbar.useSlot(slot);
+    });
+
+    game.inputHandler.keydown({ key: "2" });
+    game.inputHandler.keyup({ key: "2" });
+    assert.deepStrictEqual(miner.items, {});
+    assert.strictEqual(hotbar.slots.repair_kit.key.textContent, "2");
+
+    // Rebound keys show once the game resumes
+    game.inputHandler.bind(InputHandler.Action.ITEM_2, ["r"]);
+    game.dispatchEvent("resume");
+    assert.strictEqual(hotbar.slots.repair_kit.key.textContent, "R");
+    hotbar.destroy();
+    localStorage.clear();
+});
+
+test("with touch controls, the slots wrap above the d-pad instead of covering it", () => {
+    const game = createGame();
+    const hotbar = new Hotbar(game);
+    const controls = new TouchControls(game);
+    hotbar.placeAbove(controls);
+
+    const pad = controls.padArea;
+    assert.strictEqual(hotbar.element.style.left, `${pad.left}px`);
+    assert.strictEqual(hotbar.element.style.bottom, `${pad.bottom + pad.height + 10}px`);
+    assert.strictEqual(hotbar.element.style.width, `${pad.width}px`);
+    assert.strictEqual(hotbar.element.style.flexWrap, "wrap");
+
+    controls.destroy();
+    hotbar.destroy();
+});
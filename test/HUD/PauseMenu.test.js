@@ -0,0 +1,93 @@
+const test = require("node:test");
+const assert = require("assert");
+const { createGame } = require("../helpers/game.js");
+const PauseMenu = require("../../src/HUD/PauseMenu.js");
+const InputHandler = require("../../src/Handler/InputHandler.js");
+const SaveHandler = require("../../src/Handler/SaveHandler.js");
+const SettingsHandler = require("../../src/Handler/SettingsHandler.js");
+
+/**
+ * Creates a pause menu for a game with nothing saved, which can be paused and resumed.
+ */
+function createMenu() {
+    localStorage.clear();
+    const game = createGame();
+    game.displayHandler.buildingHandler = { waypoints: [] };
+    game.displayHandler.map = { refresh() {} };
+    game.saveHandler = new SaveHandler(game);
+    game.settingsHandler = new SettingsHandler(game);
+    game.paused = false;
+    game.pause = () => { game.paused = true; game.dispatchEvent("pause"); };
+    game.resume = () => { game.paused = false; game.dispatchEvent("resume"); };
+    return new PauseMenu(game);
+}
+
+/**
+ * Selects the item of the shown page whose name starts with some text.
+ * @param {PauseMenu} menu
+ * @param {string} name
+ */
+function select(menu, name) {
+    const item = menu.getItems(menu.page).find(i => i.name.startsWith(name));
+    assert.ok(item, `no item named ${name}`);
+    item.select();
+}
+
+test("the menu opens when the game is paused and closes when it resumes", () => {
+    const menu = createMenu();
+    menu.game.pause();
+    assert.ok(menu.element.parentNode);
+    assert.strictEqual(menu.page, PauseMenu.Page.MAIN);
+
+    select(menu, "Resume");
+    assert.strictEqual(menu.game.paused, false);
+    assert.strictEqual(menu.element, null);
+});
+
+test("the game can be saved and loaded from the menu", () => {
+    const menu = createMenu();
+    const miner = menu.game.simulation.miner;
+    const money = miner.money;
+    menu.game.pause();
+
+    global.prompt = () => "Deep";
+    try {
+        select(menu, "Save Game");
+    } finally {
+        global.prompt = () => null;
+    }
+    assert.strictEqual(menu.status, "Saved Deep!");
+
+    miner.money = 0;
+    select(menu, "Load Game");
+    assert.strictEqual(menu.page, PauseMenu.Page.LOAD);
+    select(menu, "Deep");
+    assert.strictEqual(miner.money, money);
+    assert.strictEqual(menu.game.paused, false);
+});
+
+test("settings and key bindings can be changed from the menu", () => {
+    const menu = createMenu();
+    const { game } = menu;
+    game.pause();
+    select(menu, "Settings");
+
+    select(menu, "Volume: 80%");
+    assert.strictEqual(game.settingsHandler.get(SettingsHandler.Setting.VOLUME), 0.9);
+    select(menu, "Show FPS: Off");
+    assert.strictEqual(game.settingsHandler.get(SettingsHandler.Setting.SHOW_FPS), true);
+    select(menu, "Camera Smoothing: Smooth");
+    assert.strictEqual(game.settingsHandler.get(SettingsHandler.Setting.CAMERA_SMOOTHING), 0.3);
+
+    select(menu, "Scan: E");
+    assert.ok(menu.getItems(menu.page).some(i => i.name.startsWith("Scan: press a key")));
+    game.inputHandler.keydown({ key: "q" });
+    assert.deepStrictEqual(game.inputHandler.bindings[InputHandler.Action.SCAN], ["q"]);
+    assert.strictEqual(menu.rebinding, null);
+
+    // Escape cancels rebinding instead of closing the menu
+    select(menu, "Pause: Escape/P");
+    game.inputHandler.keydown({ key: "Escape" });
+    assert.deepStrictEqual(game.inputHandler.bindings[InputHandler.Action.PAUSE], ["Escape", "p"]);
+    assert.ok(menu.element);
+});
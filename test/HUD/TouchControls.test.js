@@ -0,0 +1,93 @@
+const test = require("node:test");
+const assert = require("assert");
+const { createGame } = require("../helpers/game.js");
+const TouchControls = require("../../src/HUD/TouchControls.js");
+const InputHandler = require("../../src/Handler/InputHandler.js");
+
+const { Action } = InputHandler;
+
+/**
+ * Creates a touch event.
+ * @param {string} type
+ * @param {number} x
+ * @param {number} y
+ * @param {Object} [target] What was touched. The game by default.
+ */
+function touch(type, x, y, target = { tagName: "CANVAS" }) {
+    return { type: type, target: target, changedTouches: [{ identifier: 1, clientX: x, clientY: y }], preventDefault() {} };
+}
+
+test("buttons hold their action down while touched", () => {
+    const game = createGame();
+    const controls = new TouchControls(game);
+    const actions = [];
+    game.addEventListener("action", e => actions.push(e.detail));
+
+    const down = controls.buttons[Action.DOWN];
+    down.dispatchEvent(touch("touchstart", 0, 0, down));
+    assert.ok(game.inputHandler.isDown(Action.DOWN));
+    down.dispatchEvent(touch("touchend", 0, 0, down));
+    assert.ok(!game.inputHandler.isDown(Action.DOWN));
+
+    controls.buttons[Action.INTERACT].dispatchEvent(touch("touchstart", 0, 0));
+    assert.deepStrictEqual(actions, [Action.DOWN, Action.INTERACT]);
+    controls.destroy();
+    assert.deepStrictEqual(game.inputHandler.touchActions, []);
+});
+
+test("swiping on the game holds the direction of the swipe until the finger is lifted", () => {
+    const game = createGame();
+    const controls = new TouchControls(game);
+    const input = game.inputHandler;
+
+    window.dispatchEvent(touch("touchstart", 100, 100));
+    window.dispatchEvent(touch("touchmove", 110, 105));
+    assert.deepStrictEqual(input.touchActions, []);
+
+    window.dispatchEvent(touch("touchmove", 110, 160));
+    assert.ok(input.isDown(Action.DOWN));
+
+    window.dispatchEvent(touch("touchmove", 40, 150));
+    assert.ok(input.isDown(Action.LEFT));
+    assert.ok(!input.isDown(Action.DOWN));
+
+    window.dispatchEvent(touch("touchend", 40, 150));
+    assert.deepStrictEqual(input.touchActions, []);
+    controls.destroy();
+});
+
+test("swipes don't start on anything but the game", () => {
+    const game = createGame();
+    const controls = new TouchControls(game);
+
+    window.dispatchEvent(touch("touchstart", 100, 100, { tagName: "DIV" }));
+    window.dispatchEvent(touch("touchmove", 100, 200, { tagName: "DIV" }));
+    assert.deepStrictEqual(game.inputHandler.touchActions, []);
+    controls.destroy();
+});
+
+test("swipe listeners aren't passive, so they can stop the page from scrolling", () => {
+    const game = createGame();
+    const calls = [];
+    const add = window.addEventListener;
+    const remove = window.removeEventListener;
+    window.addEventListener = function(type, listener, options) {
+        calls.push(["add", type, options]);
+        return add.call(this, type, listener);
+    };
+    window.removeEventListener = function(type, listener, options) {
+        calls.push(["remove", type, options]);
+        return remove.call(this, type, listener);
+    };
+
+    try {
+        const controls = new TouchControls(game);
+        controls.destroy();
+    } finally {
+        window.addEventListener = add;
+        window.removeEventListener = remove;
+    }
+    const touchstart = calls.filter(call => call[1] == "touchstart");
+    assert.deepStrictEqual(touchstart, [["add", "touchstart", { passive: false }], ["remove", "touchstart", { passive: false }]]);
+    assert.ok(calls.every(call => call[2] && call[2].passive === false));
+});
@@ -0,0 +1,142 @@
+const test = require("node:test");
+const assert = require("assert");
+const { createGame } = require("../helpers/game.js");
+const AudioHandler = require("../../src/Handler/AudioHandler.js");
+const SettingsHandler = require("../../src/Handler/SettingsHandler.js");
+const registry = require("../helpers/registry.js");
+
+const { Sound } = AudioHandler;
+
+/**
+ * A stand-in for the Web Audio API that keeps track of the sounds playing.
+ */
+class FakeAudioContext {
+    constructor() {
+        this.state = "suspended";
+        this.destination = {};
+        this.playing = [];
+    }
+
+    createGain() {
+        return { gain: { value: 1 }, connect() {} };
+    }
+
+    createBufferSource() {
+        const context = this;
+        return {
+            playbackRate: { value: 1 },
+            connect(node) { this.output = node; },
+            start() { context.playing.push(this); },
+            stop() { context.playing.splice(context.playing.indexOf(this), 1); }
+        };
+    }
+
+    decodeAudioData(data) {
+        return Promise.resolve({ decoded: data });
+    }
+
+    resume() {
+        this.state = "running";
+    }
+
+    close() {
+        this.state = "closed";
+    }
+}
+
+/**
+ * Creates an audio handler with every sound loaded, for a game with a player.
+ */
+async function createHandler() {
+    localStorage.clear();
+    const game = createGame();
+    game.loadingHandler.sounds = {};
+    for (const id in AudioHandler.channels) game.loadingHandler.sounds[id] = new ArrayBuffer(8);
+    game.settingsHandler = new SettingsHandler(game);
+    game.displayHandler.player = {
+        moving: false,
+        boost: { visible: false },
+        model: game.simulation.miner
+    };
+
+    window.AudioContext = FakeAudioContext;
+    try {
+        game.audioHandler = new AudioHandler(game);
+    } finally {
+        delete window.AudioContext;
+    }
+    game.audioHandler.init();
+    // Let the sounds decode
+    await Promise.resolve();
+    return game.audioHandler;
+}
+
+/**
+ * Gets the sounds playing, by name.
+ * @param {AudioHandler} handler
+ */
+function playing(handler) {
+    return handler.context.playing.map(source => Object.keys(handler.buffers).find(id => handler.buffers[id] == source.buffer)).sort();
+}
+
+test("without Web Audio the game is silent", () => {
+    const game = createGame();
+    assert.strictEqual(game.audioHandler.context, null);
+    game.audioHandler.init();
+    game.audioHandler.play(Sound.CLICK);
+    game.audioHandler.updateVolume();
+    game.audioHandler.destroy();
+});
+
+test("the engine, boost and drill loop with the player, and stop while paused", async () => {
+    const handler = await createHandler();
+    const player = handler.game.displayHandler.player;
+
+    handler.tick({ paused: false });
+    assert.deepStrictEqual(playing(handler), [Sound.ENGINE, Sound.MUSIC]);
+
+    player.moving = true;
+    player.boost.visible = true;
+    player.model.minetile = registry.get("stone");
+    handler.tick({ paused: false });
+    assert.deepStrictEqual(playing(handler), [Sound.BOOST, Sound.DRILL, Sound.ENGINE, Sound.MUSIC]);
+    // Stone is thicker than dirt, so the drill grinds lower
+    assert.ok(handler.loops[Sound.DRILL].playbackRate.value < 1);
+
+    player.model.minetile = registry.get("dirt");
+    handler.tick({ paused: false });
+    assert.strictEqual(handler.loops[Sound.DRILL].playbackRate.value, 1);
+
+    handler.tick({ paused: true });
+    assert.deepStrictEqual(playing(handler), [Sound.MUSIC]);
+
+    handler.destroy();
+    assert.deepStrictEqual(playing(handler), []);
+    assert.strictEqual(handler.context.state, "closed");
+});
+
+test("collecting ore chimes", async () => {
+    const handler = await createHandler();
+    const { simulation } = handler.game;
+    simulation.emit("collect", simulation.miner.tile, registry.get("coal"));
+    assert.deepStrictEqual(playing(handler), [Sound.PICKUP]);
+    assert.strictEqual(handler.context.playing[0].output, handler.channelGains[AudioHandler.Channel.SFX]);
+});
+
+test("the volume follows the settings, and mute silences everything", async () => {
+    const handler = await createHandler();
+    const settings = handler.game.settingsHandler;
+    assert.strictEqual(handler.masterGain.gain.value, 0.8);
+    assert.strictEqual(handler.channelGains[AudioHandler.Channel.MUSIC].gain.value, 0.5);
+
+    settings.set(SettingsHandler.Setting.SFX_VOLUME, 0.3);
+    assert.strictEqual(handler.channelGains[AudioHandler.Channel.SFX].gain.value, 0.3);
+    settings.set(SettingsHandler.Setting.MUTED, true);
+    assert.strictEqual(handler.masterGain.gain.value, 0);
+    settings.set(SettingsHandler.Setting.MUTED, false);
+    assert.strictEqual(handler.masterGain.gain.value, 0.8);
+
+    // The first key pressed lets the browser play audio
+    window.dispatchEvent({ type: "keydown", key: "x" });
+    assert.strictEqual(handler.context.state, "running");
+});
@@ -0,0 +1,301 @@
+const test = require("node:test");
+const assert = require("assert");
+const { createGame, FakeElement } = require("../helpers/game.js");
+const BuildingHandler = require("../../src/Handler/BuildingHandler.js");
+const Player = require("../../src/Player/Player.js");
+const SaveHandler = require("../../src/Handler/SaveHandler.js");
+const registry = require("../helpers/registry.js");
+
+/**
+ * Creates a building handler connected to a player with some money.
+ * @param {number} money
+ */
+function createHandler(money = 5000) {
+    const game = createGame();
+    const handler = new BuildingHandler(game);
+    handler.setPlayer(new Player(game));
+    handler.miner.money = money;
+    handler.messages = [];
+    handler.showMessage = text => handler.messages.push(text);
+    return handler;
+}
+
+/**
+ * Finds an item offered by the shop.
+ * @param {BuildingHandler} handler
+ * @param {string} id
+ */
+function shopItem(handler, id) {
+    let items = null;
+    handler.createUI = (title, list) => { items = list; };
+    handler.openShop();
+    handler.closeUI();
+    return items.find(item => item.id == id);
+}
+
+test("the shop sells the next tier of every upgrade track", () => {
+    const handler = createHandler();
+    assert.strictEqual(shopItem(handler, "upgrade_tank").name, "Medium Tank");
+    assert.strictEqual(shopItem(handler, "upgrade_hold").price, 750);
+
+    handler.miner.setUpgrades({ tank: 4 });
+    assert.strictEqual(shopItem(handler, "upgrade_tank"), undefined);
+});
+
+test("upgrading the tank, hold and engine sets their stats from the catalog", () => {
+    const handler = createHandler();
+    for (const id of ["upgrade_tank", "upgrade_hold", "upgrade_engine"]) {
+        handler.handlePurchase(shopItem(handler, id), new FakeElement("div"));
+    }
+    assert.strictEqual(handler.miner.maxFuel, 15);
+    assert.strictEqual(handler.miner.capacity, 15);
+    assert.strictEqual(handler.miner.speedMultiplier, 1.2);
+    assert.strictEqual(handler.miner.money, 5000 - 500 - 750 - 1000);
+});
+
+test("upgrade prices go up with every tier", () => {
+    const handler = createHandler(100000);
+    const prices = [];
+    for (let i = 0; i < 2; i++) {
+        const item = shopItem(handler, "upgrade_tank");
+        prices.push(item.price);
+        handler.handlePurchase(item, new FakeElement("div"));
+    }
+    assert.ok(prices[1] > prices[0]);
+    assert.strictEqual(handler.miner.maxFuel, 22);
+});
+
+test("upgrading the drill fits the new drill", () => {
+    const handler = createHandler();
+    handler.handlePurchase(shopItem(handler, "upgrade_drill"), new FakeElement("div"));
+    assert.strictEqual(handler.miner.drillPower, 1);
+    assert.strictEqual(handler.player.drill.type, "saphire");
+    assert.deepStrictEqual(handler.messages, ["Sapphire Drill installed!"]);
+});
+
+test("upgrades can't be bought before their prerequisites", () => {
+    const handler = createHandler(100000);
+    handler.miner.setUpgrades({ drill: 1 });
+    const item = shopItem(handler, "upgrade_drill");
+    assert.strictEqual(item.name, "Emerald Drill (needs Tuned Engine)");
+
+    handler.handlePurchase(item, new FakeElement("div"));
+    assert.strictEqual(handler.miner.upgrades.drill, 1);
+    assert.strictEqual(handler.miner.money, 100000);
+    assert.deepStrictEqual(handler.messages, ["Requires Tuned Engine!"]);
+});
+
+test("purchases are refused without enough money", () => {
+    const handler = createHandler(100);
+    const item = shopItem(handler, "upgrade_tank");
+    handler.handlePurchase(item, new FakeElement("div"));
+    assert.strictEqual(handler.miner.maxFuel, 10);
+    assert.strictEqual(handler.miner.money, 100);
+    assert.deepStrictEqual(handler.messages, ["Not enough money!"]);
+});
+
+test("the money display is updated after a purchase", () => {
+    const handler = createHandler();
+    const moneyEl = new FakeElement("div");
+    handler.handlePurchase(shopItem(handler, "upgrade_hold"), moneyEl);
+    assert.strictEqual(moneyEl.textContent, `Money: $${handler.miner.money}`);
+});
+
+test("sell_all pays out the value of the whole hold", () => {
+    const handler = createHandler(0);
+    handler.miner.cargo = [registry.get("coal"), registry.get("coal"), registry.get("coal")];
+
+    let items = null;
+    handler.createUI = (title, list) => { items = list; };
+    handler.openSellingPost();
+    const sellAll = items.find(item => item.highlight);
+    assert.strictEqual(sellAll.price, 60);
+
+    handler.handlePurchase(sellAll, new FakeElement("div"));
+    assert.strictEqual(handler.miner.money, 60);
+    assert.strictEqual(handler.miner.cargo.length, 0);
+    assert.strictEqual(handler.currentUI, null);
+});
+
+test("ores can be sold a chosen number at a time", () => {
+    const handler = createHandler(0);
+    handler.miner.cargo = [registry.get("coal"), registry.get("coal"), registry.get("coal")];
+
+    handler.openSellingPost();
+    const dialog = handler.dialog;
+    const coal = dialog.items.find(item => item.id == "sell_ore");
+    assert.deepStrictEqual(coal.quantity, { min: 1, max: 3, value: 3 });
+
+    dialog.selected = dialog.items.indexOf(coal);
+    dialog.adjust(-1);
+    dialog.confirm();
+    assert.strictEqual(handler.miner.money, 40);
+    assert.strictEqual(handler.miner.cargo.length, 1);
+    // The selling post is reopened with what's left
+    assert.strictEqual(handler.currentUI, "selling");
+    assert.strictEqual(handler.dialog.items.find(item => item.id == "sell_ore").quantity.max, 1);
+    handler.closeUI();
+});
+
+test("the shop disables what the player can't afford or isn't ready for", () => {
+    const handler = createHandler(800);
+    handler.openShop();
+    const items = handler.dialog.items;
+    assert.strictEqual(items.find(item => item.id == "upgrade_hold").disabled, false);
+    assert.strictEqual(items.find(item => item.price > 800).disabled, true);
+    assert.strictEqual(handler.game.inputHandler.dialogs.length, 1);
+
+    handler.game.inputHandler.keydown({ key: "Escape" });
+    assert.strictEqual(handler.dialog, null);
+    assert.strictEqual(handler.currentUI, null);
+});
+
+test("refuel fills the tank for 2 coins per litre", () => {
+    const handler = createHandler();
+    handler.miner.fuel = 4;
+
+    let items = null;
+    handler.createUI = (title, list) => { items = list; };
+    handler.openFuelStation();
+    assert.strictEqual(items[0].price, 12);
+
+    handler.handlePurchase(items[0], new FakeElement("div"));
+    assert.strictEqual(handler.miner.fuel, handler.miner.maxFuel);
+    assert.strictEqual(handler.miner.money, 5000 - 12);
+});
+
+test("the fuel station repairs the hull for 3 coins per point", () => {
+    const handler = createHandler();
+    handler.miner.damage(30);
+
+    let items = null;
+    handler.createUI = (title, list) => { items = list; };
+    handler.openFuelStation();
+    const repair = items.find(item => item.id == "repair");
+    assert.strictEqual(repair.price, 90);
+
+    handler.handlePurchase(repair, new FakeElement("div"));
+    assert.strictEqual(handler.miner.hull, handler.miner.maxHull);
+    assert.strictEqual(handler.miner.money, 5000 - 90);
+});
+
+test("waypoints can be added and teleported to", () => {
+    const handler = createHandler();
+    handler.miner.teleport(100, 600);
+    handler.handlePurchase({ name: "Add Current Location", price: 100, id: "add_waypoint" }, new FakeElement("div"));
+    assert.deepStrictEqual(handler.waypoints, [{ name: "Waypoint 1", x: 100, y: 600 }]);
+
+    handler.miner.resetPos();
+    handler.handlePurchase({ name: "Teleport to Waypoint 1", price: 50, id: "teleport_0" }, new FakeElement("div"));
+    assert.strictEqual(handler.miner.x, 100);
+    assert.strictEqual(handler.miner.y, 600);
+    assert.strictEqual(handler.miner.money, 5000 - 150);
+});
+
+test("standing on top of a building opens it", () => {
+    const handler = createHandler();
+    const opened = [];
+    handler.handleBuildingInteraction = type => opened.push(type);
+
+    const shop = handler.game.simulation.world.surfaceBuildings.find(b => b.id == "shop");
+    handler.miner.teleport(shop.x * 50, 7 * 50);
+    handler.game.simulation.emit("tilemove", handler.miner.tile);
+    assert.deepStrictEqual(opened, ["shop"]);
+});
+
+test("interacting reopens the building below, or closes the open one", () => {
+    const handler = createHandler();
+    const opened = [];
+    handler.handleBuildingInteraction = type => opened.push(type);
+
+    handler.interact();
+    assert.deepStrictEqual(opened, []);
+
+    const shop = handler.game.simulation.world.surfaceBuildings.find(b => b.id == "shop");
+    handler.miner.teleport(shop.x * 50, 7 * 50);
+    handler.interact();
+    assert.deepStrictEqual(opened, ["shop"]);
+
+    let closed = false;
+    handler.currentUI = "shop";
+    handler.closeUI = () => { closed = true; };
+    handler.interact();
+    assert.ok(closed);
+    assert.deepStrictEqual(opened, ["shop"]);
+});
+
+test("the save station saves to a new slot and lists it for loading", () => {
+    const handler = createHandler();
+    localStorage.clear();
+    handler.game.saveHandler = new SaveHandler(handler.game);
+    handler.game.displayHandler.buildingHandler = handler;
+
+    let items = null;
+    handler.createUI = (title, list) => { items = list; };
+    handler.saveGame();
+    handler.handlePurchase(items.find(item => item.id == "save_new"), new FakeElement("div"));
+    assert.deepStrictEqual(handler.messages, ["Saved Save 1!"]);
+
+    handler.saveGame();
+    assert.deepStrictEqual(items.filter(item => item.id.startsWith("load_")).map(item => item.name), ["Load Save 1"]);
+});
+
+test("the trader buys ore for less than the selling post and sells supplies at a markup", () => {
+    const handler = createHandler(1000);
+    handler.miner.cargo = [registry.get("coal"), registry.get("coal")];
+
+    handler.handleBuildingInteraction("trader");
+    const dialog = handler.dialog;
+    assert.strictEqual(dialog.title, "Trader");
+    assert.strictEqual(dialog.items.find(item => item.id == "sell_all").price, 24);
+    const canister = dialog.items.find(item => item.item == "fuel_canister");
+    assert.strictEqual(canister.price, 225);
+    assert.deepStrictEqual(canister.quantity, { min: 1, max: 5, value: 1 });
+
+    dialog.selected = dialog.items.indexOf(canister);
+    dialog.adjust(1);
+    dialog.confirm();
+    assert.deepStrictEqual(handler.miner.items, { fuel_canister: 2 });
+    assert.strictEqual(handler.miner.money, 1000 - 450);
+    // The trader is reopened with room for fewer canisters
+    assert.strictEqual(handler.dialog.items.find(item => item.item == "fuel_canister").quantity.max, 3);
+
+    handler.handlePurchase(handler.dialog.items.find(item => item.id == "sell_all"), new FakeElement("div"));
+    assert.strictEqual(handler.miner.money, 1000 - 450 + 24);
+    handler.closeUI();
+});
+
+test("underground outposts only offer what they're for", () => {
+    const handler = createHandler();
+    handler.miner.fuel = 4;
+    handler.miner.damage(10);
+
+    let items = null;
+    handler.createUI = (title, list) => { items = list; };
+    handler.handleBuildingInteraction("fuel_depot");
+    assert.deepStrictEqual(items.map(item => item.id), ["refuel", "buy_item"]);
+    assert.strictEqual(items[0].price, 24);
+
+    handler.closeUI();
+    handler.miner.items = { repair_kit: 5 };
+    handler.handleBuildingInteraction("repair_bay");
+    assert.deepStrictEqual(items.map(item => item.id), ["repair", "buy_item"]);
+    assert.strictEqual(items[0].price, 50);
+    assert.strictEqual(items[1].name, "Repair Kit (full)");
+    assert.ok(items[1].locked);
+});
+
+test("the shop sells every item after the upgrades", () => {
+    const handler = createHandler(1000);
+    handler.openShop();
+    const dialog = handler.dialog;
+    const supplies = dialog.items.filter(item => item.id == "buy_item");
+    assert.deepStrictEqual(supplies.map(item => item.item), handler.game.simulation.items.items.map(item => item.id));
+    assert.strictEqual(supplies.find(item => item.item == "c4").disabled, true);
+
+    dialog.selected = dialog.items.findIndex(item => item.item == "dynamite");
+    dialog.confirm();
+    assert.deepStrictEqual(handler.miner.items, { dynamite: 1 });
+    assert.strictEqual(handler.currentUI, "shop");
+    handler.closeUI();
+});
@@ -0,0 +1,45 @@
+const test = require("node:test");
+const assert = require("assert");
+const { createGame } = require("../helpers/game.js");
+const FOWHandler = require("../../src/Handler/FOWHandler.js");
+
+/**
+ * Creates the fog for a game, recording every tile it fills in.
+ */
+function createHandler() {
+    const game = createGame();
+    game.displayHandler.player = { x: 0, y: 0 };
+    const handler = new FOWHandler(game);
+
+    handler.filled = [];
+    handler.cleared = [];
+    handler.context = {
+        clearRect: (x, y, width, height) => handler.cleared.push([x, y, width, height]),
+        fillRect: (x, y) => handler.filled.push(`${x}-${y}`)
+    };
+    return handler;
+}
+
+test("the fog is drawn a pixel per tile and scaled up to the world", () => {
+    const handler = createHandler();
+    assert.strictEqual(handler.canvas.width, 40);
+    assert.strictEqual(handler.canvas.height, 40);
+    assert.strictEqual(handler.fow.scaleX, 50);
+});
+
+test("only the area revealed is redrawn", () => {
+    const handler = createHandler();
+    handler.game.simulation.miner.teleport(20 * 50, 20 * 50);
+
+    assert.deepStrictEqual(handler.cleared, [[18, 18, 5, 5]]);
+    assert.ok(handler.filled.includes("18-18"));
+    assert.ok(!handler.filled.includes("20-20"));
+    assert.ok(handler.filled.every(key => key.split("-").every(n => n >= 18 && n < 23)));
+});
+
+test("destroying the fog stops listening to the simulation", () => {
+    const handler = createHandler();
+    handler.destroy();
+    handler.game.simulation.miner.teleport(20 * 50, 20 * 50);
+    assert.deepStrictEqual(handler.cleared, []);
+});
@@ -0,0 +1,107 @@
+const test = require("node:test");
+const assert = require("assert");
+const { createGame } = require("../helpers/game.js");
+const InputHandler = require("../../src/Handler/InputHandler.js");
+
+const { Action } = InputHandler;
+
+/**
+ * Creates an input handler on a fresh game, recording the actions it dispatches.
+ */
+function createInput() {
+    localStorage.clear();
+    const game = createGame();
+    game.inputHandler.destroy();
+    const input = new InputHandler(game);
+    const actions = [];
+    game.addEventListener("action", e => actions.push(e.detail));
+    return { input: input, actions: actions };
+}
+
+/**
+ * Creates a gamepad with some buttons pressed and the stick pushed.
+ * @param {Array<number>} buttons
+ * @param {Array<number>} [axes]
+ */
+function gamepad(buttons, axes = [0, 0]) {
+    return {
+        connected: true,
+        axes: axes,
+        buttons: Array.from({ length: 16 }, (_, i) => ({ pressed: buttons.indexOf(i) >= 0 }))
+    };
+}
+
+test("keys are mapped to actions, whatever their case", () => {
+    const { input, actions } = createInput();
+    input.keydown({ key: "W" });
+    assert.ok(input.isDown(Action.UP));
+    assert.ok(!input.isDown(Action.DOWN));
+
+    input.keyup({ key: "w" });
+    assert.ok(!input.isDown(Action.UP));
+    assert.deepStrictEqual(actions, [Action.UP]);
+});
+
+test("held keys only trigger their actions once", () => {
+    const { input, actions } = createInput();
+    input.keydown({ key: "Escape" });
+    input.keydown({ key: "Escape", repeat: true });
+    input.keyup({ key: "Escape" });
+    input.keydown({ key: "Escape", repeat: true });
+    assert.deepStrictEqual(actions, [Action.PAUSE]);
+});
+
+test("rebinding moves keys between actions and is saved", () => {
+    const { input } = createInput();
+    input.bind(Action.SCAN, ["Q", "m"]);
+    assert.deepStrictEqual(input.bindings[Action.SCAN], ["q", "m"]);
+    assert.deepStrictEqual(input.bindings[Action.MAP], []);
+    assert.strictEqual(input.describe(Action.SCAN), "Q/M");
+    assert.throws(() => input.bind("jump", ["j"]), /Unknown action "jump"/);
+
+    const loaded = new InputHandler(input.game);
+    assert.deepStrictEqual(loaded.bindings[Action.SCAN], ["q", "m"]);
+    assert.deepStrictEqual(loaded.bindings[Action.UP], ["ArrowUp", "w"]);
+
+    loaded.resetBindings();
+    assert.deepStrictEqual(loaded.bindings, InputHandler.defaultBindings);
+    assert.strictEqual(localStorage.getItem(loaded.bindingsKey), null);
+});
+
+test("broken saved bindings fall back to the defaults", () => {
+    const { input } = createInput();
+    localStorage.setItem(input.bindingsKey, JSON.stringify({ up: "w", down: ["x"] }));
+    const loaded = new InputHandler(input.game);
+    assert.deepStrictEqual(loaded.bindings[Action.UP], ["ArrowUp", "w"]);
+    assert.deepStrictEqual(loaded.bindings[Action.DOWN], ["x"]);
+
+    localStorage.setItem(input.bindingsKey, "{");
+    assert.deepStrictEqual(new InputHandler(input.game).bindings, InputHandler.defaultBindings);
+});
+
+test("the gamepad d-pad, buttons and stick are polled", () => {
+    const { input, actions } = createInput();
+    let pads = [null, gamepad([13, 9])];
+    global.navigator = { getGamepads: () => pads };
+
+    try {
+        input.tick();
+        assert.ok(input.isDown(Action.DOWN));
+        assert.deepStrictEqual(actions, [Action.DOWN, Action.PAUSE]);
+
+        // Holding the buttons doesn't trigger them again
+        input.tick();
+        assert.strictEqual(actions.length, 2);
+
+        pads = [gamepad([], [-0.9, 0.6])];
+        input.tick();
+        assert.ok(input.isDown(Action.LEFT));
+        assert.ok(!input.isDown(Action.DOWN));
+
+        pads = [gamepad([], [0.2, -0.3])];
+        input.tick();
+        assert.deepStrictEqual(input.gamepadActions, []);
+    } finally {
+        delete global.navigator;
+    }
+});
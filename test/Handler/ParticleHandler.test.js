@@ -0,0 +1,75 @@
+const test = require("node:test");
+const assert = require("assert");
+const { createGame } = require("../helpers/game.js");
+const ParticleHandler = require("../../src/Handler/ParticleHandler.js");
+const MinerModel = require("../../src/Sim/MinerModel.js");
+const Tile = require("../../src/Grid/Tile.js");
+const registry = require("../helpers/registry.js");
+
+/**
+ * Creates a particle handler for a game with a player standing still.
+ */
+function createHandler() {
+    const game = createGame();
+    game.displayHandler.player = {
+        moving: false,
+        xCenter: 25,
+        yCenter: 25,
+        boost: { visible: false, x: 0, y: 0 },
+        model: game.simulation.miner
+    };
+    return new ParticleHandler(game);
+}
+
+test("destroyed tiles burst into particles of their colour", () => {
+    const handler = createHandler();
+    const { simulation } = handler.game;
+    assert.ok(simulation.destroyTile(new Tile(5, 11)));
+
+    assert.strictEqual(handler.particles.length, handler.burstSize);
+    assert.strictEqual(handler.pool.length, handler.maxParticles - handler.burstSize);
+    // Plain tiles are black in the registry, so their map colour is used
+    assert.ok(handler.particles.every(p => p.color != "#000"));
+    assert.strictEqual(handler.getColor(registry.get("iron")), registry.get("iron").color);
+});
+
+test("drilling throws up debris, and the thruster puffs exhaust", () => {
+    const handler = createHandler();
+    const player = handler.game.displayHandler.player;
+    player.moving = true;
+    player.model.moveDirection = MinerModel.Direction.DOWN;
+    player.model.minetile = registry.get("iron");
+
+    handler.tick({ delta: 1000 });
+    assert.strictEqual(handler.particles.length, handler.debrisRate);
+    assert.ok(handler.particles.every(p => p.color == registry.get("iron").color));
+    // The debris comes from the bottom of the player, where the drill is
+    assert.ok(handler.particles.every(p => p.y == 50));
+
+    player.model.minetile = null;
+    player.boost.visible = true;
+    handler.tick({ delta: 100 });
+    // 2.5 puffs are owed, so 2 are puffed and the half is carried to the next tick
+    assert.strictEqual(handler.particles.length, handler.debrisRate + 2);
+    assert.strictEqual(handler.exhaustOwed, 0.5);
+});
+
+test("particles die back into the pool, and the oldest are reused when it runs out", () => {
+    const handler = createHandler();
+    for (let i = 0; i < handler.maxParticles + 5; i++) handler.emit(0, 0, "#fff", 0, 0, 100);
+    assert.strictEqual(handler.particles.length, handler.maxParticles);
+    assert.strictEqual(handler.pool.length, 0);
+
+    handler.tick({ delta: 200 });
+    assert.strictEqual(handler.particles.length, 0);
+    assert.strictEqual(handler.pool.length, handler.maxParticles);
+
+    // Paused ticks freeze the particles
+    const particle = handler.emit(0, 0, "#fff", 100, 0, 1000);
+    handler.tick({ delta: 100, paused: true });
+    assert.strictEqual(particle.x, 0);
+
+    handler.destroy();
+    assert.strictEqual(handler.pool.length, handler.maxParticles);
+    assert.strictEqual(handler.game.children.indexOf(handler), -1);
+});
@@ -0,0 +1,204 @@
+const test = require("node:test");
+const assert = require("assert");
+const { createGame } = require("../helpers/game.js");
+const SaveHandler = require("../../src/Handler/SaveHandler.js");
+const SaveFile = require("../../src/Sim/SaveFile.js");
+const MinerModel = require("../../src/Sim/MinerModel.js");
+
+/**
+ * Creates a save handler for a game with an empty save storage.
+ */
+function createHandler() {
+    localStorage.clear();
+    const game = createGame();
+    game.displayHandler.buildingHandler = { waypoints: [] };
+    game.displayHandler.map = { refreshed: 0, refresh() { this.refreshed++; } };
+    game.saveHandler = new SaveHandler(game);
+    return game.saveHandler;
+}
+
+test("games are saved in separate slots, listed newest first", () => {
+    const handler = createHandler();
+    const miner = handler.game.simulation.miner;
+
+    miner.money = 100;
+    assert.strictEqual(handler.saveGame("a", "First"), true);
+    miner.money = 200;
+    handler.saveGame("b", "Second");
+    const first = SaveFile.decode(localStorage.getItem("megaminer_save_a"));
+    first.timestamp -= 1000;
+    localStorage.setItem("megaminer_save_a", SaveFile.encode(first));
+
+    assert.deepStrictEqual(handler.listSlots().map(s => s.name), ["Second", "First"]);
+    assert.strictEqual(handler.loadGame("a").player.money, 100);
+    assert.strictEqual(handler.loadGame("b").player.money, 200);
+
+    handler.deleteSave("a");
+    assert.deepStrictEqual(handler.listSlots().map(s => s.slot), ["b"]);
+});
+
+test("saving over a slot keeps its name", () => {
+    const handler = createHandler();
+    handler.saveGame("a", "First");
+    handler.saveGame("a");
+    assert.strictEqual(handler.loadGame("a").name, "First");
+});
+
+test("a game saved before slots existed is moved into the default slot", () => {
+    const handler = createHandler();
+    localStorage.setItem("megaminer_save", JSON.stringify({ money: 800, fuel: 7, maxFuel: 10, position: { x: 100, y: 600 }, cargo: [], waypoints: [], timestamp: 1000 }));
+
+    assert.deepStrictEqual(handler.listSlots().map(s => s.slot), ["main"]);
+    assert.strictEqual(localStorage.getItem("megaminer_save"), null);
+    assert.strictEqual(handler.loadGame("main").player.money, 800);
+});
+
+test("loading a slot rebuilds the world and the waypoints", () => {
+    const handler = createHandler();
+    const game = handler.game;
+    game.simulation.world.remove(3, 12);
+    game.displayHandler.buildingHandler.waypoints = [{ name: "Home", x: 0, y: 350 }];
+    handler.saveGame("a");
+
+    game.simulation.generate(77);
+    game.displayHandler.buildingHandler.waypoints = [];
+    handler.applySaveData(handler.loadGame("a"));
+
+    assert.strictEqual(game.simulation.world.seed, 1);
+    assert.strictEqual(game.simulation.world.get(3, 12), null);
+    assert.deepStrictEqual(game.displayHandler.buildingHandler.waypoints, [{ name: "Home", x: 0, y: 350 }]);
+    assert.strictEqual(game.displayHandler.map.refreshed, 1);
+});
+
+test("corrupt slots aren't loaded", () => {
+    const handler = createHandler();
+    handler.saveGame("a");
+    const data = SaveFile.decode(localStorage.getItem("megaminer_save_a"));
+    data.player.cargo = ["coal", 5];
+    localStorage.setItem("megaminer_save_a", SaveFile.encode(data));
+
+    const error = console.error;
+    console.error = () => {};
+    assert.strictEqual(handler.loadGame("a"), null);
+    console.error = error;
+});
+
+test("exported saves can be imported into a new slot", () => {
+    const handler = createHandler();
+    handler.game.simulation.miner.money = 4321;
+    handler.saveGame("a", "Exported");
+    const text = handler.exportGame("a");
+
+    localStorage.clear();
+    const imported = handler.importGame(text);
+    assert.strictEqual(imported.player.money, 4321);
+    assert.deepStrictEqual(handler.listSlots().map(s => s.name), ["Exported"]);
+});
+
+test("importing a tampered file explains why it was refused", () => {
+    const handler = createHandler();
+    handler.saveGame("a");
+    const [header, body] = handler.exportGame("a").split("\n");
+    const tampered = `${header.slice(0, -8)}00000000\n${body}`;
+
+    assert.throws(() => handler.importGame(tampered), /checksum doesn't match/);
+    assert.deepStrictEqual(handler.listSlots().map(s => s.slot), ["a"]);
+});
+
+test("autosaves roll over the oldest recovery snapshot", () => {
+    const handler = createHandler();
+    const miner = handler.game.simulation.miner;
+    const now = Date.now;
+    let time = 1000;
+    Date.now = () => time++;
+
+    handler.autosaveInterval = 1000;
+    for (let money = 1; money <= 4; money++) {
+        miner.money = money;
+        handler.tick({ delta: 1000, paused: false });
+    }
+    Date.now = now;
+
+    assert.strictEqual(handler.listSnapshots().length, handler.snapshotCount);
+    assert.strictEqual(handler.loadSnapshot().player.money, 4);
+    assert.strictEqual(handler.loadSnapshot().name, "Autosave");
+    assert.deepStrictEqual(handler.listSlots(), []);
+});
+
+test("autosaves wait until building UIs are closed and fades are done", () => {
+    const handler = createHandler();
+    const displayHandler = handler.game.displayHandler;
+    handler.autosaveInterval = 1000;
+
+    displayHandler.buildingHandler.currentUI = "shop";
+    handler.tick({ delta: 1000, paused: false });
+    displayHandler.buildingHandler.currentUI = null;
+    displayHandler.fading = true;
+    handler.tick({ delta: 16, paused: false });
+    handler.tick({ delta: 16, paused: true });
+    assert.deepStrictEqual(handler.listSnapshots(), []);
+
+    displayHandler.fading = false;
+    handler.tick({ delta: 16, paused: false });
+    assert.strictEqual(handler.listSnapshots().length, 1);
+    assert.strictEqual(handler.sinceAutosave, 0);
+});
+
+test("autosaves wait until the miner is seated in a tile", () => {
+    const handler = createHandler();
+    const simulation = handler.game.simulation;
+    const miner = simulation.miner;
+    handler.autosaveInterval = 1000;
+
+    simulation.step(100, MinerModel.Direction.LEFT);
+    assert.strictEqual(miner.moving, true);
+    handler.tick({ delta: 1000, paused: false });
+    assert.deepStrictEqual(handler.listSnapshots(), []);
+
+    while (miner.moving) simulation.step(16, null);
+    handler.tick({ delta: 16, paused: false });
+    assert.strictEqual(handler.listSnapshots().length, 1);
+
+    simulation.generate(77);
+    handler.applySaveData(handler.loadSnapshot());
+    assert.strictEqual(miner.x % 50, 0);
+    assert.strictEqual(miner.y % 50, 0);
+    assert.ok(simulation.world.get(miner.tile.gX, miner.tile.gY + 1));
+    assert.strictEqual(miner.canFall(), false);
+});
+
+test("auto-loading offers to resume from an autosave newer than the last save", async () => {
+    const handler = createHandler();
+    const game = handler.game;
+    const messages = [];
+    game.displayHandler.buildingHandler.showMessage = message => messages.push(message);
+    const confirm = global.confirm;
+    const questions = [];
+
+    game.simulation.miner.money = 100;
+    handler.saveGame("a", "Manual");
+    game.simulation.miner.money = 200;
+    handler.autosave();
+    const snapshot = SaveFile.decode(localStorage.getItem("megaminer_autosave_0"));
+    snapshot.timestamp += 1000;
+    localStorage.setItem("megaminer_autosave_0", SaveFile.encode(snapshot));
+
+    global.confirm = question => questions.push(question) && true;
+    handler.autoLoad();
+    await new Promise(resolve => setTimeout(resolve, 150));
+    assert.match(questions[0], /Resume from the last autosave/);
+    assert.strictEqual(game.simulation.miner.money, 200);
+
+    global.confirm = question => !questions.push(question);
+    handler.autoLoad();
+    await new Promise(resolve => setTimeout(resolve, 150));
+    assert.strictEqual(game.simulation.miner.money, 100);
+    assert.deepStrictEqual(messages, ["Loaded Autosave!", "Loaded Manual!"]);
+
+    snapshot.timestamp -= 2000;
+    localStorage.setItem("megaminer_autosave_0", SaveFile.encode(snapshot));
+    handler.autoLoad();
+    assert.strictEqual(questions.length, 2);
+    global.confirm = confirm;
+    await new Promise(resolve => setTimeout(resolve, 150));
+});
@@ -0,0 +1,52 @@
+const test = require("node:test");
+const assert = require("assert");
+const { createGame, elements } = require("../helpers/game.js");
+const SettingsHandler = require("../../src/Handler/SettingsHandler.js");
+
+const { Setting } = SettingsHandler;
+
+/**
+ * Creates a settings handler for a game with no saved settings.
+ */
+function createHandler() {
+    localStorage.clear();
+    const game = createGame();
+    game.displayHandler.camera = { smoothing: 0.1 };
+    return new SettingsHandler(game);
+}
+
+test("settings start at their defaults and are saved when changed", () => {
+    const handler = createHandler();
+    assert.deepStrictEqual(handler.values, SettingsHandler.defaults);
+
+    handler.set(Setting.VOLUME, 0.3);
+    assert.strictEqual(new SettingsHandler(handler.game).get(Setting.VOLUME), 0.3);
+
+    assert.throws(() => handler.set("brightness", 1), /Unknown setting "brightness"/);
+    assert.throws(() => handler.set(Setting.SHOW_FPS, 1), /must be a boolean/);
+});
+
+test("saved settings of the wrong type are ignored", () => {
+    const handler = createHandler();
+    localStorage.setItem(handler.settingsKey, JSON.stringify({ volume: "loud", showFps: true }));
+    const loaded = new SettingsHandler(handler.game);
+    assert.strictEqual(loaded.get(Setting.VOLUME), SettingsHandler.defaults.volume);
+    assert.strictEqual(loaded.get(Setting.SHOW_FPS), true);
+});
+
+test("settings are applied to the game", () => {
+    const handler = createHandler();
+    const { game } = handler;
+
+    handler.set(Setting.SHOW_FPS, true);
+    assert.strictEqual(game.fpsElement, elements.fps);
+    assert.strictEqual(elements.fps.style.display, "");
+    handler.set(Setting.SHOW_FPS, false);
+    assert.strictEqual(game.fpsElement, null);
+    assert.strictEqual(elements.fps.style.display, "none");
+
+    handler.set(Setting.GRID_OVERLAY, true);
+    assert.strictEqual(game.displayHandler.grid.showGridOverlay, true);
+    handler.set(Setting.CAMERA_SMOOTHING, 1);
+    assert.strictEqual(game.displayHandler.camera.smoothing, 1);
+});
@@ -0,0 +1,127 @@
+const test = require("node:test");
+const assert = require("assert");
+const { createGame } = require("../helpers/game.js");
+const GameMap = require("../../src/Map/Map.js");
+const Tile = require("../../src/Grid/Tile.js");
+const Simulation = require("../../src/Sim/Simulation.js");
+const registry = require("../helpers/registry.js");
+
+/**
+ * Creates a map over a full size world, with a camera showing a 1000x600 area.
+ */
+function createMap() {
+    const game = createGame();
+    game.simulation = new Simulation(100, 250, 50, registry);
+    game.displayHandler.relayer = () => {};
+    game.displayHandler.camera = { visibleArea: { left: 0, top: 0, right: 1000, bottom: 600 } };
+
+    const map = new GameMap(game);
+    map.generate(1);
+    map.updateChunks();
+    return map;
+}
+
+/**
+ * Moves the camera so its top left corner is at a pixel position.
+ */
+function moveCamera(map, x, y) {
+    map.game.displayHandler.camera.visibleArea = { left: x, top: y, right: x + 1000, bottom: y + 600 };
+    map.updateChunks();
+}
+
+test("only the chunks around the camera are rendered", () => {
+    const map = createMap();
+    // 1000x600 covers 3x2 chunks of 400px, plus a chunk of margin on the right and bottom
+    assert.deepStrictEqual(Object.keys(map.chunks).sort(), ["0-0", "0-1", "0-2", "1-0", "1-1", "1-2", "2-0", "2-1", "2-2", "3-0", "3-1", "3-2"]);
+    assert.strictEqual(map.tiles.children.length, 12);
+});
+
+test("chunks far off screen are dropped", () => {
+    const map = createMap();
+    moveCamera(map, 0, 400 * 20);
+    assert.ok(!map.chunks["0-0"]);
+    assert.ok(map.chunks["0-20"]);
+    assert.strictEqual(map.tiles.children.length, Object.keys(map.chunks).length);
+});
+
+test("chunks just off screen are kept while scrolling back and forth", () => {
+    const map = createMap();
+    const chunk = map.chunks["0-0"];
+    moveCamera(map, 0, 400 * 2);
+    assert.strictEqual(map.chunks["0-0"], chunk);
+});
+
+test("mining a tile only redraws the chunk it was in", () => {
+    const map = createMap();
+    const updated = [];
+    for (const key in map.chunks) map.chunks[key].updateCache = () => updated.push(key);
+
+    const sprite = map.chunks["1-1"].sprites["10-9"];
+    assert.ok(sprite);
+    map.world.remove(10, 9);
+    map.game.simulation.emit("tiledestroy", new Tile(10, 9));
+
+    assert.deepStrictEqual(updated, ["1-1"]);
+    assert.ok(!map.chunks["1-1"].children.includes(sprite));
+});
+
+test("falling tiles leave their chunk and are redrawn where they land", () => {
+    const map = createMap();
+    const sim = map.game.simulation;
+    sim.world.set(5, 10, registry.get("boulder"));
+    sim.world.remove(5, 12);
+    sim.world.remove(5, 13);
+    const chunk = map.chunks["0-1"];
+    chunk.addTile(new Tile(5, 10), registry.get("boulder"));
+
+    sim.destroyTile(new Tile(5, 11));
+    assert.ok(!chunk.sprites["5-10"]);
+    assert.strictEqual(map.falling.children.length, 1);
+
+    sim.advance(sim.looseDelay + 200);
+    map.updateFallingTiles();
+    assert.ok(map.falling.children[0].y > 10 * 50);
+
+    sim.advance(2000);
+    assert.strictEqual(map.falling.children.length, 0);
+    assert.strictEqual(chunk.sprites["5-13"].properties.id, "boulder");
+});
+
+test("ungenerating the map removes every chunk and stops streaming", () => {
+    const map = createMap();
+    map.ungenerate();
+    assert.deepStrictEqual(map.chunks, {});
+    assert.strictEqual(map.tiles.children.length, 0);
+});
+
+test("outposts get an indicator once they're found", () => {
+    const map = createMap();
+    const shown = map.buildings.children.length;
+    map.world.outposts.push({ id: "trader", x: 3, y: 40 });
+    map.updateOutposts();
+    map.updateOutposts();
+    // A coloured box and a label
+    assert.strictEqual(map.buildings.children.length, shown + 2);
+
+    // Loading a game finds them again from scratch
+    map.refresh();
+    assert.strictEqual(map.buildings.children.length, shown + 2);
+});
+
+test("bombs count down until they go off, leaving ore drops to pick up", () => {
+    const map = createMap();
+    const sim = map.game.simulation;
+    const bomb = sim.placeBomb(new Tile(5, 12), 1, 2500, 0);
+    map.updateBombs();
+    assert.strictEqual(map.bombSprites[bomb.id].countdown.text, "3");
+
+    sim.dropOre(new Tile(5, 12), registry.get("gold"));
+    sim.stepBombs(2500);
+    assert.deepStrictEqual(map.bombSprites, {});
+    assert.strictEqual(map.objects.children.length, sim.drops.length);
+    assert.strictEqual(map.dropSprites[sim.drops[0].id].properties.id, "gold");
+
+    // Loading a game redraws whatever is left
+    map.refresh();
+    assert.strictEqual(map.objects.children.length, sim.drops.length);
+});
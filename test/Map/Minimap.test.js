@@ -0,0 +1,80 @@
+const test = require("node:test");
+const assert = require("assert");
+const { createGame } = require("../helpers/game.js");
+const Minimap = require("../../src/Map/Minimap.js");
+const registry = require("../helpers/registry.js");
+
+/**
+ * Creates a minimap for a game, recording every tile drawn into the world canvas.
+ */
+function createMinimap() {
+    const game = createGame();
+    game.displayHandler.buildingHandler = { waypoints: [{ name: "Home", x: 500, y: 350 }] };
+    const minimap = new Minimap(game);
+
+    minimap.drawn = {};
+    minimap.context = {
+        fillRect: (x, y) => { minimap.drawn[`${x}-${y}`] = minimap.context.fillStyle; }
+    };
+    minimap.marks = [];
+    minimap.panelContext = {
+        clearRect() {},
+        drawImage() {},
+        fillRect: (x, y) => minimap.marks.push(minimap.panelContext.fillStyle)
+    };
+    return minimap;
+}
+
+test("the panel is added to the page and removed again", () => {
+    const minimap = createMinimap();
+    assert.strictEqual(minimap.panel.parentNode, document.body);
+    assert.strictEqual(minimap.canvas.width, 40);
+
+    minimap.destroy();
+    assert.strictEqual(minimap.panel.parentNode, null);
+});
+
+test("only revealed tiles are shown", () => {
+    const minimap = createMinimap();
+    const sim = minimap.game.simulation;
+    sim.world.set(20, 20, registry.get("gold"));
+    assert.strictEqual(minimap.getColor(20, 20), minimap.colors.fog);
+
+    sim.miner.teleport(20 * 50, 20 * 50);
+    assert.strictEqual(minimap.drawn["20-20"], registry.get("gold").color);
+    assert.notStrictEqual(minimap.drawn["22-20"], minimap.colors.fog);
+    assert.strictEqual(minimap.drawn["23-20"], undefined);
+});
+
+test("mined tiles are redrawn as tunnels", () => {
+    const minimap = createMinimap();
+    const sim = minimap.game.simulation;
+    sim.miner.teleport(20 * 50, 20 * 50);
+    sim.world.set(21, 20, registry.get("dirt"));
+    sim.destroyTile(sim.miner.getTileFromPixelPosition(21 * 50, 20 * 50));
+    assert.strictEqual(minimap.drawn["21-20"], minimap.colors.tunnel);
+});
+
+test("the panel follows the player, with the buildings, waypoints and scanned ores on top", () => {
+    const minimap = createMinimap();
+    const sim = minimap.game.simulation;
+    assert.strictEqual(minimap.top, 0);
+
+    sim.miner.teleport(20 * 50, 30 * 50);
+    assert.strictEqual(minimap.top, 0);
+    minimap.rows = 20;
+    assert.strictEqual(minimap.top, 20);
+
+    sim.world.set(21, 31, registry.get("gold"));
+    sim.miner.setUpgrades({ scanner: 1 });
+    sim.miner.scan();
+    minimap.tick({ delta: 16, paused: false });
+    assert.ok(minimap.marks.includes(registry.get("gold").color));
+    assert.ok(minimap.marks.includes(minimap.colors.waypoint));
+    assert.ok(minimap.marks.includes(registry.get("shop").color));
+    assert.strictEqual(minimap.marks[minimap.marks.length - 1], minimap.colors.player);
+
+    minimap.marks.length = 0;
+    minimap.tick({ delta: minimap.scanDuration, paused: false });
+    assert.ok(!minimap.marks.includes(registry.get("gold").color));
+});
@@ -0,0 +1,137 @@
+const test = require("node:test");
+const assert = require("assert");
+const { createGame } = require("../helpers/game.js");
+const Player = require("../../src/Player/Player.js");
+const registry = require("../helpers/registry.js");
+const SaveSchema = require("../../src/Sim/SaveSchema.js");
+
+test("arrow keys and WASD map to directions", () => {
+    const game = createGame();
+    const player = new Player(game);
+    const keys = game.inputHandler.pressedKeys;
+
+    assert.strictEqual(player.checkDirection(), null);
+    for (const [key, direction] of [["ArrowUp", "UP"], ["s", "DOWN"], ["a", "LEFT"], ["ArrowRight", "RIGHT"]]) {
+        keys.length = 0;
+        keys.push(key);
+        assert.strictEqual(player.checkDirection(), Player.Direction[direction], key);
+    }
+});
+
+test("ticking steps the simulation and moves the sprite", () => {
+    const game = createGame();
+    const player = new Player(game);
+    game.inputHandler.pressedKeys.push("ArrowLeft");
+
+    player.tick({ delta: 100, paused: false });
+    assert.strictEqual(player.model.moving, true);
+    assert.strictEqual(player.x, player.model.x);
+    assert.ok(player.x < 1000);
+});
+
+test("paused ticks don't step the simulation", () => {
+    const game = createGame();
+    const player = new Player(game);
+    game.inputHandler.pressedKeys.push("ArrowLeft");
+
+    player.tick({ delta: 100, paused: true });
+    assert.strictEqual(player.model.moving, false);
+});
+
+test("tile moves are sent over the event bus", () => {
+    const game = createGame();
+    const player = new Player(game);
+    const moves = [];
+    game.events.on("playermoved", e => moves.push(e.tile.toString()));
+
+    game.inputHandler.pressedKeys.push("ArrowLeft");
+    for (let i = 0; i < 20; i++) player.tick({ delta: 50, paused: false });
+    assert.strictEqual(moves[0], "19-7");
+});
+
+test("collected ores go in the hold with a floating text", () => {
+    const game = createGame();
+    const player = new Player(game);
+    player.model.teleport(20 * 50, 9 * 50);
+    game.simulation.world.set(20, 10, registry.get("coal"));
+
+    game.inputHandler.pressedKeys.push("ArrowDown");
+    for (let i = 0; i < 100; i++) player.tick({ delta: 16, paused: false });
+
+    assert.strictEqual(player.model.cargo.length, 1);
+    assert.strictEqual(game.displayHandler.floatingTexts[0].value, "+1 COAL");
+});
+
+test("running out of fuel recharges the player at the surface", () => {
+    const game = createGame();
+    const player = new Player(game);
+    player.model.teleport(20 * 50, 10 * 50);
+    player.model.fuel = 0;
+
+    player.tick({ delta: 16, paused: false });
+    assert.strictEqual(player.model.tile.toString(), "20-7");
+    assert.strictEqual(player.model.fuel, player.model.maxFuel);
+    assert.strictEqual(player.model.money, 300 - 15 - 10);
+});
+
+test("hull damage is shown above the player", () => {
+    const game = createGame();
+    const player = new Player(game);
+    player.model.damage(25, registry.get("lava"));
+
+    assert.deepStrictEqual(game.displayHandler.floatingTexts[0].value, "-25 HULL");
+    assert.strictEqual(game.displayHandler.floatingTexts[0].color, registry.get("lava").color);
+});
+
+test("a destroyed player respawns at the surface without its cargo", () => {
+    const game = createGame();
+    const player = new Player(game);
+    player.model.teleport(20 * 50, 10 * 50);
+    player.model.cargo = [registry.get("coal")];
+
+    player.model.damage(player.model.maxHull);
+    assert.strictEqual(player.model.tile.toString(), "20-7");
+    assert.strictEqual(player.model.cargo.length, 0);
+    assert.strictEqual(player.model.hull, player.model.maxHull);
+    assert.ok(game.displayHandler.floatingTexts.some(text => text.value == "HULL DESTROYED"));
+});
+
+test("a game loaded while the wreck fades out isn't respawned", () => {
+    const game = createGame();
+    const player = new Player(game);
+    const sim = game.simulation;
+    const schema = new SaveSchema(sim.registry, sim.upgrades, sim.items, sim.world);
+    player.model.teleport(20 * 50, 10 * 50);
+    player.model.cargo = [registry.get("coal")];
+    const data = schema.read(JSON.stringify(schema.create(sim, { name: "Test" })));
+
+    const fades = [];
+    game.displayHandler.fade = (out, callback) => fades.push(callback);
+    player.model.damage(player.model.maxHull);
+    assert.strictEqual(player.model.dead, true);
+
+    schema.apply(sim, data);
+    assert.strictEqual(player.model.dead, false);
+    assert.strictEqual(player.model.canMove, true);
+    fades.shift()();
+    assert.strictEqual(player.model.tile.toString(), "20-10");
+    assert.deepStrictEqual(player.model.cargo.map(ore => ore.id), ["coal"]);
+});
+
+test("the thruster fires while flying and cuts out while falling", () => {
+    const game = createGame();
+    const player = new Player(game);
+    const world = game.simulation.world;
+    for (let gY = 9; gY < 14; gY++) world.remove(20, gY);
+    player.model.teleport(20 * 50, 10 * 50);
+
+    player.tick({ delta: 16, paused: false });
+    assert.strictEqual(player.falling, true);
+    assert.strictEqual(player.boost.visible, false);
+
+    player.model.teleport(20 * 50, 10 * 50);
+    game.inputHandler.pressedKeys.push("ArrowUp");
+    player.tick({ delta: 16, paused: false });
+    assert.strictEqual(player.model.thrusting, true);
+    assert.strictEqual(player.boost.visible, true);
+});
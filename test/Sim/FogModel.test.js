@@ -0,0 +1,64 @@
+const test = require("node:test");
+const assert = require("assert");
+const FogModel = require("../../src/Sim/FogModel.js");
+const Simulation = require("../../src/Sim/Simulation.js");
+const registry = require("../helpers/registry.js");
+const upgrades = require("../helpers/upgrades.js");
+
+test("tiles are revealed within a radius, and only once", () => {
+    const fog = new FogModel(40, 40, 8, 10);
+    assert.deepStrictEqual(fog.reveal(20, 20, 2), { left: 18, top: 18, right: 23, bottom: 23 });
+    assert.strictEqual(fog.isRevealed(22, 20), true);
+    assert.strictEqual(fog.isRevealed(22, 22), false);
+    assert.strictEqual(fog.isRevealed(20, 23), false);
+
+    assert.deepStrictEqual(fog.reveal(21, 20, 2), { left: 21, top: 18, right: 24, bottom: 23 });
+    assert.strictEqual(fog.reveal(20, 20, 2), null);
+});
+
+test("rows above the fog are always revealed", () => {
+    const fog = new FogModel(40, 40, 8, 10);
+    assert.strictEqual(fog.isRevealed(0, 9), true);
+    assert.strictEqual(fog.isRevealed(0, 10), false);
+    assert.deepStrictEqual(fog.reveal(5, 9, 1), { left: 5, top: 10, right: 6, bottom: 11 });
+    assert.strictEqual(fog.isRevealed(-1, 9), false);
+});
+
+test("only chunks with something revealed in them are stored", () => {
+    const fog = new FogModel(40, 40, 8, 10);
+    fog.reveal(20, 20, 1);
+    assert.deepStrictEqual(Object.keys(fog.chunks), ["2-2"]);
+    assert.strictEqual(fog.chunks["2-2"].length, 8);
+});
+
+test("packed fog loads back the same", () => {
+    const fog = new FogModel(40, 40, 8, 10);
+    fog.reveal(15, 30, 4);
+    const loaded = new FogModel(40, 40, 8, 10);
+    loaded.load(JSON.parse(JSON.stringify(fog.serialize())));
+
+    for (let gY = 0; gY < 40; gY++) {
+        for (let gX = 0; gX < 40; gX++) assert.strictEqual(loaded.isRevealed(gX, gY), fog.isRevealed(gX, gY), `${gX}-${gY}`);
+    }
+});
+
+test("the miner reveals the fog as it moves, further with better lights", () => {
+    const sim = new Simulation(40, 40, 50, registry, upgrades);
+    sim.generate(1);
+    const areas = [];
+    sim.on("fog", area => areas.push(area));
+
+    sim.miner.teleport(20 * 50, 15 * 50);
+    assert.strictEqual(sim.fog.isRevealed(22, 15), true);
+    assert.strictEqual(sim.fog.isRevealed(24, 15), false);
+    assert.strictEqual(areas.length, 1);
+
+    sim.miner.money = 1000;
+    assert.strictEqual(sim.miner.upgrade("lights"), true);
+    assert.strictEqual(sim.fog.isRevealed(23, 15), true);
+    assert.strictEqual(areas.length, 2);
+
+    sim.generate(1);
+    assert.strictEqual(sim.fog.isRevealed(23, 15), false);
+    assert.deepStrictEqual(areas[2], sim.fog.area);
+});
@@ -0,0 +1,19 @@
+const test = require("node:test");
+const assert = require("assert");
+const ItemCatalog = require("../../src/Sim/ItemCatalog.js");
+const items = require("../helpers/items.js");
+
+test("every item does something and can be carried", () => {
+    for (const item of items.items) {
+        assert.ok(Object.keys(item.effects).length > 0, item.id);
+        assert.ok(item.maxStack > 0, item.id);
+    }
+});
+
+test("items with unknown effects or without a price are rejected", () => {
+    const item = { id: "rocket", name: "Rocket", price: 10, maxStack: 1, effects: { rockets: 2 } };
+    assert.throws(() => new ItemCatalog({ items: [item] }), /unknown effect "rockets"/);
+    assert.throws(() => new ItemCatalog({ items: [{ id: "rock", maxStack: 1, effects: {} }] }), /number field "price"/);
+    assert.throws(() => new ItemCatalog({}), /list of items/);
+    assert.throws(() => items.get("rocket"), /Unknown item "rocket"/);
+});
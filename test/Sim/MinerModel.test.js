@@ -0,0 +1,446 @@
+const test = require("node:test");
+const assert = require("assert");
+const Simulation = require("../../src/Sim/Simulation.js");
+const MinerModel = require("../../src/Sim/MinerModel.js");
+const Tile = require("../../src/Grid/Tile.js");
+const registry = require("../helpers/registry.js");
+const upgrades = require("../helpers/upgrades.js");
+const items = require("../helpers/items.js");
+
+const { UP, DOWN, LEFT } = MinerModel.Direction;
+
+/**
+ * Creates a simulation with the miner standing on a dug out tile underground.
+ * Every tile around the start is dirt unless changed by the test.
+ */
+function createUnderground() {
+    const sim = new Simulation(40, 40, 50, registry, upgrades);
+    sim.generate(1);
+    for (let gY = 9; gY < 40; gY++) sim.world.set(20, gY, registry.get("dirt"));
+    sim.world.remove(20, 10);
+    sim.miner.teleport(20 * 50, 10 * 50);
+    return sim;
+}
+
+/**
+ * Holds a direction until the miner is charged up, without letting any time pass.
+ */
+function charge(sim, direction) {
+    for (let i = 0; i <= sim.miner.chargeReq; i++) sim.step(0, direction);
+}
+
+test("miner starts on the surface in the middle of the world", () => {
+    const sim = new Simulation(40, 40, 50, registry, upgrades);
+    sim.generate(1);
+    assert.strictEqual(sim.miner.tile.toString(), "20-7");
+    assert.strictEqual(sim.miner.depth, 0);
+    assert.strictEqual(sim.miner.fuel, sim.miner.maxFuel);
+});
+
+test("kpCharge holds the miner back until the charge passes chargeReq", () => {
+    const sim = createUnderground();
+    const miner = sim.miner;
+
+    for (let i = 0; i <= miner.chargeReq; i++) {
+        sim.step(1, DOWN);
+        assert.strictEqual(miner.moving, false, `moved after ${i + 1} ticks`);
+    }
+    sim.step(1, DOWN);
+    assert.strictEqual(miner.moving, true);
+});
+
+test("releasing the direction resets the charge", () => {
+    const sim = createUnderground();
+    charge(sim, DOWN);
+    sim.step(1, null);
+    assert.strictEqual(sim.miner.charge, 0);
+    sim.step(1, DOWN);
+    assert.strictEqual(sim.miner.moving, false);
+});
+
+test("moving into open space needs no charge", () => {
+    const sim = createUnderground();
+    sim.world.remove(19, 10);
+    sim.step(1, LEFT);
+    assert.strictEqual(sim.miner.moving, true);
+    assert.strictEqual(sim.miner.speed, sim.miner.defaultSpeed);
+});
+
+test("mining speed is the tile thickness as a percentage of the default speed", () => {
+    const sim = createUnderground();
+    sim.miner.speedMultiplier = 2;
+    charge(sim, DOWN);
+    sim.step(1, DOWN);
+    const expected = (registry.get("dirt").thickness / 100) * sim.miner.defaultSpeed * 2;
+    assert.strictEqual(sim.miner.speed, expected);
+});
+
+test("mining a tile removes it from the world", () => {
+    const sim = createUnderground();
+    const destroyed = [];
+    sim.on("tiledestroy", (tile, properties) => destroyed.push([tile.toString(), properties.id]));
+
+    charge(sim, DOWN);
+    sim.advance(1000, DOWN);
+
+    assert.deepStrictEqual(destroyed[0], ["20-11", "dirt"]);
+    assert.strictEqual(sim.world.get(20, 11), null);
+    assert.strictEqual(sim.miner.tile.toString(), "20-11");
+});
+
+test("buildings can't be mined", () => {
+    const sim = new Simulation(40, 40, 50, registry, upgrades);
+    sim.generate(1);
+    const shop = sim.world.surfaceBuildings.find(b => b.id == "shop");
+    sim.miner.teleport(shop.x * 50, 7 * 50);
+
+    charge(sim, DOWN);
+    sim.advance(1000, DOWN);
+    assert.strictEqual(sim.miner.moving, false);
+    assert.strictEqual(sim.world.get(shop.x, 8).id, "shop");
+});
+
+test("the miner can't fly above the surface", () => {
+    const sim = new Simulation(40, 40, 50, registry, upgrades);
+    sim.generate(1);
+    sim.step(1, UP);
+    assert.strictEqual(sim.miner.moving, false);
+    assert.strictEqual(sim.miner.y, 7 * 50);
+});
+
+test("moving on the surface uses no fuel", () => {
+    const sim = new Simulation(40, 40, 50, registry, upgrades);
+    sim.generate(1);
+    sim.step(100, LEFT);
+    assert.strictEqual(sim.miner.moving, true);
+    assert.strictEqual(sim.miner.fuel, sim.miner.maxFuel);
+});
+
+test("mining drains 1/5100 litres per millisecond", () => {
+    const sim = createUnderground();
+    charge(sim, DOWN);
+    const before = sim.miner.fuel;
+    sim.step(100, DOWN);
+    assert.ok(Math.abs((before - sim.miner.fuel) - 100 / 5100) < 1e-9);
+});
+
+test("moving underground without mining drains 1/7000 litres per millisecond", () => {
+    const sim = createUnderground();
+    sim.world.remove(19, 10);
+    const before = sim.miner.fuel;
+    sim.step(100, LEFT);
+    assert.ok(Math.abs((before - sim.miner.fuel) - 100 / 7000) < 1e-9);
+});
+
+test("flying upward through open air drains 1/4000 litres per millisecond", () => {
+    const sim = createUnderground();
+    sim.world.remove(20, 9);
+    const before = sim.miner.fuel;
+    sim.step(100, UP);
+    assert.strictEqual(sim.miner.thrusting, true);
+    assert.ok(Math.abs((before - sim.miner.fuel) - 100 / 4000) < 1e-9);
+});
+
+test("the miner falls into open space below it, speeding up as it goes", () => {
+    const sim = createUnderground();
+    const miner = sim.miner;
+    sim.world.remove(20, 11);
+    sim.world.remove(20, 12);
+    sim.world.remove(20, 13);
+    const before = miner.fuel;
+
+    sim.step(16);
+    assert.strictEqual(miner.falling, true);
+    const speed = miner.speed;
+    sim.advance(400);
+    assert.ok(miner.speed > speed);
+
+    sim.advance(1000);
+    assert.strictEqual(miner.tile.toString(), "20-13");
+    assert.strictEqual(miner.falling, false);
+    assert.strictEqual(miner.fuel, before);
+});
+
+test("holding up keeps the miner from falling", () => {
+    const sim = createUnderground();
+    sim.world.remove(20, 11);
+    for (let i = 0; i < sim.miner.chargeReq; i++) sim.step(100, UP);
+    assert.strictEqual(sim.miner.moving, false);
+    assert.strictEqual(sim.miner.tile.toString(), "20-10");
+    assert.strictEqual(sim.miner.getTileBelow(), null);
+});
+
+test("running out of fuel freezes the miner once", () => {
+    const sim = createUnderground();
+    let calls = 0;
+    sim.on("outoffuel", () => calls++);
+
+    sim.miner.fuel = 0;
+    sim.step(16, DOWN);
+    sim.step(16, DOWN);
+
+    assert.strictEqual(calls, 1);
+    assert.strictEqual(sim.miner.canMove, false);
+    assert.strictEqual(sim.miner.moving, false);
+});
+
+test("recharging costs the depth plus the tank size and returns the miner to the surface", () => {
+    const sim = createUnderground();
+    const miner = sim.miner;
+    miner.money = 300;
+    miner.fuel = 0;
+    sim.step(16, null);
+
+    const depth = miner.depth;
+    assert.strictEqual(depth, 15);
+    const cost = miner.recharge();
+
+    assert.strictEqual(cost, depth + miner.maxFuel);
+    assert.strictEqual(miner.money, 300 - cost);
+    assert.strictEqual(miner.fuel, miner.maxFuel);
+    assert.strictEqual(miner.tile.toString(), "20-7");
+    assert.strictEqual(miner.canMove, false);
+
+    miner.recover();
+    assert.strictEqual(miner.canMove, true);
+});
+
+test("the hold takes any collectible ore and refuses them once full", () => {
+    const sim = createUnderground();
+    const miner = sim.miner;
+    miner.capacity = 2;
+
+    assert.strictEqual(miner.addToHold(registry.get("dirt")), true);
+    assert.strictEqual(miner.cargo.length, 0);
+
+    assert.strictEqual(miner.addToHold(registry.get("coal")), true);
+    assert.strictEqual(miner.addToHold(registry.get("gold")), true);
+    assert.strictEqual(miner.addToHold(registry.get("diamond")), false);
+    assert.strictEqual(miner.cargo.length, 2);
+});
+
+test("mining an ore puts it in the hold", () => {
+    const sim = createUnderground();
+    sim.world.set(20, 11, registry.get("coal"));
+    charge(sim, DOWN);
+    sim.advance(1000, DOWN);
+    assert.deepStrictEqual(sim.miner.cargo, [registry.get("coal")]);
+});
+
+test("selling the cargo pays out its value and empties the hold", () => {
+    const sim = createUnderground();
+    const miner = sim.miner;
+    miner.money = 0;
+    miner.cargo = [registry.get("coal"), registry.get("coal")];
+
+    assert.strictEqual(miner.sellCargo(), 40);
+    assert.strictEqual(miner.money, 40);
+    assert.strictEqual(miner.cargo.length, 0);
+});
+
+test("spending money fails when the miner can't afford it", () => {
+    const sim = createUnderground();
+    sim.miner.money = 100;
+    assert.strictEqual(sim.miner.spend(150), false);
+    assert.strictEqual(sim.miner.money, 100);
+    assert.strictEqual(sim.miner.spend(100), true);
+    assert.strictEqual(sim.miner.money, 0);
+});
+
+test("tiles too hard for the drill block the miner until it is upgraded", () => {
+    const sim = createUnderground();
+    const blocked = [];
+    sim.on("toohard", (tile, properties) => blocked.push([tile.toString(), properties.id]));
+    sim.world.set(20, 11, registry.get("deep_rock"));
+
+    charge(sim, DOWN);
+    sim.advance(1000, DOWN);
+    assert.strictEqual(sim.miner.tile.toString(), "20-10");
+    assert.deepStrictEqual(blocked, [["20-11", "deep_rock"]]);
+
+    sim.miner.setUpgrades({ drill: 1 });
+    sim.step(1);
+    charge(sim, DOWN);
+    sim.advance(2000, DOWN);
+    assert.notStrictEqual(sim.miner.tile.toString(), "20-10");
+});
+
+test("upgrading spends the price of the next tier until the track is maxed out", () => {
+    const sim = createUnderground();
+    const miner = sim.miner;
+    miner.money = 100000;
+
+    assert.strictEqual(miner.upgrade("hull"), true);
+    assert.strictEqual(miner.maxHull, 130);
+    assert.strictEqual(miner.money, 100000 - 1200);
+
+    miner.setUpgrades({ engine: 2, hull: 3 });
+    assert.strictEqual(miner.upgrade("hull"), false);
+    assert.strictEqual(miner.upgrades.hull, 3);
+    assert.strictEqual(miner.upgrades.drill, 0);
+});
+
+test("bedrock and boulders block the miner", () => {
+    for (const id of ["bedrock", "boulder"]) {
+        const sim = createUnderground();
+        sim.world.set(20, 11, registry.get(id));
+        charge(sim, DOWN);
+        sim.advance(1000, DOWN);
+        assert.strictEqual(sim.miner.tile.toString(), "20-10", id);
+        assert.strictEqual(sim.world.get(20, 11).id, id);
+    }
+});
+
+test("drilling into lava damages the hull once", () => {
+    const sim = createUnderground();
+    const damage = [];
+    sim.on("damage", (amount, source) => damage.push([amount, source.id]));
+    sim.world.set(20, 11, registry.get("lava"));
+
+    charge(sim, DOWN);
+    sim.advance(1000, DOWN);
+    assert.deepStrictEqual(damage, [[registry.get("lava").damage, "lava"]]);
+    assert.strictEqual(sim.miner.hull, sim.miner.maxHull - registry.get("lava").damage);
+    assert.strictEqual(sim.miner.tile.toString(), "20-11");
+});
+
+test("a destroyed hull freezes the miner until it respawns", () => {
+    const sim = createUnderground();
+    const miner = sim.miner;
+    let deaths = 0;
+    sim.on("death", () => deaths++);
+    miner.cargo = [registry.get("gold")];
+
+    miner.damage(60);
+    miner.damage(60);
+    miner.damage(60);
+    assert.strictEqual(deaths, 1);
+    assert.strictEqual(miner.hull, 0);
+
+    sim.world.remove(20, 11);
+    sim.step(100, DOWN);
+    assert.strictEqual(miner.moving, false);
+
+    miner.respawn();
+    assert.strictEqual(miner.tile.toString(), "20-7");
+    assert.strictEqual(miner.hull, miner.maxHull);
+    assert.strictEqual(miner.fuel, miner.maxFuel);
+    assert.deepStrictEqual(miner.cargo, []);
+
+    miner.recover();
+    sim.step(100, LEFT);
+    assert.strictEqual(miner.moving, true);
+});
+
+test("the scanner finds the ores around the miner, then recharges", () => {
+    const sim = createUnderground();
+    sim.world.set(21, 12, registry.get("gold"));
+    sim.world.set(20, 30, registry.get("diamond"));
+    const scans = [];
+    sim.on("scan", (tile, radius, ores) => scans.push(ores));
+
+    assert.strictEqual(sim.miner.scan(), null);
+    sim.miner.setUpgrades({ scanner: 1 });
+    const ores = sim.miner.scan();
+    assert.ok(ores.some(ore => ore.tile.toString() == "21-12" && ore.properties.id == "gold"));
+    assert.ok(ores.every(ore => ore.properties.collectible && ore.tile.gY <= 16));
+    assert.strictEqual(scans.length, 1);
+
+    assert.strictEqual(sim.miner.scan(), null);
+    sim.step(sim.miner.scanRecharge);
+    assert.notStrictEqual(sim.miner.scan(), null);
+});
+
+test("items are bought up to how many can be carried", () => {
+    const sim = new Simulation(40, 40, 50, registry, upgrades, items);
+    sim.generate(1);
+    sim.miner.money = 1000;
+    const changes = [];
+    sim.on("items", carried => changes.push(Object.assign({}, carried)));
+
+    assert.strictEqual(sim.miner.buyItem("fuel_canister", 10), 5);
+    assert.strictEqual(sim.miner.money, 1000 - 5 * 150);
+    assert.strictEqual(sim.miner.buyItem("fuel_canister"), 0);
+    // Without enough money for them all, none are bought
+    assert.strictEqual(sim.miner.buyItem("recall_beacon", 2), 0);
+    assert.deepStrictEqual(changes, [{ fuel_canister: 5 }]);
+});
+
+test("items are only used up when they would do something", () => {
+    const sim = createUnderground();
+    sim.items = items;
+    sim.miner.items = { fuel_canister: 1, repair_kit: 1, recall_beacon: 1 };
+
+    assert.ok(!sim.miner.useItem("fuel_canister"));
+    sim.miner.fuel = 2;
+    assert.ok(sim.miner.useItem("fuel_canister"));
+    assert.strictEqual(sim.miner.fuel, 7);
+    assert.ok(!sim.miner.useItem("fuel_canister"));
+
+    sim.miner.damage(10);
+    assert.ok(sim.miner.useItem("repair_kit"));
+    assert.strictEqual(sim.miner.hull, sim.miner.maxHull);
+
+    assert.ok(sim.miner.useItem("recall_beacon"));
+    assert.strictEqual(sim.miner.depth, 0);
+    assert.deepStrictEqual(sim.miner.items, {});
+});
+
+test("dynamite blows out the tiles around where it was placed, and C4 the bedrock the miner faces", () => {
+    const sim = createUnderground();
+    sim.items = items;
+    sim.miner.items = { dynamite: 2, c4: 1 };
+    sim.world.set(21, 11, registry.get("bedrock"));
+
+    assert.ok(sim.miner.useItem("dynamite"));
+    assert.strictEqual(sim.bombs.length, 1);
+    assert.strictEqual(sim.world.get(20, 11).id, "dirt");
+    sim.stepBombs(3000);
+    for (let gY = 9; gY <= 11; gY++) assert.strictEqual(sim.world.get(20, gY), null);
+    assert.strictEqual(sim.world.get(19, 11), null);
+    assert.strictEqual(sim.world.get(21, 11).id, "bedrock");
+    assert.strictEqual(sim.world.get(22, 10).id, "dirt");
+    // The miner didn't get away in time
+    assert.strictEqual(sim.miner.hull, sim.miner.maxHull - 20);
+    // Nothing is left to blow out, so none is wasted
+    assert.ok(!sim.miner.useItem("dynamite"));
+
+    sim.miner.facingDirection = MinerModel.Direction.RIGHT;
+    assert.ok(!sim.miner.useItem("c4"));
+    sim.miner.teleport(20 * 50, 11 * 50);
+    sim.miner.facingDirection = MinerModel.Direction.RIGHT;
+    assert.ok(sim.miner.useItem("c4"));
+    assert.strictEqual(sim.world.get(21, 11), null);
+    assert.deepStrictEqual(sim.miner.items, { dynamite: 1 });
+});
+
+test("C4 blows up the bedrock on whichever side the miner pushes against", () => {
+    const sim = createUnderground();
+    sim.items = items;
+    sim.miner.items = { c4: 2 };
+    sim.world.set(19, 10, registry.get("bedrock"));
+    sim.world.set(21, 10, registry.get("bedrock"));
+
+    sim.step(16, MinerModel.Direction.LEFT);
+    assert.strictEqual(sim.miner.facingDirection, MinerModel.Direction.LEFT);
+    assert.ok(sim.miner.useItem("c4"));
+    assert.strictEqual(sim.world.get(19, 10), null);
+    assert.strictEqual(sim.world.get(21, 10).id, "bedrock");
+
+    sim.step(16, MinerModel.Direction.RIGHT);
+    assert.ok(sim.miner.useItem("c4"));
+    assert.strictEqual(sim.world.get(21, 10), null);
+    assert.strictEqual(sim.miner.tile.toString(), "20-10");
+});
+
+test("teleport scrolls take the miner to the nearest outpost it has found", () => {
+    const sim = createUnderground();
+    sim.items = items;
+    sim.miner.items = { teleport_scroll: 1 };
+    sim.world.outposts.push({ id: "trader", x: 5, y: 30 }, { id: "repair_bay", x: 30, y: 35 });
+    assert.ok(!sim.miner.useItem("teleport_scroll"));
+
+    sim.reveal(new Tile(30, 35), 1);
+    assert.ok(sim.miner.useItem("teleport_scroll"));
+    assert.strictEqual(sim.miner.tile.toString(), "30-34");
+});
@@ -0,0 +1,37 @@
+const test = require("node:test");
+const assert = require("assert");
+const zlib = require("zlib");
+const SaveFile = require("../../src/Sim/SaveFile.js");
+const SaveSchema = require("../../src/Sim/SaveSchema.js");
+
+const saveData = { version: SaveSchema.version, name: "Test", timestamp: 1000, player: { money: 300 }, world: { tiles: { "3-12": null } } };
+
+test("save files unpack to the data they were packed from", () => {
+    const text = SaveFile.encode(saveData);
+    assert.ok(text.startsWith(`MEGAMINER-SAVE 1 ${SaveSchema.version} `));
+    assert.deepStrictEqual(SaveFile.decode(text), saveData);
+});
+
+test("the checksum is the CRC-32 of the save data", () => {
+    assert.strictEqual(SaveFile.checksum(Buffer.from("123456789")), "cbf43926");
+});
+
+test("edited save files are refused", () => {
+    const [header, body] = SaveFile.encode(saveData).split("\n");
+    const forged = SaveFile.encode(Object.assign({}, saveData, { name: "Forged" })).split("\n")[1];
+    assert.throws(() => SaveFile.decode(`${header}\n${forged}`), /checksum doesn't match/);
+    assert.throws(() => SaveFile.decode(`${header}\n${body.slice(0, 20)}`), /damaged/);
+});
+
+test("save files that unpack to something other than JSON are refused", () => {
+    const json = Buffer.from("{not json");
+    const header = [SaveFile.magic, SaveFile.version, SaveSchema.version, SaveFile.checksum(json)].join(" ");
+    const text = `${header}\n${zlib.gzipSync(json).toString("base64")}`;
+    assert.throws(() => SaveFile.decode(text), error => error instanceof SaveSchema.SaveError && /doesn't hold any save data/.test(error.message));
+});
+
+test("files from newer versions of the game or other programs are refused", () => {
+    const text = SaveFile.encode(Object.assign({}, saveData, { version: SaveSchema.version + 1 }));
+    assert.throws(() => SaveFile.decode(text), /newer version of the game/);
+    assert.throws(() => SaveFile.decode("{\"money\": 5}"), /isn't a Mega Miner save/);
+});
@@ -0,0 +1,196 @@
+const test = require("node:test");
+const assert = require("assert");
+const SaveSchema = require("../../src/Sim/SaveSchema.js");
+const Simulation = require("../../src/Sim/Simulation.js");
+const Tile = require("../../src/Grid/Tile.js");
+const registry = require("../helpers/registry.js");
+const upgrades = require("../helpers/upgrades.js");
+const items = require("../helpers/items.js");
+
+const schema = new SaveSchema(registry, upgrades, items, new Simulation(40, 40, 50, registry).world);
+
+/**
+ * Creates a simulation with a generated world.
+ * @param {number} seed
+ */
+function createSimulation(seed) {
+    const sim = new Simulation(40, 40, 50, registry, upgrades);
+    sim.generate(seed);
+    return sim;
+}
+
+test("a saved game is rebuilt from the seed and the tiles changed since", () => {
+    const sim = createSimulation(5);
+    sim.world.remove(3, 12);
+    sim.world.set(4, 12, registry.get("gold"));
+    sim.miner.money = 1234;
+    sim.miner.cargo = [registry.get("coal"), registry.get("iron")];
+    sim.miner.setUpgrades({ drill: 1, tank: 2 });
+    sim.miner.items = { dynamite: 3, recall_beacon: 1 };
+    sim.miner.teleport(4 * 50, 11 * 50);
+    const saved = JSON.stringify(schema.create(sim, { name: "Test", waypoints: [{ name: "Home", x: 0, y: 350 }] }));
+
+    const loaded = createSimulation(9);
+    const data = schema.read(saved);
+    schema.apply(loaded, data);
+
+    assert.strictEqual(loaded.world.seed, 5);
+    assert.strictEqual(loaded.world.get(3, 12), null);
+    assert.strictEqual(loaded.world.get(4, 12).id, "gold");
+    assert.strictEqual(loaded.world.get(10, 30), sim.world.get(10, 30));
+    assert.strictEqual(loaded.miner.money, 1234);
+    assert.deepStrictEqual(loaded.miner.cargo.map(ore => ore.id), ["coal", "iron"]);
+    assert.strictEqual(loaded.miner.maxFuel, 22);
+    assert.deepStrictEqual(loaded.miner.items, { dynamite: 3, recall_beacon: 1 });
+    assert.strictEqual(loaded.miner.tile.toString(), "4-11");
+    assert.deepStrictEqual(data.world.waypoints, [{ name: "Home", x: 0, y: 350 }]);
+});
+
+test("a player in debt from a fuel rescue can still be saved and loaded", () => {
+    const sim = createSimulation(5);
+    sim.miner.money = 0;
+    sim.miner.teleport(20 * 50, 10 * 50);
+    const cost = sim.miner.recharge();
+    assert.strictEqual(sim.miner.money, -cost);
+
+    const loaded = createSimulation(5);
+    schema.apply(loaded, schema.read(JSON.stringify(schema.create(sim, { name: "Test" }))));
+    assert.strictEqual(loaded.miner.money, -cost);
+});
+
+test("a position between two tiles is seated in the nearest tile", () => {
+    const data = schema.create(createSimulation(5), { name: "Test" });
+    data.player.position = { x: 1010, y: 361.75 };
+
+    const sim = createSimulation(5);
+    schema.apply(sim, schema.read(data));
+    assert.strictEqual(sim.miner.x, 1000);
+    assert.strictEqual(sim.miner.y, 350);
+    assert.strictEqual(sim.miner.tile.toString(), "20-7");
+    assert.strictEqual(sim.miner.canFall(), false);
+});
+
+test("bombs still burning and ores lying around are saved", () => {
+    const sim = createSimulation(5);
+    sim.placeBomb(new Tile(20, 20), 2.5, 4000, 45);
+    sim.stepBombs(1500);
+    sim.world.remove(12, 15);
+    sim.dropOre(new Tile(12, 15), registry.get("gold"));
+
+    const loaded = createSimulation(5);
+    schema.apply(loaded, schema.read(JSON.stringify(schema.create(sim, { name: "Test" }))));
+    assert.deepStrictEqual(loaded.bombs.map(bomb => [bomb.tile.toString(), bomb.fuse, bomb.radius, bomb.damage]), [["20-20", 2500, 2.5, 45]]);
+    assert.deepStrictEqual(loaded.drops.map(drop => `${drop.properties.id} ${drop.tile}`), [`gold ${sim.drops[0].tile}`]);
+
+    loaded.stepBombs(2500);
+    assert.deepStrictEqual(loaded.bombs, []);
+    assert.strictEqual(loaded.world.get(20, 20), null);
+});
+
+test("generating the world doesn't count as changing it", () => {
+    const sim = createSimulation(5);
+    sim.world.get(20, 30);
+    assert.deepStrictEqual(schema.create(sim, { name: "Test" }).world.tiles, {});
+});
+
+test("saves written by the save station before versioning are migrated", () => {
+    const data = schema.read({
+        money: 800,
+        fuel: 7,
+        maxFuel: 15,
+        tank: 0,
+        position: { x: 100, y: 600 },
+        cargo: [{ name: "Coal", color: "#000", thickness: 26.5, value: 20 }],
+        waypoints: [{ name: "Mine", x: 100, y: 600 }],
+        timestamp: 1000
+    });
+
+    assert.strictEqual(data.version, SaveSchema.version);
+    assert.strictEqual(data.world.seed, null);
+    assert.deepStrictEqual(data.player.cargo, ["coal"]);
+    assert.strictEqual(data.player.upgrades.tank, 1);
+    assert.strictEqual(data.player.hull, 100);
+    assert.deepStrictEqual(data.world.waypoints, [{ name: "Mine", x: 100, y: 600 }]);
+});
+
+test("1.0.0 saves are migrated, turning upgraded stats into upgrade levels", () => {
+    const data = schema.read({
+        version: "1.0.0",
+        timestamp: 1000,
+        player: { money: 50, fuel: 10, maxFuel: 10, tank: 0, hull: 80, position: { x: 0, y: 350 }, speedMultiplier: 1.4, cargo: ["iron"], cargoCapacity: 15 },
+        world: { seed: 42, waypoints: [] }
+    });
+
+    assert.deepStrictEqual(data.player.upgrades, { tank: 0, hold: 1, engine: 2 });
+    assert.strictEqual(data.player.hull, 80);
+    assert.strictEqual(data.world.seed, 42);
+    assert.deepStrictEqual(data.world.tiles, {});
+});
+
+test("corrupt saves are rejected", () => {
+    const valid = schema.create(createSimulation(5), { name: "Test" });
+    const corrupt = change => {
+        const data = JSON.parse(JSON.stringify(valid));
+        change(data);
+        return () => schema.read(data);
+    };
+
+    assert.throws(() => schema.read("{not json"), /isn't JSON/);
+    assert.throws(corrupt(data => { data.version = 99; }), /version 99 is unknown/);
+    assert.throws(corrupt(data => { data.player.fuel = -5; }), /player.fuel is less than 0/);
+    assert.throws(corrupt(data => { data.player.cargo.push("dirt"); }), /player.cargo\[0\] "dirt" isn't an ore/);
+    assert.throws(corrupt(data => { data.player.upgrades.drill = 12; }), /player.upgrades.drill has no level 12/);
+    assert.throws(corrupt(data => { data.player.items.dynamite = 40; }), /player.items.dynamite can't stack 40/);
+    assert.throws(corrupt(data => { data.player.items.rocket = 1; }), /player.items.rocket isn't an item/);
+    assert.throws(corrupt(data => { data.world.tiles["3-4"] = "unobtainium"; }), /world.tiles.3-4/);
+    assert.throws(corrupt(data => { delete data.world.waypoints; }), /world.waypoints isn't a list/);
+    assert.throws(corrupt(data => { data.player.position = { x: 1e6, y: 1e6 }; }), /player.position is outside the world/);
+    assert.throws(corrupt(data => { data.world.tiles["999-999"] = "dirt"; }), /world.tiles.999-999 is outside the world/);
+    assert.throws(corrupt(data => { data.world.waypoints.push({ name: "Far", x: 0, y: 40 * 50 }); }), /world.waypoints\[0\] is outside the world/);
+    assert.throws(corrupt(data => { data.world.bombs.push({ gX: 40, gY: 2, fuse: 10, radius: 1, damage: 0 }); }), /world.bombs\[0\] is outside the world/);
+    assert.throws(corrupt(data => { data.world.drops.push({ gX: 1, gY: 400, ore: "gold" }); }), /world.drops\[0\] is outside the world/);
+    assert.throws(corrupt(data => { data.world.fog = ["up"]; }), SaveSchema.SaveError);
+    assert.throws(corrupt(data => { data.world.bombs.push({ gX: 1.5, gY: 2, fuse: 10, radius: 1, damage: 0 }); }), /world.bombs\[0\].gX isn't a grid position/);
+    assert.throws(corrupt(data => { data.world.drops.push({ gX: 1, gY: 2, ore: "dirt" }); }), /world.drops\[0\] "dirt" isn't an ore/);
+});
+
+test("the revealed fog is saved", () => {
+    const sim = createSimulation(5);
+    sim.miner.teleport(10 * 50, 20 * 50);
+    const loaded = createSimulation(5);
+    schema.apply(loaded, schema.read(JSON.stringify(schema.create(sim, { name: "Test" }))));
+
+    assert.strictEqual(loaded.fog.isRevealed(10, 20), true);
+    assert.strictEqual(loaded.fog.isRevealed(12, 20), true);
+    assert.deepStrictEqual(loaded.fog.serialize(), sim.fog.serialize());
+});
+
+test("version 2 saves are migrated, revealing the chunks they listed", () => {
+    const data = schema.create(createSimulation(5), { name: "Test" });
+    data.version = 2;
+    data.world.fog = ["1-2"];
+
+    const migrated = schema.read(data);
+    const sim = createSimulation(5);
+    schema.apply(sim, migrated);
+    assert.strictEqual(sim.fog.isRevealed(8, 16), true);
+    assert.strictEqual(sim.fog.isRevealed(15, 23), true);
+    assert.strictEqual(sim.fog.isRevealed(16, 23), false);
+});
+
+test("version 3 saves are migrated with no items", () => {
+    const data = schema.create(createSimulation(5), { name: "Test" });
+    data.version = 3;
+    delete data.player.items;
+    assert.deepStrictEqual(schema.read(data).player.items, {});
+});
+
+test("version 4 saves are migrated with no bombs or drops", () => {
+    const data = schema.create(createSimulation(5), { name: "Test" });
+    data.version = 4;
+    delete data.world.bombs;
+    delete data.world.drops;
+    const migrated = schema.read(data);
+    assert.deepStrictEqual(migrated.world.bombs, []);
+    assert.deepStrictEqual(migrated.world.drops, []);
+});
@@ -0,0 +1,201 @@
+const test = require("node:test");
+const assert = require("assert");
+const Simulation = require("../../src/Sim/Simulation.js");
+const MinerModel = require("../../src/Sim/MinerModel.js");
+const Tile = require("../../src/Grid/Tile.js");
+const registry = require("../helpers/registry.js");
+
+const { DOWN } = MinerModel.Direction;
+
+/**
+ * Creates a simulation with the miner in a pocket of stone underground.
+ */
+function createUnderground() {
+    const sim = new Simulation(40, 40, 50, registry);
+    sim.generate(1);
+    for (let gY = 9; gY < 39; gY++) {
+        for (let gX = 10; gX < 30; gX++) sim.world.set(gX, gY, registry.get("stone"));
+    }
+    sim.world.remove(20, 10);
+    sim.miner.teleport(20 * 50, 10 * 50);
+    return sim;
+}
+
+test("drilling a gas pocket blows up the tiles around it", () => {
+    const sim = createUnderground();
+    const destroyed = [];
+    sim.on("tiledestroy", tile => destroyed.push(tile.toString()));
+    sim.world.set(20, 13, registry.get("gas"));
+    sim.world.set(20, 14, registry.get("gas"));
+    sim.world.remove(20, 11);
+    sim.world.remove(20, 12);
+    sim.miner.teleport(20 * 50, 12 * 50);
+
+    for (let i = 0; i <= sim.miner.chargeReq + 1; i++) sim.step(0, DOWN);
+
+    // The miner never moves into the pocket
+    assert.strictEqual(sim.miner.tile.toString(), "20-12");
+    assert.strictEqual(sim.miner.moving, false);
+    assert.strictEqual(sim.world.get(20, 13), null);
+    assert.strictEqual(sim.world.get(22, 13), null);
+    assert.ok(sim.world.get(23, 13));
+    assert.strictEqual(new Set(destroyed).size, destroyed.length);
+});
+
+test("explosions set off other gas pockets in the blast", () => {
+    const sim = createUnderground();
+    const explosions = [];
+    sim.on("explode", tile => explosions.push(tile.toString()));
+    sim.world.set(20, 20, registry.get("gas"));
+    sim.world.set(22, 20, registry.get("gas"));
+
+    sim.explode(new Tile(20, 20), 2, 35);
+    assert.deepStrictEqual(explosions, ["20-20", "22-20"]);
+    assert.strictEqual(sim.world.get(24, 20), null);
+});
+
+test("explosions leave unmineable tiles and buildings standing", () => {
+    const sim = createUnderground();
+    sim.world.set(21, 20, registry.get("bedrock"));
+    sim.world.set(19, 20, registry.get("boulder"));
+    sim.explode(new Tile(20, 20), 2, 35);
+    assert.strictEqual(sim.world.get(21, 20).id, "bedrock");
+
+    // Boulders survive the blast, but not the tiles holding them up
+    assert.deepStrictEqual(sim.fallingTiles.map(rock => rock.properties.id), ["boulder"]);
+
+    const shop = sim.world.surfaceBuildings.find(b => b.id == "shop");
+    sim.explode(new Tile(shop.x, 9), 2, 35);
+    assert.strictEqual(sim.world.get(shop.x, 8).id, "shop");
+});
+
+test("explosions only damage a miner caught in the blast", () => {
+    const sim = createUnderground();
+    sim.explode(new Tile(20, 15), 2, 35);
+    assert.strictEqual(sim.miner.hull, sim.miner.maxHull);
+
+    sim.explode(new Tile(20, 12), 2, 35);
+    assert.strictEqual(sim.miner.hull, sim.miner.maxHull - 35);
+});
+
+test("boulders fall down a dug out shaft and land on the bottom", () => {
+    const sim = createUnderground();
+    const events = [];
+    sim.on("tilefall", rock => events.push(["fall", rock.tile.toString()]));
+    sim.on("tileland", rock => events.push(["land", rock.tile.toString()]));
+    sim.world.set(22, 11, registry.get("boulder"));
+    sim.world.set(22, 12, registry.get("boulder"));
+    sim.world.remove(22, 14);
+    sim.world.remove(22, 15);
+
+    sim.destroyTile(new Tile(22, 13));
+    assert.deepStrictEqual(events, [["fall", "22-12"], ["fall", "22-11"]]);
+    assert.strictEqual(sim.world.get(22, 12), null);
+
+    // Loose tiles wobble in place before they drop
+    sim.advance(sim.looseDelay - 100);
+    assert.strictEqual(sim.fallingTiles[0].y, 12 * 50);
+
+    sim.advance(2000);
+    assert.deepStrictEqual(events.slice(2), [["land", "22-15"], ["land", "22-14"]]);
+    assert.strictEqual(sim.world.get(22, 15).id, "boulder");
+    assert.strictEqual(sim.world.get(22, 14).id, "boulder");
+    assert.strictEqual(sim.fallingTiles.length, 0);
+});
+
+test("a falling boulder crushes the miner below it", () => {
+    const sim = createUnderground();
+    let crushed = 0;
+    sim.on("crush", () => crushed++);
+    sim.world.set(20, 8, registry.get("boulder"));
+    sim.world.remove(20, 11);
+    sim.miner.teleport(20 * 50, 11 * 50);
+
+    sim.destroyTile(new Tile(20, 9));
+    sim.advance(2000);
+    assert.strictEqual(crushed, 1);
+    assert.strictEqual(sim.miner.hull, sim.miner.maxHull - registry.get("boulder").damage);
+    assert.strictEqual(sim.world.get(20, 11), null);
+    assert.strictEqual(sim.fallingTiles.length, 0);
+});
+
+test("bombs go off once their fuse burns down, dropping the ores caught in the blast", () => {
+    const sim = createUnderground();
+    const events = [];
+    for (const type of ["bomb", "detonate", "drop"]) sim.on(type, () => events.push(type));
+    sim.world.set(21, 12, registry.get("gold"));
+    sim.world.set(19, 12, registry.get("bedrock"));
+    sim.world.remove(20, 11);
+    sim.world.remove(20, 12);
+    sim.world.remove(20, 13);
+    sim.world.remove(20, 14);
+
+    sim.placeBomb(new Tile(20, 12), 1.5, 1000, 30);
+    sim.stepBombs(999);
+    assert.strictEqual(sim.world.get(21, 12).id, "gold");
+    sim.stepBombs(1);
+    assert.deepStrictEqual(events, ["bomb", "detonate", "drop"]);
+    assert.deepStrictEqual(sim.bombs, []);
+
+    assert.strictEqual(sim.world.get(21, 11), null);
+    assert.strictEqual(sim.world.get(21, 13), null);
+    assert.strictEqual(sim.world.get(19, 12).id, "bedrock");
+    // The miner was two tiles away, out of the blast
+    assert.strictEqual(sim.miner.hull, sim.miner.maxHull);
+    // The blown out area is revealed
+    assert.ok(sim.fog.isRevealed(22, 12));
+
+    // The gold falls to the bottom of what was blown out, where the miner picks it up
+    assert.strictEqual(sim.drops.length, 1);
+    assert.strictEqual(sim.drops[0].tile.toString(), "21-13");
+    sim.miner.teleport(21 * 50, 13 * 50);
+    sim.step(0);
+    assert.deepStrictEqual(sim.miner.cargo.map(ore => ore.id), ["gold"]);
+    assert.deepStrictEqual(sim.drops, []);
+});
+
+test("explosives set off by a bomb blow out a circle and drop the ores they catch too", () => {
+    const sim = createUnderground();
+    sim.world.set(21, 20, registry.get("gas"));
+    sim.world.set(23, 20, registry.get("gold"));
+    sim.world.set(23, 22, registry.get("gold"));
+
+    sim.placeBomb(new Tile(20, 20), 1.5, 1000, 30);
+    sim.stepBombs(1000);
+    assert.strictEqual(sim.world.get(23, 20), null);
+    assert.strictEqual(sim.world.get(21, 22), null);
+    // The corners are out of reach of both blasts
+    assert.strictEqual(sim.world.get(23, 22).id, "gold");
+    assert.strictEqual(sim.world.get(22, 22).id, "stone");
+    assert.deepStrictEqual(sim.drops.map(drop => `${drop.properties.id} ${drop.tile}`), ["gold 23-20"]);
+});
+
+test("a boulder that lands on a bomb survives the blast", () => {
+    const sim = createUnderground();
+    sim.world.set(20, 18, registry.get("boulder"));
+    sim.world.remove(20, 20);
+    sim.placeBomb(new Tile(20, 20), 1.5, 5000, 0);
+
+    sim.destroyTile(new Tile(20, 19));
+    sim.advance(3000);
+    assert.strictEqual(sim.world.get(20, 20).id, "boulder");
+    assert.strictEqual(sim.bombs.length, 1);
+
+    // It drops into the hole the blast left below it
+    sim.advance(5000);
+    assert.deepStrictEqual(sim.bombs, []);
+    assert.strictEqual(sim.world.get(21, 20), null);
+    assert.strictEqual(sim.world.get(20, 21).id, "boulder");
+});
+
+test("bombs set off the other bombs caught in their blast", () => {
+    const sim = createUnderground();
+    sim.placeBomb(new Tile(20, 12), 1, 5000, 30);
+    sim.placeBomb(new Tile(20, 11), 1, 1000, 30);
+    sim.placeBomb(new Tile(20, 20), 1, 5000, 30);
+    sim.stepBombs(1000);
+    assert.deepStrictEqual(sim.bombs.map(bomb => bomb.tile.toString()), ["20-20"]);
+    assert.strictEqual(sim.world.get(20, 13), null);
+    // The miner was caught in the blast at the top
+    assert.strictEqual(sim.miner.hull, sim.miner.maxHull - 30);
+});
@@ -0,0 +1,72 @@
+const test = require("node:test");
+const assert = require("assert");
+const TileRegistry = require("../../src/Sim/TileRegistry.js");
+const Simulation = require("../../src/Sim/Simulation.js");
+const registry = require("../helpers/registry.js");
+const tilesheet = require("../../static/assets/tiles.json");
+
+test("every tile is drawn with a frame of the tiles spritesheet", () => {
+    for (const id in registry.tiles) {
+        const frame = registry.get(id).frame;
+        assert.ok(frame >= 0 && frame < tilesheet.frames.count, `${id} uses frame ${frame}`);
+    }
+});
+
+test("tiles missing a required field are rejected", () => {
+    assert.throws(() => new TileRegistry({ tiles: [{ id: "tin", name: "Tin", color: "#ccc", frame: 7, value: 10 }] }), /thickness/);
+    assert.throws(() => new TileRegistry({}), /list of tiles/);
+});
+
+test("tiles can't be registered twice", () => {
+    const tin = { id: "tin", name: "Tin", color: "#ccc", frame: 7, thickness: 20, value: 10 };
+    assert.throws(() => new TileRegistry({ tiles: [tin, tin] }), /twice/);
+});
+
+test("unknown tiles throw instead of placing nothing", () => {
+    assert.throws(() => registry.get("unobtainium"), /Unknown tile/);
+});
+
+test("strata are sorted from the surface down", () => {
+    assert.deepStrictEqual(registry.strata.map(stratum => stratum.id), ["topsoil", "stone", "deep_rock", "magma"]);
+    assert.strictEqual(registry.getStratumAt(0).id, "topsoil");
+    assert.strictEqual(registry.getStratumAt(450).id, "deep_rock");
+    assert.strictEqual(registry.getStratumAt(5000).id, "magma");
+});
+
+test("strata can only list deposits with a valid vein size", () => {
+    const data = require("../../static/assets/registry.json");
+    const stratum = deposits => ({ tiles: data.tiles, strata: [{ id: "test", name: "Test", fill: "dirt", minDepth: 0, deposits: deposits }] });
+    assert.throws(() => new TileRegistry(stratum([{ id: "dirt", veinSize: [1, 2] }])), /isn't a deposit/);
+    assert.throws(() => new TileRegistry(stratum([{ id: "coal", veinSize: [3, 2] }])), /vein size/);
+});
+
+test("generated ores stay within their depth range", () => {
+    const sim = new Simulation(40, 250, 50, registry);
+    sim.generate(1);
+    const found = new Set();
+
+    for (let gY = sim.world.horizonLineGU + 1; gY < 250; gY++) {
+        const depth = sim.world.getDepth(gY);
+        for (let gX = 0; gX < 40; gX++) {
+            const tile = sim.world.get(gX, gY);
+            if (!tile || !tile.collectible) continue;
+            found.add(tile.id);
+            assert.ok(depth >= tile.minDepth && depth <= tile.maxDepth, `${tile.id} at ${depth}m`);
+        }
+    }
+    assert.deepStrictEqual([...found].sort(), registry.deposits.filter(tile => tile.collectible).map(ore => ore.id).sort());
+});
+
+test("new ores can be added without any code", () => {
+    const data = require("../../static/assets/registry.json");
+    const tin = { id: "tin", name: "Tin", color: "#ccc", frame: 7, thickness: 20, value: 10, collectible: true, minDepth: 10, maxDepth: 20, rarity: 50 };
+    const strata = [{ id: "tin_belt", name: "Tin Belt", fill: "dirt", minDepth: 0, deposits: [{ id: "tin", veinSize: [2, 4] }] }];
+    const sim = new Simulation(40, 40, 50, new TileRegistry({ tiles: data.tiles.concat(tin), strata: strata }));
+    sim.generate(1);
+
+    const row = [];
+    for (let gX = 0; gX < 40; gX++) row.push(sim.world.get(gX, 9).id);
+    assert.ok(row.includes("tin"));
+    assert.strictEqual(sim.miner.addToHold(sim.world.registry.get("tin")), true);
+    assert.strictEqual(sim.miner.cargo[0].id, "tin");
+});
@@ -0,0 +1,42 @@
+const test = require("node:test");
+const assert = require("assert");
+require("../helpers/stubs.js").install();
+const UpgradeCatalog = require("../../src/Sim/UpgradeCatalog.js");
+const PlayerDrill = require("../../src/Player/PlayerDrill.js");
+const upgrades = require("../helpers/upgrades.js");
+
+test("every drill tier has a drill sprite", () => {
+    const types = Object.values(PlayerDrill.Type);
+    for (const tier of upgrades.get("drill").tiers) {
+        assert.ok(types.includes(tier.effects.drill), `${tier.name} uses drill ${tier.effects.drill}`);
+    }
+});
+
+test("the first tier of every track is free", () => {
+    for (const track of upgrades.tracks) assert.strictEqual(track.tiers[0].price, 0, track.id);
+});
+
+test("tiers with unknown effects are rejected", () => {
+    const tier = { name: "Rocket", price: 10, effects: { rockets: 2 } };
+    assert.throws(() => new UpgradeCatalog({ tracks: [{ id: "rocket", name: "Rocket", tiers: [tier] }] }), /unknown effect "rockets"/);
+    assert.throws(() => new UpgradeCatalog({}), /list of tracks/);
+});
+
+test("prerequisites must point at a tier that exists", () => {
+    const tiers = [{ name: "Basic", price: 0, effects: {} }, { name: "Better", price: 10, effects: {}, requires: { engine: 9 } }];
+    assert.throws(() => new UpgradeCatalog({ tracks: [{ id: "drill", name: "Drill", tiers: tiers }] }), /Unknown upgrade track "engine"/);
+});
+
+test("missing prerequisites are listed by tier", () => {
+    const ruby = upgrades.getTier("drill", 3);
+    assert.deepStrictEqual(upgrades.getMissing(ruby, { engine: 2 }).map(tier => tier.name), ["Reinforced Hull"]);
+    assert.deepStrictEqual(upgrades.getMissing(ruby, { engine: 2, hull: 1 }), []);
+});
+
+test("effects are taken from the tier every track is at", () => {
+    const effects = upgrades.getEffects({ drill: 2, tank: 1 });
+    assert.strictEqual(effects.drill, "emerald");
+    assert.strictEqual(effects.drillPower, 2);
+    assert.strictEqual(effects.maxFuel, 15);
+    assert.strictEqual(effects.capacity, 10);
+});
@@ -0,0 +1,137 @@
+const test = require("node:test");
+const assert = require("assert");
+const WorldModel = require("../../src/Sim/WorldModel.js");
+const registry = require("../helpers/registry.js");
+
+/**
+ * Generates a world deep enough to reach every stratum.
+ * @param {number} seed
+ */
+function generate(seed) {
+    const world = new WorldModel(40, 250, 50, registry);
+    world.generate(seed);
+    return world;
+}
+
+/**
+ * Lists the id of every tile in a world, generating every chunk.
+ * @param {WorldModel} world
+ * @param {boolean} [backwards] Whether to generate the chunks from the bottom right instead.
+ */
+function snapshot(world, backwards = false) {
+    const ids = [];
+    for (let i = 0; i < world.widthGU * world.heightGU; i++) {
+        const index = backwards ? world.widthGU * world.heightGU - 1 - i : i;
+        const tile = world.get(index % world.widthGU, Math.floor(index / world.widthGU));
+        ids[index] = tile ? tile.id : null;
+    }
+    return ids;
+}
+
+test("the same seed always generates the same world", () => {
+    assert.deepStrictEqual(snapshot(generate(1234)), snapshot(generate(1234)));
+    assert.notDeepStrictEqual(snapshot(generate(1234)), snapshot(generate(4321)));
+});
+
+test("chunks generate the same no matter which is generated first", () => {
+    assert.deepStrictEqual(snapshot(generate(1234)), snapshot(generate(1234), true));
+});
+
+test("chunks are only generated once they're needed", () => {
+    const world = generate(1);
+    assert.deepStrictEqual(world.chunks, {});
+
+    world.get(20, 100);
+    assert.deepStrictEqual(Object.keys(world.chunks), ["2-12"]);
+});
+
+test("mined tiles stay mined", () => {
+    const world = generate(1);
+    assert.ok(world.remove(20, 100));
+    assert.strictEqual(world.get(20, 100), null);
+    assert.strictEqual(world.remove(20, 100), null);
+});
+
+test("strata are layered from the surface down", () => {
+    const world = generate(1);
+    const fills = registry.strata.map(stratum => stratum.fill);
+
+    for (let gX = 0; gX < world.widthGU; gX++) {
+        let layer = 0;
+        for (let gY = world.horizonLineGU + 1; gY < world.heightGU; gY++) {
+            // Outposts leave pockets of open space
+            const tile = world.get(gX, gY);
+            const index = tile ? fills.indexOf(tile.id) : -1;
+            if (index == -1) continue;
+            assert.ok(index >= layer, `${tile.id} above ${fills[layer]} at ${gX}-${gY}`);
+            layer = index;
+        }
+        assert.strictEqual(layer, fills.length - 1);
+    }
+});
+
+test("strata boundaries wander by no more than the jitter", () => {
+    const world = generate(1);
+    const jitter = 2 * world.metersPerTile;
+
+    for (let gY = world.horizonLineGU + 1; gY < world.heightGU; gY++) {
+        const depth = world.getDepth(gY);
+        for (let gX = 0; gX < world.widthGU; gX++) {
+            const tile = world.get(gX, gY);
+            if (!tile || tile.id != "stone") continue;
+            assert.ok(depth >= 100 - jitter && depth < 400 + jitter, `stone at ${depth}m`);
+        }
+    }
+});
+
+test("ores are grown in veins instead of single tiles", () => {
+    const world = generate(1);
+    let ores = 0;
+    let connected = 0;
+
+    for (let gY = world.horizonLineGU + 1; gY < world.heightGU; gY++) {
+        for (let gX = 0; gX < world.widthGU; gX++) {
+            const tile = world.get(gX, gY);
+            if (!tile || !tile.collectible) continue;
+            ores++;
+            const neighbours = [[0, -1], [0, 1], [-1, 0], [1, 0]].map(([dX, dY]) => world.get(gX + dX, gY + dY));
+            if (neighbours.some(neighbour => neighbour && neighbour.id == tile.id)) connected++;
+        }
+    }
+    assert.ok(connected / ores > 0.8, `${connected} of ${ores} ores touch another of their kind`);
+});
+
+test("ores never replace the surface", () => {
+    const world = generate(1);
+    for (let gX = 0; gX < world.widthGU; gX++) {
+        assert.ok(!world.get(gX, world.horizonLineGU).collectible);
+    }
+});
+
+test("the bottom of the world is lined with bedrock", () => {
+    const world = generate(1);
+    for (let gX = 0; gX < world.widthGU; gX++) {
+        assert.strictEqual(world.get(gX, world.heightGU - 1).id, "bedrock");
+    }
+});
+
+test("outposts are placed deep down, with a pocket above them to stand in", () => {
+    const world = generate(1234);
+    snapshot(world);
+    assert.ok(world.outposts.length > 0);
+
+    for (const outpost of world.outposts) {
+        assert.ok(world.getDepth(outpost.y) >= world.generator.outpostMinDepth);
+        assert.strictEqual(world.get(outpost.x, outpost.y).id, outpost.id);
+        for (let gX = outpost.x - 1; gX <= outpost.x + 1; gX++) {
+            assert.strictEqual(world.get(gX, outpost.y - 1), null);
+            assert.strictEqual(world.get(gX, outpost.y - 2), null);
+            const roof = world.get(gX, outpost.y - 3);
+            assert.ok(!roof || !roof.loose);
+        }
+    }
+
+    const again = generate(1234);
+    snapshot(again, true);
+    assert.deepStrictEqual(again.outposts.slice().sort((a, b) => a.y - b.y || a.x - b.x), world.outposts.slice().sort((a, b) => a.y - b.y || a.x - b.x));
+});
@@ -0,0 +1,44 @@
+const stubs = require("./stubs.js");
+stubs.install();
+
+const Grid = require("../../src/Grid/Grid.js");
+const Simulation = require("../../src/Sim/Simulation.js");
+const EventBus = require("../../src/EventBus.js");
+const InputHandler = require("../../src/Handler/InputHandler.js");
+const AudioHandler = require("../../src/Handler/AudioHandler.js");
+const registry = require("./registry.js");
+const upgrades = require("./upgrades.js");
+const items = require("./items.js");
+
+/**
+ * Creates a stand-in for the game with a real grid and simulation,
+ * enough to construct the player and the handlers.
+ * @param {number} [seed] The seed to generate the world with.
+ */
+function createGame(seed = 1) {
+    const game = new createjs.Stage();
+    game.loadingHandler = { sprites: {} };
+    game.inputHandler = new InputHandler(game);
+    game.audioHandler = new AudioHandler(game);
+    game.simulation = new Simulation(40, 40, 50, registry, upgrades, items);
+    game.simulation.generate(seed);
+    game.events = new EventBus();
+    game.events.connect(game.simulation);
+    game.displayHandler = {
+        grid: new Grid(game, 50, 40, 40),
+        floatingTexts: [],
+        addFloatingText(value, color, x, y) {
+            this.floatingTexts.push({ value: value, color: color, x: x, y: y });
+        },
+        fade(out, callback) {
+            callback();
+        }
+    };
+    return game;
+}
+
+module.exports = {
+    createGame: createGame,
+    elements: stubs.elements,
+    FakeElement: stubs.FakeElement
+};
@@ -0,0 +1,10 @@
+const ItemCatalog = require("../../src/Sim/ItemCatalog.js");
+const data = require("../../static/assets/items.json");
+
+/**
+ * The items the game ships with. Every test can share them, since buying and using items only changes the miner.
+ * @type {ItemCatalog}
+ */
+const items = new ItemCatalog(data);
+
+module.exports = items;
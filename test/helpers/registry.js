@@ -0,0 +1,10 @@
+const TileRegistry = require("../../src/Sim/TileRegistry.js");
+const data = require("../../static/assets/registry.json");
+
+/**
+ * The registry the game ships with. Tiles are frozen, so every test can share it.
+ * @type {TileRegistry}
+ */
+const registry = new TileRegistry(data);
+
+module.exports = registry;
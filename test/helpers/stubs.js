@@ -0,0 +1,253 @@
+/**
+ * Minimal stand-ins for the parts of EaselJS and the DOM the game touches,
+ * so handlers and sprites can be constructed in Node.
+ */
+
+/**
+ * A chainable stand-in for `createjs.Graphics`; every drawing call returns itself.
+ */
+function createGraphics() {
+    const graphics = new Proxy({}, {
+        get: () => () => graphics
+    });
+    return graphics;
+}
+
+class EventDispatcher {
+    constructor() {
+        this.listeners = {};
+    }
+
+    addEventListener(type, listener) {
+        (this.listeners[type] = this.listeners[type] || []).push(listener);
+        return listener;
+    }
+
+    on(type, listener) {
+        return this.addEventListener(type, listener);
+    }
+
+    removeEventListener(type, listener) {
+        if (!this.listeners[type]) return;
+        this.listeners[type] = this.listeners[type].filter(l => l != listener);
+    }
+
+    removeAllEventListeners() {
+        this.listeners = {};
+    }
+
+    dispatchEvent(event) {
+        if (typeof event == "string") event = { type: event };
+        (this.listeners[event.type] || []).slice().forEach(l => l(event));
+        return true;
+    }
+}
+
+class DisplayObject extends EventDispatcher {
+    constructor() {
+        super();
+        this.x = 0;
+        this.y = 0;
+        this.alpha = 1;
+        this.visible = true;
+    }
+
+    setTransform(x = 0, y = 0) {
+        this.x = x;
+        this.y = y;
+        return this;
+    }
+
+    cache() {}
+    updateCache() {}
+    uncache() {}
+}
+
+class Sprite extends DisplayObject {
+    gotoAndPlay(animation) {
+        this.currentAnimation = animation;
+    }
+
+    gotoAndStop(frame) {
+        this.currentFrame = frame;
+    }
+
+    advance() {}
+}
+
+class Container extends DisplayObject {
+    constructor() {
+        super();
+        this.children = [];
+    }
+
+    addChild(...children) {
+        children.forEach(child => {
+            this.removeChild(child);
+            this.children.push(child);
+        });
+        return children[children.length - 1];
+    }
+
+    removeChild(...children) {
+        this.children = this.children.filter(child => children.indexOf(child) < 0);
+        return true;
+    }
+
+    removeAllChildren() {
+        this.children = [];
+    }
+
+    setChildIndex(child, index) {
+        if (this.children.indexOf(child) < 0) return;
+        this.removeChild(child);
+        this.children.splice(index, 0, child);
+    }
+}
+
+class Shape extends DisplayObject {
+    constructor() {
+        super();
+        this.graphics = createGraphics();
+    }
+}
+
+class Bitmap extends DisplayObject {
+    constructor(image) {
+        super();
+        this.image = image;
+        this.scaleX = 1;
+        this.scaleY = 1;
+    }
+}
+
+class Text extends DisplayObject {
+    constructor(text, font, color) {
+        super();
+        this.text = text;
+        this.font = font;
+        this.color = color;
+    }
+}
+
+class Stage extends Container {
+    constructor(canvas) {
+        super();
+        this.canvas = canvas && typeof canvas == "object" ? canvas : createElement("canvas");
+        this.scaleX = 1;
+        this.scaleY = 1;
+    }
+
+    update() {}
+    enableDOMEvents() {}
+}
+
+const Ticker = new EventDispatcher();
+Ticker.paused = false;
+Ticker.RAF = "raf";
+Ticker.getMeasuredFPS = () => 60;
+
+/**
+ * A stand-in for any DOM element.
+ */
+class FakeElement extends EventDispatcher {
+    constructor(tagName) {
+        super();
+        this.tagName = tagName;
+        this.id = "";
+        this.style = {};
+        this.children = [];
+        this.parentNode = null;
+        this.innerHTML = "";
+        this.textContent = "";
+        this.width = 0;
+        this.height = 0;
+    }
+
+    appendChild(child) {
+        child.parentNode = this;
+        this.children.push(child);
+        return child;
+    }
+
+    removeChild(child) {
+        child.parentNode = null;
+        this.children = this.children.filter(c => c != child);
+        return child;
+    }
+
+    getContext() {
+        return createGraphics();
+    }
+
+    focus() {}
+}
+
+function createElement(tagName) {
+    return new FakeElement(tagName);
+}
+
+/**
+ * Every element fetched through `document.getElementById`, indexed by id.
+ * @type {Object.<string, FakeElement>}
+ */
+const elements = {};
+
+/**
+ * Installs the stubs as globals. Must be called before requiring any game module.
+ */
+function install() {
+    global.createjs = {
+        EventDispatcher: EventDispatcher,
+        DisplayObject: DisplayObject,
+        Sprite: Sprite,
+        Container: Container,
+        Shape: Shape,
+        Bitmap: Bitmap,
+        Text: Text,
+        Stage: Stage,
+        Ticker: Ticker
+    };
+
+    const body = createElement("body");
+    global.document = {
+        body: body,
+        createElement: createElement,
+        getElementById: id => {
+            if (!elements[id]) {
+                elements[id] = createElement("div");
+                elements[id].id = id;
+            }
+            return elements[id];
+        },
+        hasFocus: () => true
+    };
+
+    const store = {};
+    global.localStorage = {
+        getItem: key => (key in store ? store[key] : null),
+        setItem: (key, value) => { store[key] = String(value); },
+        removeItem: key => { delete store[key]; },
+        clear: () => { for (const key in store) delete store[key]; }
+    };
+
+    global.window = new EventDispatcher();
+    global.window.innerWidth = 800;
+    global.window.innerHeight = 600;
+
+    global.CustomEvent = class CustomEvent {
+        constructor(type, params = {}) {
+            this.type = type;
+            this.detail = params.detail;
+        }
+    };
+
+    global.prompt = () => null;
+    global.confirm = () => false;
+}
+
+module.exports = {
+    install: install,
+    elements: elements,
+    FakeElement: FakeElement
+};
@@ -0,0 +1,10 @@
+const UpgradeCatalog = require("../../src/Sim/UpgradeCatalog.js");
+const data = require("../../static/assets/upgrades.json");
+
+/**
+ * The upgrades the game ships with. Every test can share them, since buying upgrades only changes the miner.
+ * @type {UpgradeCatalog}
+ */
+const upgrades = new UpgradeCatalog(data);
+
+module.exports = upgrades;